@@ -0,0 +1,286 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./LoyaltyToken.sol";
+
+/**
+ * @title LoyaltyCampaigns
+ * @dev Time-boxed bonus campaigns applied to LoyaltyToken purchase rewards
+ *
+ * Marketing schedules promotions such as "2x points this weekend" or
+ * "+50% at restaurants in December" here instead of changing the emission
+ * rate by hand. LoyaltyToken asks this registry for the bonus of every
+ * rewarded purchase (earnTokens, batch settlement and voucher claims), so
+ * campaigns start and stop on their own.
+ *
+ * Features:
+ * - Start and end time, reward multiplier and optional merchant / business type scope
+ * - Budget cap on the bonus tokens each campaign can mint
+ * - Overlapping campaigns stack additively, each drawing from its own budget
+ * - Cancellation of scheduled or running campaigns
+ *
+ * Campaigns are not timelocked like the emission parameters: their multiplier is
+ * always above 1x, so a campaign can only add a bonus on top of the timelocked
+ * rates, never cut what a customer earns, and its bonus is capped by its budget.
+ *
+ * Admin rights follow LoyaltyToken: its DEFAULT_ADMIN_ROLE manages campaigns.
+ */
+contract LoyaltyCampaigns {
+    /// @dev LoyaltyToken contract whose rewards are boosted
+    LoyaltyToken public immutable loyaltyToken;
+
+    /// @dev Basis for campaign multipliers (10000 = 1x)
+    uint256 public constant MULTIPLIER_BASIS = 10000;
+
+    /// @dev Maximum number of campaigns that have not ended yet (all are checked on every reward)
+    uint256 public constant MAX_LIVE_CAMPAIGNS = 10;
+
+    /// @dev Next campaign ID (IDs start at 1)
+    uint256 public nextCampaignId = 1;
+
+    /// @dev Campaigns by ID
+    mapping(uint256 => Campaign) private campaigns;
+
+    /// @dev IDs of scheduled and running campaigns (ended ones are pruned on the next createCampaign)
+    uint256[] private liveCampaignIds;
+
+    /// @dev Time-boxed bonus campaign
+    struct Campaign {
+        uint256 id;
+        string name;
+        uint256 startTime;       // Unix timestamp at which the campaign starts
+        uint256 endTime;         // Unix timestamp at which the campaign ends (exclusive)
+        uint256 multiplier;      // Reward multiplier in basis points while running (20000 = 2x)
+        uint256 merchantId;      // Only purchases at this merchant (0 = any merchant)
+        string businessType;     // Only purchases at merchants of this type ("" = any type)
+        uint256 budget;          // Maximum bonus tokens minted (with decimals, 0 = no cap)
+        uint256 bonusMinted;     // Bonus tokens minted so far (with decimals)
+        bool cancelled;          // Cancelled by an admin before its end time
+    }
+
+    /**
+     * @dev Restricts a function to LoyaltyToken admins (DEFAULT_ADMIN_ROLE)
+     */
+    modifier onlyTokenAdmin() {
+        require(loyaltyToken.hasRole(loyaltyToken.DEFAULT_ADMIN_ROLE(), msg.sender), "Caller is not an admin");
+        _;
+    }
+
+    /**
+     * @dev Restricts a function to the LoyaltyToken contract
+     */
+    modifier onlyLoyaltyToken() {
+        require(msg.sender == address(loyaltyToken), "Caller is not the loyalty token");
+        _;
+    }
+
+    /**
+     * @dev Constructor
+     * @param _loyaltyToken Address of the LoyaltyToken contract
+     */
+    constructor(address _loyaltyToken) {
+        require(_loyaltyToken != address(0), "Invalid token address");
+        loyaltyToken = LoyaltyToken(_loyaltyToken);
+    }
+
+    /**
+     * @dev Schedules a time-boxed bonus campaign
+     * @param name Display name of the campaign
+     * @param startTime Unix timestamp at which the campaign starts
+     * @param endTime Unix timestamp at which the campaign ends
+     * @param multiplier Reward multiplier in basis points (20000 = double points, 15000 = +50%)
+     * @param merchantId Only boost purchases at this merchant, or 0 for any merchant
+     * @param businessType Only boost purchases at merchants of this type, or "" for any type
+     * @param budget Maximum bonus tokens the campaign can mint (with decimals), or 0 for no cap
+     * @return campaignId ID of the new campaign
+     *
+     * @notice The bonus is added on top of the tier-adjusted reward of every matching purchase:
+     *         bonus = reward * (multiplier - 1x), cut to the remaining budget
+     * @notice Overlapping campaigns add their bonuses rather than multiply: 2x and 1.5x running
+     *         together pay 2.5x the reward (1x + 1x + 0.5x), not 3x
+     * @notice Voucher claims have no merchant, only campaigns without merchant and business type apply to them
+     *
+     * Example: "2x points this weekend" is multiplier 20000 from Saturday 00:00 to Monday 00:00,
+     * "+50% at restaurants in December" is multiplier 15000 with business type "restaurant"
+     *
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE on LoyaltyToken
+     * - Name must not be empty, end time must be after the start time and in the future
+     * - Multiplier must be above 1x and cannot exceed 5x (50000 basis points)
+     * - Merchant must be registered (unless 0)
+     * - Fewer than MAX_LIVE_CAMPAIGNS campaigns may be scheduled or running
+     *
+     * Emits: CampaignCreated event
+     */
+    function createCampaign(
+        string memory name,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 multiplier,
+        uint256 merchantId,
+        string memory businessType,
+        uint256 budget
+    ) external onlyTokenAdmin returns (uint256 campaignId) {
+        require(bytes(name).length > 0, "Campaign name required");
+        require(endTime > startTime && endTime > block.timestamp, "Invalid campaign period");
+        require(multiplier > MULTIPLIER_BASIS && multiplier <= 5 * MULTIPLIER_BASIS, "Multiplier must be above 1x and at most 5x");
+        require(merchantId == 0 || loyaltyToken.getMerchant(merchantId).id != 0, "Merchant not registered");
+
+        // Drop campaigns that have ended to make room
+        for (uint256 i = liveCampaignIds.length; i > 0; i--) {
+            Campaign storage live = campaigns[liveCampaignIds[i - 1]];
+            if (live.cancelled || live.endTime <= block.timestamp) {
+                liveCampaignIds[i - 1] = liveCampaignIds[liveCampaignIds.length - 1];
+                liveCampaignIds.pop();
+            }
+        }
+        require(liveCampaignIds.length < MAX_LIVE_CAMPAIGNS, "Too many live campaigns");
+
+        campaignId = nextCampaignId++;
+        campaigns[campaignId] = Campaign({
+            id: campaignId,
+            name: name,
+            startTime: startTime,
+            endTime: endTime,
+            multiplier: multiplier,
+            merchantId: merchantId,
+            businessType: businessType,
+            budget: budget,
+            bonusMinted: 0,
+            cancelled: false
+        });
+        liveCampaignIds.push(campaignId);
+
+        emit CampaignCreated(campaignId, name, startTime, endTime, multiplier, merchantId, businessType, budget);
+    }
+
+    /**
+     * @dev Cancels a scheduled or running campaign
+     * @param campaignId ID of the campaign
+     *
+     * @notice Bonuses already minted are kept
+     *
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE on LoyaltyToken
+     * - Campaign must exist, not be cancelled and not have ended
+     *
+     * Emits: CampaignCancelled event
+     */
+    function cancelCampaign(uint256 campaignId) external onlyTokenAdmin {
+        Campaign storage campaign = campaigns[campaignId];
+        require(campaign.id != 0, "Campaign not found");
+        require(!campaign.cancelled && campaign.endTime > block.timestamp, "Campaign already ended");
+
+        campaign.cancelled = true;
+
+        emit CampaignCancelled(campaignId);
+    }
+
+    /**
+     * @dev Adds up the bonuses of the running campaigns that match a purchase and charges their budgets
+     * @param customer Customer receiving the reward
+     * @param merchantId Merchant where the purchase was made (0 for coalition-wide previews)
+     * @param businessTypeHash keccak256 of the merchant's business type (the empty type for coalition-wide previews)
+     * @param reward Tier-adjusted reward of the purchase (with decimals)
+     * @return bonus Total campaign bonus to mint on top of the reward (with decimals)
+     *
+     * @notice Called by LoyaltyToken for every rewarded purchase
+     *
+     * Requirements:
+     * - Caller must be the LoyaltyToken contract
+     *
+     * Emits: CampaignBonusApplied event per matching campaign
+     */
+    function applyCampaigns(
+        address customer,
+        uint256 merchantId,
+        bytes32 businessTypeHash,
+        uint256 reward
+    ) external onlyLoyaltyToken returns (uint256 bonus) {
+        for (uint256 i = 0; i < liveCampaignIds.length; i++) {
+            Campaign storage campaign = campaigns[liveCampaignIds[i]];
+            uint256 campaignBonus = _campaignBonus(campaign, merchantId, businessTypeHash, reward);
+            if (campaignBonus > 0) {
+                campaign.bonusMinted += campaignBonus;
+                bonus += campaignBonus;
+                emit CampaignBonusApplied(campaign.id, customer, campaignBonus);
+            }
+        }
+    }
+
+    /**
+     * @dev Calculates the campaign bonus a purchase would receive right now
+     * @param merchantId Merchant where the purchase is made (0 for coalition-wide previews)
+     * @param businessTypeHash keccak256 of the merchant's business type (the empty type for coalition-wide previews)
+     * @param reward Tier-adjusted reward of the purchase (with decimals)
+     * @return bonus Total campaign bonus (with decimals)
+     */
+    function previewBonus(uint256 merchantId, bytes32 businessTypeHash, uint256 reward) external view returns (uint256 bonus) {
+        for (uint256 i = 0; i < liveCampaignIds.length; i++) {
+            bonus += _campaignBonus(campaigns[liveCampaignIds[i]], merchantId, businessTypeHash, reward);
+        }
+    }
+
+    /**
+     * @dev Calculates the bonus one campaign adds to a purchase reward
+     * @return Bonus (with decimals), 0 if the campaign is not running, does not match or has no budget left
+     */
+    function _campaignBonus(
+        Campaign storage campaign,
+        uint256 merchantId,
+        bytes32 businessTypeHash,
+        uint256 reward
+    ) internal view returns (uint256) {
+        if (campaign.cancelled || block.timestamp < campaign.startTime || block.timestamp >= campaign.endTime) {
+            return 0;
+        }
+        if (campaign.merchantId != 0 && campaign.merchantId != merchantId) {
+            return 0;
+        }
+        if (bytes(campaign.businessType).length > 0 && keccak256(bytes(campaign.businessType)) != businessTypeHash) {
+            return 0;
+        }
+
+        uint256 bonus = (reward * (campaign.multiplier - MULTIPLIER_BASIS)) / MULTIPLIER_BASIS;
+        if (campaign.budget > 0 && bonus > campaign.budget - campaign.bonusMinted) {
+            bonus = campaign.budget - campaign.bonusMinted;
+        }
+        return bonus;
+    }
+
+    /**
+     * @dev Get a campaign
+     * @param campaignId ID of the campaign
+     * @return Campaign struct with all details
+     */
+    function getCampaign(uint256 campaignId) external view returns (Campaign memory) {
+        require(campaigns[campaignId].id != 0, "Campaign not found");
+        return campaigns[campaignId];
+    }
+
+    /**
+     * @dev Get all campaigns (scheduled, running, ended and cancelled)
+     * @return Array of campaign structs ordered by ID
+     */
+    function getCampaigns() external view returns (Campaign[] memory) {
+        Campaign[] memory list = new Campaign[](nextCampaignId - 1);
+        for (uint256 i = 0; i < list.length; i++) {
+            list[i] = campaigns[i + 1];
+        }
+        return list;
+    }
+
+    // Campaign events
+    event CampaignCreated(
+        uint256 indexed campaignId,
+        string name,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 multiplier,
+        uint256 merchantId,
+        string businessType,
+        uint256 budget
+    );
+    event CampaignCancelled(uint256 indexed campaignId);
+    event CampaignBonusApplied(uint256 indexed campaignId, address indexed customer, uint256 bonus);
+}
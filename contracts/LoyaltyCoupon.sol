@@ -0,0 +1,625 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "./LoyaltyToken.sol";
+
+/**
+ * @title LoyaltyCoupon
+ * @dev LoyalLoop discount coupons, issued as ERC-721 NFTs
+ *
+ * Customers burn LOYAL to create coupons here. Every coupon is an NFT, so it
+ * can be held in any wallet, shown by marketplaces and gifted to other users.
+ * Coupon terms (discount, business type, expiry, status) are rendered as
+ * on-chain JSON metadata by `tokenURI`.
+ *
+ * Features:
+ * - ERC-721 with the enumerable extension (list a wallet's coupons)
+ * - On-chain coupon pricing per business type (tokens per discount percent, max discount, min tokens)
+ * - Coupon creation burns LOYAL and charges the LoyaltyToken coupon fee
+ * - Coupon cancellation with a configurable partial refund
+ * - Merchant-side coupon redemption at the till, authorized by the customer through a redemption approval
+ * - Redemption receipts with the purchase amount and the discount value given (optionally capped per coupon),
+ *   also for coupons used by their holder
+ * - Fully on-chain metadata (base64 encoded JSON data URI)
+ * - Paginated, filterable coupon queries with details and validity in a single call
+ *
+ * Admin rights and the emergency pause follow LoyaltyToken: its DEFAULT_ADMIN_ROLE
+ * manages coupon settings, and coupon operations stop while the token is paused.
+ */
+contract LoyaltyCoupon is ERC721Enumerable {
+    using Strings for uint256;
+    using Strings for string;
+
+    /// @dev LoyaltyToken contract whose tokens are burned for coupons
+    LoyaltyToken public immutable loyaltyToken;
+
+    /// @dev Counter for coupon IDs
+    uint256 private nextCouponId = 1;
+
+    /// @dev Mapping from coupon ID to coupon details
+    mapping(uint256 => Coupon) private coupons;
+
+    /// @dev Coupon pricing rules per business type
+    mapping(string => CouponPricing) private couponPricing;
+
+    /// @dev Redemption receipts by coupon ID (coupons redeemed at a merchant)
+    mapping(uint256 => Redemption) private redemptions;
+
+    /// @dev Coupon IDs redeemed at each merchant, in redemption order
+    mapping(uint256 => uint256[]) private merchantRedemptions;
+
+    /// @dev Merchant account allowed to redeem each coupon, set by the holder and cleared on transfer
+    mapping(uint256 => address) public redemptionApprovals;
+
+    /// @dev Share of the burned tokens refunded when a coupon is cancelled, in basis points (5000 = 50%)
+    uint256 public cancelRefundBps = 5000;
+
+    /// @dev Coupon structure (ownership is tracked by the NFT)
+    struct Coupon {
+        uint256 id;
+        address owner;           // Current NFT holder (resolved in getCouponDetails)
+        uint256 discountPercent; // Percentage discount (1-100)
+        uint256 maxDiscountValue; // Highest discount value per redemption in minor currency units (0 = no cap)
+        uint256 tokensBurned;    // Tokens burned to get this coupon
+        uint256 expiryTime;      // Unix timestamp
+        bool isUsed;             // Whether coupon has been redeemed
+        string businessType;     // Type of business (restaurant, retail, etc.)
+        uint256 redeemedBy;      // Merchant ID that honored the coupon (0 if self-used or unused)
+        address redeemer;        // Merchant account that redeemed the coupon
+        uint256 redeemedAt;      // Unix timestamp of the redemption
+        CouponStatus status;     // Lifecycle status (expiry is derived from expiryTime)
+    }
+
+    /// @dev Coupon lifecycle status
+    enum CouponStatus { Active, Used, Cancelled }
+
+    /// @dev Coupon pricing rule of a business type
+    struct CouponPricing {
+        uint256 tokensPerPercent; // Tokens (with decimals) burned per discount percent
+        uint256 maxDiscount;      // Highest discount percent allowed (0 = business type not priced)
+        uint256 minTokens;        // Minimum tokens (with decimals) burned for any coupon
+        uint256 maxDiscountValue; // Discount value cap of new coupons in minor currency units (0 = no cap)
+    }
+
+    /// @dev Receipt of a coupon redeemed at a merchant, for promotion reconciliation
+    struct Redemption {
+        uint256 couponId;
+        uint256 merchantId;      // Merchant that honored the coupon
+        address customer;        // Coupon holder at redemption
+        address redeemer;        // Merchant account that redeemed the coupon
+        bytes32 orderId;         // Merchant order reference
+        uint256 purchaseAmount;  // Purchase amount before the discount (minor currency units)
+        uint256 discountPercent; // Discount percent of the coupon
+        uint256 discountValue;   // Discount given (minor currency units), capped at the coupon's maxDiscountValue
+        uint256 redeemedAt;      // Unix timestamp of the redemption
+    }
+
+    /// @dev Status filter for coupon queries (Active means valid: not used, cancelled or expired)
+    enum StatusFilter { All, Active, Used, Cancelled, Expired }
+
+    /// @dev Coupon details with validity, returned by paged queries
+    struct CouponView {
+        Coupon coupon;
+        bool isValid;
+    }
+
+    /**
+     * @dev Restricts a function to LoyaltyToken admins (DEFAULT_ADMIN_ROLE)
+     */
+    modifier onlyTokenAdmin() {
+        require(loyaltyToken.hasRole(loyaltyToken.DEFAULT_ADMIN_ROLE(), msg.sender), "Caller is not an admin");
+        _;
+    }
+
+    /**
+     * @dev Blocks coupon operations while LoyaltyToken is paused
+     */
+    modifier whenNotPaused() {
+        if (loyaltyToken.paused()) revert Pausable.EnforcedPause();
+        _;
+    }
+
+    /**
+     * @dev Constructor
+     * @param _loyaltyToken Address of the LoyaltyToken contract
+     */
+    constructor(address _loyaltyToken) ERC721("LoyalLoop Coupon", "LOYALC") {
+        require(_loyaltyToken != address(0), "Invalid token address");
+        loyaltyToken = LoyaltyToken(_loyaltyToken);
+    }
+
+    /**
+     * @dev Sets the share of burned tokens refunded when a coupon is cancelled
+     * @param _refundBps Refund in basis points (5000 = 50%, 0 disables refunds)
+     * 
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE on LoyaltyToken
+     * - Refund cannot exceed 100%
+     * 
+     * Emits: CancelRefundUpdated event
+     */
+    function setCancelRefund(uint256 _refundBps) external onlyTokenAdmin {
+        require(_refundBps <= 10000, "Refund cannot exceed 100%");
+        cancelRefundBps = _refundBps;
+        emit CancelRefundUpdated(_refundBps);
+    }
+
+    /**
+     * @dev Sets the coupon pricing rule of a business type
+     * @param businessType Business type the rule applies to
+     * @param tokensPerPercent Tokens (with decimals) burned per discount percent
+     * @param maxDiscount Highest discount percent allowed, 0 stops coupon creation for the business type
+     * @param minTokens Minimum tokens (with decimals) burned for any coupon
+     * @param maxDiscountValue Discount value cap of new coupons in minor currency units, 0 for no cap
+     * 
+     * Example: tokensPerPercent 1e18, maxDiscount 50, minTokens 5e18, maxDiscountValue 2500
+     * prices a 10% coupon at 10 LOYAL and a 2% coupon at 5 LOYAL, and no redemption discounts
+     * more than 25.00 (with 2 currency decimals)
+     * 
+     * @notice The cap is copied to each coupon at creation, so changing it does not affect existing coupons
+     * 
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE on LoyaltyToken
+     * - Max discount cannot exceed 100%
+     * - Tokens per percent must be greater than 0 when the business type is priced
+     * 
+     * Emits: CouponPricingUpdated event
+     */
+    function setCouponPricing(
+        string calldata businessType,
+        uint256 tokensPerPercent,
+        uint256 maxDiscount,
+        uint256 minTokens,
+        uint256 maxDiscountValue
+    ) external onlyTokenAdmin {
+        require(bytes(businessType).length > 0, "Business type required");
+        require(maxDiscount <= 100, "Max discount cannot exceed 100%");
+        require(maxDiscount == 0 || tokensPerPercent > 0, "Tokens per percent must be greater than 0");
+        
+        couponPricing[businessType] = CouponPricing(tokensPerPercent, maxDiscount, minTokens, maxDiscountValue);
+        
+        emit CouponPricingUpdated(businessType, tokensPerPercent, maxDiscount, minTokens, maxDiscountValue);
+    }
+
+    /**
+     * @dev Creates a discount coupon by burning tokens
+     * @param tokenAmount Amount of tokens to burn for the coupon (at least the quoted price)
+     * @param discountPercent Discount percentage (1 up to the business type's max discount)
+     * @param businessType Type of business the coupon is for
+     * @param validityDays Number of days the coupon is valid
+     * @return couponId ID of the new coupon NFT
+     * 
+     * @notice Burns tokens and mints a discount coupon NFT to the caller
+     * @notice Charges the LoyaltyToken coupon fee on top (transferred to the token owner)
+     * @notice No token approval is needed, LoyaltyToken burns on behalf of this contract
+     * 
+     * Requirements:
+     * - LoyaltyToken must not be paused
+     * - Business type must be priced and tokenAmount must cover quoteCoupon
+     * - Validity must be between 1 and 365 days
+     * - Caller must hold tokenAmount plus the fee (lapsed points do not count)
+     * 
+     * Emits: CouponCreated event, Transfer event (ERC-721 mint)
+     */
+    function createCoupon(
+        uint256 tokenAmount,
+        uint256 discountPercent,
+        string memory businessType,
+        uint256 validityDays
+    ) external whenNotPaused returns (uint256 couponId) {
+        require(tokenAmount >= _couponPrice(discountPercent, businessType), "Token amount below coupon price");
+        require(validityDays > 0 && validityDays <= 365, "Validity must be between 1-365 days");
+        
+        loyaltyToken.burnForCoupon(msg.sender, tokenAmount, _couponFeeFor(tokenAmount));
+        
+        couponId = nextCouponId++;
+        coupons[couponId] = Coupon({
+            id: couponId,
+            owner: msg.sender,
+            discountPercent: discountPercent,
+            maxDiscountValue: couponPricing[businessType].maxDiscountValue,
+            tokensBurned: tokenAmount,
+            expiryTime: block.timestamp + (validityDays * 1 days),
+            isUsed: false,
+            businessType: businessType,
+            redeemedBy: 0,
+            redeemer: address(0),
+            redeemedAt: 0,
+            status: CouponStatus.Active
+        });
+        
+        _mint(msg.sender, couponId);
+        
+        emit CouponCreated(couponId, msg.sender, discountPercent, tokenAmount);
+    }
+
+    /**
+     * @dev Uses a coupon (marks it as used)
+     * @param couponId ID of the coupon to use
+     * 
+     * @notice Only the current holder of the coupon NFT can use it
+     * @notice Only works if coupon is valid and not expired
+     * @notice Reverts while LoyaltyToken is paused
+     * @notice Stores a receipt without a merchant, order or purchase amount (see getRedemption)
+     */
+    function useCoupon(uint256 couponId) external whenNotPaused {
+        Coupon storage coupon = coupons[couponId];
+        
+        require(coupon.id != 0, "Coupon does not exist");
+        require(ownerOf(couponId) == msg.sender, "Not coupon owner");
+        require(!coupon.isUsed, "Coupon already used");
+        require(coupon.status != CouponStatus.Cancelled, "Coupon cancelled");
+        require(block.timestamp <= coupon.expiryTime, "Coupon expired");
+        
+        // Mark as used
+        coupon.isUsed = true;
+        coupon.status = CouponStatus.Used;
+        _storeRedemption(couponId, 0, msg.sender, bytes32(0), 0);
+        
+        emit CouponUsed(couponId, msg.sender);
+    }
+
+    /**
+     * @dev Cancels an unused coupon and refunds part of the burned tokens
+     * @param couponId ID of the coupon to cancel
+     * @return refund Tokens re-minted to the holder (with decimals)
+     * 
+     * @notice Refunds cancelRefundBps of tokensBurned to the current holder, the coupon fee is not refunded
+     * @notice The refund is re-minted and counts towards the token's totalMinted
+     * 
+     * Requirements:
+     * - LoyaltyToken must not be paused
+     * - Caller must hold the coupon NFT
+     * - Coupon must be active (not used or cancelled) and not expired
+     * 
+     * Emits: CouponCancelled event
+     */
+    function cancelCoupon(uint256 couponId) external whenNotPaused returns (uint256 refund) {
+        Coupon storage coupon = coupons[couponId];
+        
+        require(coupon.id != 0, "Coupon does not exist");
+        require(ownerOf(couponId) == msg.sender, "Not coupon owner");
+        require(!coupon.isUsed, "Coupon already used");
+        require(coupon.status != CouponStatus.Cancelled, "Coupon already cancelled");
+        require(block.timestamp <= coupon.expiryTime, "Coupon expired");
+        
+        coupon.status = CouponStatus.Cancelled;
+        
+        refund = (coupon.tokensBurned * cancelRefundBps) / 10000;
+        if (refund > 0) {
+            loyaltyToken.refundCoupon(msg.sender, refund);
+        }
+        
+        emit CouponCancelled(couponId, msg.sender, refund);
+    }
+
+    /**
+     * @dev Redeems a customer's coupon at a merchant's till
+     * @param couponId ID of the coupon to redeem
+     * @param orderId Merchant order reference the discount was applied to
+     * @param purchaseAmount Amount of the purchase before the discount (minor currency units)
+     * @return discountValue Discount given, purchaseAmount * discountPercent / 100 capped at the coupon's maxDiscountValue
+     * 
+     * @notice The customer authorizes the redemption with approveRedemption; ERC-721 approvals
+     * do not count, so the merchant account never gains the right to transfer the coupon
+     * @notice Stores a redemption receipt (see getRedemption) as proof the coupon was honored
+     * 
+     * Requirements:
+     * - LoyaltyToken must not be paused
+     * - Caller must be linked to an active merchant (see LoyaltyToken.setMerchantAccount)
+     * - Purchase amount must be greater than 0
+     * - Coupon must exist, be unused and not expired
+     * - Coupon business type must match the merchant's business type
+     * - Caller must be the coupon's redemption approval (see approveRedemption)
+     * 
+     * Emits: CouponRedeemed event
+     */
+    function redeemCoupon(
+        uint256 couponId,
+        bytes32 orderId,
+        uint256 purchaseAmount
+    ) external whenNotPaused returns (uint256 discountValue) {
+        require(purchaseAmount > 0, "Purchase amount must be greater than 0");
+        uint256 merchantId = loyaltyToken.merchantOf(msg.sender);
+        require(merchantId != 0, "Caller is not a merchant account");
+        LoyaltyToken.Merchant memory merchant = loyaltyToken.getMerchant(merchantId);
+        require(merchant.active, "Merchant not active");
+        
+        Coupon storage coupon = coupons[couponId];
+        require(coupon.id != 0, "Coupon does not exist");
+        require(!coupon.isUsed, "Coupon already used");
+        require(coupon.status != CouponStatus.Cancelled, "Coupon cancelled");
+        require(block.timestamp <= coupon.expiryTime, "Coupon expired");
+        require(
+            keccak256(bytes(coupon.businessType)) == keccak256(bytes(merchant.businessType)),
+            "Coupon not valid for this business type"
+        );
+        
+        require(redemptionApprovals[couponId] == msg.sender, "Redemption not authorized by coupon holder");
+        address customer = ownerOf(couponId);
+        
+        delete redemptionApprovals[couponId];
+        coupon.isUsed = true;
+        coupon.status = CouponStatus.Used;
+        coupon.redeemedBy = merchantId;
+        coupon.redeemer = msg.sender;
+        coupon.redeemedAt = block.timestamp;
+        
+        discountValue = _storeRedemption(couponId, merchantId, customer, orderId, purchaseAmount);
+        merchantRedemptions[merchantId].push(couponId);
+        
+        emit CouponRedeemed(
+            couponId,
+            merchantId,
+            customer,
+            msg.sender,
+            orderId,
+            purchaseAmount,
+            coupon.discountPercent,
+            discountValue
+        );
+    }
+
+    /**
+     * @dev Authorizes a merchant account to redeem a coupon at its till
+     * @param couponId ID of the coupon
+     * @param account Merchant account allowed to call redeemCoupon, address(0) to revoke
+     * 
+     * @notice Unlike an ERC-721 approval, this does not let the account transfer the coupon
+     * @notice The approval is cleared when the coupon is redeemed or changes hands
+     * 
+     * Requirements:
+     * - Caller must hold the coupon NFT
+     * 
+     * Emits: RedemptionApproved event
+     */
+    function approveRedemption(uint256 couponId, address account) external {
+        require(ownerOf(couponId) == msg.sender, "Not coupon owner");
+        redemptionApprovals[couponId] = account;
+        emit RedemptionApproved(couponId, msg.sender, account);
+    }
+
+    /**
+     * @dev Quote the price of a coupon
+     * @param discountPercent Discount percentage
+     * @param businessType Type of business the coupon is for
+     * @return tokensRequired Tokens to burn (with decimals)
+     * @return fee Coupon fee charged on top (with decimals)
+     * @return totalRequired Tokens the customer needs (with decimals)
+     * 
+     * @notice Reverts if the business type is not priced or the discount exceeds its maximum
+     */
+    function quoteCoupon(uint256 discountPercent, string calldata businessType) external view returns (
+        uint256 tokensRequired,
+        uint256 fee,
+        uint256 totalRequired
+    ) {
+        tokensRequired = _couponPrice(discountPercent, businessType);
+        fee = _couponFeeFor(tokensRequired);
+        totalRequired = tokensRequired + fee;
+    }
+
+    /**
+     * @dev Get the coupon pricing rule of a business type
+     * @param businessType Type of business
+     * @return Pricing rule (maxDiscount 0 if the business type is not priced)
+     */
+    function getCouponPricing(string calldata businessType) external view returns (CouponPricing memory) {
+        return couponPricing[businessType];
+    }
+
+    /**
+     * @dev Get coupon details
+     * @param couponId ID of the coupon
+     * @return coupon Coupon struct with all details, `owner` is the current NFT holder
+     */
+    function getCouponDetails(uint256 couponId) public view returns (Coupon memory coupon) {
+        coupon = coupons[couponId];
+        if (coupon.id != 0) {
+            coupon.owner = ownerOf(couponId);
+        }
+    }
+
+    /**
+     * @dev Get the redemption receipt of a coupon redeemed at a merchant
+     * @param couponId ID of the coupon
+     * @return Redemption struct with the order, purchase amount and discount value
+     *
+     * @notice Coupons used by their holder with useCoupon have a receipt with merchant ID 0 and no purchase amount
+     */
+    function getRedemption(uint256 couponId) external view returns (Redemption memory) {
+        require(redemptions[couponId].couponId != 0, "Redemption not found");
+        return redemptions[couponId];
+    }
+
+    /**
+     * @dev Get the redemption receipts of a merchant
+     * @param merchantId Merchant ID
+     * @return Array of redemption receipts in redemption order
+     */
+    function getMerchantRedemptions(uint256 merchantId) external view returns (Redemption[] memory) {
+        uint256[] storage couponIds = merchantRedemptions[merchantId];
+        Redemption[] memory list = new Redemption[](couponIds.length);
+        for (uint256 i = 0; i < list.length; i++) {
+            list[i] = redemptions[couponIds[i]];
+        }
+        return list;
+    }
+
+    /**
+     * @dev Check if coupon is valid and usable
+     * @param couponId ID of the coupon
+     * @return bool indicating if coupon is valid
+     */
+    function isCouponValid(uint256 couponId) external view returns (bool) {
+        Coupon storage coupon = coupons[couponId];
+        return coupon.id != 0 && coupon.status == CouponStatus.Active && block.timestamp <= coupon.expiryTime;
+    }
+
+    /**
+     * @dev Get a page of a user's coupons with full details and validity
+     * @param user Address of the coupon holder
+     * @param offset Number of matching coupons to skip
+     * @param limit Maximum number of coupons to return
+     * @param statusFilter Only return coupons with this status (All for every coupon)
+     * @return page Matching coupons in holding order
+     * @return total Number of the user's coupons matching the filter
+     */
+    function getUserCouponsPaged(
+        address user,
+        uint256 offset,
+        uint256 limit,
+        StatusFilter statusFilter
+    ) external view returns (CouponView[] memory page, uint256 total) {
+        uint256 balance = balanceOf(user);
+        CouponView[] memory found = new CouponView[](limit < balance ? limit : balance);
+        uint256 count;
+
+        for (uint256 i = 0; i < balance; i++) {
+            Coupon memory coupon = getCouponDetails(tokenOfOwnerByIndex(user, i));
+            if (!_matches(coupon, statusFilter)) continue;
+
+            if (total >= offset && count < found.length) {
+                found[count++] = CouponView(coupon, _matches(coupon, StatusFilter.Active));
+            }
+            total++;
+        }
+
+        // Trim the page to the number of coupons found
+        page = new CouponView[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = found[i];
+        }
+    }
+
+    /**
+     * @dev Stores the redemption receipt of a coupon that was just marked used
+     * @return discountValue purchaseAmount * discountPercent / 100, capped at the coupon's maxDiscountValue
+     */
+    function _storeRedemption(
+        uint256 couponId,
+        uint256 merchantId,
+        address customer,
+        bytes32 orderId,
+        uint256 purchaseAmount
+    ) internal returns (uint256 discountValue) {
+        Coupon storage coupon = coupons[couponId];
+        discountValue = (purchaseAmount * coupon.discountPercent) / 100;
+        if (coupon.maxDiscountValue > 0 && discountValue > coupon.maxDiscountValue) {
+            discountValue = coupon.maxDiscountValue;
+        }
+        
+        redemptions[couponId] = Redemption({
+            couponId: couponId,
+            merchantId: merchantId,
+            customer: customer,
+            redeemer: msg.sender,
+            orderId: orderId,
+            purchaseAmount: purchaseAmount,
+            discountPercent: coupon.discountPercent,
+            discountValue: discountValue,
+            redeemedAt: block.timestamp
+        });
+    }
+
+    /**
+     * @dev Tokens required for a coupon under the business type's pricing rule
+     */
+    function _couponPrice(uint256 discountPercent, string memory businessType) internal view returns (uint256) {
+        CouponPricing storage pricing = couponPricing[businessType];
+        require(pricing.maxDiscount > 0, "Business type not priced");
+        require(discountPercent > 0 && discountPercent <= pricing.maxDiscount, "Discount exceeds maximum for business type");
+        
+        uint256 price = pricing.tokensPerPercent * discountPercent;
+        return price < pricing.minTokens ? pricing.minTokens : price;
+    }
+
+    /**
+     * @dev Coupon creation fee for a token amount, based on LoyaltyToken.couponFee (in basis points)
+     */
+    function _couponFeeFor(uint256 tokenAmount) internal view returns (uint256 fee) {
+        uint256 couponFee = loyaltyToken.couponFee();
+        fee = (tokenAmount * couponFee) / 10000;
+        if (fee == 0 && couponFee > 0) fee = 1; // Minimum fee of 1 token for small amounts
+    }
+
+    /**
+     * @dev Whether a coupon matches a status filter
+     */
+    function _matches(Coupon memory coupon, StatusFilter statusFilter) internal view returns (bool) {
+        if (statusFilter == StatusFilter.All) return true;
+        if (statusFilter == StatusFilter.Cancelled) return coupon.status == CouponStatus.Cancelled;
+        if (statusFilter == StatusFilter.Used) return coupon.status == CouponStatus.Used;
+
+        bool expired = block.timestamp > coupon.expiryTime;
+        if (coupon.status != CouponStatus.Active) return false;
+        return statusFilter == StatusFilter.Expired ? expired : !expired;
+    }
+
+    /**
+     * @dev Returns the on-chain JSON metadata of a coupon
+     * @param couponId Coupon ID
+     * @return Data URI with base64 encoded JSON metadata
+     */
+    function tokenURI(uint256 couponId) public view override returns (string memory) {
+        _requireOwned(couponId);
+        Coupon memory coupon = coupons[couponId];
+        string memory businessType = coupon.businessType.escapeJSON();
+
+        string memory json = string.concat(
+            '{"name":"LoyalLoop Coupon #', couponId.toString(),
+            '","description":"', coupon.discountPercent.toString(), '% discount at ', businessType,
+            ' businesses in the LoyalLoop coalition.","attributes":[',
+            '{"trait_type":"Discount","value":', coupon.discountPercent.toString(), ',"display_type":"boost_percentage"},',
+            '{"trait_type":"Business Type","value":"', businessType, '"},',
+            '{"trait_type":"Expiry","value":', coupon.expiryTime.toString(), ',"display_type":"date"},',
+            '{"trait_type":"Status","value":"', _status(coupon), '"}]}'
+        );
+
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    /**
+     * @dev Clears the redemption approval when a coupon changes hands
+     */
+    function _update(address to, uint256 couponId, address auth) internal override returns (address from) {
+        from = super._update(to, couponId, auth);
+        if (from != address(0)) {
+            delete redemptionApprovals[couponId];
+        }
+    }
+
+    /**
+     * @dev Human readable status of a coupon
+     */
+    function _status(Coupon memory coupon) internal view returns (string memory) {
+        if (coupon.status == CouponStatus.Cancelled) return "Cancelled";
+        if (coupon.isUsed) return "Used";
+        if (block.timestamp > coupon.expiryTime) return "Expired";
+        return "Active";
+    }
+
+    // Events for the coupon lifecycle
+    event CouponCreated(uint256 indexed couponId, address indexed user, uint256 discountPercent, uint256 tokensBurned);
+    event CouponUsed(uint256 indexed couponId, address indexed user);
+    event CouponCancelled(uint256 indexed couponId, address indexed user, uint256 refund);
+    event CouponRedeemed(
+        uint256 indexed couponId,
+        uint256 indexed merchantId,
+        address indexed customer,
+        address redeemer,
+        bytes32 orderId,
+        uint256 purchaseAmount,
+        uint256 discountPercent,
+        uint256 discountValue
+    );
+    event RedemptionApproved(uint256 indexed couponId, address indexed owner, address indexed account);
+
+    // Events for coupon settings
+    event CancelRefundUpdated(uint256 refundBps);
+    event CouponPricingUpdated(string businessType, uint256 tokensPerPercent, uint256 maxDiscount, uint256 minTokens, uint256 maxDiscountValue);
+}
@@ -3,6 +3,14 @@ pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "./LoyaltyCoupon.sol";
+import "./LoyaltyCampaigns.sol";
+import "./ParameterTimelock.sol";
 
 /**
  * @title LoyaltyToken
@@ -15,11 +23,50 @@ import "@openzeppelin/contracts/access/Ownable.sol";
  * 
  * Features:
  * - Standard ERC20 functionality (transfer, approve, etc.)
- * - Owner-controlled emission rate and unit value
+ * - EIP-2612 permit: approvals signed off-chain, so spenders like SimpleDEX need a single transaction
+ * - Admin-controlled emission rate and unit value
+ * - Merchant registry with per-merchant emission rate and unit value
+ * - Customer tiers (Bronze/Silver/Gold/Platinum) from lifetime earnings, with earn multipliers
+ * - Discount coupons bought with LOYAL, issued as transferable ERC-721 NFTs by LoyaltyCoupon
+ * - Opt-in points expiry: earned rewards are tracked in dated lots, spent FIFO and burned once lapsed
  * - Automated token minting based on customer spending
+ * - Referral program: new customers register a referrer once, both get a bonus on the first qualifying earn
+ * - Time-boxed bonus campaigns from the linked LoyaltyCampaigns registry, applied to every rewarded purchase
+ * - Velocity limits on purchase rewards: per purchase, per customer per rolling day and global per emission epoch
+ * - Batch end-of-day settlement of purchase receipts with per-entry results and order de-duplication
+ * - EIP-712 signed purchase vouchers so customers can claim rewards issued by a merchant backend
+ * - Role-based permissions for merchants, cashiers/POS terminals and auditors
+ * - Emergency pause of reward minting and coupon operations by a guardian
  * - Initial supply of 1,000 LOYAL tokens to contract deployer
+ *
+ * Roles:
+ * - DEFAULT_ADMIN_ROLE: manages economic parameters and grants/revokes every role
+ * - MERCHANT_ROLE: coalition merchants, allowed to reward their customers
+ * - MINTER_ROLE: cashiers and POS terminals, allowed to reward customers
+ * - AUDITOR_ROLE: read-only observers (reporting and reconciliation tools)
+ * - GUARDIAN_ROLE: incident responders, allowed to pause and unpause the contract
+ *
+ * Size: the deployed bytecode must stay under the EIP-170 limit (24,576 bytes), which
+ * test/ContractSize.js enforces. Add large new features in linked contracts rather than here.
  */
-contract LoyaltyToken is ERC20, Ownable {
+contract LoyaltyToken is ERC20, ERC20Permit, Ownable, AccessControl, Pausable {
+    
+    /// @dev Role for coalition merchants
+    bytes32 public constant MERCHANT_ROLE = keccak256("MERCHANT_ROLE");
+    
+    /// @dev Role for cashiers and POS terminals that mint rewards
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    
+    /// @dev Role for read-only auditors
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
+    
+    /// @dev Role for incident responders that can pause the contract
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    
+    /// @dev EIP-712 type hash of a signed purchase voucher
+    bytes32 public constant PURCHASE_VOUCHER_TYPEHASH = keccak256(
+        "PurchaseVoucher(address customer,uint256 amountSpent,bytes32 orderId,uint256 nonce,uint256 deadline)"
+    );
     
     /// @dev Rate at which tokens are emitted per unit spent (tokens per unit)
     uint256 public emissionRate = 1;
@@ -27,6 +74,19 @@ contract LoyaltyToken is ERC20, Ownable {
     /// @dev Value in wei that equals one unit for token calculation (e.g., 3 wei = 1 unit)
     uint256 public unitValue = 3;
     
+    /// @dev Decimals of spend amounts: amountSpent is in minor currency units (2 = cents), unit values in whole units
+    uint8 public currencyDecimals;
+    
+    /// @dev Spend not yet converted into a whole unit and the spend per unit it was accumulated under
+    struct SpendCarry {
+        uint256 amount;
+        uint256 unit;
+    }
+    
+    /// @dev Spend (in minor units) of each customer per merchant (0 for vouchers) not yet converted into a whole unit,
+    ///      carried to their next purchase there while the spend per unit stays the same
+    mapping(address => mapping(uint256 => SpendCarry)) public spendCarry;
+    
     /// @dev Total tokens ever minted (for tracking purposes)
     uint256 public totalMinted;
     
@@ -36,24 +96,221 @@ contract LoyaltyToken is ERC20, Ownable {
     /// @dev Coupon creation fee in basis points (100 = 1%)
     uint256 public couponFee = 100; // 1% by default
     
-    /// @dev Counter for coupon IDs
-    uint256 private nextCouponId = 1;
+    /// @dev Coupon contract (issues coupon NFTs, burns and refunds tokens through this contract)
+    LoyaltyCoupon public couponNFT;
+    
+    /// @dev Bonus campaign registry consulted on every rewarded purchase (zero = no campaigns)
+    LoyaltyCampaigns public campaignRegistry;
+    
+    /// @dev Timelock that applies emission rate, unit value, merchant rate and coupon fee changes (zero = admins change them directly)
+    ParameterTimelock public parameterTimelock;
+    
+    /// @dev Maximum number of purchases settled in one batch (keeps batches under the block gas limit)
+    uint256 public constant MAX_BATCH_SIZE = 200;
+    
+    /// @dev Order IDs already rewarded through batch settlement, per merchant
+    mapping(uint256 => mapping(bytes32 => bool)) public settledOrders;
+    
+    /// @dev Voucher nonces already consumed, per signing merchant
+    mapping(address => mapping(uint256 => bool)) public usedVoucherNonces;
+    
+    /// @dev Counter for merchant IDs
+    uint256 private nextMerchantId = 1;
+    
+    /// @dev Mapping from merchant ID to merchant details
+    mapping(uint256 => Merchant) private merchants;
+    
+    /// @dev Merchant ID that each operator account (till, POS, staff wallet) acts for
+    mapping(address => uint256) public merchantOf;
+    
+    /// @dev Basis points denominator for tier multipliers (10000 = 1x)
+    uint256 public constant MULTIPLIER_BASIS = 10000;
+    
+    /// @dev Lifetime tokens earned per customer (never reduced by burns or transfers)
+    mapping(address => uint256) public lifetimeEarned;
+    
+    /// @dev Lifetime amount spent per customer on rewarded purchases
+    mapping(address => uint256) public lifetimeSpent;
+    
+    /// @dev Amount spent on all rewarded purchases
+    uint256 public totalSpent;
+    
+    /// @dev Tokens earned on all rewarded purchases (with decimals, excludes referral bonuses and the initial supply)
+    uint256 public totalEarned;
+    
+    /// @dev Customers who earned tokens on at least one purchase (purchases below one unit do not count)
+    uint256 public earningCustomers;
+    
+    /// @dev Lifetime earnings (with decimals) required to reach each tier
+    uint256[4] private tierThresholds = [0, 500 * 1e18, 2_000 * 1e18, 10_000 * 1e18];
+    
+    /// @dev Earn multiplier of each tier in basis points (10000 = 1x)
+    uint256[4] private tierMultipliers = [10000, 11000, 12500, 15000];
+    
+    /// @dev Granularity of expiry dates, rewards expiring in the same epoch share one lot
+    uint256 public constant EXPIRY_EPOCH = 7 days;
     
-    /// @dev Mapping from coupon ID to coupon details
-    mapping(uint256 => Coupon) public coupons;
+    /// @dev Lifetime of newly earned points in seconds (0 = points never expire)
+    uint256 public expiryPeriod;
     
-    /// @dev Mapping from user address to their active coupons
-    mapping(address => uint256[]) public userCoupons;
+    /// @dev Earned point lots per customer, ordered by expiry (oldest first)
+    mapping(address => PointLot[]) private pointLots;
     
-    /// @dev Coupon structure
-    struct Coupon {
+    /// @dev Index of the oldest lot that still holds points, per customer
+    mapping(address => uint256) private pointLotHead;
+    
+    /// @dev Bonus (with decimals) minted to the referrer when a referred customer qualifies
+    uint256 public referrerBonus = 50 * 1e18;
+    
+    /// @dev Bonus (with decimals) minted to the referred customer when they qualify
+    uint256 public refereeBonus = 25 * 1e18;
+    
+    /// @dev Minimum reward (with decimals) of a single purchase that qualifies a referral
+    uint256 public referralMinEarn = 10 * 1e18;
+    
+    /// @dev Referrer registered by each customer (zero if none)
+    mapping(address => address) public referrerOf;
+    
+    /// @dev Whether a referred customer has qualified and the bonuses were paid
+    mapping(address => bool) public referralQualified;
+    
+    /// @dev Customers referred by each referrer, in registration order
+    mapping(address => address[]) private referrals;
+    
+    /// @dev Referral statistics per referrer
+    mapping(address => ReferralStats) private referralStats;
+    
+    /// @dev Maximum tokens (with decimals) minted for a single purchase (0 = no limit)
+    uint256 public maxMintPerTx;
+    
+    /// @dev Maximum tokens (with decimals) minted to one customer per rolling day (0 = no limit)
+    uint256 public maxMintPerAddressPerDay;
+    
+    /// @dev Hourly buckets of the rolling day: the current hour and the 24 before it, so a reward
+    ///      counts against the daily limit for at least 24 hours and no 24-hour period can exceed it
+    uint256 private constant MINT_BUCKETS = 25;
+    
+    /// @dev Maximum tokens (with decimals) minted for purchases per emission epoch (0 = no limit)
+    uint256 public maxMintPerEpoch;
+    
+    /// @dev Length of an emission epoch in seconds (epochs start at multiples of the length)
+    uint256 public emissionEpochLength = 1 days;
+    
+    /// @dev Emission epoch that epochMinted belongs to (block.timestamp / emissionEpochLength)
+    uint256 private mintEpoch;
+    
+    /// @dev Tokens minted for purchases in mintEpoch
+    uint256 private epochMinted;
+    
+    /// @dev Rolling daily mint usage per customer, one bucket per hour (indexed by hour % MINT_BUCKETS)
+    mapping(address => MintBucket[MINT_BUCKETS]) private dailyMints;
+    
+    /// @dev Outcome of one purchase in a settlement batch
+    enum SettlementResult { Rewarded, InvalidCustomer, AmountTooLow, DuplicateOrder, LimitExceeded }
+    
+    /// @dev Customer loyalty tiers, derived from lifetime earnings
+    enum Tier { Bronze, Silver, Gold, Platinum }
+    
+    /// @dev Merchant registry entry
+    struct Merchant {
         uint256 id;
-        address owner;
-        uint256 discountPercent; // Percentage discount (1-100)
-        uint256 tokensBurned;    // Tokens burned to get this coupon
-        uint256 expiryTime;      // Unix timestamp
-        bool isUsed;             // Whether coupon has been redeemed
-        string businessType;     // Type of business (restaurant, retail, etc.)
+        string name;
+        string businessType;     // Coupons of this business type can be redeemed here
+        address payoutAddress;   // Merchant payout / fee address
+        uint256 emissionRate;    // Tokens per unit spent at this merchant
+        uint256 unitValue;       // Amount spent that equals one unit at this merchant
+        bool active;             // Inactive merchants cannot reward purchases
+    }
+    
+    /// @dev Batch of earned points sharing the same expiry date
+    struct PointLot {
+        uint256 amount;          // Points remaining in the lot (with decimals)
+        uint256 expiresAt;       // Unix timestamp at which the lot lapses
+    }
+    
+    /// @dev Referral statistics of a referrer
+    struct ReferralStats {
+        uint256 referred;        // Customers that registered this referrer
+        uint256 qualified;       // Referred customers that completed a qualifying earn
+        uint256 bonusEarned;     // Referrer bonuses received (with decimals)
+    }
+    
+    /// @dev Tokens minted to a customer in one hour (packed into one slot)
+    struct MintBucket {
+        uint64 hour;             // Hour of the bucket (block.timestamp / 1 hours)
+        uint192 amount;          // Tokens minted in that hour (with decimals)
+    }
+    
+    /// @dev Purchase receipt signed off-chain by a merchant backend (EIP-712)
+    struct PurchaseVoucher {
+        address customer;        // Customer receiving the reward
+        uint256 amountSpent;     // Amount spent on the order
+        bytes32 orderId;         // Merchant order reference
+        uint256 nonce;           // Single-use nonce chosen by the merchant
+        uint256 deadline;        // Unix timestamp after which the voucher is invalid
+    }
+
+    /**
+     * @dev Restricts a function to accounts that can mint rewards for a merchant
+     * @notice Merchants and cashiers/POS terminals (MINTER_ROLE) linked to the merchant are allowed,
+     *         admins can reward purchases at any merchant
+     */
+    modifier onlyRewardMinter(uint256 merchantId) {
+        _checkRewardMinter(merchantId);
+        _;
+    }
+
+    /**
+     * @dev Restricts a function to the linked LoyaltyCoupon contract
+     */
+    modifier onlyCouponNFT() {
+        require(msg.sender == address(couponNFT), "Caller is not the coupon contract");
+        _;
+    }
+
+    /**
+     * @dev Restricts a function to the parameter timelock once linked, to admins before that
+     */
+    modifier onlyParameterAdmin() {
+        _checkParameterAdmin();
+        _;
+    }
+
+    /**
+     * @dev Reverts unless the caller may change economic parameters (see onlyParameterAdmin)
+     */
+    function _checkParameterAdmin() internal view {
+        if (address(parameterTimelock) != address(0)) {
+            require(msg.sender == address(parameterTimelock), "Parameter changes must go through the timelock");
+        } else {
+            _checkRole(DEFAULT_ADMIN_ROLE);
+        }
+    }
+
+    /**
+     * @dev Reverts if merchant rates would change outside the parameter timelock once it is linked
+     */
+    function _checkMerchantRates(uint256 currentEmissionRate, uint256 currentUnitValue, uint256 _emissionRate, uint256 _unitValue) internal view {
+        if (address(parameterTimelock) != address(0)) {
+            require(
+                _emissionRate == currentEmissionRate && _unitValue == currentUnitValue,
+                "Merchant rate changes must go through the timelock"
+            );
+        }
+    }
+
+    /**
+     * @dev Reverts unless the caller may mint rewards for the merchant (see onlyRewardMinter)
+     */
+    function _checkRewardMinter(uint256 merchantId) internal view {
+        require(
+            hasRole(MINTER_ROLE, msg.sender) || hasRole(MERCHANT_ROLE, msg.sender),
+            "Caller is not a merchant or minter"
+        );
+        require(
+            merchantOf[msg.sender] == merchantId || hasRole(DEFAULT_ADMIN_ROLE, msg.sender),
+            "Caller does not act for this merchant"
+        );
     }
 
     /**
@@ -64,8 +321,14 @@ contract LoyaltyToken is ERC20, Ownable {
      * - Sets up the ERC20 token with name and symbol
      * - Mints 1,000 LOYAL tokens to the contract deployer
      * - Establishes the deployer as the contract owner
+     * - Grants the deployer the admin, minter and guardian roles
+     * - Sets up the EIP-712 domain ("LoyaltyToken", version "1") shared by permits and purchase vouchers
      */
-    constructor() ERC20("LoyaltyToken", "LOYAL") Ownable(msg.sender) {
+    constructor() ERC20("LoyaltyToken", "LOYAL") ERC20Permit("LoyaltyToken") Ownable(msg.sender) {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(MINTER_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
+        
         // Mint initial supply of 1,000 tokens to the contract deployer
         uint256 initialSupply = 1000 * 10 ** decimals();
         _mint(msg.sender, initialSupply);
@@ -76,244 +339,1315 @@ contract LoyaltyToken is ERC20, Ownable {
      * @dev Sets the emission rate for token rewards
      * @param _rate New emission rate (tokens per unit spent)
      * 
-     * @notice Only the contract owner can modify the emission rate
+     * @notice Only an admin can modify the emission rate
      * @notice This affects how many tokens customers earn per unit spent
      * 
      * Example: If emission rate is 2, customers get 2 tokens per unit spent
      * 
      * Requirements:
-     * - Caller must be the contract owner
+     * - Caller must be the parameter timelock once linked, an admin (DEFAULT_ADMIN_ROLE) before that
+     * - Emission rate must be greater than 0
+     * 
+     * Emits: EmissionRateUpdated event
      */
-    function setEmissionRate(uint256 _rate) external onlyOwner {
+    function setEmissionRate(uint256 _rate) external onlyParameterAdmin {
+        require(_rate > 0, "Emission rate must be greater than 0");
         emissionRate = _rate;
+        emit EmissionRateUpdated(_rate);
     }
 
     /**
      * @dev Sets the unit value for token calculation
      * @param _unit New unit value in wei
      * 
-     * @notice Only the contract owner can modify the unit value
+     * @notice Only an admin can modify the unit value
      * @notice This determines how much spending equals one "unit" for token calculation
      * 
      * Example: If unit value is 100, then 100 wei of spending = 1 unit
      * 
      * Requirements:
-     * - Caller must be the contract owner
-     * - Consider adding a minimum value check to prevent division by zero
+     * - Caller must be the parameter timelock once linked, an admin (DEFAULT_ADMIN_ROLE) before that
+     * - Unit value must be greater than 0
+     * 
+     * Emits: UnitValueUpdated event
      */
-    function setUnitValue(uint256 _unit) external onlyOwner {
+    function setUnitValue(uint256 _unit) external onlyParameterAdmin {
+        require(_unit > 0, "Unit value must be greater than 0");
         unitValue = _unit;
+        emit UnitValueUpdated(_unit);
+    }
+
+    /**
+     * @dev Sets the number of decimals of spend amounts
+     * @param _decimals 0 for whole currency units, 2 for cents
+     * 
+     * @notice amountSpent is then given in minor units and one unit equals unitValue * 10^decimals of them,
+     *         e.g. with 2 decimals and unit value 3 a purchase of $5.99 is amountSpent 599
+     * @notice Carried remainders no longer apply, as the spend per unit changes
+     * 
+     * Requirements:
+     * - Caller must be the parameter timelock once linked, an admin (DEFAULT_ADMIN_ROLE) before that
+     * - Decimals cannot exceed 18
+     * 
+     * Emits: CurrencyDecimalsUpdated event
+     */
+    function setCurrencyDecimals(uint8 _decimals) external onlyParameterAdmin {
+        require(_decimals <= 18, "Currency decimals too high");
+        currencyDecimals = _decimals;
+        emit CurrencyDecimalsUpdated(_decimals);
     }
 
     /**
      * @dev Sets the coupon creation fee
      * @param _fee New fee in basis points (100 = 1%)
      * 
-     * @notice Only the contract owner can modify the coupon fee
+     * @notice Only an admin can modify the coupon fee
      * @notice Maximum fee is 10% (1000 basis points)
      * 
      * Example: 100 = 1%, 250 = 2.5%, 1000 = 10%
      * 
      * Requirements:
-     * - Caller must be the contract owner
+     * - Caller must be the parameter timelock once linked, an admin (DEFAULT_ADMIN_ROLE) before that
      * - Fee cannot exceed 10%
+     * 
+     * Emits: CouponFeeUpdated event
      */
-    function setCouponFee(uint256 _fee) external onlyOwner {
+    function setCouponFee(uint256 _fee) external onlyParameterAdmin {
         require(_fee <= 1000, "Fee cannot exceed 10%");
         couponFee = _fee;
+        emit CouponFeeUpdated(_fee);
+    }
+
+    /**
+     * @dev Registers a new merchant in the coalition
+     * @param name Display name of the merchant
+     * @param businessType Business type of the merchant (matches coupon business types)
+     * @param payoutAddress Merchant payout / fee address
+     * @param _emissionRate Tokens per unit spent at this merchant
+     * @param _unitValue Amount spent that equals one unit at this merchant
+     * @return merchantId ID of the new merchant
+     * 
+     * @notice New merchants are active immediately
+     * @notice Once the parameter timelock is linked, new merchants start at the global emission rate and
+     *         unit value; other rates are queued with ParameterTimelock.queueMerchantChange
+     * 
+     * Example: a coffee shop with emission rate 1 and unit value 3 rewards 1 token per 3 spent,
+     * an electronics store with unit value 50 rewards 1 token per 50 spent
+     * 
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - Name and business type must not be empty, payout address must not be zero
+     * - Unit value must be greater than 0
+     * - Rates must equal the global rates once the parameter timelock is linked
+     * 
+     * Emits: MerchantRegistered event
+     */
+    function registerMerchant(
+        string memory name,
+        string memory businessType,
+        address payoutAddress,
+        uint256 _emissionRate,
+        uint256 _unitValue
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) returns (uint256 merchantId) {
+        _validateMerchant(name, businessType, payoutAddress, _unitValue);
+        _checkMerchantRates(emissionRate, unitValue, _emissionRate, _unitValue);
+        
+        merchantId = nextMerchantId++;
+        merchants[merchantId] = Merchant({
+            id: merchantId,
+            name: name,
+            businessType: businessType,
+            payoutAddress: payoutAddress,
+            emissionRate: _emissionRate,
+            unitValue: _unitValue,
+            active: true
+        });
+        
+        emit MerchantRegistered(merchantId, name, businessType, payoutAddress, _emissionRate, _unitValue);
+        
+        return merchantId;
+    }
+
+    /**
+     * @dev Updates the details and earn parameters of a registered merchant
+     * @param merchantId ID of the merchant
+     * @param name Display name of the merchant
+     * @param businessType Business type of the merchant (matches coupon business types)
+     * @param payoutAddress Merchant payout / fee address
+     * @param _emissionRate Tokens per unit spent at this merchant
+     * @param _unitValue Amount spent that equals one unit at this merchant
+     * 
+     * @notice Once the parameter timelock is linked the emission rate and unit value only change through
+     *         queued merchant rate changes (setMerchantRates), so customers cannot be front-run by an instant rate change
+     * 
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - Merchant must be registered
+     * - Name and business type must not be empty, payout address must not be zero
+     * - Unit value must be greater than 0
+     * - Emission rate and unit value must be unchanged once the parameter timelock is linked
+     * 
+     * Emits: MerchantUpdated event
+     */
+    function updateMerchant(
+        uint256 merchantId,
+        string memory name,
+        string memory businessType,
+        address payoutAddress,
+        uint256 _emissionRate,
+        uint256 _unitValue
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        Merchant storage merchant = _registeredMerchant(merchantId);
+        _validateMerchant(name, businessType, payoutAddress, _unitValue);
+        _checkMerchantRates(merchant.emissionRate, merchant.unitValue, _emissionRate, _unitValue);
+        
+        merchant.name = name;
+        merchant.businessType = businessType;
+        merchant.payoutAddress = payoutAddress;
+        merchant.emissionRate = _emissionRate;
+        merchant.unitValue = _unitValue;
+        
+        emit MerchantUpdated(merchantId, name, businessType, payoutAddress, _emissionRate, _unitValue);
+    }
+
+    /**
+     * @dev Sets the earn parameters of a registered merchant
+     * @param merchantId ID of the merchant
+     * @param _emissionRate Tokens per unit spent at this merchant
+     * @param _unitValue Amount spent that equals one unit at this merchant
+     * 
+     * @notice Queued as MerchantEmissionRate / MerchantUnitValue changes once the parameter timelock is linked
+     * 
+     * Requirements:
+     * - Caller must be the parameter timelock once linked, an admin (DEFAULT_ADMIN_ROLE) before that
+     * - Merchant must be registered
+     * - Unit value must be greater than 0
+     * 
+     * Emits: MerchantRatesUpdated event
+     */
+    function setMerchantRates(uint256 merchantId, uint256 _emissionRate, uint256 _unitValue) external onlyParameterAdmin {
+        Merchant storage merchant = _registeredMerchant(merchantId);
+        require(_unitValue > 0, "Unit value must be greater than 0");
+        
+        merchant.emissionRate = _emissionRate;
+        merchant.unitValue = _unitValue;
+        
+        emit MerchantRatesUpdated(merchantId, _emissionRate, _unitValue);
+    }
+
+    /**
+     * @dev Activates or deactivates a merchant
+     * @param merchantId ID of the merchant
+     * @param active New active flag
+     * 
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - Merchant must be registered
+     * 
+     * Emits: MerchantStatusChanged event
+     */
+    function setMerchantActive(uint256 merchantId, bool active) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        Merchant storage merchant = _registeredMerchant(merchantId);
+        
+        merchant.active = active;
+        
+        emit MerchantStatusChanged(merchantId, active);
+    }
+
+    /**
+     * @dev Links an operator account (till, POS terminal, staff wallet) to a merchant
+     * @param account Operator account
+     * @param merchantId Merchant the account acts for, or 0 to unlink it
+     * 
+     * @notice Linked accounts can redeem coupons on behalf of the merchant
+     * 
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - Account must not be zero, merchant must be registered (unless unlinking)
+     * 
+     * Emits: MerchantAccountSet event
+     */
+    function setMerchantAccount(address account, uint256 merchantId) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(account != address(0), "Invalid account");
+        require(merchantId == 0 || merchants[merchantId].id != 0, "Merchant not registered");
+        
+        merchantOf[account] = merchantId;
+        
+        emit MerchantAccountSet(account, merchantId);
+    }
+
+    /**
+     * @dev Sets the tier thresholds and earn multipliers
+     * @param thresholds Lifetime earnings (with decimals) required for Bronze, Silver, Gold and Platinum
+     * @param multipliers Earn multiplier of each tier in basis points (10000 = 1x, 12500 = 1.25x)
+     * 
+     * @notice Customers are re-evaluated on their next earn, existing tiers are not recalculated
+     * @notice Not timelocked: multipliers cannot go below 1x, so no tier ever earns less than the
+     *         timelocked base rate and a change can only raise rewards above it
+     * 
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - Bronze threshold must be 0 and thresholds must be strictly increasing
+     * - Multipliers must be between 1x (10000 basis points) and 5x (50000 basis points)
+     * 
+     * Emits: TierConfigUpdated event
+     */
+    function setTierConfig(
+        uint256[4] calldata thresholds,
+        uint256[4] calldata multipliers
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(thresholds[0] == 0, "Bronze threshold must be 0");
+        for (uint256 i = 0; i < 4; i++) {
+            if (i > 0) {
+                require(thresholds[i] > thresholds[i - 1], "Thresholds must be increasing");
+            }
+            require(multipliers[i] >= MULTIPLIER_BASIS, "Multiplier cannot be below 1x");
+            require(multipliers[i] <= 5 * MULTIPLIER_BASIS, "Multiplier cannot exceed 5x");
+        }
+        
+        tierThresholds = thresholds;
+        tierMultipliers = multipliers;
+        
+        emit TierConfigUpdated(thresholds, multipliers);
+    }
+
+    /**
+     * @dev Sets the LoyaltyCoupon contract that issues coupons
+     * @param _couponNFT Address of the LoyaltyCoupon contract
+     * 
+     * @notice Can only be set once, it is the only contract allowed to burn and refund tokens for coupons
+     * 
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - Coupon contract must point back to this token
+     * 
+     * Emits: CouponNFTSet event
+     */
+    function setCouponNFT(address _couponNFT) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(address(couponNFT) == address(0), "Coupon NFT already set");
+        require(address(LoyaltyCoupon(_couponNFT).loyaltyToken()) == address(this), "Coupon NFT not linked to this token");
+        couponNFT = LoyaltyCoupon(_couponNFT);
+        emit CouponNFTSet(_couponNFT);
+    }
+
+    /**
+     * @dev Links the bonus campaign registry
+     * @param _campaignRegistry Address of the LoyaltyCampaigns contract, or zero to switch campaigns off
+     * 
+     * @notice Can be replaced, campaigns and budgets of the previous registry stop applying
+     * 
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - Registry must point back to this token (unless zero)
+     * 
+     * Emits: CampaignRegistrySet event
+     */
+    function setCampaignRegistry(address _campaignRegistry) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            _campaignRegistry == address(0) || address(LoyaltyCampaigns(_campaignRegistry).loyaltyToken()) == address(this),
+            "Campaign registry not linked to this token"
+        );
+        campaignRegistry = LoyaltyCampaigns(_campaignRegistry);
+        emit CampaignRegistrySet(_campaignRegistry);
+    }
+
+    /**
+     * @dev Hands emission rate, unit value, merchant rate and coupon fee changes to the parameter timelock
+     * @param _parameterTimelock Address of the ParameterTimelock contract
+     * 
+     * @notice Can only be set once, afterwards those parameters only change through queued, delayed proposals
+     * 
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - Timelock must point back to this token
+     * 
+     * Emits: ParameterTimelockSet event
+     */
+    function setParameterTimelock(address _parameterTimelock) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(address(parameterTimelock) == address(0), "Parameter timelock already set");
+        require(address(ParameterTimelock(_parameterTimelock).loyaltyToken()) == address(this), "Timelock not linked to this token");
+        parameterTimelock = ParameterTimelock(_parameterTimelock);
+        emit ParameterTimelockSet(_parameterTimelock);
+    }
+
+    /**
+     * @dev Sets how long newly earned points remain valid
+     * @param period Lifetime in seconds, or 0 to stop expiring new rewards
+     * 
+     * @notice Only applies to rewards earned after the change, existing lots keep their expiry date
+     * @notice Not timelocked on purpose: it does not change how many tokens a purchase earns
+     * @notice Tokens received through transfers or the initial supply never expire
+     * 
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - Period must be 0 or at least one EXPIRY_EPOCH
+     * 
+     * Emits: ExpiryPeriodUpdated event
+     */
+    function setExpiryPeriod(uint256 period) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(period == 0 || period >= EXPIRY_EPOCH, "Expiry period too short");
+        expiryPeriod = period;
+        emit ExpiryPeriodUpdated(period);
+    }
+
+    /**
+     * @dev Configures the referral program
+     * @param _referrerBonus Bonus minted to the referrer (with decimals)
+     * @param _refereeBonus Bonus minted to the referred customer (with decimals)
+     * @param _minEarn Minimum reward of a single purchase that qualifies a referral (with decimals)
+     * 
+     * @notice Set both bonuses to 0 to switch the program off, registered referrals are kept
+     * 
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - Minimum earn must be greater than 0
+     * 
+     * Emits: ReferralProgramUpdated event
+     */
+    function setReferralProgram(
+        uint256 _referrerBonus,
+        uint256 _refereeBonus,
+        uint256 _minEarn
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_minEarn > 0, "Minimum earn must be greater than 0");
+        referrerBonus = _referrerBonus;
+        refereeBonus = _refereeBonus;
+        referralMinEarn = _minEarn;
+        emit ReferralProgramUpdated(_referrerBonus, _refereeBonus, _minEarn);
+    }
+
+    /**
+     * @dev Registers the caller's referrer
+     * @param referrer Customer that invited the caller
+     * 
+     * @notice Bonuses are paid on the caller's first purchase rewarded with at least referralMinEarn
+     * 
+     * Requirements:
+     * - Caller must not have earned tokens yet (only new customers can be referred)
+     * - Caller must not have registered a referrer before
+     * - Referrer must not be the caller and must have earned tokens
+     * 
+     * Emits: ReferralRegistered event
+     */
+    function registerReferrer(address referrer) external {
+        require(referrer != msg.sender, "Cannot refer yourself");
+        require(referrerOf[msg.sender] == address(0), "Referrer already registered");
+        require(lifetimeEarned[msg.sender] == 0, "Only new customers can register a referrer");
+        require(lifetimeEarned[referrer] > 0, "Referrer is not a customer");
+        
+        referrerOf[msg.sender] = referrer;
+        referrals[referrer].push(msg.sender);
+        referralStats[referrer].referred++;
+        
+        emit ReferralRegistered(msg.sender, referrer);
+    }
+
+    /**
+     * @dev Sets the velocity limits on purchase rewards
+     * @param _maxPerTx Maximum tokens (with decimals) minted for a single purchase, 0 for no limit
+     * @param _maxPerAddressPerDay Maximum tokens (with decimals) minted to one customer per rolling day, 0 for no limit
+     * @param _maxPerEpoch Maximum tokens (with decimals) minted for purchases per emission epoch, 0 for no limit
+     * @param _epochLength Length of an emission epoch in seconds
+     * 
+     * @notice Limits apply to purchase rewards including campaign bonuses (earnTokens, each
+     * batchEarnTokens entry and claimWithVoucher); referral bonuses and coupon refunds are not limited
+     * @notice The daily limit is a rolling window: a reward counts against it until the start of
+     *         the 25th hour after it was minted, so no 24-hour period can exceed the limit
+     * @notice Changing the epoch length starts a new epoch that keeps the tokens already minted in the
+     *         current one, so the emission budget cannot be cleared by toggling the length
+     * @notice Not timelocked on purpose: limits are risk controls that must take effect at once, and
+     *         they can only cap rewards below what the timelocked rates pay
+     * 
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - Epoch length must be at least one hour
+     * 
+     * Emits: MintLimitsUpdated event
+     */
+    function setMintLimits(
+        uint256 _maxPerTx,
+        uint256 _maxPerAddressPerDay,
+        uint256 _maxPerEpoch,
+        uint256 _epochLength
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_epochLength >= 1 hours, "Epoch length too short");
+        maxMintPerTx = _maxPerTx;
+        maxMintPerAddressPerDay = _maxPerAddressPerDay;
+        maxMintPerEpoch = _maxPerEpoch;
+        if (_epochLength != emissionEpochLength) {
+            epochMinted = _epochMinted();
+            emissionEpochLength = _epochLength;
+            mintEpoch = block.timestamp / _epochLength;
+        }
+        emit MintLimitsUpdated(_maxPerTx, _maxPerAddressPerDay, _maxPerEpoch, _epochLength);
     }
 
     /**
-     * @dev Mints loyalty tokens for customer based on their spending
+     * @dev Pauses reward minting and coupon operations (emergency stop)
+     * 
+     * @notice Blocks earnTokens, batchEarnTokens and claimWithVoucher, and the LoyaltyCoupon
+     * createCoupon, useCoupon, cancelCoupon and redeemCoupon; token transfers and views keep working
+     * 
+     * Requirements:
+     * - Caller must have GUARDIAN_ROLE
+     * - Contract must not be paused
+     * 
+     * Emits: Paused event
+     */
+    function pause() external onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @dev Resumes reward minting and coupon operations
+     * 
+     * Requirements:
+     * - Caller must have GUARDIAN_ROLE
+     * - Contract must be paused
+     * 
+     * Emits: Unpaused event
+     */
+    function unpause() external onlyRole(GUARDIAN_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @dev Validates merchant registry fields
+     */
+    function _validateMerchant(
+        string memory name,
+        string memory businessType,
+        address payoutAddress,
+        uint256 _unitValue
+    ) internal pure {
+        require(bytes(name).length > 0, "Merchant name required");
+        require(bytes(businessType).length > 0, "Business type required");
+        require(payoutAddress != address(0), "Invalid payout address");
+        require(_unitValue > 0, "Unit value must be greater than 0");
+    }
+
+    /**
+     * @dev Returns a merchant, reverting unless it is registered
+     */
+    function _registeredMerchant(uint256 merchantId) internal view returns (Merchant storage merchant) {
+        merchant = merchants[merchantId];
+        require(merchant.id != 0, "Merchant not registered");
+    }
+
+    /**
+     * @dev Returns a merchant, reverting unless it is registered and active
+     */
+    function _activeMerchant(uint256 merchantId) internal view returns (Merchant storage merchant) {
+        merchant = merchants[merchantId];
+        require(merchant.active, "Merchant not active");
+    }
+
+    /**
+     * @dev Mints loyalty tokens for customer based on their spending at a merchant
+     * @param merchantId ID of the merchant where the purchase was made
      * @param customer Address of the customer who made the purchase
-     * @param amountSpent Amount spent by the customer (in wei)
+     * @param amountSpent Amount spent by the customer (in minor currency units, see currencyDecimals)
      * 
-     * @notice Only the contract owner can mint tokens for customers
-     * @notice Tokens are calculated as: (amountSpent / unitValue) * emissionRate
+     * @notice Only merchants and cashiers/POS terminals (MINTER_ROLE) acting for the merchant can mint tokens for customers
+     * @notice Tokens are calculated with the merchant's parameters:
+     *         ((spendCarry + amountSpent) / (merchant.unitValue * 10^currencyDecimals)) * merchant.emissionRate,
+     *         the spend left over after the last whole unit is carried to the customer's next purchase at
+     *         this merchant, and dropped if the merchant's spend per unit changes in between
      * 
      * Example calculation:
      * - Customer spends 300 wei
-     * - Unit value is 3 wei
-     * - Emission rate is 1 token per unit
+     * - Merchant unit value is 3 wei
+     * - Merchant emission rate is 1 token per unit
      * - Result: (300 / 3) * 1 = 100 tokens minted
      * 
      * Requirements:
-     * - Caller must be the contract owner
+     * - Contract must not be paused
+     * - Caller must have MERCHANT_ROLE or MINTER_ROLE
+     * - Caller must be linked to the merchant (setMerchantAccount) or have DEFAULT_ADMIN_ROLE
+     * - Merchant must be registered and active
      * - customer address must not be zero address
-     * - amountSpent should be greater than 0
+     * - amountSpent must be greater than 0
+     * - Reward must fit the velocity limits (per purchase, customer daily, epoch emission)
+     * 
+     * Emits: TokensEarned event and Transfer event (from ERC20._mint)
+     */
+    function earnTokens(uint256 merchantId, address customer, uint256 amountSpent) external onlyRewardMinter(merchantId) whenNotPaused {
+        _activeMerchant(merchantId);
+        _validatePurchase(customer, amountSpent);
+        
+        _rewardPurchase(customer, amountSpent, merchantId, bytes32(0));
+    }
+
+    /**
+     * @dev Rewards a merchant's purchases in bulk (end-of-day settlement)
+     * @param merchantId Merchant whose earn parameters apply to every purchase
+     * @param customers Customer of each purchase
+     * @param amounts Amount spent on each purchase
+     * @param orderIds Merchant order reference of each purchase
+     * @return results Outcome of each purchase, in input order
      * 
-     * Emits: Transfer event (from ERC20._mint)
+     * @notice Invalid entries do not revert the batch: they are skipped and reported
+     * through their SettlementResult and a PurchaseSettled event
+     * @notice Each order ID is rewarded at most once per merchant, so a batch that was
+     * partly or fully mined can be resubmitted safely (settled orders come back as DuplicateOrder)
+     * @notice Purchases whose reward does not fit the velocity limits are skipped as LimitExceeded
+     * and can be resubmitted once there is headroom again
      * 
-     * @custom:security Consider adding checks for:
-     * - Zero address validation
-     * - Minimum spending amount
-     * - Maximum tokens per transaction
+     * Requirements:
+     * - Contract must not be paused
+     * - Caller must have MERCHANT_ROLE or MINTER_ROLE
+     * - Caller must be linked to the merchant (setMerchantAccount) or have DEFAULT_ADMIN_ROLE
+     * - Merchant must be registered and active
+     * - All arrays must have the same length, between 1 and MAX_BATCH_SIZE
+     * 
+     * Emits: PurchaseSettled event per entry, BatchSettled event, TokensEarned and Transfer events per rewarded entry
      */
-    function earnTokens(address customer, uint256 amountSpent) external onlyOwner {
-        // Calculate tokens to mint based on spending, unit value, and emission rate
-        uint256 tokensToMint = (amountSpent / unitValue) * emissionRate;
-        uint256 tokensWithDecimals = tokensToMint * 10 ** decimals();
+    function batchEarnTokens(
+        uint256 merchantId,
+        address[] calldata customers,
+        uint256[] calldata amounts,
+        bytes32[] calldata orderIds
+    ) external onlyRewardMinter(merchantId) whenNotPaused returns (SettlementResult[] memory results) {
+        _activeMerchant(merchantId);
+        require(customers.length == amounts.length && customers.length == orderIds.length, "Array length mismatch");
+        require(customers.length > 0 && customers.length <= MAX_BATCH_SIZE, "Invalid batch size");
         
-        // Mint the calculated tokens to the customer (with 18 decimals)
-        _mint(customer, tokensWithDecimals);
+        results = new SettlementResult[](customers.length);
+        uint256 rewarded;
+        uint256 tokensMinted;
         
-        // Update tracking
-        totalMinted += tokensWithDecimals;
+        for (uint256 i = 0; i < customers.length; i++) {
+            uint256 minted;
+            (results[i], minted) = _settlePurchase(merchantId, customers[i], amounts[i], orderIds[i]);
+            if (results[i] == SettlementResult.Rewarded) {
+                tokensMinted += minted;
+                rewarded++;
+            }
+            emit PurchaseSettled(merchantId, customers[i], orderIds[i], amounts[i], minted, results[i]);
+        }
+        
+        emit BatchSettled(merchantId, msg.sender, customers.length, rewarded, tokensMinted);
+    }
+
+    /**
+     * @dev Settles one batch entry without reverting on invalid input
+     * @return result Outcome of the entry
+     * @return minted Tokens minted (0 unless Rewarded)
+     */
+    function _settlePurchase(
+        uint256 merchantId,
+        address customer,
+        uint256 amountSpent,
+        bytes32 orderId
+    ) internal returns (SettlementResult result, uint256 minted) {
+        Merchant storage merchant = merchants[merchantId];
+        if (customer == address(0)) {
+            return (SettlementResult.InvalidCustomer, 0);
+        }
+        if (amountSpent == 0) {
+            return (SettlementResult.AmountTooLow, 0);
+        }
+        if (settledOrders[merchantId][orderId]) {
+            return (SettlementResult.DuplicateOrder, 0);
+        }
+        uint256 expected = _expectedReward(customer, amountSpent, merchantId, merchant.emissionRate, merchant.unitValue);
+        if (bytes(_mintLimitError(customer, expected)).length > 0) {
+            return (SettlementResult.LimitExceeded, 0);
+        }
+        
+        settledOrders[merchantId][orderId] = true;
+        minted = _rewardPurchase(customer, amountSpent, merchantId, orderId);
+        return (SettlementResult.Rewarded, minted);
     }
 
     /**
-     * @dev Allows users to earn tokens for themselves by simulating a purchase
-     * @param amountSpent Amount spent by the user (in wei/units)
+     * @dev Mints loyalty tokens for a purchase receipt signed by a merchant
+     * @param voucher Purchase voucher (customer, amountSpent, orderId, nonce, deadline)
+     * @param signature EIP-712 signature of the voucher by a MERCHANT_ROLE account
      * 
-     * @notice Anyone can call this function to earn tokens for themselves
-     * @notice This is for demonstration/testing purposes
-     * @notice In production, this would be called by a verified payment system
+     * @notice Anyone can submit the voucher (usually the customer), tokens always go to voucher.customer
+     * @notice Tokens are calculated like earnTokens with the rates, campaigns and carried spend of the merchant
+     *         the signer is linked to (setMerchantAccount); a voucher below one unit only adds to the carry
      * 
      * Requirements:
-     * - amountSpent should be greater than 0
+     * - Contract must not be paused
+     * - Voucher must not be past its deadline
+     * - Signer must have MERCHANT_ROLE and be linked to an active merchant
+     * - Nonce must not have been used before by the same signer
+     * - amountSpent must be greater than 0
+     * - Reward must fit the velocity limits (per purchase, customer daily, epoch emission)
      * 
-     * Emits: Transfer event (from ERC20._mint)
+     * Emits: VoucherClaimed event, TokensEarned event and Transfer event (from ERC20._mint)
      */
-    function earnTokensForSelf(uint256 amountSpent) external {
-        require(amountSpent > 0, "Amount spent must be greater than 0");
-        require(amountSpent >= unitValue, "Amount spent must be at least unitValue to earn tokens");
+    function claimWithVoucher(PurchaseVoucher calldata voucher, bytes calldata signature) external whenNotPaused {
+        require(block.timestamp <= voucher.deadline, "Voucher expired");
+        _validatePurchase(voucher.customer, voucher.amountSpent);
         
-        // Calculate tokens to mint based on spending, unit value, and emission rate
-        uint256 tokensToMint = (amountSpent / unitValue) * emissionRate;
-        require(tokensToMint > 0, "No tokens to mint");
+        bytes32 structHash = keccak256(abi.encode(
+            PURCHASE_VOUCHER_TYPEHASH,
+            voucher.customer,
+            voucher.amountSpent,
+            voucher.orderId,
+            voucher.nonce,
+            voucher.deadline
+        ));
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), signature);
         
-        uint256 tokensWithDecimals = tokensToMint * 10 ** decimals();
+        require(hasRole(MERCHANT_ROLE, signer), "Voucher not signed by a merchant");
+        uint256 merchantId = merchantOf[signer];
+        _activeMerchant(merchantId);
+        require(!usedVoucherNonces[signer][voucher.nonce], "Voucher already claimed");
+        usedVoucherNonces[signer][voucher.nonce] = true;
+        
+        uint256 tokensMinted = _rewardPurchase(voucher.customer, voucher.amountSpent, merchantId, voucher.orderId);
+        
+        emit VoucherClaimed(voucher.customer, signer, voucher.orderId, voucher.nonce, tokensMinted);
+    }
+
+    /**
+     * @dev Reverts unless a purchase has a customer and a non-zero amount
+     */
+    function _validatePurchase(address customer, uint256 amountSpent) internal pure {
+        require(customer != address(0), "Invalid customer address");
+        require(amountSpent > 0, "Amount spent must be greater than 0");
+    }
+
+    /**
+     * @dev Mints the reward for a purchase to the customer and updates their tier
+     * @param customer Address of the customer who made the purchase
+     * @param amountSpent Amount spent by the customer
+     * @param merchantId Merchant where the purchase was made, whose emission rate and unit value apply
+     * @param orderId Merchant order reference (0 for direct earnTokens calls)
+     * @return tokensWithDecimals Amount of tokens minted (with 18 decimals), including campaign bonuses
+     * 
+     * Emits: TokensEarned event, TierChanged event when the customer reaches a new tier
+     */
+    function _rewardPurchase(
+        address customer,
+        uint256 amountSpent,
+        uint256 merchantId,
+        bytes32 orderId
+    ) internal returns (uint256 tokensWithDecimals) {
+        Merchant storage merchant = merchants[merchantId];
+        uint256 unit = merchant.unitValue;
+        tokensWithDecimals = _calculateReward(customer, amountSpent, merchantId, merchant.emissionRate, unit);
+        
+        // Running bonus campaigns that match the purchase add to the reward
+        if (address(campaignRegistry) != address(0)) {
+            tokensWithDecimals += campaignRegistry.applyCampaigns(
+                customer,
+                merchantId,
+                _businessTypeHash(merchantId),
+                tokensWithDecimals
+            );
+        }
+        _recordMint(customer, tokensWithDecimals);
+        uint256 spendPerUnit = unit * 10 ** currencyDecimals;
+        spendCarry[customer][merchantId] = SpendCarry(
+            (_carryOf(customer, merchantId, spendPerUnit) + amountSpent) % spendPerUnit,
+            spendPerUnit
+        );
         
-        // Mint the calculated tokens to the caller (with 18 decimals)
-        _mint(msg.sender, tokensWithDecimals);
+        // Mint the calculated tokens to the customer (with 18 decimals)
+        _mint(customer, tokensWithDecimals);
         
         // Update tracking
         totalMinted += tokensWithDecimals;
+        totalEarned += tokensWithDecimals;
+        totalSpent += amountSpent;
+        if (lifetimeEarned[customer] == 0 && tokensWithDecimals > 0) {
+            earningCustomers++;
+        }
+        lifetimeSpent[customer] += amountSpent;
+        
+        emit TokensEarned(customer, amountSpent, tokensWithDecimals, merchant.emissionRate, unit, merchant.payoutAddress, orderId);
+        
+        _addPointLot(customer, tokensWithDecimals);
+        
+        Tier previousTier = getTier(customer);
+        lifetimeEarned[customer] += tokensWithDecimals;
+        Tier newTier = getTier(customer);
+        if (newTier != previousTier) {
+            emit TierChanged(customer, previousTier, newTier);
+        }
+        
+        if (tokensWithDecimals >= referralMinEarn && referrerOf[customer] != address(0) && !referralQualified[customer]) {
+            _payReferral(customer);
+        }
     }
 
     /**
-     * @dev Creates a discount coupon by burning tokens
-     * @param tokenAmount Amount of tokens to burn for the coupon
-     * @param discountPercent Discount percentage (1-100)
-     * @param businessType Type of business the coupon is for
-     * @param validityDays Number of days the coupon is valid
+     * @dev Pays the referral bonuses once a referred customer qualifies
+     * @param customer Referred customer
+     * 
+     * @notice Bonuses count towards totalMinted and expire like earned points,
+     * but not towards lifetime earnings (tiers are based on purchases only)
      * 
-     * @notice Burns tokens and creates a discount coupon
-     * @notice Implements the deflationary mechanism while providing utility
-     * @notice Charges 1% fee on token amount (fee is transferred to contract owner)
+     * Emits: ReferralRewarded event
      */
-    function createCoupon(
-        uint256 tokenAmount, 
-        uint256 discountPercent, 
-        string memory businessType, 
-        uint256 validityDays
-    ) external returns (uint256 couponId) {
-        require(tokenAmount > 0, "Token amount must be greater than 0");
-        require(discountPercent > 0 && discountPercent <= 100, "Discount must be between 1-100%");
-        require(validityDays > 0 && validityDays <= 365, "Validity must be between 1-365 days");
+    function _payReferral(address customer) internal {
+        address referrer = referrerOf[customer];
+        referralQualified[customer] = true;
         
-        // Calculate fee based on couponFee (in basis points)
-        uint256 fee = (tokenAmount * couponFee) / 10000;
-        if (fee == 0 && couponFee > 0) fee = 1; // Minimum fee of 1 token for small amounts
-        uint256 totalRequired = tokenAmount + fee;
+        ReferralStats storage stats = referralStats[referrer];
+        stats.qualified++;
+        stats.bonusEarned += referrerBonus;
         
-        require(balanceOf(msg.sender) >= totalRequired, "Insufficient token balance (including fee)");
+        _mintBonus(referrer, referrerBonus);
+        _mintBonus(customer, refereeBonus);
         
-        // Burn the base tokens (deflationary mechanism)
-        _burn(msg.sender, tokenAmount);
-        totalBurned += tokenAmount;
+        emit ReferralRewarded(customer, referrer, referrerBonus, refereeBonus);
+    }
+
+    /**
+     * @dev Mints a bonus and tracks it like an earned reward (supply and expiry)
+     */
+    function _mintBonus(address account, uint256 amount) internal {
+        if (amount == 0) return;
+        _mint(account, amount);
+        totalMinted += amount;
+        _addPointLot(account, amount);
+    }
+
+    /**
+     * @dev Records earned points in the customer's lot for the current expiry epoch
+     * @param customer Address of the customer
+     * @param amount Points earned (with decimals)
+     * 
+     * @notice Does nothing while expiry is off or for a zero amount (purchases below one unit
+     *         only add to the carry), so no empty lots are created
+     */
+    function _addPointLot(address customer, uint256 amount) internal {
+        if (expiryPeriod == 0 || amount == 0) return;
         
-        // Transfer fee to contract owner
-        _transfer(msg.sender, owner(), fee);
-        
-        // Create coupon
-        couponId = nextCouponId++;
-        uint256 expiryTime = block.timestamp + (validityDays * 24 * 60 * 60);
-        
-        coupons[couponId] = Coupon({
-            id: couponId,
-            owner: msg.sender,
-            discountPercent: discountPercent,
-            tokensBurned: tokenAmount,
-            expiryTime: expiryTime,
-            isUsed: false,
-            businessType: businessType
-        });
+        // Round up to the end of the epoch so rewards of the same week share a lot
+        uint256 expiresAt = ((block.timestamp + expiryPeriod + EXPIRY_EPOCH - 1) / EXPIRY_EPOCH) * EXPIRY_EPOCH;
         
-        // Add to user's coupons
-        userCoupons[msg.sender].push(couponId);
+        PointLot[] storage lots = pointLots[customer];
+        if (lots.length > pointLotHead[customer]) {
+            PointLot storage last = lots[lots.length - 1];
+            // Lots never expire before older ones (keeps FIFO order when the period is shortened)
+            if (expiresAt <= last.expiresAt) {
+                last.amount += amount;
+                return;
+            }
+        }
+        lots.push(PointLot({amount: amount, expiresAt: expiresAt}));
+    }
+
+    /**
+     * @dev Burns the customer's lapsed points
+     * @param customer Address of the customer
+     * @return expired Points burned (with decimals)
+     * 
+     * Emits: PointsExpired event when points were burned
+     */
+    function _expire(address customer) internal returns (uint256 expired) {
+        PointLot[] storage lots = pointLots[customer];
+        uint256 head = pointLotHead[customer];
         
-        // Emit events
-        emit TokensRedeemed(msg.sender, tokenAmount);
-        emit CouponCreated(couponId, msg.sender, discountPercent, tokenAmount);
-        emit CouponFeeCharged(msg.sender, fee);
+        while (head < lots.length && lots[head].expiresAt <= block.timestamp) {
+            expired += lots[head].amount;
+            delete lots[head];
+            head++;
+        }
         
-        return couponId;
+        if (expired > 0) {
+            pointLotHead[customer] = head;
+            // Bypass _update so the sweep does not consume further lots
+            super._update(customer, address(0), expired);
+            totalBurned += expired;
+            emit PointsExpired(customer, expired);
+        }
     }
-    
+
+    /**
+     * @dev Spends points FIFO from the sender's lots on every transfer and burn
+     * 
+     * Lapsed points are swept first so they can never be spent.
+     */
+    function _update(address from, address to, uint256 value) internal override {
+        if (from != address(0) && pointLotHead[from] < pointLots[from].length) {
+            _expire(from);
+            
+            PointLot[] storage lots = pointLots[from];
+            uint256 head = pointLotHead[from];
+            uint256 remaining = value;
+            
+            while (remaining > 0 && head < lots.length) {
+                PointLot storage lot = lots[head];
+                if (lot.amount > remaining) {
+                    lot.amount -= remaining;
+                    remaining = 0;
+                } else {
+                    remaining -= lot.amount;
+                    delete lots[head];
+                    head++;
+                }
+            }
+            pointLotHead[from] = head;
+        }
+        
+        super._update(from, to, value);
+    }
+
+    /**
+     * @dev Returns a customer's carried spend at a merchant, or 0 if it was accumulated under another spend per unit
+     */
+    function _carryOf(address customer, uint256 merchantId, uint256 spendPerUnit) internal view returns (uint256) {
+        SpendCarry storage carry = spendCarry[customer][merchantId];
+        return carry.unit == spendPerUnit ? carry.amount : 0;
+    }
+
+    /**
+     * @dev Calculates the reward for a purchase, including the customer's carried spend and tier multiplier
+     * @return Tokens to mint (with 18 decimals)
+     */
+    function _calculateReward(
+        address customer,
+        uint256 amountSpent,
+        uint256 merchantId,
+        uint256 rate,
+        uint256 unit
+    ) internal view returns (uint256) {
+        // Calculate tokens to mint based on spending (plus the carried remainder), unit value, and emission rate
+        uint256 spendPerUnit = unit * 10 ** currencyDecimals;
+        uint256 tokensToMint = ((_carryOf(customer, merchantId, spendPerUnit) + amountSpent) / spendPerUnit) * rate;
+        uint256 tokensWithDecimals = tokensToMint * 10 ** decimals();
+        
+        // Apply the tier multiplier (basis points)
+        return (tokensWithDecimals * tierMultipliers[uint256(getTier(customer))]) / MULTIPLIER_BASIS;
+    }
+
+    /**
+     * @dev Calculates the reward of a purchase including running campaign bonuses, without minting
+     * @return reward Tokens that would be minted (with 18 decimals)
+     */
+    function _expectedReward(
+        address customer,
+        uint256 amountSpent,
+        uint256 merchantId,
+        uint256 rate,
+        uint256 unit
+    ) internal view returns (uint256 reward) {
+        reward = _calculateReward(customer, amountSpent, merchantId, rate, unit);
+        if (address(campaignRegistry) != address(0)) {
+            reward += campaignRegistry.previewBonus(merchantId, _businessTypeHash(merchantId), reward);
+        }
+    }
+
+    /**
+     * @dev Checks a purchase reward against the velocity limits
+     * @param customer Customer receiving the reward
+     * @param amount Reward (with decimals)
+     * @return Revert reason of the first limit exceeded, or an empty string if the reward fits
+     */
+    function _mintLimitError(address customer, uint256 amount) internal view returns (string memory) {
+        if (maxMintPerTx > 0 && amount > maxMintPerTx) {
+            return "Reward exceeds max tokens per transaction";
+        }
+        if (maxMintPerAddressPerDay > 0 && _dailyMinted(customer) + amount > maxMintPerAddressPerDay) {
+            return "Reward exceeds customer daily mint limit";
+        }
+        if (maxMintPerEpoch > 0 && _epochMinted() + amount > maxMintPerEpoch) {
+            return "Reward exceeds emission cap for this epoch";
+        }
+        return "";
+    }
+
+    /**
+     * @dev Enforces the velocity limits and records a purchase reward in the daily and epoch usage
+     * @param customer Customer receiving the reward
+     * @param amount Reward (with decimals)
+     */
+    function _recordMint(address customer, uint256 amount) internal {
+        string memory limitError = _mintLimitError(customer, amount);
+        require(bytes(limitError).length == 0, limitError);
+        
+        uint256 hour = block.timestamp / 1 hours;
+        MintBucket storage bucket = dailyMints[customer][hour % MINT_BUCKETS];
+        if (bucket.hour != hour) {
+            bucket.hour = uint64(hour);
+            bucket.amount = 0;
+        }
+        bucket.amount += SafeCast.toUint192(amount);
+        
+        uint256 epoch = block.timestamp / emissionEpochLength;
+        if (epoch != mintEpoch) {
+            mintEpoch = epoch;
+            epochMinted = 0;
+        }
+        epochMinted += amount;
+    }
+
+    /**
+     * @dev Rolling daily mint usage of a customer (the current hour and the 24 before it)
+     */
+    function _dailyMinted(address customer) internal view returns (uint256 used) {
+        uint256 hour = block.timestamp / 1 hours;
+        MintBucket[MINT_BUCKETS] storage buckets = dailyMints[customer];
+        for (uint256 i = 0; i < MINT_BUCKETS; i++) {
+            if (buckets[i].hour + MINT_BUCKETS > hour) {
+                used += buckets[i].amount;
+            }
+        }
+    }
+
+    /**
+     * @dev Tokens minted for purchases in the current emission epoch
+     */
+    function _epochMinted() internal view returns (uint256) {
+        return block.timestamp / emissionEpochLength == mintEpoch ? epochMinted : 0;
+    }
+
+    /**
+     * @dev Hash of a merchant's business type, used to match scoped campaigns
+     * @return keccak256 of the business type; merchant ID 0 (coalition-wide previews) hashes the empty
+     *         type, which only matches unscoped campaigns
+     */
+    function _businessTypeHash(uint256 merchantId) internal view returns (bytes32) {
+        return keccak256(bytes(merchants[merchantId].businessType));
+    }
+
     /**
-     * @dev Uses a coupon (marks it as used)
-     * @param couponId ID of the coupon to use
+     * @dev Burns the tokens paid for a coupon and charges the coupon fee
+     * @param user Coupon buyer
+     * @param tokenAmount Tokens burned for the coupon (with decimals)
+     * @param fee Coupon fee transferred to the contract owner (with decimals)
+     * 
+     * @notice Called by LoyaltyCoupon.createCoupon, lapsed points are swept first and cannot be spent
+     * 
+     * Requirements:
+     * - Caller must be the coupon contract
+     * - User must hold tokenAmount plus fee
      * 
-     * @notice Only coupon owner can use it
-     * @notice Only works if coupon is valid and not expired
+     * Emits: TokensRedeemed and CouponFeeCharged events
      */
-    function useCoupon(uint256 couponId) external {
-        Coupon storage coupon = coupons[couponId];
+    function burnForCoupon(address user, uint256 tokenAmount, uint256 fee) external onlyCouponNFT {
+        _expire(user);
+        require(balanceOf(user) >= tokenAmount + fee, "Insufficient token balance (including fee)");
         
-        require(coupon.owner == msg.sender, "Not coupon owner");
-        require(!coupon.isUsed, "Coupon already used");
-        require(block.timestamp <= coupon.expiryTime, "Coupon expired");
+        // Burn the base tokens (deflationary mechanism)
+        _burn(user, tokenAmount);
+        totalBurned += tokenAmount;
         
-        // Mark as used
-        coupon.isUsed = true;
+        // Transfer fee to contract owner
+        _transfer(user, owner(), fee);
         
-        emit CouponUsed(couponId, msg.sender);
+        emit TokensRedeemed(user, tokenAmount);
+        emit CouponFeeCharged(user, fee);
     }
-    
+
     /**
-     * @dev Get user's active coupons
-     * @param user Address of the user
-     * @return Array of coupon IDs
+     * @dev Re-mints part of the tokens burned for a cancelled coupon
+     * @param user Coupon holder receiving the refund
+     * @param amount Tokens refunded (with decimals)
+     * 
+     * @notice The refund is a new mint and counts towards totalMinted, so totalMinted - totalBurned
+     *         stays equal to totalSupply
+     * @notice Refunded points go into a new expiry lot, so cancelling a coupon cannot turn
+     *         expiring points into points that never expire
+     * 
+     * Requirements:
+     * - Caller must be the coupon contract
      */
-    function getUserCoupons(address user) external view returns (uint256[] memory) {
-        return userCoupons[user];
+    function refundCoupon(address user, uint256 amount) external onlyCouponNFT {
+        _mint(user, amount);
+        totalMinted += amount;
+        _addPointLot(user, amount);
     }
-    
+
     /**
-     * @dev Get coupon details
-     * @param couponId ID of the coupon
-     * @return Coupon struct with all details
+     * @dev Get the referral statistics of a customer
+     * @param account Address of the customer
+     * @return referrer Referrer registered by the customer (zero if none)
+     * @return qualified Whether the customer qualified and their referral bonuses were paid
+     * @return stats Referral statistics of the customer as a referrer
      */
-    function getCouponDetails(uint256 couponId) external view returns (Coupon memory) {
-        return coupons[couponId];
+    function getReferralStats(address account) external view returns (
+        address referrer,
+        bool qualified,
+        ReferralStats memory stats
+    ) {
+        return (referrerOf[account], referralQualified[account], referralStats[account]);
     }
-    
+
     /**
-     * @dev Check if coupon is valid and usable
-     * @param couponId ID of the coupon
-     * @return bool indicating if coupon is valid
+     * @dev Get the customers referred by a referrer
+     * @param referrer Address of the referrer
+     * @return Referred customers in registration order (check referralQualified for each)
      */
-    function isCouponValid(uint256 couponId) external view returns (bool) {
-        Coupon memory coupon = coupons[couponId];
-        return !coupon.isUsed && block.timestamp <= coupon.expiryTime && coupon.owner != address(0);
+    function getReferrals(address referrer) external view returns (address[] memory) {
+        return referrals[referrer];
     }
-    
+
     /**
      * @dev Get metrics for token economics
      * @return totalMintedTokens Total tokens ever minted
      * @return totalBurnedTokens Total tokens burned (supply reduction)
      * @return currentSupply Current circulating supply
+     * @return totalSpentAmount Amount spent on all rewarded purchases
+     * @return totalEarnedTokens Tokens earned on rewarded purchases (excludes referral bonuses)
+     * @return customers Customers with at least one rewarded purchase
+     */
+    function getTokenMetrics() external view returns (
+        uint256 totalMintedTokens,
+        uint256 totalBurnedTokens,
+        uint256 currentSupply,
+        uint256 totalSpentAmount,
+        uint256 totalEarnedTokens,
+        uint256 customers
+    ) {
+        return (totalMinted, totalBurned, totalSupply(), totalSpent, totalEarned, earningCustomers);
+    }
+    
+    /**
+     * @dev Burns a customer's lapsed points
+     * @param customer Address of the customer
+     * @return Points burned (with decimals)
+     * 
+     * @notice Permissionless so anyone (e.g. a keeper) can sweep expired points
+     */
+    function expire(address customer) external returns (uint256) {
+        return _expire(customer);
+    }
+    
+    /**
+     * @dev Get the points of a customer that lapse on or before a given time
+     * @param customer Address of the customer
+     * @param until Unix timestamp (use block time + 30 days for upcoming expiries)
+     * @return amount Points lapsing by `until`, including already lapsed points not yet swept
+     * @return nextExpiry Expiry date of the oldest lot (0 if the customer has no expiring points)
+     */
+    function getExpiringPoints(address customer, uint256 until) external view returns (uint256 amount, uint256 nextExpiry) {
+        PointLot[] storage lots = pointLots[customer];
+        for (uint256 i = pointLotHead[customer]; i < lots.length && lots[i].expiresAt <= until; i++) {
+            amount += lots[i].amount;
+        }
+        if (pointLotHead[customer] < lots.length) {
+            nextExpiry = lots[pointLotHead[customer]].expiresAt;
+        }
+    }
+    
+    /**
+     * @dev Get the outstanding point lots of a customer
+     * @param customer Address of the customer
+     * @return Lots ordered by expiry date (oldest first)
+     */
+    function getPointLots(address customer) external view returns (PointLot[] memory) {
+        PointLot[] storage lots = pointLots[customer];
+        uint256 head = pointLotHead[customer];
+        PointLot[] memory result = new PointLot[](lots.length - head);
+        for (uint256 i = head; i < lots.length; i++) {
+            result[i - head] = lots[i];
+        }
+        return result;
+    }
+    
+    /**
+     * @dev Get the loyalty tier of a customer
+     * @param customer Address of the customer
+     * @return Tier derived from the customer's lifetime earnings
+     */
+    function getTier(address customer) public view returns (Tier) {
+        uint256 earned = lifetimeEarned[customer];
+        for (uint256 i = 3; i > 0; i--) {
+            if (earned >= tierThresholds[i]) {
+                return Tier(i);
+            }
+        }
+        return Tier.Bronze;
+    }
+    
+    /**
+     * @dev Get tier details of a customer for progress displays
+     * @param customer Address of the customer
+     * @return tier Current tier
+     * @return earned Lifetime tokens earned (with decimals)
+     * @return multiplier Current earn multiplier in basis points
+     * @return nextThreshold Lifetime earnings required for the next tier (0 at Platinum)
+     */
+    function getTierInfo(address customer) external view returns (
+        Tier tier,
+        uint256 earned,
+        uint256 multiplier,
+        uint256 nextThreshold
+    ) {
+        tier = getTier(customer);
+        earned = lifetimeEarned[customer];
+        multiplier = tierMultipliers[uint256(tier)];
+        nextThreshold = tier == Tier.Platinum ? 0 : tierThresholds[uint256(tier) + 1];
+    }
+    
+    /**
+     * @dev Get the tier thresholds and multipliers
+     * @return thresholds Lifetime earnings required for each tier (with decimals)
+     * @return multipliers Earn multiplier of each tier in basis points
+     */
+    function getTierConfig() external view returns (uint256[4] memory thresholds, uint256[4] memory multipliers) {
+        return (tierThresholds, tierMultipliers);
+    }
+    
+    /**
+     * @dev Preview the reward a customer would earn for a purchase
+     * @param customer Address of the customer
+     * @param amountSpent Amount spent by the customer
+     * @param merchantId Merchant ID, or 0 for the coalition-wide parameters
+     * @return reward Tokens that would be minted (with 18 decimals), including running campaign bonuses
+     */
+    function previewReward(address customer, uint256 amountSpent, uint256 merchantId) external view returns (uint256) {
+        if (merchantId == 0) {
+            return _expectedReward(customer, amountSpent, 0, emissionRate, unitValue);
+        }
+        Merchant storage merchant = _registeredMerchant(merchantId);
+        return _expectedReward(customer, amountSpent, merchantId, merchant.emissionRate, merchant.unitValue);
+    }
+    
+    /**
+     * @dev Get the remaining mint headroom of a customer under the velocity limits
+     * @param customer Address of the customer
+     * @return perTx Largest reward a single purchase can mint
+     * @return customerDaily Tokens the customer can still earn in the rolling day
+     * @return epochRemaining Tokens that can still be minted for purchases in the current epoch
+     * 
+     * @notice Unlimited values are reported as type(uint256).max
      */
-    function getTokenMetrics() external view returns (uint256 totalMintedTokens, uint256 totalBurnedTokens, uint256 currentSupply) {
-        return (totalMinted, totalBurned, totalSupply());
+    function getMintHeadroom(address customer) external view returns (
+        uint256 perTx,
+        uint256 customerDaily,
+        uint256 epochRemaining
+    ) {
+        perTx = maxMintPerTx > 0 ? maxMintPerTx : type(uint256).max;
+        customerDaily = type(uint256).max;
+        if (maxMintPerAddressPerDay > 0) {
+            uint256 used = _dailyMinted(customer);
+            customerDaily = used >= maxMintPerAddressPerDay ? 0 : maxMintPerAddressPerDay - used;
+        }
+        epochRemaining = type(uint256).max;
+        if (maxMintPerEpoch > 0) {
+            uint256 minted = _epochMinted();
+            epochRemaining = minted >= maxMintPerEpoch ? 0 : maxMintPerEpoch - minted;
+        }
+    }
+    
+    /**
+     * @dev Get the emission budget usage of the current epoch
+     * @return cap Maximum tokens minted for purchases per epoch (0 = no limit)
+     * @return minted Tokens minted for purchases in the current epoch
+     * @return epochStart Unix timestamp at which the current epoch started
+     * @return epochEnd Unix timestamp at which the current epoch ends
+     */
+    function getEmissionBudget() external view returns (
+        uint256 cap,
+        uint256 minted,
+        uint256 epochStart,
+        uint256 epochEnd
+    ) {
+        epochStart = (block.timestamp / emissionEpochLength) * emissionEpochLength;
+        return (maxMintPerEpoch, _epochMinted(), epochStart, epochStart + emissionEpochLength);
+    }
+    
+    /**
+     * @dev Get merchant details
+     * @param merchantId ID of the merchant
+     * @return Merchant struct with all details
+     */
+    function getMerchant(uint256 merchantId) external view returns (Merchant memory) {
+        return merchants[merchantId];
+    }
+    
+    /**
+     * @dev Get all registered merchants (active and inactive)
+     * @return Array of merchant structs ordered by ID
+     */
+    function getMerchants() external view returns (Merchant[] memory) {
+        Merchant[] memory list = new Merchant[](nextMerchantId - 1);
+        for (uint256 i = 0; i < list.length; i++) {
+            list[i] = merchants[i + 1];
+        }
+        return list;
+    }
+    
+    /**
+     * @dev Get the roles held by an account
+     * @param account Address to check
+     * @return isAdmin Whether the account has DEFAULT_ADMIN_ROLE
+     * @return isMerchant Whether the account has MERCHANT_ROLE
+     * @return isMinter Whether the account has MINTER_ROLE
+     * @return isAuditor Whether the account has AUDITOR_ROLE
+     */
+    function getRoles(address account) external view returns (bool isAdmin, bool isMerchant, bool isMinter, bool isAuditor) {
+        return (
+            hasRole(DEFAULT_ADMIN_ROLE, account),
+            hasRole(MERCHANT_ROLE, account),
+            hasRole(MINTER_ROLE, account),
+            hasRole(AUDITOR_ROLE, account)
+        );
     }
     
     // Event for tracking redemptions
     event TokensRedeemed(address indexed user, uint256 amount);
     
-    // Events for coupon system
-    event CouponCreated(uint256 indexed couponId, address indexed user, uint256 discountPercent, uint256 tokensBurned);
-    event CouponUsed(uint256 indexed couponId, address indexed user);
+    // Events for economic parameters (proposals are emitted by ParameterTimelock)
+    event EmissionRateUpdated(uint256 newRate);
+    event UnitValueUpdated(uint256 newUnitValue);
+    event CouponFeeUpdated(uint256 newFee);
+    event CurrencyDecimalsUpdated(uint8 decimals);
+    event ParameterTimelockSet(address indexed parameterTimelock);
+    
+    // Events for coupon system (coupon lifecycle events are emitted by LoyaltyCoupon)
     event CouponFeeCharged(address indexed user, uint256 feeAmount);
+    event CouponNFTSet(address indexed couponNFT);
+    
+    // Event for bonus campaigns (campaign lifecycle events are emitted by LoyaltyCampaigns)
+    event CampaignRegistrySet(address indexed campaignRegistry);
+    
+    // Events for merchant registry
+    event MerchantRegistered(uint256 indexed merchantId, string name, string businessType, address payoutAddress, uint256 emissionRate, uint256 unitValue);
+    event MerchantUpdated(uint256 indexed merchantId, string name, string businessType, address payoutAddress, uint256 emissionRate, uint256 unitValue);
+    event MerchantRatesUpdated(uint256 indexed merchantId, uint256 emissionRate, uint256 unitValue);
+    event MerchantStatusChanged(uint256 indexed merchantId, bool active);
+    event MerchantAccountSet(address indexed account, uint256 indexed merchantId);
+    
+    // Events for customer tiers
+    event TierChanged(address indexed customer, Tier previousTier, Tier newTier);
+    event TierConfigUpdated(uint256[4] thresholds, uint256[4] multipliers);
+    
+    // Events for points expiry
+    event PointsExpired(address indexed customer, uint256 amount);
+    event ExpiryPeriodUpdated(uint256 period);
+    
+    // Event for velocity limits
+    event MintLimitsUpdated(uint256 maxPerTx, uint256 maxPerAddressPerDay, uint256 maxPerEpoch, uint256 epochLength);
+    
+    // Events for the referral program
+    event ReferralRegistered(address indexed referee, address indexed referrer);
+    event ReferralRewarded(address indexed referee, address indexed referrer, uint256 referrerBonus, uint256 refereeBonus);
+    event ReferralProgramUpdated(uint256 referrerBonus, uint256 refereeBonus, uint256 minEarn);
+    
+    // Events for batch settlement
+    event PurchaseSettled(
+        uint256 indexed merchantId,
+        address indexed customer,
+        bytes32 indexed orderId,
+        uint256 amountSpent,
+        uint256 tokensMinted,
+        SettlementResult result
+    );
+    event BatchSettled(uint256 indexed merchantId, address indexed operator, uint256 entries, uint256 rewarded, uint256 tokensMinted);
+    
+    // Event for signed purchase vouchers
+    event VoucherClaimed(address indexed customer, address indexed merchant, bytes32 indexed orderId, uint256 nonce, uint256 tokensMinted);
+    
+    // Event for every rewarded purchase (earnTokens, batchEarnTokens and claimWithVoucher)
+    // emissionRate and unitValue are the base parameters applied, tokensMinted includes tier and campaign bonuses
+    event TokensEarned(
+        address indexed customer,
+        uint256 amountSpent,
+        uint256 tokensMinted,
+        uint256 emissionRate,
+        uint256 unitValue,
+        address indexed merchant,
+        bytes32 indexed orderId
+    );
 }
\ No newline at end of file
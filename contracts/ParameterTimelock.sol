@@ -0,0 +1,303 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./LoyaltyToken.sol";
+import "./SimpleDEX.sol";
+
+/**
+ * @title ParameterTimelock
+ * @dev Queue / execute / cancel timelock for the economic parameters of LoyaltyToken and SimpleDEX
+ *
+ * Emission rate, unit value, currency decimals, coupon fee and the per-merchant emission rate and
+ * unit value (LoyaltyToken) and exchange rate, trading fee, pricing mode and protocol fee share
+ * (SimpleDEX) change what customers earn and pay. Once this
+ * contract is linked, those setters only accept calls from it, so every
+ * change is announced on-chain at least `delay` seconds before it applies
+ * and nobody can be front-run by a sudden rate change.
+ *
+ * Features:
+ * - Queued changes become executable after the delay and expire after GRACE_PERIOD
+ * - Merchant rate changes are queued per merchant with queueMerchantChange
+ * - Anyone can execute a change once it is ready, admins can cancel it before
+ * - The delay itself can only be changed through the timelock
+ * - Events for every proposal, execution and cancellation
+ *
+ * Admin rights follow LoyaltyToken: its DEFAULT_ADMIN_ROLE queues and cancels changes.
+ */
+contract ParameterTimelock {
+    /// @dev LoyaltyToken contract whose reward and coupon parameters are timelocked
+    LoyaltyToken public immutable loyaltyToken;
+
+    /// @dev SimpleDEX contract whose exchange rate and fee are timelocked
+    SimpleDEX public immutable simpleDEX;
+
+    /// @dev Shortest allowed delay
+    uint256 public constant MIN_DELAY = 1 hours;
+
+    /// @dev Longest allowed delay
+    uint256 public constant MAX_DELAY = 30 days;
+
+    /// @dev Time after its ETA during which a queued change can still be executed
+    uint256 public constant GRACE_PERIOD = 14 days;
+
+    /// @dev Seconds between queueing a change and the earliest time it can be executed
+    uint256 public delay;
+
+    /// @dev Next change ID (IDs start at 1)
+    uint256 public nextChangeId = 1;
+
+    /// @dev Changes by ID
+    mapping(uint256 => ParameterChange) private changes;
+
+    /// @dev Parameters that can only be changed through the timelock
+    enum Parameter {
+        EmissionRate,     // LoyaltyToken.setEmissionRate
+        UnitValue,        // LoyaltyToken.setUnitValue
+        CouponFee,        // LoyaltyToken.setCouponFee
+        ExchangeRate,     // SimpleDEX.updateExchangeRate
+        DexFee,           // SimpleDEX.updateFee
+        Delay,            // delay of this timelock
+        CurrencyDecimals, // LoyaltyToken.setCurrencyDecimals
+        PricingMode,      // SimpleDEX.setPricingMode
+        ProtocolFeeShare, // SimpleDEX.setProtocolFeeShare
+        MerchantEmissionRate, // LoyaltyToken.setMerchantRates (emission rate of one merchant)
+        MerchantUnitValue     // LoyaltyToken.setMerchantRates (unit value of one merchant)
+    }
+
+    /// @dev Lifecycle of a queued change (an expired change stays Queued but can no longer be executed)
+    enum ChangeStatus { Queued, Executed, Cancelled }
+
+    /// @dev Proposed parameter change
+    struct ParameterChange {
+        uint256 id;
+        Parameter parameter;
+        uint256 value;           // New value, in the unit of the target setter
+        uint256 eta;             // Unix timestamp from which the change can be executed
+        address proposer;        // Admin who queued the change
+        ChangeStatus status;
+        uint256 merchantId;      // Merchant of a merchant rate change (0 for other parameters)
+    }
+
+    /**
+     * @dev Restricts a function to LoyaltyToken admins (DEFAULT_ADMIN_ROLE)
+     */
+    modifier onlyTokenAdmin() {
+        require(loyaltyToken.hasRole(loyaltyToken.DEFAULT_ADMIN_ROLE(), msg.sender), "Caller is not an admin");
+        _;
+    }
+
+    /**
+     * @dev Constructor
+     * @param _loyaltyToken Address of the LoyaltyToken contract
+     * @param _simpleDEX Address of the SimpleDEX contract
+     * @param _delay Initial delay in seconds
+     */
+    constructor(address _loyaltyToken, address _simpleDEX, uint256 _delay) {
+        require(_loyaltyToken != address(0), "Invalid token address");
+        require(_simpleDEX != address(0), "Invalid DEX address");
+        require(_delay >= MIN_DELAY && _delay <= MAX_DELAY, "Delay out of range");
+        loyaltyToken = LoyaltyToken(_loyaltyToken);
+        simpleDEX = SimpleDEX(_simpleDEX);
+        delay = _delay;
+    }
+
+    /**
+     * @dev Proposes a parameter change that can be executed after the delay
+     * @param parameter Parameter to change
+     * @param value New value (emission rate, unit value, fee in basis points, exchange rate
+     *              in LOYAL per ETH with decimals, delay in seconds, currency decimals,
+     *              pricing mode: 0 FixedRate, 1 ConstantProduct, or protocol fee share in basis points)
+     * @return changeId ID of the queued change
+     *
+     * @notice The value is checked against the target setter's limits now, so an
+     *         out-of-range change cannot sit in the queue
+     *
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE on LoyaltyToken
+     * - Parameter must not be a merchant rate (use queueMerchantChange)
+     * - Emission rate and unit value must be greater than 0
+     * - Coupon and DEX fees cannot exceed 10%, exchange rate must be positive,
+     *   delay must be between MIN_DELAY and MAX_DELAY, currency decimals cannot exceed 18,
+     *   pricing mode must be a SimpleDEX.PricingMode value, protocol fee share cannot exceed 50%
+     *
+     * Emits: ChangeQueued event
+     */
+    function queueChange(Parameter parameter, uint256 value) external onlyTokenAdmin returns (uint256 changeId) {
+        require(!_isMerchantParameter(parameter), "Use queueMerchantChange for merchant rates");
+        if (parameter == Parameter.EmissionRate || parameter == Parameter.UnitValue) {
+            require(value > 0, "Value must be greater than 0");
+        } else if (parameter == Parameter.CouponFee || parameter == Parameter.DexFee) {
+            require(value <= 1000, "Fee cannot exceed 10%");
+        } else if (parameter == Parameter.ExchangeRate) {
+            require(value > 0, "Rate must be positive");
+        } else if (parameter == Parameter.Delay) {
+            require(value >= MIN_DELAY && value <= MAX_DELAY, "Delay out of range");
+        } else if (parameter == Parameter.CurrencyDecimals) {
+            require(value <= 18, "Currency decimals too high");
+        } else if (parameter == Parameter.PricingMode) {
+            require(value <= uint256(type(SimpleDEX.PricingMode).max), "Unknown pricing mode");
+        } else if (parameter == Parameter.ProtocolFeeShare) {
+            require(value <= 5000, "Protocol fee share cannot exceed 50%");
+        }
+
+        changeId = _queue(parameter, 0, value);
+    }
+
+    /**
+     * @dev Proposes a change of one merchant's earn parameters that can be executed after the delay
+     * @param parameter MerchantEmissionRate or MerchantUnitValue
+     * @param merchantId ID of the merchant
+     * @param value New emission rate (tokens per unit) or unit value (amount spent per unit)
+     * @return changeId ID of the queued change
+     *
+     * @notice The other rate of the merchant keeps its value at execution time
+     *
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE on LoyaltyToken
+     * - Parameter must be a merchant rate
+     * - Merchant must be registered
+     * - Unit value must be greater than 0
+     *
+     * Emits: ChangeQueued and MerchantChangeQueued events
+     */
+    function queueMerchantChange(
+        Parameter parameter,
+        uint256 merchantId,
+        uint256 value
+    ) external onlyTokenAdmin returns (uint256 changeId) {
+        require(_isMerchantParameter(parameter), "Not a merchant rate");
+        require(loyaltyToken.getMerchant(merchantId).id != 0, "Merchant not registered");
+        if (parameter == Parameter.MerchantUnitValue) {
+            require(value > 0, "Value must be greater than 0");
+        }
+
+        changeId = _queue(parameter, merchantId, value);
+
+        emit MerchantChangeQueued(changeId, merchantId);
+    }
+
+    /**
+     * @dev Stores a validated change with its ETA
+     */
+    function _queue(Parameter parameter, uint256 merchantId, uint256 value) internal returns (uint256 changeId) {
+        changeId = nextChangeId++;
+        uint256 eta = block.timestamp + delay;
+        changes[changeId] = ParameterChange({
+            id: changeId,
+            parameter: parameter,
+            value: value,
+            eta: eta,
+            proposer: msg.sender,
+            status: ChangeStatus.Queued,
+            merchantId: merchantId
+        });
+
+        emit ChangeQueued(changeId, parameter, value, eta, msg.sender);
+    }
+
+    /**
+     * @dev Whether a parameter is the emission rate or unit value of a single merchant
+     */
+    function _isMerchantParameter(Parameter parameter) internal pure returns (bool) {
+        return parameter == Parameter.MerchantEmissionRate || parameter == Parameter.MerchantUnitValue;
+    }
+
+    /**
+     * @dev Applies a queued change once its delay has passed
+     * @param changeId ID of the change
+     *
+     * @notice Anyone can execute a ready change
+     *
+     * Requirements:
+     * - Change must be queued (not executed or cancelled)
+     * - Current time must be between the ETA and ETA + GRACE_PERIOD
+     *
+     * Emits: ChangeExecuted event, plus the update event of the target setter
+     */
+    function executeChange(uint256 changeId) external {
+        ParameterChange storage change = changes[changeId];
+        require(change.id != 0, "Change not found");
+        require(change.status == ChangeStatus.Queued, "Change not queued");
+        require(block.timestamp >= change.eta, "Change is still timelocked");
+        require(block.timestamp <= change.eta + GRACE_PERIOD, "Change expired");
+
+        change.status = ChangeStatus.Executed;
+
+        if (change.parameter == Parameter.EmissionRate) {
+            loyaltyToken.setEmissionRate(change.value);
+        } else if (change.parameter == Parameter.UnitValue) {
+            loyaltyToken.setUnitValue(change.value);
+        } else if (change.parameter == Parameter.CouponFee) {
+            loyaltyToken.setCouponFee(change.value);
+        } else if (change.parameter == Parameter.ExchangeRate) {
+            simpleDEX.updateExchangeRate(change.value);
+        } else if (change.parameter == Parameter.DexFee) {
+            simpleDEX.updateFee(change.value);
+        } else if (change.parameter == Parameter.Delay) {
+            delay = change.value;
+        } else if (change.parameter == Parameter.CurrencyDecimals) {
+            loyaltyToken.setCurrencyDecimals(uint8(change.value));
+        } else if (change.parameter == Parameter.PricingMode) {
+            simpleDEX.setPricingMode(SimpleDEX.PricingMode(change.value));
+        } else if (change.parameter == Parameter.ProtocolFeeShare) {
+            simpleDEX.setProtocolFeeShare(change.value);
+        } else {
+            LoyaltyToken.Merchant memory merchant = loyaltyToken.getMerchant(change.merchantId);
+            if (change.parameter == Parameter.MerchantEmissionRate) {
+                loyaltyToken.setMerchantRates(change.merchantId, change.value, merchant.unitValue);
+            } else {
+                loyaltyToken.setMerchantRates(change.merchantId, merchant.emissionRate, change.value);
+            }
+        }
+
+        emit ChangeExecuted(changeId, change.parameter, change.value);
+    }
+
+    /**
+     * @dev Cancels a queued change
+     * @param changeId ID of the change
+     *
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE on LoyaltyToken
+     * - Change must be queued (not executed or cancelled)
+     *
+     * Emits: ChangeCancelled event
+     */
+    function cancelChange(uint256 changeId) external onlyTokenAdmin {
+        ParameterChange storage change = changes[changeId];
+        require(change.id != 0, "Change not found");
+        require(change.status == ChangeStatus.Queued, "Change not queued");
+
+        change.status = ChangeStatus.Cancelled;
+
+        emit ChangeCancelled(changeId, msg.sender);
+    }
+
+    /**
+     * @dev Get a change
+     * @param changeId ID of the change
+     * @return ParameterChange struct with all details
+     */
+    function getChange(uint256 changeId) external view returns (ParameterChange memory) {
+        require(changes[changeId].id != 0, "Change not found");
+        return changes[changeId];
+    }
+
+    /**
+     * @dev Get all changes (queued, executed and cancelled)
+     * @return Array of change structs ordered by ID
+     */
+    function getChanges() external view returns (ParameterChange[] memory) {
+        ParameterChange[] memory list = new ParameterChange[](nextChangeId - 1);
+        for (uint256 i = 0; i < list.length; i++) {
+            list[i] = changes[i + 1];
+        }
+        return list;
+    }
+
+    // Timelock events
+    event ChangeQueued(uint256 indexed changeId, Parameter indexed parameter, uint256 value, uint256 eta, address indexed proposer);
+    event ChangeExecuted(uint256 indexed changeId, Parameter indexed parameter, uint256 value);
+    event ChangeCancelled(uint256 indexed changeId, address indexed cancelledBy);
+    event MerchantChangeQueued(uint256 indexed changeId, uint256 indexed merchantId);
+}
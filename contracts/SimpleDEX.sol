@@ -1,50 +1,149 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./ParameterTimelock.sol";
 
 /**
  * @title SimpleDEX
  * @dev A simple DEX contract for swapping between LOYAL tokens and ETH
  * @notice This contract allows users to trade LOYAL tokens for ETH and vice versa
+ * @notice Swaps and new liquidity can be paused by the guardian in an emergency, LPs can always withdraw
+ * @notice Once a parameter timelock is linked, exchange rate, fee and pricing mode changes are queued there
+ * @notice Swaps are priced at the owner-set exchange rate (FixedRate) or from the pool reserves
+ *         with the constant product formula x * y = k (ConstantProduct)
+ * @notice The contract is the ERC-20 LP share token (LOYAL-LP): liquidity providers receive shares
+ *         proportional to their contribution and burn them to withdraw their part of the pool,
+ *         including the LP part of the swap fees it accrued; MINIMUM_LIQUIDITY shares of the first deposit
+ *         are locked forever so the share price cannot be inflated from a dust supply
+ * @notice Swap fees are tracked per asset and split between the LPs (kept in the reserves) and the
+ *         protocol treasury (held outside the reserves until collectProtocolFees)
+ * @notice A cumulative spot price is updated before every swap, liquidity and price parameter change
+ *         and sampled into observations, so consult(period) returns a time-weighted average price
+ *         that a single transaction cannot move
  */
-contract SimpleDEX is Ownable, ReentrancyGuard {
+contract SimpleDEX is ERC20, Ownable, ReentrancyGuard, Pausable {
     IERC20 public loyalToken;
     
+    // Account allowed to pause and unpause trading (set by the owner)
+    address public guardian;
+    
+    // Timelock that applies exchange rate and fee changes (zero = the owner changes them directly)
+    address public parameterTimelock;
+    
+    // Account that receives the protocol part of the swap fees (set by the owner)
+    address public treasury;
+    
     // Exchange rate: 1 ETH = exchangeRate LOYAL tokens
     uint256 public exchangeRate;
     
     // Fee percentage (in basis points, e.g., 100 = 1%)
     uint256 public feePercentage;
     
+    // Part of every swap fee that goes to the protocol treasury (in basis points of the fee, max 50%)
+    uint256 public protocolFeeShare;
+    
+    // How swap outputs are priced
+    enum PricingMode { FixedRate, ConstantProduct }
+    PricingMode public pricingMode;
+    
+    // LP shares of the first deposit locked at DEAD_ADDRESS (OpenZeppelin ERC20 cannot mint to address(0))
+    uint256 public constant MINIMUM_LIQUIDITY = 1000;
+    address private constant DEAD_ADDRESS = 0x000000000000000000000000000000000000dEaD;
+    
     // Liquidity tracking
     uint256 public ethLiquidity;
     uint256 public tokenLiquidity;
     
-    // Events
+    // Fee accounting per asset: lifetime LP and protocol parts, and the protocol fees not collected yet
+    uint256 public lpEthFees;
+    uint256 public lpTokenFees;
+    uint256 public protocolEthFees;
+    uint256 public protocolTokenFees;
+    uint256 public pendingProtocolEthFees;
+    uint256 public pendingProtocolTokenFees;
+    
+    // TWAP oracle: sum of spot price (LOYAL per ETH, 18 decimals) * seconds, and when it was last updated
+    uint256 public priceCumulative;
+    uint256 public lastPriceUpdate;
+    
+    // Minimum time between two price observations and number of observations kept (24 hours of history)
+    uint256 public constant OBSERVATION_INTERVAL = 15 minutes;
+    uint256 public constant OBSERVATION_SLOTS = 96;
+    
+    // Ring buffer of cumulative price samples, observationCount is the number ever written
+    struct Observation {
+        uint256 timestamp;
+        uint256 priceCumulative;
+    }
+    Observation[OBSERVATION_SLOTS] private observations;
+    uint256 public observationCount;
+    
+    // Events (feeAmount is in the output asset: LOYAL for ETH → LOYAL swaps, ETH otherwise)
     event TokenSwap(
         address indexed user,
         uint256 ethAmount,
         uint256 tokenAmount,
+        uint256 feeAmount,
         bool ethToToken
     );
     
     event LiquidityAdded(
         address indexed provider,
         uint256 ethAmount,
-        uint256 tokenAmount
+        uint256 tokenAmount,
+        uint256 shares
     );
     
     event LiquidityRemoved(
         address indexed provider,
         uint256 ethAmount,
-        uint256 tokenAmount
+        uint256 tokenAmount,
+        uint256 shares
     );
     
     event ExchangeRateUpdated(uint256 newRate);
     event FeeUpdated(uint256 newFee);
+    event PricingModeUpdated(PricingMode newMode);
+    event ProtocolFeeShareUpdated(uint256 newShare);
+    event TreasuryUpdated(address indexed newTreasury);
+    event ProtocolFeesCollected(address indexed treasury, uint256 ethAmount, uint256 tokenAmount);
+    event GuardianUpdated(address indexed newGuardian);
+    event ParameterTimelockSet(address indexed parameterTimelock);
+    
+    /**
+     * @dev Restricts a function to the guardian
+     */
+    modifier onlyGuardian() {
+        require(msg.sender == guardian, "Caller is not the guardian");
+        _;
+    }
+    
+    /**
+     * @dev Rejects swaps included after their deadline
+     * @param _deadline Latest block timestamp at which the swap may execute
+     */
+    modifier ensure(uint256 _deadline) {
+        require(block.timestamp <= _deadline, "Swap expired");
+        _;
+    }
+    
+    /**
+     * @dev Restricts a function to the parameter timelock once linked, to the owner before that
+     */
+    modifier onlyParameterAdmin() {
+        if (parameterTimelock != address(0)) {
+            require(msg.sender == parameterTimelock, "Parameter changes must go through the timelock");
+        } else {
+            _checkOwner();
+        }
+        _;
+    }
     
     /**
      * @dev Constructor to initialize the DEX
@@ -56,7 +155,7 @@ contract SimpleDEX is Ownable, ReentrancyGuard {
         address _loyalToken,
         uint256 _exchangeRate,
         uint256 _feePercentage
-    ) Ownable(msg.sender) {
+    ) ERC20("LoyalLoop LP", "LOYAL-LP") Ownable(msg.sender) {
         require(_loyalToken != address(0), "Invalid token address");
         require(_exchangeRate > 0, "Exchange rate must be positive");
         require(_feePercentage <= 1000, "Fee too high"); // Max 10%
@@ -64,125 +163,415 @@ contract SimpleDEX is Ownable, ReentrancyGuard {
         loyalToken = IERC20(_loyalToken);
         exchangeRate = _exchangeRate;
         feePercentage = _feePercentage;
+        guardian = msg.sender;
+        treasury = msg.sender;
+        
+        lastPriceUpdate = block.timestamp;
+        observations[0] = Observation(block.timestamp, 0);
+        observationCount = 1;
     }
     
     /**
      * @dev Swap ETH for LOYAL tokens
+     * @param _minAmountOut Minimum tokens to receive, the swap reverts below it (slippage protection)
+     * @param _deadline Latest block timestamp at which the swap may execute
      * @notice Users can send ETH to receive LOYAL tokens
      */
-    function swapEthForTokens() external payable nonReentrant {
+    function swapEthForTokens(
+        uint256 _minAmountOut,
+        uint256 _deadline
+    ) external payable nonReentrant whenNotPaused ensure(_deadline) {
         require(msg.value > 0, "Must send ETH");
+        _updatePrice();
         
-        uint256 tokenAmount = (msg.value * exchangeRate) / 1e18;
-        uint256 fee = (tokenAmount * feePercentage) / 10000;
-        uint256 tokensToSend = tokenAmount - fee;
+        (uint256 tokensToSend, uint256 fee, ) = _quote(msg.value, true);
+        uint256 protocolFee = _accrueFee(fee, true);
         
-        require(tokenLiquidity >= tokensToSend, "Insufficient token liquidity");
+        require(tokensToSend > 0 && tokenLiquidity >= tokensToSend + protocolFee, "Insufficient token liquidity");
+        require(tokensToSend >= _minAmountOut, "Output below minimum");
         
-        // Update liquidity
+        // Update liquidity, the protocol part of the fee leaves the reserves
         ethLiquidity += msg.value;
-        tokenLiquidity -= tokensToSend;
+        tokenLiquidity -= tokensToSend + protocolFee;
         
         // Transfer tokens to user
         require(loyalToken.transfer(msg.sender, tokensToSend), "Token transfer failed");
         
-        emit TokenSwap(msg.sender, msg.value, tokensToSend, true);
+        emit TokenSwap(msg.sender, msg.value, tokensToSend, fee, true);
     }
     
     /**
      * @dev Swap LOYAL tokens for ETH
      * @param _tokenAmount Amount of tokens to swap
+     * @param _minAmountOut Minimum ETH to receive, the swap reverts below it (slippage protection)
+     * @param _deadline Latest block timestamp at which the swap may execute
      * @notice Users can swap LOYAL tokens for ETH
      */
-    function swapTokensForEth(uint256 _tokenAmount) external nonReentrant {
+    function swapTokensForEth(
+        uint256 _tokenAmount,
+        uint256 _minAmountOut,
+        uint256 _deadline
+    ) external nonReentrant whenNotPaused ensure(_deadline) {
+        _swapTokensForEth(_tokenAmount, _minAmountOut);
+    }
+    
+    /**
+     * @dev Swap LOYAL tokens for ETH with an EIP-2612 permit instead of a prior approve
+     * @param _tokenAmount Amount of tokens to swap
+     * @param _minAmountOut Minimum ETH to receive, the swap reverts below it (slippage protection)
+     * @param _deadline Permit and swap deadline (unix timestamp)
+     * @param v Permit signature recovery byte
+     * @param r Permit signature r value
+     * @param s Permit signature s value
+     * @notice The permit must approve this contract for at least _tokenAmount
+     * @notice A permit that was already used (e.g. front-run) is ignored, the swap then relies on the existing allowance
+     */
+    function swapTokensForEthWithPermit(
+        uint256 _tokenAmount,
+        uint256 _minAmountOut,
+        uint256 _deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused ensure(_deadline) {
+        try IERC20Permit(address(loyalToken)).permit(msg.sender, address(this), _tokenAmount, _deadline, v, r, s) {} catch {}
+        _swapTokensForEth(_tokenAmount, _minAmountOut);
+    }
+    
+    /**
+     * @dev Pulls the tokens from the caller and sends the ETH output
+     * @param _tokenAmount Amount of tokens to swap
+     * @param _minAmountOut Minimum ETH to receive
+     */
+    function _swapTokensForEth(uint256 _tokenAmount, uint256 _minAmountOut) internal {
         require(_tokenAmount > 0, "Must specify token amount");
+        _updatePrice();
         
-        uint256 ethAmount = (_tokenAmount * 1e18) / exchangeRate;
-        uint256 fee = (ethAmount * feePercentage) / 10000;
-        uint256 ethToSend = ethAmount - fee;
+        (uint256 ethToSend, uint256 fee, ) = _quote(_tokenAmount, false);
+        uint256 protocolFee = _accrueFee(fee, false);
         
-        require(ethLiquidity >= ethToSend, "Insufficient ETH liquidity");
+        require(ethToSend > 0 && ethLiquidity >= ethToSend + protocolFee, "Insufficient ETH liquidity");
+        require(ethToSend >= _minAmountOut, "Output below minimum");
         require(loyalToken.transferFrom(msg.sender, address(this), _tokenAmount), "Token transfer failed");
         
-        // Update liquidity
+        // Update liquidity, the protocol part of the fee leaves the reserves
         tokenLiquidity += _tokenAmount;
-        ethLiquidity -= ethToSend;
+        ethLiquidity -= ethToSend + protocolFee;
         
         // Transfer ETH to user
         payable(msg.sender).transfer(ethToSend);
         
-        emit TokenSwap(msg.sender, ethToSend, _tokenAmount, false);
+        emit TokenSwap(msg.sender, ethToSend, _tokenAmount, fee, false);
     }
     
     /**
-     * @dev Add liquidity to the DEX
-     * @param _tokenAmount Amount of tokens to add as liquidity
-     * @notice Users can add liquidity by sending tokens and ETH
+     * @dev Add liquidity to the DEX and mint LP shares
+     * @param _tokenAmount Maximum amount of tokens to add as liquidity
+     * @return shares LP shares minted to the caller
+     * @notice The first deposit sets the pool ratio and mints sqrt(eth * tokens) shares, of which
+     *         MINIMUM_LIQUIDITY are locked and the rest go to the caller. Later deposits
+     *         are matched to the current reserve ratio: only the tokens needed for the ETH sent are pulled,
+     *         or the ETH above the tokens' value is refunded, and shares are minted pro rata
+     *
+     * Requirements:
+     * - DEX must not be paused
+     * - ETH and tokens must be sent, and the deposit must be worth at least one share
+     *
+     * Emits: LiquidityAdded event, Transfer event (LP share mint)
      */
-    function addLiquidity(uint256 _tokenAmount) external payable {
+    function addLiquidity(uint256 _tokenAmount) external payable nonReentrant whenNotPaused returns (uint256 shares) {
         require(msg.value > 0, "Must send ETH");
         require(_tokenAmount > 0, "Must send tokens");
+        _updatePrice();
         
-        require(loyalToken.transferFrom(msg.sender, address(this), _tokenAmount), "Token transfer failed");
+        uint256 ethAmount = msg.value;
+        uint256 tokenAmount = _tokenAmount;
+        uint256 supply = totalSupply();
+        if (supply == 0) {
+            shares = Math.sqrt(ethAmount * tokenAmount);
+            require(shares > MINIMUM_LIQUIDITY, "Insufficient liquidity minted");
+            shares -= MINIMUM_LIQUIDITY;
+            _mint(DEAD_ADDRESS, MINIMUM_LIQUIDITY);
+        } else {
+            require(ethLiquidity > 0 && tokenLiquidity > 0, "Pool is empty");
+            tokenAmount = (msg.value * tokenLiquidity) / ethLiquidity;
+            if (tokenAmount > _tokenAmount) {
+                tokenAmount = _tokenAmount;
+                ethAmount = (_tokenAmount * ethLiquidity) / tokenLiquidity;
+            }
+            shares = Math.min((ethAmount * supply) / ethLiquidity, (tokenAmount * supply) / tokenLiquidity);
+        }
+        require(shares > 0, "Insufficient liquidity minted");
         
-        ethLiquidity += msg.value;
-        tokenLiquidity += _tokenAmount;
+        require(loyalToken.transferFrom(msg.sender, address(this), tokenAmount), "Token transfer failed");
+        
+        ethLiquidity += ethAmount;
+        tokenLiquidity += tokenAmount;
+        _mint(msg.sender, shares);
         
-        emit LiquidityAdded(msg.sender, msg.value, _tokenAmount);
+        // Refund the ETH that did not match the tokens
+        if (msg.value > ethAmount) {
+            payable(msg.sender).transfer(msg.value - ethAmount);
+        }
+        
+        emit LiquidityAdded(msg.sender, ethAmount, tokenAmount, shares);
     }
     
     /**
-     * @dev Remove liquidity from the DEX (owner only)
-     * @param _ethAmount Amount of ETH to remove
-     * @param _tokenAmount Amount of tokens to remove
+     * @dev Burn LP shares and withdraw their part of the pool
+     * @param _shares LP shares to burn
+     * @return ethAmount ETH sent to the caller
+     * @return tokenAmount Tokens sent to the caller
+     * @notice Pays shares / totalSupply of both reserves, which includes the LP part of the swap fees
+     * @notice Stays available while the DEX is paused, so LPs can always exit
+     *
+     * Requirements:
+     * - Caller must hold _shares
+     *
+     * Emits: LiquidityRemoved event, Transfer event (LP share burn)
      */
-    function removeLiquidity(uint256 _ethAmount, uint256 _tokenAmount) external onlyOwner {
-        require(_ethAmount <= ethLiquidity, "Insufficient ETH liquidity");
-        require(_tokenAmount <= tokenLiquidity, "Insufficient token liquidity");
+    function removeLiquidity(uint256 _shares) external nonReentrant returns (uint256 ethAmount, uint256 tokenAmount) {
+        require(_shares > 0, "Must specify shares");
+        require(balanceOf(msg.sender) >= _shares, "Insufficient LP shares");
+        _updatePrice();
+        
+        (ethAmount, tokenAmount) = _sharesValue(_shares);
+        _burn(msg.sender, _shares);
         
-        ethLiquidity -= _ethAmount;
-        tokenLiquidity -= _tokenAmount;
+        ethLiquidity -= ethAmount;
+        tokenLiquidity -= tokenAmount;
         
-        payable(msg.sender).transfer(_ethAmount);
-        require(loyalToken.transfer(msg.sender, _tokenAmount), "Token transfer failed");
+        payable(msg.sender).transfer(ethAmount);
+        require(loyalToken.transfer(msg.sender, tokenAmount), "Token transfer failed");
         
-        emit LiquidityRemoved(msg.sender, _ethAmount, _tokenAmount);
+        emit LiquidityRemoved(msg.sender, ethAmount, tokenAmount, _shares);
     }
     
     /**
-     * @dev Update exchange rate (owner only)
+     * @dev Update exchange rate (parameter timelock once linked, owner before that)
      * @param _newRate New exchange rate
      */
-    function updateExchangeRate(uint256 _newRate) external onlyOwner {
+    function updateExchangeRate(uint256 _newRate) external onlyParameterAdmin {
         require(_newRate > 0, "Rate must be positive");
+        _updatePrice();
         exchangeRate = _newRate;
         emit ExchangeRateUpdated(_newRate);
     }
     
     /**
-     * @dev Update fee percentage (owner only)
+     * @dev Update fee percentage (parameter timelock once linked, owner before that)
      * @param _newFee New fee percentage in basis points
      */
-    function updateFee(uint256 _newFee) external onlyOwner {
+    function updateFee(uint256 _newFee) external onlyParameterAdmin {
         require(_newFee <= 1000, "Fee too high"); // Max 10%
         feePercentage = _newFee;
         emit FeeUpdated(_newFee);
     }
     
+    /**
+     * @dev Switch between fixed rate and constant product pricing (parameter timelock once linked, owner before that)
+     * @param _mode New pricing mode
+     */
+    function setPricingMode(PricingMode _mode) external onlyParameterAdmin {
+        _updatePrice();
+        pricingMode = _mode;
+        emit PricingModeUpdated(_mode);
+    }
+    
+    /**
+     * @dev Set the part of every swap fee that goes to the protocol treasury (parameter timelock once linked, owner before that)
+     * @param _share Protocol share in basis points of the fee, the rest stays in the pool for the LPs
+     *
+     * Requirements:
+     * - Share cannot exceed 50% of the fee
+     *
+     * Emits: ProtocolFeeShareUpdated event
+     */
+    function setProtocolFeeShare(uint256 _share) external onlyParameterAdmin {
+        require(_share <= 5000, "Protocol fee share too high"); // Max 50%
+        protocolFeeShare = _share;
+        emit ProtocolFeeShareUpdated(_share);
+    }
+    
+    /**
+     * @dev Set the treasury (owner only)
+     * @param _treasury Account that receives the collected protocol fees
+     *
+     * @notice Not timelocked on purpose: the treasury does not change swap prices or fees, only where the
+     *         protocol share already collected is paid out
+     */
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "Invalid treasury address");
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+    
+    /**
+     * @dev Send the uncollected protocol fees to the treasury
+     * @return ethAmount ETH sent to the treasury
+     * @return tokenAmount Tokens sent to the treasury
+     * @notice Also available while paused, the fees are not part of the reserves
+     *
+     * Requirements:
+     * - Caller must be the owner or the treasury
+     * - There must be fees to collect
+     *
+     * Emits: ProtocolFeesCollected event
+     */
+    function collectProtocolFees() external nonReentrant returns (uint256 ethAmount, uint256 tokenAmount) {
+        require(msg.sender == owner() || msg.sender == treasury, "Caller cannot collect fees");
+        ethAmount = pendingProtocolEthFees;
+        tokenAmount = pendingProtocolTokenFees;
+        require(ethAmount > 0 || tokenAmount > 0, "No fees to collect");
+        
+        pendingProtocolEthFees = 0;
+        pendingProtocolTokenFees = 0;
+        
+        if (ethAmount > 0) {
+            payable(treasury).transfer(ethAmount);
+        }
+        if (tokenAmount > 0) {
+            require(loyalToken.transfer(treasury, tokenAmount), "Token transfer failed");
+        }
+        
+        emit ProtocolFeesCollected(treasury, ethAmount, tokenAmount);
+    }
+    
+    /**
+     * @dev Set the guardian (owner only)
+     * @param _guardian Account allowed to pause and unpause trading
+     *
+     * @notice Not timelocked on purpose: a lost or compromised guardian key has to be replaceable at once
+     */
+    function setGuardian(address _guardian) external onlyOwner {
+        require(_guardian != address(0), "Invalid guardian address");
+        guardian = _guardian;
+        emit GuardianUpdated(_guardian);
+    }
+    
+    /**
+     * @dev Hand exchange rate and fee changes to the parameter timelock (owner only)
+     * @param _parameterTimelock Address of the ParameterTimelock contract
+     * @notice Can only be set once, the timelock must point back to this DEX
+     */
+    function setParameterTimelock(address _parameterTimelock) external onlyOwner {
+        require(parameterTimelock == address(0), "Parameter timelock already set");
+        require(address(ParameterTimelock(_parameterTimelock).simpleDEX()) == address(this), "Timelock not linked to this DEX");
+        parameterTimelock = _parameterTimelock;
+        emit ParameterTimelockSet(_parameterTimelock);
+    }
+    
+    /**
+     * @dev Pause swaps and liquidity changes (guardian only)
+     * @notice emergencyWithdraw stays available to the owner while paused
+     */
+    function pause() external onlyGuardian {
+        _pause();
+    }
+    
+    /**
+     * @dev Resume swaps and liquidity changes (guardian only)
+     */
+    function unpause() external onlyGuardian {
+        _unpause();
+    }
+    
     /**
      * @dev Get current DEX status
      * @return ethBalance Current ETH liquidity
      * @return tokenBalance Current token liquidity
-     * @return currentRate Current exchange rate
+     * @return currentRate Current exchange rate (used in FixedRate mode)
      * @return currentFee Current fee percentage
+     * @return spotPrice LOYAL per ETH (18 decimals) a marginal swap is priced at: the reserve
+     *         ratio in ConstantProduct mode (0 while the pool is empty), the exchange rate otherwise
+     * @return mode Current pricing mode
      */
     function getDEXStatus() external view returns (
         uint256 ethBalance,
         uint256 tokenBalance,
         uint256 currentRate,
-        uint256 currentFee
+        uint256 currentFee,
+        uint256 spotPrice,
+        PricingMode mode
     ) {
-        return (ethLiquidity, tokenLiquidity, exchangeRate, feePercentage);
+        return (ethLiquidity, tokenLiquidity, exchangeRate, feePercentage, _spotPrice(), pricingMode);
+    }
+    
+    /**
+     * @dev Time-weighted average price over a past period
+     * @param _period Length of the period in seconds, ending now
+     * @return price Average LOYAL per ETH (18 decimals) a marginal swap was priced at
+     * @notice Averages from the newest observation taken at least _period ago. Observations are only
+     *         taken by price updates (swaps, liquidity and price parameter changes), at most one per
+     *         OBSERVATION_INTERVAL, so the window is up to OBSERVATION_INTERVAL longer than _period while
+     *         the pool is updated regularly, but after a quiet spell it reaches back to the last observation
+     *         before it and can be much longer. Prices count from the block after the change that set them,
+     *         a swap cannot move the average of the block it is in
+     *
+     * Requirements:
+     * - _period must be positive
+     * - An observation at least _period old must still be in the buffer (about 24 hours of history)
+     */
+    function consult(uint256 _period) external view returns (uint256 price) {
+        require(_period > 0, "Period must be positive");
+        uint256 target = block.timestamp - Math.min(_period, block.timestamp);
+        
+        // Walk back from the newest observation to the first one at or before the target
+        uint256 available = Math.min(observationCount, OBSERVATION_SLOTS);
+        for (uint256 i = 0; i < available; i++) {
+            Observation memory observation = observations[(observationCount - 1 - i) % OBSERVATION_SLOTS];
+            if (observation.timestamp <= target) {
+                uint256 elapsed = block.timestamp - observation.timestamp;
+                return (_currentCumulative() - observation.priceCumulative) / elapsed;
+            }
+        }
+        revert("Not enough price history");
+    }
+    
+    /**
+     * @dev Get the swap fee accounting
+     * @return ethFees ETH fees charged on LOYAL → ETH swaps (LP and protocol parts)
+     * @return tokenFees LOYAL fees charged on ETH → LOYAL swaps (LP and protocol parts)
+     * @return lpEth ETH fees kept in the pool for the LPs
+     * @return lpTokens LOYAL fees kept in the pool for the LPs
+     * @return pendingEth Protocol ETH fees waiting for collectProtocolFees
+     * @return pendingTokens Protocol LOYAL fees waiting for collectProtocolFees
+     */
+    function getFeeStats() external view returns (
+        uint256 ethFees,
+        uint256 tokenFees,
+        uint256 lpEth,
+        uint256 lpTokens,
+        uint256 pendingEth,
+        uint256 pendingTokens
+    ) {
+        return (
+            lpEthFees + protocolEthFees,
+            lpTokenFees + protocolTokenFees,
+            lpEthFees,
+            lpTokenFees,
+            pendingProtocolEthFees,
+            pendingProtocolTokenFees
+        );
+    }
+    
+    /**
+     * @dev Get the liquidity position of a provider
+     * @param _provider LP share holder
+     * @return shares LP shares held
+     * @return totalShares LP shares in circulation
+     * @return ethAmount ETH the shares can be redeemed for
+     * @return tokenAmount Tokens the shares can be redeemed for
+     */
+    function getLiquidityPosition(address _provider) external view returns (
+        uint256 shares,
+        uint256 totalShares,
+        uint256 ethAmount,
+        uint256 tokenAmount
+    ) {
+        shares = balanceOf(_provider);
+        totalShares = totalSupply();
+        (ethAmount, tokenAmount) = _sharesValue(shares);
     }
     
     /**
@@ -191,29 +580,127 @@ contract SimpleDEX is Ownable, ReentrancyGuard {
      * @param _ethToToken Direction of swap
      * @return outputAmount Amount to receive
      * @return feeAmount Fee to be charged
+     * @return priceImpact Output lost to moving the reserves, in basis points of the output at the
+     *         spot price (always 0 in FixedRate mode)
      */
     function calculateSwap(uint256 _inputAmount, bool _ethToToken) 
         external 
         view 
-        returns (uint256 outputAmount, uint256 feeAmount) 
+        returns (uint256 outputAmount, uint256 feeAmount, uint256 priceImpact) 
     {
-        if (_ethToToken) {
-            // ETH to Token
-            uint256 tokenAmount = (_inputAmount * exchangeRate) / 1e18;
-            feeAmount = (tokenAmount * feePercentage) / 10000;
-            outputAmount = tokenAmount - feeAmount;
+        return _quote(_inputAmount, _ethToToken);
+    }
+    
+    /**
+     * @dev Accrues the price in effect since the last update and samples an observation
+     *      every OBSERVATION_INTERVAL, called before anything that moves the spot price
+     */
+    function _updatePrice() internal {
+        if (block.timestamp == lastPriceUpdate) return;
+        priceCumulative = _currentCumulative();
+        lastPriceUpdate = block.timestamp;
+        
+        Observation memory newest = observations[(observationCount - 1) % OBSERVATION_SLOTS];
+        if (block.timestamp >= newest.timestamp + OBSERVATION_INTERVAL) {
+            observations[observationCount % OBSERVATION_SLOTS] = Observation(block.timestamp, priceCumulative);
+            observationCount++;
+        }
+    }
+    
+    /**
+     * @dev Cumulative price extended to the current block with the current spot price
+     */
+    function _currentCumulative() internal view returns (uint256) {
+        return priceCumulative + _spotPrice() * (block.timestamp - lastPriceUpdate);
+    }
+    
+    /**
+     * @dev LOYAL per ETH (18 decimals) a marginal swap is priced at: the reserve ratio in
+     *      ConstantProduct mode (0 while the pool is empty), the exchange rate otherwise
+     */
+    function _spotPrice() internal view returns (uint256) {
+        if (pricingMode == PricingMode.FixedRate) {
+            return exchangeRate;
+        }
+        return ethLiquidity > 0 ? (tokenLiquidity * 1e18) / ethLiquidity : 0;
+    }
+    
+    /**
+     * @dev Pro-rata part of both reserves for an amount of LP shares
+     */
+    function _sharesValue(uint256 _shares) internal view returns (uint256 ethAmount, uint256 tokenAmount) {
+        uint256 supply = totalSupply();
+        if (supply == 0) return (0, 0);
+        ethAmount = (_shares * ethLiquidity) / supply;
+        tokenAmount = (_shares * tokenLiquidity) / supply;
+    }
+    
+    /**
+     * @dev Books a swap fee, split between the LPs and the protocol by protocolFeeShare
+     * @param _fee Fee charged, in the output asset
+     * @param _inTokens Whether the fee is in LOYAL (ETH → LOYAL swap) or in ETH
+     * @return protocolFee Part of the fee owed to the protocol, to be taken out of the reserves
+     */
+    function _accrueFee(uint256 _fee, bool _inTokens) internal returns (uint256 protocolFee) {
+        protocolFee = (_fee * protocolFeeShare) / 10000;
+        if (_inTokens) {
+            lpTokenFees += _fee - protocolFee;
+            protocolTokenFees += protocolFee;
+            pendingProtocolTokenFees += protocolFee;
         } else {
-            // Token to ETH
-            uint256 ethAmount = (_inputAmount * 1e18) / exchangeRate;
-            feeAmount = (ethAmount * feePercentage) / 10000;
-            outputAmount = ethAmount - feeAmount;
+            lpEthFees += _fee - protocolFee;
+            protocolEthFees += protocolFee;
+            pendingProtocolEthFees += protocolFee;
         }
     }
     
+    /**
+     * @dev Prices a swap in the current pricing mode, the fee is taken from the output
+     * @param _inputAmount Input amount
+     * @param _ethToToken Direction of swap
+     * @return outputAmount Amount to receive
+     * @return feeAmount Fee to be charged
+     * @return priceImpact Price impact in basis points
+     */
+    function _quote(uint256 _inputAmount, bool _ethToToken)
+        internal
+        view
+        returns (uint256 outputAmount, uint256 feeAmount, uint256 priceImpact)
+    {
+        uint256 grossOutput;
+        if (pricingMode == PricingMode.ConstantProduct) {
+            uint256 reserveIn = _ethToToken ? ethLiquidity : tokenLiquidity;
+            uint256 reserveOut = _ethToToken ? tokenLiquidity : ethLiquidity;
+            if (reserveIn == 0 || reserveOut == 0) return (0, 0, 0);
+            
+            // (reserveIn + input) * (reserveOut - output) = reserveIn * reserveOut
+            grossOutput = (_inputAmount * reserveOut) / (reserveIn + _inputAmount);
+            uint256 spotOutput = (_inputAmount * reserveOut) / reserveIn;
+            if (spotOutput > 0) {
+                priceImpact = ((spotOutput - grossOutput) * 10000) / spotOutput;
+            }
+        } else if (_ethToToken) {
+            grossOutput = (_inputAmount * exchangeRate) / 1e18;
+        } else {
+            grossOutput = (_inputAmount * 1e18) / exchangeRate;
+        }
+        
+        feeAmount = (grossOutput * feePercentage) / 10000;
+        outputAmount = grossOutput - feeAmount;
+    }
+    
     /**
      * @dev Emergency withdrawal function (owner only)
+     * @notice Empties the contract balances, which would leave LP shares worthless, so it is only
+     *         available before the first deposit; once LP shares exist, pause the DEX and let LPs
+     *         withdraw with removeLiquidity instead
+     *
+     * Requirements:
+     * - No LP shares must have been minted
      */
     function emergencyWithdraw() external onlyOwner {
+        require(totalSupply() == 0, "LP shares outstanding");
+        _updatePrice();
         uint256 ethBalance = address(this).balance;
         uint256 tokenBalance = loyalToken.balanceOf(address(this));
         
@@ -227,5 +714,7 @@ contract SimpleDEX is Ownable, ReentrancyGuard {
         
         ethLiquidity = 0;
         tokenLiquidity = 0;
+        pendingProtocolEthFees = 0;
+        pendingProtocolTokenFees = 0;
     }
 }
@@ -1,16 +1,44 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
 import WalletConnector from './components/WalletConnector';
 import TokenManagementForm from './components/CreateTokenForm';
 import EarnTokensForm from './components/EarnTokensForm';
 import TokenSwapForm from './components/TokenSwapForm';
 import BusinessDashboard from './components/BusinessDashboard';
 import CouponManager from './components/CouponManager';
-import { Users, Building2, ArrowLeftRight, Sparkles, TrendingUp, Shield } from 'lucide-react';
+import LoyaltyTierCard from './components/LoyaltyTierCard';
+import ReferralPanel from './components/ReferralPanel';
+import { isTokenPaused } from './services/token';
+import { getDEXPauseStatus } from './services/dex';
+import { Users, Building2, ArrowLeftRight, Sparkles, TrendingUp, Shield, AlertTriangle } from 'lucide-react';
 import './App.css';
 
 function App() {
   const [currentAccount, setCurrentAccount] = useState(null);
   const [activeTab, setActiveTab] = useState('customer');
+  const [pauseStatus, setPauseStatus] = useState({ token: false, dex: false });
+
+  // Poll the emergency pause state of both contracts
+  useEffect(() => {
+    if (!window.ethereum || !currentAccount) return;
+
+    const loadPauseStatus = async () => {
+      try {
+        const provider = new ethers.BrowserProvider(window.ethereum);
+        const [tokenPaused, dexStatus] = await Promise.all([
+          isTokenPaused(),
+          getDEXPauseStatus(provider)
+        ]);
+        setPauseStatus({ token: tokenPaused, dex: dexStatus.success && dexStatus.paused });
+      } catch (error) {
+        console.error("Error loading pause status:", error);
+      }
+    };
+
+    loadPauseStatus();
+    const interval = setInterval(loadPauseStatus, 15000);
+    return () => clearInterval(interval);
+  }, [currentAccount]);
 
   const getTabIcon = (tabName) => {
     const iconProps = { size: 20, className: "inline mr-2" };
@@ -46,6 +74,22 @@ function App() {
         <WalletConnector onAccountChange={setCurrentAccount} />
       </div>
 
+      {/* Emergency Pause Banner */}
+      {(pauseStatus.token || pauseStatus.dex) && (
+        <div className="max-w-4xl mx-auto mb-6 p-4 rounded-lg bg-red-100 border-2 border-red-500 text-red-800 flex items-start gap-3" role="alert">
+          <AlertTriangle className="flex-shrink-0 mt-0.5" size={24} />
+          <div className="text-left">
+            <p className="font-bold">Emergency mode: some features are paused</p>
+            {pauseStatus.token && (
+              <p className="text-sm">Earning tokens, vouchers and coupon creation, use and redemption are temporarily disabled. Balances and transfers are not affected.</p>
+            )}
+            {pauseStatus.dex && (
+              <p className="text-sm">DEX swaps and new liquidity are temporarily disabled. Liquidity providers can still withdraw.</p>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Tab Navigation */}
       <div className="max-w-4xl mx-auto mb-6">
         <div className="flex justify-center border-b-2 border-gray-200">
@@ -88,6 +132,12 @@ function App() {
               </p>
             </div>
 
+            {/* Loyalty Tier */}
+            <LoyaltyTierCard currentAccount={currentAccount} />
+
+            {/* Referral Program */}
+            <ReferralPanel currentAccount={currentAccount} />
+
             {/* Customer Actions Grid */}
             <div className="grid md:grid-cols-2 gap-6">
               {/* Earn Tokens Section */}
@@ -7,9 +7,16 @@
 
 import { useState, useEffect } from "react";
 import { ethers } from "ethers";
-import { getTokenMetrics } from "../services/token";
-import { getDEXStatus, addLiquidity } from "../services/dex";
-import { TrendingUp, DollarSign, BarChart3, Droplets, RefreshCw, ExternalLink } from 'lucide-react';
+import { getTokenMetrics, getAccountRoles, grantRole, revokeRole, isTokenPaused, setTokenPaused } from "../services/token";
+import { getDEXStatus, addLiquidity, getDEXPauseStatus, setDEXPaused } from "../services/dex";
+import MerchantRegistry from "./MerchantRegistry";
+import CampaignScheduler from "./CampaignScheduler";
+import EmissionBudgetCard from "./EmissionBudgetCard";
+import PendingChangesPanel from "./PendingChangesPanel";
+import CouponRedemption from "./CouponRedemption";
+import LiquidityPositions from "./LiquidityPositions";
+import FeeRevenueChart from "./FeeRevenueChart";
+import { TrendingUp, DollarSign, BarChart3, Droplets, RefreshCw, ExternalLink, KeyRound, OctagonPause } from 'lucide-react';
 
 const BusinessDashboard = ({ currentAccount }) => {
 // Dashboard state
@@ -18,14 +25,19 @@ const BusinessDashboard = ({ currentAccount }) => {
     totalMinted: "0",
     totalBurned: "0",
     emissionRate: "0",
-    unitValue: "0"
+    unitValue: "0",
+    totalSpent: "0",
+    totalEarned: "0",
+    earningCustomers: 0
   });
   
   const [dexMetrics, setDexMetrics] = useState({
     ethLiquidity: "0",
     tokenLiquidity: "0",
     exchangeRate: "0",
-    feePercentage: "0"
+    feePercentage: "0",
+    spotPrice: "0",
+    pricingMode: "fixedRate"
   });
   
   const [liquidityForm, setLiquidityForm] = useState({
@@ -33,6 +45,19 @@ const BusinessDashboard = ({ currentAccount }) => {
     tokenAmount: ""
   });
   
+  const [roles, setRoles] = useState(null);
+  
+  const [pauseState, setPauseState] = useState({
+    token: false,
+    dex: false,
+    dexGuardian: ""
+  });
+  
+  const [roleForm, setRoleForm] = useState({
+    role: "merchant",
+    account: ""
+  });
+  
   const [isLoading, setIsLoading] = useState(false);
   const [status, setStatus] = useState("");
 
@@ -61,6 +86,89 @@ const BusinessDashboard = ({ currentAccount }) => {
     }
   };
 
+  /**
+   * Load the roles held by the connected account
+   */
+  const loadRoles = async () => {
+    if (!window.ethereum || !currentAccount) {
+      setRoles(null);
+      return;
+    }
+
+    try {
+      setRoles(await getAccountRoles(currentAccount));
+
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const [tokenPaused, dexPause] = await Promise.all([isTokenPaused(), getDEXPauseStatus(provider)]);
+      setPauseState({
+        token: tokenPaused,
+        dex: dexPause.success && dexPause.paused,
+        dexGuardian: dexPause.success ? dexPause.guardian : ""
+      });
+    } catch (error) {
+      console.error("Error loading account roles:", error);
+    }
+  };
+
+  /**
+   * Pause or resume a contract (guardian only)
+   * @param {string} target - "token" or "dex"
+   */
+  const handleTogglePause = async (target) => {
+    const pause = !pauseState[target];
+    const label = target === "token" ? "LoyaltyToken" : "DEX";
+
+    setIsLoading(true);
+    setStatus(`${pause ? "Pausing" : "Resuming"} ${label}...`);
+
+    try {
+      if (target === "token") {
+        await setTokenPaused(pause);
+      } else {
+        const provider = new ethers.BrowserProvider(window.ethereum);
+        const result = await setDEXPaused(pause, await provider.getSigner());
+        if (!result.success) throw new Error(result.error);
+      }
+      setStatus(`Successfully ${pause ? "paused" : "resumed"} ${label}`);
+      await loadRoles();
+    } catch (error) {
+      console.error("Error changing pause status:", error);
+      setStatus(`Failed to ${pause ? "pause" : "resume"} ${label}: ${error.reason || error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const isDexGuardian = Boolean(currentAccount && pauseState.dexGuardian &&
+    pauseState.dexGuardian.toLowerCase() === currentAccount.toLowerCase());
+
+  /**
+   * Handle granting or revoking a role (admin only)
+   */
+  const handleRoleChange = async (grant) => {
+    if (!roleForm.account) {
+      setStatus("Please enter an account address");
+      return;
+    }
+
+    setIsLoading(true);
+    setStatus(grant ? "Granting role..." : "Revoking role...");
+
+    try {
+      const hash = grant
+        ? await grantRole(roleForm.role, roleForm.account)
+        : await revokeRole(roleForm.role, roleForm.account);
+      setStatus(`Successfully ${grant ? "granted" : "revoked"} ${roleForm.role} role. Transaction: ${hash}`);
+      setRoleForm({ ...roleForm, account: "" });
+      await loadRoles();
+    } catch (error) {
+      console.error("Error updating role:", error);
+      setStatus(`Failed to update role: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   /**
    * Handle adding liquidity to DEX
    */
@@ -112,6 +220,11 @@ const BusinessDashboard = ({ currentAccount }) => {
     return () => clearInterval(interval);
   }, []);
 
+  // Load roles when the connected account changes
+  useEffect(() => {
+    loadRoles();
+  }, [currentAccount]);
+
   return (
     <div className="space-y-6">
       {/* Dashboard Header */}
@@ -148,6 +261,7 @@ const BusinessDashboard = ({ currentAccount }) => {
           <div className="mt-3 text-xs text-gray-600 space-y-1">
             <div>Minted: {parseFloat(metrics.totalMinted).toFixed(2)}</div>
             <div>Burned: {parseFloat(metrics.totalBurned).toFixed(2)}</div>
+            <div>Earned on purchases: {parseFloat(metrics.totalEarned).toFixed(2)}</div>
           </div>
         </div>
 
@@ -167,7 +281,11 @@ const BusinessDashboard = ({ currentAccount }) => {
           </div>
           <div className="mt-3 text-xs text-gray-600 space-y-1">
             <div>LOYAL: {parseFloat(dexMetrics.tokenLiquidity).toFixed(2)}</div>
-            <div>Rate: {parseFloat(dexMetrics.exchangeRate).toFixed(0)} LOYAL/ETH</div>
+            <div>
+              {dexMetrics.pricingMode === "constantProduct"
+                ? `Spot: ${parseFloat(dexMetrics.spotPrice).toFixed(2)} LOYAL/ETH (x*y=k)`
+                : `Rate: ${parseFloat(dexMetrics.exchangeRate).toFixed(0)} LOYAL/ETH`}
+            </div>
           </div>
         </div>
 
@@ -188,6 +306,7 @@ const BusinessDashboard = ({ currentAccount }) => {
           <div className="mt-3 text-xs text-gray-600 space-y-1">
             <div>Unit Value: {metrics.unitValue}</div>
             <div>DEX Fee: {dexMetrics.feePercentage}%</div>
+            <div>Customers: {metrics.earningCustomers} · Spent: {metrics.totalSpent}</div>
           </div>
         </div>
 
@@ -213,62 +332,190 @@ const BusinessDashboard = ({ currentAccount }) => {
         </div>
       </div>
 
+      {/* Emission Budget Section */}
+      {currentAccount && (
+        <EmissionBudgetCard currentAccount={currentAccount} canManage={Boolean(roles && roles.isAdmin)} />
+      )}
+
+      {/* Pending Parameter Changes Section */}
+      {currentAccount && (
+        <PendingChangesPanel currentAccount={currentAccount} canManage={Boolean(roles && roles.isAdmin)} />
+      )}
+
       {/* Liquidity Management Section */}
-      <div className="card-elegant p-6">
-        <h4 className="text-lg font-semibold text-primary mb-3 flex items-center gap-2">
-          <Droplets size={20} />
-          Liquidity Management
-        </h4>
-        <p className="text-gray-600 text-sm mb-4">
-          Add liquidity to enable token trading. Both ETH and LOYAL tokens are required.
-        </p>
-
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              ETH Amount
-            </label>
-            <input
-              type="number"
-              placeholder="0.1"
-              value={liquidityForm.ethAmount}
-              onChange={(e) => setLiquidityForm({...liquidityForm, ethAmount: e.target.value})}
-              disabled={isLoading}
-              min="0"
-              step="0.01"
-              className="input-elegant w-full"
-            />
-          </div>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="card-elegant p-6">
+          <h4 className="text-lg font-semibold text-primary mb-3 flex items-center gap-2">
+            <Droplets size={20} />
+            Liquidity Management
+          </h4>
+          <p className="text-gray-600 text-sm mb-4">
+            Add liquidity to enable token trading. Both ETH and LOYAL tokens are required; once the pool
+            has liquidity they are matched to its current ratio and you receive LOYAL-LP shares.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                ETH Amount
+              </label>
+              <input
+                type="number"
+                placeholder="0.1"
+                value={liquidityForm.ethAmount}
+                onChange={(e) => setLiquidityForm({...liquidityForm, ethAmount: e.target.value})}
+                disabled={isLoading}
+                min="0"
+                step="0.01"
+                className="input-elegant w-full"
+              />
+            </div>
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              LOYAL Amount
-            </label>
-            <input
-              type="number"
-              placeholder="100"
-              value={liquidityForm.tokenAmount}
-              onChange={(e) => setLiquidityForm({...liquidityForm, tokenAmount: e.target.value})}
-              disabled={isLoading}
-              min="0"
-              step="1"
-              className="input-elegant w-full"
-            />
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                LOYAL Amount
+              </label>
+              <input
+                type="number"
+                placeholder="100"
+                value={liquidityForm.tokenAmount}
+                onChange={(e) => setLiquidityForm({...liquidityForm, tokenAmount: e.target.value})}
+                disabled={isLoading}
+                min="0"
+                step="1"
+                className="input-elegant w-full"
+              />
+            </div>
           </div>
+
+          <button
+            onClick={handleAddLiquidity}
+            disabled={isLoading || !currentAccount}
+            className={`w-full py-3 px-4 rounded-lg font-medium transition-all flex items-center justify-center gap-2 ${
+              currentAccount ? 'btn-primary' : 'bg-gray-400 text-white cursor-not-allowed'
+            }`}
+          >
+            <Droplets size={16} />
+            {isLoading ? "Processing..." : "Add Liquidity"}
+          </button>
         </div>
 
-        <button
-          onClick={handleAddLiquidity}
-          disabled={isLoading || !currentAccount}
-          className={`w-full py-3 px-4 rounded-lg font-medium transition-all flex items-center justify-center gap-2 ${
-            currentAccount ? 'btn-primary' : 'bg-gray-400 text-white cursor-not-allowed'
-          }`}
-        >
-          <Droplets size={16} />
-          {isLoading ? "Processing..." : "Add Liquidity"}
-        </button>
+        {/* Liquidity Positions */}
+        {currentAccount && <LiquidityPositions currentAccount={currentAccount} />}
       </div>
 
+      {/* DEX Fee Revenue Section */}
+      {currentAccount && <FeeRevenueChart currentAccount={currentAccount} />}
+
+      {/* Access & Roles Section */}
+      {currentAccount && roles && (
+        <div className="card-elegant p-6">
+          <h4 className="text-lg font-semibold text-primary mb-3 flex items-center gap-2">
+            <KeyRound size={20} />
+            Access & Roles
+          </h4>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4 text-sm">
+            <div>Admin: {roles.isAdmin ? "🟢 Yes" : "⚪ No"}</div>
+            <div>Merchant: {roles.isMerchant ? "🟢 Yes" : "⚪ No"}</div>
+            <div>Cashier/POS: {roles.isMinter ? "🟢 Yes" : "⚪ No"}</div>
+            <div>Auditor: {roles.isAuditor ? "🟢 Yes" : "⚪ No"}</div>
+            <div>Guardian: {roles.isGuardian ? "🟢 Yes" : "⚪ No"}</div>
+          </div>
+          <div className="text-xs text-gray-600 space-y-1 mb-4">
+            <div>Reward customers: {roles.canEarnForCustomers ? "🟢 Allowed" : "🔴 Not allowed"}</div>
+            <div>Change emission rate, unit value and coupon fee: {roles.canConfigure ? "🟢 Allowed" : "🔴 Not allowed"}</div>
+          </div>
+
+          {(roles.canPause || isDexGuardian) && (
+            <div className="mb-4 p-4 rounded-lg border border-red-200 bg-red-50">
+              <h5 className="text-sm font-semibold text-red-800 mb-2 flex items-center gap-2">
+                <OctagonPause size={16} />
+                Emergency Pause
+              </h5>
+              <p className="text-xs text-gray-600 mb-3">
+                Pausing stops reward minting and coupon operations on LoyaltyToken, or swaps and new liquidity on the DEX (LPs can still withdraw).
+              </p>
+              <div className="flex flex-wrap gap-3">
+                {roles.canPause && (
+                  <button
+                    onClick={() => handleTogglePause("token")}
+                    disabled={isLoading}
+                    className={`${pauseState.token ? "btn-primary" : "btn-secondary"} py-2 px-4 text-sm`}
+                  >
+                    {pauseState.token ? "Resume LoyaltyToken" : "Pause LoyaltyToken"}
+                  </button>
+                )}
+                {isDexGuardian && (
+                  <button
+                    onClick={() => handleTogglePause("dex")}
+                    disabled={isLoading}
+                    className={`${pauseState.dex ? "btn-primary" : "btn-secondary"} py-2 px-4 text-sm`}
+                  >
+                    {pauseState.dex ? "Resume DEX" : "Pause DEX"}
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {roles.canManageRoles && (
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+              <select
+                value={roleForm.role}
+                onChange={(e) => setRoleForm({...roleForm, role: e.target.value})}
+                disabled={isLoading}
+                className="input-elegant w-full"
+              >
+                <option value="merchant">Merchant</option>
+                <option value="minter">Cashier/POS</option>
+                <option value="auditor">Auditor</option>
+                <option value="guardian">Guardian</option>
+                <option value="admin">Admin</option>
+              </select>
+              <input
+                type="text"
+                placeholder="0x..."
+                value={roleForm.account}
+                onChange={(e) => setRoleForm({...roleForm, account: e.target.value})}
+                disabled={isLoading}
+                className="input-elegant w-full md:col-span-2"
+              />
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleRoleChange(true)}
+                  disabled={isLoading}
+                  className="btn-primary flex-1 py-2 px-3 text-sm"
+                >
+                  Grant
+                </button>
+                <button
+                  onClick={() => handleRoleChange(false)}
+                  disabled={isLoading}
+                  className="btn-secondary flex-1 py-2 px-3 text-sm"
+                >
+                  Revoke
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Merchant Registry Section */}
+      {currentAccount && (
+        <MerchantRegistry currentAccount={currentAccount} canManage={Boolean(roles && roles.isAdmin)} />
+      )}
+
+      {/* Bonus Campaigns Section */}
+      {currentAccount && (
+        <CampaignScheduler currentAccount={currentAccount} canManage={Boolean(roles && roles.isAdmin)} />
+      )}
+
+      {/* Coupon Redemption Section */}
+      {currentAccount && (
+        <CouponRedemption currentAccount={currentAccount} />
+      )}
+
       {/* Quick Actions */}
       <div className="card-elegant p-6">
         <h4 className="text-lg font-semibold text-primary mb-4">⚡ Quick Actions</h4>
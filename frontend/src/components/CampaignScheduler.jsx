@@ -0,0 +1,335 @@
+/**
+ * CampaignScheduler Component v1.0
+ *
+ * Business Dashboard section for time-boxed bonus campaigns ("2x points
+ * this weekend", "+50% at restaurants in December"). Lists active and
+ * upcoming campaigns with their scope and budget consumed, keeps past
+ * campaigns in a collapsed history, and lets admins schedule and cancel
+ * campaigns.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.currentAccount - Connected wallet address
+ * @param {boolean} props.canManage - Whether the connected account can manage campaigns (admin)
+ *
+ * @example
+ * return (
+ *   <CampaignScheduler currentAccount={walletAddress} canManage={roles.isAdmin} />
+ * )
+ *
+ * @version 1.0.0
+ * @author Fernanda
+ */
+
+import { useState, useEffect } from "react";
+import { getCampaigns, createCampaign, cancelCampaign, getMerchants } from "../services/token";
+import { BUSINESS_TYPES } from "../config/contracts";
+import { CalendarClock, XCircle } from 'lucide-react';
+
+const EMPTY_FORM = {
+  name: "",
+  start: "",
+  end: "",
+  multiplier: "2",
+  merchantId: "0",
+  businessType: "",
+  budget: ""
+};
+
+const STATUS_STYLES = {
+  active: "bg-green-100 text-green-800",
+  upcoming: "bg-blue-100 text-blue-800",
+  ended: "bg-gray-200 text-gray-700",
+  cancelled: "bg-red-100 text-red-800"
+};
+
+const formatDate = (seconds) => new Date(seconds * 1000).toLocaleString();
+
+const toSeconds = (dateTimeLocal) => Math.floor(new Date(dateTimeLocal).getTime() / 1000);
+
+const CampaignScheduler = ({ currentAccount, canManage }) => {
+  const [campaigns, setCampaigns] = useState([]);
+  const [merchants, setMerchants] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showHistory, setShowHistory] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [status, setStatus] = useState("");
+
+  /**
+   * Load campaigns and merchants (for the scope selector)
+   */
+  const loadCampaigns = async () => {
+    try {
+      if (!window.ethereum || !currentAccount) return;
+      const [campaignList, merchantList] = await Promise.all([getCampaigns(), getMerchants()]);
+      setCampaigns(campaignList);
+      setMerchants(merchantList);
+    } catch (error) {
+      console.error("Error loading campaigns:", error);
+    }
+  };
+
+  /**
+   * Schedule a new campaign
+   */
+  const handleCreate = async () => {
+    setIsLoading(true);
+    setStatus("Scheduling campaign...");
+
+    try {
+      const result = await createCampaign(
+        form.name,
+        toSeconds(form.start),
+        toSeconds(form.end),
+        form.multiplier,
+        form.merchantId,
+        form.businessType,
+        form.budget
+      );
+      setStatus(`Successfully scheduled campaign #${result.campaignId}`);
+      setForm(EMPTY_FORM);
+      await loadCampaigns();
+    } catch (error) {
+      console.error("Error scheduling campaign:", error);
+      setStatus(`Failed to schedule campaign: ${error.reason || error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Cancel a scheduled or running campaign
+   */
+  const handleCancel = async (campaign) => {
+    setIsLoading(true);
+    setStatus(`Cancelling ${campaign.name}...`);
+
+    try {
+      await cancelCampaign(campaign.id);
+      setStatus(`Successfully cancelled ${campaign.name}`);
+      await loadCampaigns();
+    } catch (error) {
+      console.error("Error cancelling campaign:", error);
+      setStatus(`Failed to cancel campaign: ${error.reason || error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Describe which purchases a campaign applies to
+   */
+  const describeScope = (campaign) => {
+    const parts = [];
+    if (campaign.merchantId !== "0") {
+      const merchant = merchants.find((m) => m.id === campaign.merchantId);
+      parts.push(merchant ? merchant.name : `Merchant #${campaign.merchantId}`);
+    }
+    if (campaign.businessType) {
+      parts.push(campaign.businessType);
+    }
+    return parts.length > 0 ? parts.join(" · ") : "All purchases";
+  };
+
+  // Refresh periodically so campaigns move from upcoming to active to ended
+  useEffect(() => {
+    loadCampaigns();
+    const interval = setInterval(loadCampaigns, 30000);
+    return () => clearInterval(interval);
+  }, [currentAccount]);
+
+  const liveCampaigns = campaigns.filter((c) => c.status === "active" || c.status === "upcoming");
+  const pastCampaigns = campaigns.filter((c) => c.status === "ended" || c.status === "cancelled");
+
+  const renderTable = (list, allowCancel) => (
+    <div className="overflow-x-auto mb-4">
+      <table className="w-full text-sm text-left">
+        <thead>
+          <tr className="text-gray-600 border-b border-gray-200">
+            <th className="py-2">Campaign</th>
+            <th className="py-2">Period</th>
+            <th className="py-2">Bonus</th>
+            <th className="py-2">Scope</th>
+            <th className="py-2">Budget consumed</th>
+            <th className="py-2">Status</th>
+            {allowCancel && canManage && <th className="py-2"></th>}
+          </tr>
+        </thead>
+        <tbody>
+          {list.map((campaign) => (
+            <tr key={campaign.id} className="border-b border-gray-100">
+              <td className="py-2">#{campaign.id} {campaign.name}</td>
+              <td className="py-2 text-xs">
+                {formatDate(campaign.startTime)}<br />→ {formatDate(campaign.endTime)}
+              </td>
+              <td className="py-2">{campaign.multiplier}x</td>
+              <td className="py-2 capitalize">{describeScope(campaign)}</td>
+              <td className="py-2 min-w-[140px]">
+                {campaign.budgetUsed === null ? (
+                  <span>{parseFloat(campaign.bonusMinted).toFixed(2)} LOYAL (no cap)</span>
+                ) : (
+                  <>
+                    <div className="w-full bg-gray-200 rounded-full h-2 mb-1">
+                      <div
+                        className={`h-2 rounded-full ${campaign.budgetUsed >= 100 ? "bg-red-500" : "bg-gradient-to-r from-primary to-secondary"}`}
+                        style={{ width: `${Math.min(campaign.budgetUsed, 100)}%` }}
+                      />
+                    </div>
+                    <span className="text-xs text-gray-600">
+                      {parseFloat(campaign.bonusMinted).toFixed(2)} / {parseFloat(campaign.budget).toFixed(2)} LOYAL
+                    </span>
+                  </>
+                )}
+              </td>
+              <td className="py-2">
+                <span className={`px-2 py-1 rounded-full text-xs font-semibold capitalize ${STATUS_STYLES[campaign.status]}`}>
+                  {campaign.status}
+                </span>
+              </td>
+              {allowCancel && canManage && (
+                <td className="py-2">
+                  <button
+                    onClick={() => handleCancel(campaign)}
+                    disabled={isLoading}
+                    className="text-red-600"
+                    title="Cancel campaign"
+                  >
+                    <XCircle size={16} />
+                  </button>
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div className="card-elegant p-6">
+      <h4 className="text-lg font-semibold text-primary mb-3 flex items-center gap-2">
+        <CalendarClock size={20} />
+        Bonus Campaigns
+      </h4>
+      <p className="text-gray-600 text-sm mb-4">
+        Campaigns boost every matching purchase reward while they run, e.g. 2x for double points or 1.5x for +50%, until their budget is spent.
+        Overlapping campaigns add up their bonuses: 2x and 1.5x together pay 2.5x, not 3x.
+      </p>
+
+      {/* Active and Upcoming Campaigns */}
+      {liveCampaigns.length === 0 ? (
+        <p className="text-gray-500 text-sm italic mb-4">No active or upcoming campaigns.</p>
+      ) : (
+        renderTable(liveCampaigns, true)
+      )}
+
+      {/* Campaign History */}
+      {pastCampaigns.length > 0 && (
+        <div className="mb-4">
+          <button
+            onClick={() => setShowHistory(!showHistory)}
+            className="text-secondary text-sm mb-2"
+          >
+            {showHistory ? "Hide" : "Show"} past campaigns ({pastCampaigns.length})
+          </button>
+          {showHistory && renderTable(pastCampaigns, false)}
+        </div>
+      )}
+
+      {/* Schedule Form */}
+      {canManage && (
+        <div>
+          <h5 className="text-sm font-semibold text-gray-700 mb-2">Schedule campaign</h5>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-3">
+            <input
+              type="text"
+              placeholder="Name (e.g. Double points weekend)"
+              value={form.name}
+              onChange={(e) => setForm({...form, name: e.target.value})}
+              disabled={isLoading}
+              className="input-elegant w-full md:col-span-2"
+            />
+            <input
+              type="datetime-local"
+              title="Start"
+              value={form.start}
+              onChange={(e) => setForm({...form, start: e.target.value})}
+              disabled={isLoading}
+              className="input-elegant w-full"
+            />
+            <input
+              type="datetime-local"
+              title="End"
+              value={form.end}
+              onChange={(e) => setForm({...form, end: e.target.value})}
+              disabled={isLoading}
+              className="input-elegant w-full"
+            />
+            <input
+              type="number"
+              placeholder="Multiplier (2 = double points)"
+              value={form.multiplier}
+              onChange={(e) => setForm({...form, multiplier: e.target.value})}
+              disabled={isLoading}
+              min="1.01"
+              max="5"
+              step="0.05"
+              className="input-elegant w-full"
+            />
+            <select
+              value={form.merchantId}
+              onChange={(e) => setForm({...form, merchantId: e.target.value})}
+              disabled={isLoading}
+              className="input-elegant w-full"
+            >
+              <option value="0">Any merchant</option>
+              {merchants.map((merchant) => (
+                <option key={merchant.id} value={merchant.id}>#{merchant.id} {merchant.name}</option>
+              ))}
+            </select>
+            <select
+              value={form.businessType}
+              onChange={(e) => setForm({...form, businessType: e.target.value})}
+              disabled={isLoading}
+              className="input-elegant w-full"
+            >
+              <option value="">Any business type</option>
+              {BUSINESS_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              placeholder="Bonus budget in LOYAL (empty = no cap)"
+              value={form.budget}
+              onChange={(e) => setForm({...form, budget: e.target.value})}
+              disabled={isLoading}
+              min="0"
+              className="input-elegant w-full"
+            />
+          </div>
+          <button
+            onClick={handleCreate}
+            disabled={isLoading || !form.name || !form.start || !form.end}
+            className="btn-primary w-full py-2 px-4"
+          >
+            {isLoading ? "Processing..." : "Schedule Campaign"}
+          </button>
+        </div>
+      )}
+
+      {/* Status Display */}
+      {status && (
+        <div className={`mt-4 p-3 rounded-lg text-center text-sm font-medium ${
+          status.includes("Successfully") ? 'bg-green-100 text-green-800' :
+          status.includes("Failed") ? 'bg-red-100 text-red-800' :
+          'bg-blue-100 text-blue-800'
+        }`}>
+          {status}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CampaignScheduler;
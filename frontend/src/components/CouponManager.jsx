@@ -2,10 +2,14 @@
  * CouponManager Component
  * 
  * Comprehensive coupon management interface for LoyalLoop ecosystem:
- * - Create discount coupons by burning tokens
- * - View active and expired coupons
+ * - Create discount coupons by burning tokens, priced by the on-chain pricing table
+ * - View coupons page by page, filtered by status
  * - Use coupons for discounts
  * - Track coupon history and validity
+ * - Gift coupon NFTs to other wallets
+ * - Authorize a merchant to redeem a coupon at the till
+ * - Cancel unused coupons for a partial token refund
+ * - Warn about earned points expiring in the next 30 days
  * 
  * This component implements the core reward redemption system with
  * deflationary token economics through coupon creation.
@@ -19,12 +23,19 @@
  *   <CouponManager currentAccount={walletAddress} />
  * )
  * 
- * @version 3.0.0
+ * @version 3.2.0
  * @author Fernanda
  */
 
 import React, { useState, useEffect } from "react";
-import { createCoupon, getUserCoupons, applyCoupon, getBalance } from "../services/token";
+import { createCoupon, quoteCoupon, getCouponPricing, getUserCouponsPaged, applyCoupon, giftCoupon, authorizeCouponRedemption, cancelCoupon, getCancelRefundPercent, getBalance, getExpiringPoints } from "../services/token";
+import { BUSINESS_TYPES } from "../config/contracts";
+
+/** Days ahead to warn about expiring points */
+const EXPIRY_WARNING_DAYS = 30;
+
+/** Coupons shown per page */
+const COUPONS_PER_PAGE = 10;
 
 function CouponManager({ currentAccount }) {
   // State for creating coupons
@@ -32,10 +43,19 @@ function CouponManager({ currentAccount }) {
   const [discountPercent, setDiscountPercent] = useState("");
   const [businessType, setBusinessType] = useState("restaurant");
   const [validityDays, setValidityDays] = useState("30");
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState("");
+  const [maxDiscount, setMaxDiscount] = useState(null);
   
   // State for managing coupons
   const [coupons, setCoupons] = useState([]);
+  const [couponTotal, setCouponTotal] = useState(0);
+  const [couponFilter, setCouponFilter] = useState("all");
+  const [couponPage, setCouponPage] = useState(0);
   const [userBalance, setUserBalance] = useState("0");
+  const [expiringPoints, setExpiringPoints] = useState(null);
+  const [couponAction, setCouponAction] = useState({ couponId: null, type: null, to: "" });
+  const [refundPercent, setRefundPercent] = useState(null);
   const [status, setStatus] = useState("");
   const [isLoading, setIsLoading] = useState(false);
 
@@ -46,7 +66,41 @@ function CouponManager({ currentAccount }) {
     if (currentAccount) {
       loadUserData();
     }
-  }, [currentAccount]);
+  }, [currentAccount, couponFilter, couponPage]);
+
+  /**
+   * Load the pricing rule of the selected business type
+   */
+  useEffect(() => {
+    if (!currentAccount || !window.ethereum) return;
+
+    getCouponPricing(businessType)
+      .then((pricing) => setMaxDiscount(pricing.maxDiscount))
+      .catch((error) => console.error("Error loading coupon pricing:", error));
+  }, [currentAccount, businessType]);
+
+  /**
+   * Quote the coupon price whenever the discount or business type changes
+   */
+  useEffect(() => {
+    setQuote(null);
+    setQuoteError("");
+    setTokenAmount("");
+    if (!currentAccount || !window.ethereum || !discountPercent) return;
+
+    let cancelled = false;
+    quoteCoupon(parseInt(discountPercent), businessType)
+      .then((result) => {
+        if (cancelled) return;
+        setQuote(result);
+        setTokenAmount(result.tokensRequired);
+      })
+      .catch((error) => {
+        if (!cancelled) setQuoteError(error.reason || error.message);
+      });
+
+    return () => { cancelled = true; };
+  }, [currentAccount, discountPercent, businessType]);
 
   /**
    * Auto-refresh balance every 10 seconds when component is visible
@@ -59,7 +113,7 @@ function CouponManager({ currentAccount }) {
     }, 10000); // Refresh every 10 seconds
 
     return () => clearInterval(interval);
-  }, [currentAccount]);
+  }, [currentAccount, couponFilter, couponPage]);
 
   /**
    * Refresh data when component becomes visible
@@ -73,7 +127,7 @@ function CouponManager({ currentAccount }) {
 
     document.addEventListener('visibilitychange', handleVisibilityChange);
     return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
-  }, [currentAccount]);
+  }, [currentAccount, couponFilter, couponPage]);
 
   /**
    * Loads user's balance and coupons
@@ -82,13 +136,18 @@ function CouponManager({ currentAccount }) {
     if (!currentAccount) return;
     
     try {
-      const [balance, userCoupons] = await Promise.all([
+      const [balance, userCoupons, expiring, refund] = await Promise.all([
         getBalance(currentAccount),
-        getUserCoupons(currentAccount)
+        getUserCouponsPaged(currentAccount, couponPage * COUPONS_PER_PAGE, COUPONS_PER_PAGE, couponFilter),
+        getExpiringPoints(currentAccount, EXPIRY_WARNING_DAYS),
+        getCancelRefundPercent()
       ]);
       
+      setRefundPercent(refund);
       setUserBalance(balance);
-      setCoupons(userCoupons);
+      setCoupons(userCoupons.coupons);
+      setCouponTotal(userCoupons.total);
+      setExpiringPoints(parseFloat(expiring.amount) > 0 ? expiring : null);
     } catch (error) {
       console.error("Error loading user data:", error);
     }
@@ -155,11 +214,37 @@ function CouponManager({ currentAccount }) {
   };
 
   /**
-   * Calculates recommended token amount for discount
+   * Handles the selected coupon action: gifting the NFT, authorizing a merchant to redeem it or cancelling it
    */
-  const getRecommendedTokens = (discount) => {
-    // Simple formula: 1 token per 1% discount
-    return discount || 0;
+  const handleCouponAction = async () => {
+    const { couponId, type, to } = couponAction;
+    setIsLoading(true);
+    setStatus(
+      type === "gift" ? `Gifting coupon ${couponId}...` :
+      type === "cancel" ? `Cancelling coupon ${couponId}...` :
+      `Authorizing merchant for coupon ${couponId}...`
+    );
+
+    try {
+      if (type === "cancel") {
+        const result = await cancelCoupon(couponId);
+        setStatus(`✅ Coupon #${couponId} cancelled, ${result.refund} LOYAL refunded. Transaction: ${result.hash}`);
+      } else if (type === "gift") {
+        const hash = await giftCoupon(couponId, to);
+        setStatus(`✅ Coupon #${couponId} sent to ${to}! Transaction: ${hash}`);
+      } else {
+        const hash = await authorizeCouponRedemption(couponId, to);
+        setStatus(`✅ Merchant ${to} can now redeem coupon #${couponId}. Transaction: ${hash}`);
+      }
+      setCouponAction({ couponId: null, type: null, to: "" });
+      
+      // Refresh coupons
+      await loadUserData();
+    } catch (error) {
+      setStatus(`❌ Failed to ${type === "gift" ? "gift coupon" : type === "cancel" ? "cancel coupon" : "authorize merchant"}: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
   };
 
   /**
@@ -184,18 +269,7 @@ function CouponManager({ currentAccount }) {
     }
   };
 
-  /**
-   * Calculate fee and total required tokens for coupon creation
-   */
-  const calculateFeeAndTotal = (tokens) => {
-    if (!tokens || tokens === "") return { fee: 0, total: 0 };
-    
-    const tokenNum = parseFloat(tokens);
-    const fee = Math.max(Math.ceil(tokenNum * 0.01), tokenNum > 0 ? 1 : 0); // 1% fee, minimum 1 token
-    const total = tokenNum + fee;
-    
-    return { fee, total };
-  };
+  const insufficientBalance = quote !== null && parseFloat(userBalance) < parseFloat(quote.totalRequired);
 
   //-----------------------------------------------------------------------------------------///
 
@@ -259,6 +333,25 @@ function CouponManager({ currentAccount }) {
         </div>
       )}
 
+      {/* Expiring Points Warning */}
+      {currentAccount && expiringPoints && (
+        <div style={{ 
+          marginBottom: "20px", 
+          padding: "15px", 
+          backgroundColor: "#5a4a2d",
+          borderRadius: "8px",
+          border: "1px solid #ffc107",
+          color: "#ffe8a1"
+        }}>
+          <strong>⏳ {parseFloat(expiringPoints.amount).toFixed(2)} LOYAL expire in the next {EXPIRY_WARNING_DAYS} days</strong>
+          <p style={{ margin: "5px 0 0 0", fontSize: "0.9em" }}>
+            {expiringPoints.nextExpiry && expiringPoints.nextExpiry <= new Date()
+              ? "Some of your points have already lapsed and will be burned on your next transaction."
+              : `Your oldest points expire on ${expiringPoints.nextExpiry.toLocaleDateString()}. Redeem them for a coupon before they lapse.`}
+          </p>
+        </div>
+      )}
+
       {/* Create Coupon Section */}
       <div style={{ 
         backgroundColor: "#2d3138", 
@@ -271,6 +364,7 @@ function CouponManager({ currentAccount }) {
         <h3 style={{ color: "white" }}>✨ Create Discount Coupon</h3>
         <p style={{ fontSize: "0.9em", color: "#ccc", marginBottom: "15px" }}>
           Burn LOYAL tokens to create discount coupons. This reduces token supply (deflationary).
+          The price of each discount is set on-chain per business type.
         </p>
         
         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "10px", marginBottom: "10px" }}>
@@ -281,22 +375,17 @@ function CouponManager({ currentAccount }) {
             <input
               type="number"
               value={tokenAmount}
-              onChange={(e) => {
-                const value = e.target.value;
-                setTokenAmount(value);
-                setDiscountPercent(value);
-              }}
-              placeholder="e.g., 10"
+              placeholder="Quoted from discount"
               disabled={isLoading}
-              min="1"
-              step="1"
+              readOnly
               style={{ 
                 width: "100%", 
                 padding: "8px", 
                 borderRadius: "4px", 
                 border: "1px solid #555",
                 backgroundColor: "#3a3f47",
-                color: "white"
+                color: "white",
+                cursor: "not-allowed"
               }}
             />
           </div>
@@ -308,19 +397,19 @@ function CouponManager({ currentAccount }) {
             <input
               type="number"
               value={discountPercent}
-              placeholder="e.g., 15"
+              onChange={(e) => setDiscountPercent(e.target.value)}
+              placeholder={maxDiscount ? `1 - ${maxDiscount}` : "e.g., 15"}
               disabled={isLoading}
               min="1"
-              max="100"
-              readOnly="true"
+              max={maxDiscount || 100}
+              step="1"
               style={{ 
                 width: "100%", 
                 padding: "8px", 
                 borderRadius: "4px", 
                 border: "1px solid #555",
                 backgroundColor: "#3a3f47",
-                color: "white",
-                cursor: "not-allowed"
+                color: "white"
               }}
             />
           </div>
@@ -344,11 +433,9 @@ function CouponManager({ currentAccount }) {
                 color: "white"
               }}
             >
-              <option value="restaurant">Restaurant</option>
-              <option value="retail">Retail</option>
-              <option value="services">Services</option>
-              <option value="entertainment">Entertainment</option>
-              <option value="general">General</option>
+              {BUSINESS_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
             </select>
           </div>
           
@@ -377,7 +464,21 @@ function CouponManager({ currentAccount }) {
           </div>
         </div>
         
-        {tokenAmount && (
+        {quoteError && (
+          <div style={{ 
+            fontSize: "0.85em", 
+            backgroundColor: "#5a2d2d", 
+            padding: "10px", 
+            borderRadius: "6px",
+            border: "1px solid #f44336",
+            color: "#ffcdd2",
+            marginBottom: "15px"
+          }}>
+            ⚠️ {quoteError}
+          </div>
+        )}
+
+        {quote && (
           <div style={{ 
             fontSize: "0.85em", 
             backgroundColor: "#2d4a3d", 
@@ -390,17 +491,17 @@ function CouponManager({ currentAccount }) {
               � <strong>Cost Breakdown:</strong>
             </div>
             <div style={{ color: "#ccc" }}>
-              • Tokens to burn: {tokenAmount} LOYAL
+              • Tokens to burn: {quote.tokensRequired} LOYAL
             </div>
             <div style={{ color: "#ccc" }}>
-              • Service fee (1%): {calculateFeeAndTotal(tokenAmount).fee} LOYAL
+              • Service fee: {quote.fee} LOYAL
             </div>
             <div style={{ color: "#87ceeb", fontWeight: "bold", marginTop: "5px" }}>
-              • <strong>Total required: {calculateFeeAndTotal(tokenAmount).total} LOYAL</strong>
+              • <strong>Total required: {quote.totalRequired} LOYAL</strong>
             </div>
-            {parseFloat(userBalance) < calculateFeeAndTotal(tokenAmount).total && (
+            {insufficientBalance && (
               <div style={{ color: "#ff6b6b", marginTop: "5px" }}>
-                ⚠️ Insufficient balance! You need {(calculateFeeAndTotal(tokenAmount).total - parseFloat(userBalance)).toFixed(2)} more LOYAL tokens.
+                ⚠️ Insufficient balance! You need {(parseFloat(quote.totalRequired) - parseFloat(userBalance)).toFixed(2)} more LOYAL tokens.
               </div>
             )}
           </div>
@@ -413,7 +514,7 @@ function CouponManager({ currentAccount }) {
             !currentAccount || 
             !tokenAmount || 
             !discountPercent ||
-            (tokenAmount && parseFloat(userBalance) < calculateFeeAndTotal(tokenAmount).total)
+            insufficientBalance
           }
           style={{
             padding: "12px 20px",
@@ -421,7 +522,7 @@ function CouponManager({ currentAccount }) {
               currentAccount && 
               tokenAmount && 
               discountPercent && 
-              !(tokenAmount && parseFloat(userBalance) < calculateFeeAndTotal(tokenAmount).total)
+              !insufficientBalance
             ) ? "#007bff" : "#6c757d",
             color: "white",
             border: "none",
@@ -429,7 +530,7 @@ function CouponManager({ currentAccount }) {
             cursor: (
               isLoading || 
               !currentAccount || 
-              (tokenAmount && parseFloat(userBalance) < calculateFeeAndTotal(tokenAmount).total)
+              insufficientBalance
             ) ? "not-allowed" : "pointer",
             fontSize: "16px",
             width: "100%"
@@ -449,11 +550,33 @@ function CouponManager({ currentAccount }) {
         border: "1px solid #555",
         color: "white"
       }}>
-        <h3 style={{ color: "white" }}>🎟️ Your Coupons ({coupons.length})</h3>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h3 style={{ color: "white" }}>🎟️ Your Coupons ({couponTotal})</h3>
+          <select
+            value={couponFilter}
+            onChange={(e) => {
+              setCouponFilter(e.target.value);
+              setCouponPage(0);
+            }}
+            style={{ 
+              padding: "6px", 
+              borderRadius: "4px", 
+              border: "1px solid #555",
+              backgroundColor: "#3a3f47",
+              color: "white"
+            }}
+          >
+            <option value="all">All</option>
+            <option value="active">Active</option>
+            <option value="used">Used</option>
+            <option value="cancelled">Cancelled</option>
+            <option value="expired">Expired</option>
+          </select>
+        </div>
         
         {coupons.length === 0 ? (
           <p style={{ color: "#ccc", fontStyle: "italic" }}>
-            No coupons yet. Create your first coupon above!
+            {couponFilter === "all" ? "No coupons yet. Create your first coupon above!" : `No ${couponFilter} coupons.`}
           </p>
         ) : (
           <div style={{ display: "grid", gap: "15px" }}>
@@ -464,7 +587,7 @@ function CouponManager({ currentAccount }) {
                   padding: "15px",
                   border: `2px solid ${coupon.isValid ? "#28a745" : "#6c757d"}`,
                   borderRadius: "8px",
-                  backgroundColor: coupon.isUsed ? "#3a3f47" : "#2d5a3d",
+                  backgroundColor: coupon.isUsed || coupon.status === "Cancelled" ? "#3a3f47" : "#2d5a3d",
                   color: "white"
                 }}
               >
@@ -483,7 +606,17 @@ function CouponManager({ currentAccount }) {
                   </div>
                   
                   <div>
-                    {coupon.isUsed ? (
+                    {coupon.status === "Cancelled" ? (
+                      <span style={{ 
+                        padding: "5px 10px", 
+                        backgroundColor: "#6c757d", 
+                        color: "white", 
+                        borderRadius: "3px",
+                        fontSize: "0.8em"
+                      }}>
+                        CANCELLED
+                      </span>
+                    ) : coupon.isUsed ? (
                       <span style={{ 
                         padding: "5px 10px", 
                         backgroundColor: "#6c757d", 
@@ -494,21 +627,69 @@ function CouponManager({ currentAccount }) {
                         USED
                       </span>
                     ) : coupon.isValid ? (
-                      <button
-                        onClick={() => handleUseCoupon(coupon.id)}
-                        disabled={isLoading}
-                        style={{
-                          padding: "5px 15px",
-                          backgroundColor: "#28a745",
-                          color: "white",
-                          border: "none",
-                          borderRadius: "3px",
-                          cursor: "pointer",
-                          fontSize: "0.9em"
-                        }}
-                      >
-                        Use Coupon
-                      </button>
+                      <div style={{ display: "flex", gap: "8px" }}>
+                        <button
+                          onClick={() => handleUseCoupon(coupon.id)}
+                          disabled={isLoading}
+                          style={{
+                            padding: "5px 15px",
+                            backgroundColor: "#28a745",
+                            color: "white",
+                            border: "none",
+                            borderRadius: "3px",
+                            cursor: "pointer",
+                            fontSize: "0.9em"
+                          }}
+                        >
+                          Use Coupon
+                        </button>
+                        <button
+                          onClick={() => setCouponAction({ couponId: coupon.id, type: "authorize", to: "" })}
+                          disabled={isLoading}
+                          style={{
+                            padding: "5px 15px",
+                            backgroundColor: "#007bff",
+                            color: "white",
+                            border: "none",
+                            borderRadius: "3px",
+                            cursor: "pointer",
+                            fontSize: "0.9em"
+                          }}
+                          title="Let a merchant redeem this coupon at the till"
+                        >
+                          🏪 Redeem at Store
+                        </button>
+                        <button
+                          onClick={() => setCouponAction({ couponId: coupon.id, type: "gift", to: "" })}
+                          disabled={isLoading}
+                          style={{
+                            padding: "5px 15px",
+                            backgroundColor: "#17a2b8",
+                            color: "white",
+                            border: "none",
+                            borderRadius: "3px",
+                            cursor: "pointer",
+                            fontSize: "0.9em"
+                          }}
+                        >
+                          🎁 Gift
+                        </button>
+                        <button
+                          onClick={() => setCouponAction({ couponId: coupon.id, type: "cancel", to: "" })}
+                          disabled={isLoading}
+                          style={{
+                            padding: "5px 15px",
+                            backgroundColor: "#dc3545",
+                            color: "white",
+                            border: "none",
+                            borderRadius: "3px",
+                            cursor: "pointer",
+                            fontSize: "0.9em"
+                          }}
+                        >
+                          ✖ Cancel
+                        </button>
+                      </div>
                     ) : (
                       <span style={{ 
                         padding: "5px 10px", 
@@ -522,10 +703,141 @@ function CouponManager({ currentAccount }) {
                     )}
                   </div>
                 </div>
+
+                {/* Cancel Confirmation with Refund Preview */}
+                {couponAction.couponId === coupon.id && couponAction.type === "cancel" && (
+                  <div style={{ display: "flex", gap: "8px", marginTop: "10px", alignItems: "center" }}>
+                    <div style={{ flex: 1, fontSize: "0.85em", color: "#ccc" }}>
+                      Refund: <strong style={{ color: "white" }}>
+                        {refundPercent !== null ? (parseFloat(coupon.tokensBurned) * refundPercent / 100).toFixed(2) : "..."} LOYAL
+                      </strong> ({refundPercent}% of the tokens burned, the coupon fee is not refunded)
+                    </div>
+                    <button
+                      onClick={handleCouponAction}
+                      disabled={isLoading}
+                      style={{
+                        padding: "5px 15px",
+                        backgroundColor: "#dc3545",
+                        color: "white",
+                        border: "none",
+                        borderRadius: "3px",
+                        cursor: "pointer",
+                        fontSize: "0.9em"
+                      }}
+                    >
+                      Confirm Cancel
+                    </button>
+                    <button
+                      onClick={() => setCouponAction({ couponId: null, type: null, to: "" })}
+                      disabled={isLoading}
+                      style={{
+                        padding: "5px 15px",
+                        backgroundColor: "#6c757d",
+                        color: "white",
+                        border: "none",
+                        borderRadius: "3px",
+                        cursor: "pointer",
+                        fontSize: "0.9em"
+                      }}
+                    >
+                      Keep
+                    </button>
+                  </div>
+                )}
+
+                {/* Gift / Authorize Form */}
+                {couponAction.couponId === coupon.id && couponAction.type !== "cancel" && (
+                  <div style={{ display: "flex", gap: "8px", marginTop: "10px" }}>
+                    <input
+                      type="text"
+                      value={couponAction.to}
+                      onChange={(e) => setCouponAction({ ...couponAction, to: e.target.value })}
+                      placeholder={couponAction.type === "gift" ? "Recipient address (0x...)" : "Merchant till address (0x...)"}
+                      disabled={isLoading}
+                      style={{ 
+                        flex: 1, 
+                        padding: "6px", 
+                        borderRadius: "4px", 
+                        border: "1px solid #555",
+                        backgroundColor: "#3a3f47",
+                        color: "white"
+                      }}
+                    />
+                    <button
+                      onClick={handleCouponAction}
+                      disabled={isLoading || !couponAction.to}
+                      style={{
+                        padding: "5px 15px",
+                        backgroundColor: "#17a2b8",
+                        color: "white",
+                        border: "none",
+                        borderRadius: "3px",
+                        cursor: "pointer",
+                        fontSize: "0.9em"
+                      }}
+                    >
+                      {couponAction.type === "gift" ? "Send" : "Authorize"}
+                    </button>
+                    <button
+                      onClick={() => setCouponAction({ couponId: null, type: null, to: "" })}
+                      disabled={isLoading}
+                      style={{
+                        padding: "5px 15px",
+                        backgroundColor: "#6c757d",
+                        color: "white",
+                        border: "none",
+                        borderRadius: "3px",
+                        cursor: "pointer",
+                        fontSize: "0.9em"
+                      }}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
               </div>
             ))}
           </div>
         )}
+
+        {/* Pagination */}
+        {couponTotal > COUPONS_PER_PAGE && (
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: "15px" }}>
+            <button
+              onClick={() => setCouponPage(couponPage - 1)}
+              disabled={couponPage === 0}
+              style={{
+                padding: "6px 12px",
+                backgroundColor: couponPage === 0 ? "#6c757d" : "#007bff",
+                color: "white",
+                border: "none",
+                borderRadius: "4px",
+                cursor: couponPage === 0 ? "not-allowed" : "pointer",
+                fontSize: "0.85em"
+              }}
+            >
+              ← Previous
+            </button>
+            <span style={{ fontSize: "0.85em", color: "#ccc" }}>
+              Page {couponPage + 1} of {Math.ceil(couponTotal / COUPONS_PER_PAGE)}
+            </span>
+            <button
+              onClick={() => setCouponPage(couponPage + 1)}
+              disabled={(couponPage + 1) * COUPONS_PER_PAGE >= couponTotal}
+              style={{
+                padding: "6px 12px",
+                backgroundColor: (couponPage + 1) * COUPONS_PER_PAGE >= couponTotal ? "#6c757d" : "#007bff",
+                color: "white",
+                border: "none",
+                borderRadius: "4px",
+                cursor: (couponPage + 1) * COUPONS_PER_PAGE >= couponTotal ? "not-allowed" : "pointer",
+                fontSize: "0.85em"
+              }}
+            >
+              Next →
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Status Display */}
@@ -0,0 +1,303 @@
+/**
+ * CouponRedemption Component v1.1
+ *
+ * Merchant "Redeem coupon" screen for the till. The customer authorizes the
+ * merchant account on their coupon NFT from the Coupon Manager, then the
+ * cashier looks the coupon up, enters the order and redeems it on-chain as
+ * proof the discount was honored.
+ *
+ * Version 1.1: the discount value is computed on-chain (respecting the
+ * coupon's discount cap) and stored as a redemption receipt; the merchant's
+ * receipts are listed with totals for promotion reconciliation.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.currentAccount - Connected wallet address (merchant till / POS account)
+ *
+ * @example
+ * return (
+ *   <CouponRedemption currentAccount={walletAddress} />
+ * )
+ *
+ * @version 1.1.0
+ * @author Fernanda
+ */
+
+import { useState, useEffect } from "react";
+import {
+  getMerchantForAccount,
+  getCoupon,
+  redeemCoupon,
+  getRedemption,
+  getMerchantRedemptions,
+  getCurrencyDecimals,
+  formatPrice
+} from "../services/token";
+import { Ticket, Search, Receipt } from 'lucide-react';
+
+const CouponRedemption = ({ currentAccount }) => {
+  const [merchant, setMerchant] = useState(null);
+  const [couponId, setCouponId] = useState("");
+  const [coupon, setCoupon] = useState(null);
+  const [redemption, setRedemption] = useState(null);
+  const [receipts, setReceipts] = useState(null);
+  const [currencyDecimals, setCurrencyDecimals] = useState(0);
+  const [orderRef, setOrderRef] = useState("");
+  const [purchaseAmount, setPurchaseAmount] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [status, setStatus] = useState("");
+
+  /**
+   * Load the merchant the connected account redeems for
+   */
+  const loadMerchant = async () => {
+    try {
+      if (!window.ethereum || !currentAccount) return;
+      const linked = await getMerchantForAccount(currentAccount);
+      setMerchant(linked);
+      setCurrencyDecimals(await getCurrencyDecimals());
+      setReceipts(linked ? await getMerchantRedemptions(linked.id) : null);
+    } catch (error) {
+      console.error("Error loading merchant account:", error);
+    }
+  };
+
+  /**
+   * Load a coupon with its redemption receipt
+   */
+  const loadCoupon = async (id) => {
+    const found = await getCoupon(id);
+    setCoupon(found);
+    setRedemption(found.redeemedAt ? await getRedemption(id) : null);
+  };
+
+  /**
+   * Look up a coupon by ID
+   */
+  const handleLookup = async () => {
+    setIsLoading(true);
+    setStatus("");
+    setCoupon(null);
+    setRedemption(null);
+
+    try {
+      await loadCoupon(couponId);
+    } catch (error) {
+      console.error("Error loading coupon:", error);
+      setStatus(`Failed to load coupon: ${error.reason || error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Redeem the coupon for the current order
+   */
+  const handleRedeem = async () => {
+    setIsLoading(true);
+    setStatus(`Redeeming coupon #${coupon.id}...`);
+
+    try {
+      const result = await redeemCoupon(coupon.id, orderRef, purchaseAmount);
+      setStatus(`Successfully redeemed coupon #${coupon.id} for a ${result.discountValue} discount. Transaction: ${result.hash}`);
+      await loadCoupon(coupon.id);
+      setReceipts(await getMerchantRedemptions(merchant.id));
+      setOrderRef("");
+      setPurchaseAmount("");
+    } catch (error) {
+      console.error("Error redeeming coupon:", error);
+      setStatus(`Failed to redeem coupon: ${error.reason || error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Load the merchant when the connected account changes
+  useEffect(() => {
+    loadMerchant();
+  }, [currentAccount]);
+
+  const isAuthorized = coupon && currentAccount &&
+    coupon.approvedAccount.toLowerCase() === currentAccount.toLowerCase();
+  const typeMatches = coupon && merchant && coupon.businessType === merchant.businessType;
+  const discountCap = coupon && coupon.maxDiscountValue !== "0"
+    ? parseFloat(formatPrice(coupon.maxDiscountValue, currencyDecimals))
+    : null;
+  const discountValue = coupon && purchaseAmount
+    ? Math.min(parseFloat(purchaseAmount) * parseInt(coupon.discountPercent) / 100, discountCap ?? Infinity)
+    : null;
+
+  return (
+    <div className="card-elegant p-6">
+      <h4 className="text-lg font-semibold text-primary mb-3 flex items-center gap-2">
+        <Ticket size={20} />
+        Redeem Coupon
+      </h4>
+
+      {!merchant ? (
+        <p className="text-gray-500 text-sm italic">
+          This account is not linked to a merchant. Ask an admin to link it in the Merchant Registry to redeem coupons.
+        </p>
+      ) : (
+        <>
+          <p className="text-gray-600 text-sm mb-4">
+            Redeeming for <strong>{merchant.name}</strong> ({merchant.businessType}).
+            {!merchant.active && <span className="text-red-600"> This merchant is inactive.</span>}
+            {" "}Customers authorize this account from their Coupon Manager before you redeem.
+          </p>
+
+          {/* Coupon Lookup */}
+          <div className="flex gap-3 mb-4">
+            <input
+              type="number"
+              placeholder="Coupon ID"
+              value={couponId}
+              onChange={(e) => setCouponId(e.target.value)}
+              disabled={isLoading}
+              min="1"
+              className="input-elegant flex-1"
+            />
+            <button
+              onClick={handleLookup}
+              disabled={isLoading || !couponId}
+              className="btn-secondary py-2 px-4 flex items-center gap-2"
+            >
+              <Search size={16} />
+              Look up
+            </button>
+          </div>
+
+          {coupon && (
+            <div className="bg-gray-50 rounded-lg p-4 mb-4 text-sm space-y-1">
+              <p>
+                <strong>Discount:</strong> {coupon.discountPercent}% ({coupon.businessType})
+                {discountCap !== null && `, up to ${discountCap.toFixed(currencyDecimals)}`}
+              </p>
+              <p><strong>Holder:</strong> {coupon.owner.slice(0, 6)}...{coupon.owner.slice(-4)}</p>
+              <p><strong>Expires:</strong> {coupon.expiryTime.toLocaleDateString()}</p>
+              <p>
+                <strong>Status:</strong>{" "}
+                {coupon.isUsed
+                  ? `Used${coupon.redeemedAt ? ` (redeemed by merchant #${coupon.redeemedBy} on ${coupon.redeemedAt.toLocaleString()})` : ""}`
+                  : coupon.isValid ? "Valid" : "Expired"}
+              </p>
+              {redemption && (
+                <p>
+                  <strong>Receipt:</strong> {redemption.discountValue} off a {redemption.purchaseAmount} purchase
+                  ({redemption.amountPaid} paid)
+                </p>
+              )}
+              {coupon.isValid && !typeMatches && (
+                <p className="text-red-600">This coupon is for {coupon.businessType} businesses and cannot be redeemed here.</p>
+              )}
+              {coupon.isValid && !isAuthorized && (
+                <p className="text-yellow-700">Waiting for the customer to authorize this account for coupon #{coupon.id}.</p>
+              )}
+            </div>
+          )}
+
+          {/* Order Details */}
+          {coupon && coupon.isValid && (
+            <div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+                <input
+                  type="text"
+                  placeholder="Order reference"
+                  value={orderRef}
+                  onChange={(e) => setOrderRef(e.target.value)}
+                  disabled={isLoading}
+                  className="input-elegant w-full"
+                />
+                <input
+                  type="number"
+                  placeholder="Purchase amount"
+                  value={purchaseAmount}
+                  onChange={(e) => setPurchaseAmount(e.target.value)}
+                  disabled={isLoading}
+                  min="0"
+                  step={currencyDecimals > 0 ? 1 / 10 ** currencyDecimals : 1}
+                  className="input-elegant w-full"
+                />
+              </div>
+              {discountValue !== null && (
+                <p className="text-sm text-gray-600 mb-3">
+                  Customer pays <strong>{(parseFloat(purchaseAmount) - discountValue).toFixed(currencyDecimals)}</strong> after
+                  a discount of {discountValue.toFixed(currencyDecimals)}
+                  {discountValue === discountCap ? " (capped)" : ` (${coupon.discountPercent}%)`}.
+                </p>
+              )}
+              <button
+                onClick={handleRedeem}
+                disabled={isLoading || !orderRef || !purchaseAmount || !isAuthorized || !typeMatches}
+                className="btn-primary w-full py-2 px-4"
+              >
+                {isLoading ? "Processing..." : "Redeem Coupon"}
+              </button>
+            </div>
+          )}
+
+          {/* Redemption Receipts */}
+          {receipts && receipts.receipts.length > 0 && (
+            <div className="mt-6">
+              <h5 className="text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
+                <Receipt size={16} />
+                Redemption receipts
+              </h5>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left">
+                  <thead>
+                    <tr className="text-gray-600 border-b border-gray-200">
+                      <th className="py-2">Coupon</th>
+                      <th className="py-2">Order</th>
+                      <th className="py-2">Customer</th>
+                      <th className="py-2 text-right">Purchase</th>
+                      <th className="py-2 text-right">Discount</th>
+                      <th className="py-2 text-right">Paid</th>
+                      <th className="py-2">Redeemed</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {receipts.receipts.map((receipt) => (
+                      <tr key={receipt.couponId} className="border-b border-gray-100">
+                        <td className="py-2">#{receipt.couponId}</td>
+                        <td className="py-2 font-mono text-xs" title={receipt.orderId}>
+                          {receipt.orderId.slice(0, 10)}...
+                        </td>
+                        <td className="py-2">{receipt.customer.slice(0, 6)}...{receipt.customer.slice(-4)}</td>
+                        <td className="py-2 text-right">{receipt.purchaseAmount}</td>
+                        <td className="py-2 text-right">{receipt.discountValue} ({receipt.discountPercent}%)</td>
+                        <td className="py-2 text-right">{receipt.amountPaid}</td>
+                        <td className="py-2 text-xs">{receipt.redeemedAt.toLocaleString()}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    <tr className="font-semibold">
+                      <td className="py-2" colSpan={3}>Total ({receipts.receipts.length} coupons)</td>
+                      <td className="py-2 text-right">{receipts.totalPurchases}</td>
+                      <td className="py-2 text-right">{receipts.totalDiscounts}</td>
+                      <td className="py-2" colSpan={2}></td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Status Display */}
+      {status && (
+        <div className={`mt-4 p-3 rounded-lg text-center text-sm font-medium break-all ${
+          status.includes("Successfully") ? 'bg-green-100 text-green-800' :
+          status.includes("Failed") ? 'bg-red-100 text-red-800' :
+          'bg-blue-100 text-blue-800'
+        }`}>
+          {status}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CouponRedemption;
@@ -1,14 +1,19 @@
 /**
- * EarnTokensForm Component v2.0
+ * EarnTokensForm Component v3.1
  * 
- * Allows users to simulate purchases and earn LOYAL tokens based on spending.
- * This component interfaces with the LoyaltyToken contract's earnTokensForSelf function.
+ * Allows customers to claim LOYAL tokens for a purchase using a voucher signed by the merchant.
+ * This component interfaces with the LoyaltyToken contract's claimWithVoucher function.
  * 
- * Version 2.0 Features:
- * - Uses public earnTokensForSelf() function (no owner restriction)
+ * Version 3.1 Features:
+ * - Voucher amounts are shown as prices (amounts are signed in minor currency units, e.g. cents)
+ * - Reward calculator for a decimal price, including the spend carried from earlier purchases
+ * 
+ * Version 3.0 Features:
+ * - Claims rewards with EIP-712 purchase vouchers issued by a merchant backend
+ *   (see scripts/voucher-signer.js) instead of a free-form amount
+ * - Accepts the voucher JSON or the encoded payload from a pasted/scanned QR code
+ * - Voucher preview (amount spent, order, expiry and expected reward)
  * - Enhanced UX with loading states and detailed feedback
- * - Input validation and error handling
- * - Token calculation preview and explanations
  * - Visual feedback for success/error states
  * - Account integration and display
  * 
@@ -21,15 +26,20 @@
  *   <EarnTokensForm currentAccount={walletAddress} />
  * )
  * 
- * @version 2.0.0
+ * @version 3.1.0
  * @author Fernanda
  */
 
-import { useState } from "react";
-import { ethers } from "ethers";
-import LoyaltyToken from "../abi/LoyaltyToken.json";
-import { debugTokenState } from "../services/token";
-import { CONTRACT_ADDRESSES } from "../config/contracts.js";
+import { useState, useEffect } from "react";
+import {
+  debugTokenState,
+  parseVoucher,
+  getCurrencyDecimals,
+  formatPrice,
+  previewPurchase,
+  getVoucherMerchantId,
+  claimWithVoucher
+} from "../services/token";
 
 /**
  * EarnTokensForm functional component
@@ -39,33 +49,104 @@ import { CONTRACT_ADDRESSES } from "../config/contracts.js";
  * @returns {JSX.Element} The rendered component
  */
 const EarnTokensForm = ({ currentAccount }) => {
-  // State to store the amount spent by the customer
-  const [amountSpent, setAmountSpent] = useState("");
+  // Voucher text pasted or scanned by the customer
+  const [voucherText, setVoucherText] = useState("");
+  const [voucher, setVoucher] = useState(null);
+  const [voucherError, setVoucherError] = useState("");
+  const [expectedTokens, setExpectedTokens] = useState(null);
+  const [currencyDecimals, setCurrencyDecimals] = useState(null);
+  // Price entered in the reward calculator and its preview
+  const [price, setPrice] = useState("");
+  const [pricePreview, setPricePreview] = useState(null);
+  const [priceError, setPriceError] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const [status, setStatus] = useState("");
 
   /**
-   * Handles the earn tokens process
-   * Calls the contract's earnTokens function to mint tokens based on spending
+   * Load the currency decimals used for purchase amounts
+   */
+  useEffect(() => {
+    if (!window.ethereum || !currentAccount) return;
+    getCurrencyDecimals()
+      .then(setCurrencyDecimals)
+      .catch((err) => console.error("Error loading currency decimals:", err));
+  }, [currentAccount]);
+
+  /**
+   * Parse the voucher and preview the reward whenever the text changes
+   */
+  useEffect(() => {
+    if (!voucherText.trim()) {
+      setVoucher(null);
+      setVoucherError("");
+      setExpectedTokens(null);
+      return;
+    }
+
+    try {
+      const parsed = parseVoucher(voucherText);
+      setVoucher(parsed);
+      setVoucherError("");
+
+      if (window.ethereum && currencyDecimals !== null && parsed.amountSpent !== "0") {
+        // Vouchers are rewarded at the rates of the signer's merchant
+        getVoucherMerchantId(parsed)
+          .then((merchantId) =>
+            previewPurchase(parsed.customer, formatPrice(parsed.amountSpent, currencyDecimals), merchantId)
+          )
+          .then((preview) => setExpectedTokens(preview.tokens))
+          .catch((err) => console.error("Error previewing reward:", err));
+      }
+    } catch (err) {
+      setVoucher(null);
+      setVoucherError(err.message);
+      setExpectedTokens(null);
+    }
+  }, [voucherText, currencyDecimals]);
+
+  /**
+   * Preview the reward of the calculator price for the connected wallet
+   */
+  useEffect(() => {
+    if (!price || !window.ethereum || !currentAccount) {
+      setPricePreview(null);
+      setPriceError("");
+      return;
+    }
+
+    previewPurchase(currentAccount, price)
+      .then((preview) => {
+        setPricePreview(preview);
+        setPriceError("");
+      })
+      .catch((err) => {
+        setPricePreview(null);
+        setPriceError(err.message);
+      });
+  }, [price, currentAccount]);
+
+  /**
+   * Handles the voucher claim process
+   * Calls the contract's claimWithVoucher function to mint tokens for the signed purchase
    * 
    * @async
-   * @function handleEarn
-   * @returns {Promise<void>} Promise that resolves when earning process is complete
+   * @function handleClaim
+   * @returns {Promise<void>} Promise that resolves when claiming process is complete
    */
-  const handleEarn = async () => {
+  const handleClaim = async () => {
     // Validate inputs
     if (!window.ethereum || !currentAccount) {
       setStatus("Please connect your wallet first");
       return;
     }
 
-    if (!amountSpent || parseFloat(amountSpent) <= 0) {
-      setStatus("Please enter a valid amount spent");
+    if (!voucher) {
+      setStatus("Please paste a valid purchase voucher");
       return;
     }
 
-    if (parseFloat(amountSpent) < 3) {
-      setStatus("Amount spent must be at least 3 units to earn tokens");
+    if (voucher.expiresAt < new Date()) {
+      setStatus("❌ This voucher has expired");
       return;
     }
 
@@ -73,27 +154,14 @@ const EarnTokensForm = ({ currentAccount }) => {
     setStatus("Processing...");
 
     try {
-      // Connect to the contract
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      const contract = new ethers.Contract(CONTRACT_ADDRESSES.loyaltyToken, LoyaltyToken.abi, signer);
-
-      // Call earnTokensForSelf function (allows any user to earn tokens)
-      const tx = await contract.earnTokensForSelf(ethers.parseUnits(amountSpent, 0));
+      const result = await claimWithVoucher(voucher);
       
-      // Wait for transaction confirmation
-      await tx.wait();
-      
-      // Calculate expected tokens (based on contract logic)
-      // tokens = (amountSpent / unitValue) * emissionRate
-      // With default values: unitValue=3, emissionRate=1
-      const expectedTokens = Math.floor(parseFloat(amountSpent) / 3) * 1;
-      
-      setStatus(`Successfully earned ~${expectedTokens} LOYAL tokens! Transaction: ${tx.hash}`);
-      setAmountSpent(""); // Clear the input
+      setStatus(`✅ Successfully earned ${result.tokensMinted ?? expectedTokens} LOYAL tokens! Transaction: ${result.hash}`);
+      setVoucherText(""); // Clear the input
+      setPrice("");
     } catch (err) {
-      console.error("Error earning tokens:", err);
-      setStatus(`Failed to earn tokens: ${err.message}`);
+      console.error("Error claiming voucher:", err);
+      setStatus(`❌ Failed to claim voucher: ${err.reason || err.message}`);
     } finally {
       setIsLoading(false);
     }
@@ -103,59 +171,102 @@ const EarnTokensForm = ({ currentAccount }) => {
     <div className="space-y-4">
       {/* Form header */}
       <div className="text-center">
-        <h3 className="text-lg font-semibold text-gray-800 mb-2">🛒 Simulate Purchase & Earn Tokens</h3>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">🧾 Claim Purchase Voucher</h3>
         <p className="text-gray-600 text-sm">
-          Simulate a purchase to earn LOYAL tokens. Tokens are calculated based on amount spent.
+          Paste or scan the voucher printed on your receipt to earn LOYAL tokens for your purchase.
         </p>
       </div>
       
-      {/* Input for amount spent */}
+      {/* Voucher input */}
       <div>
         <label className="block text-sm font-medium text-gray-700 mb-2">
-          Amount Spent (units)
+          Purchase Voucher
         </label>
-        <input 
-          type="number" 
-          placeholder="e.g., 15" 
-          value={amountSpent} 
-          onChange={(e) => setAmountSpent(e.target.value)}
+        <textarea 
+          placeholder="Paste the voucher code from your receipt" 
+          value={voucherText} 
+          onChange={(e) => setVoucherText(e.target.value)}
           disabled={isLoading}
-          min="0"
-          step="1"
-          className="input-elegant w-full"
+          rows={4}
+          className="input-elegant w-full font-mono text-xs"
         />
+        {voucherError && (
+          <p className="text-red-600 text-sm mt-1">⚠️ {voucherError}</p>
+        )}
       </div>
       
-      {/* Earn tokens button */}
+      {/* Claim voucher button */}
       <button 
-        onClick={handleEarn}
-        disabled={isLoading || !currentAccount}
+        onClick={handleClaim}
+        disabled={isLoading || !currentAccount || !voucher}
         className={`w-full py-3 px-4 rounded-lg font-medium transition-all ${
-          currentAccount ? 'btn-primary' : 'bg-gray-400 text-white cursor-not-allowed'
+          currentAccount && voucher ? 'btn-primary' : 'bg-gray-400 text-white cursor-not-allowed'
         }`}
       >
-        {isLoading ? "Processing..." : "💰 Earn Tokens"}
+        {isLoading ? "Processing..." : "💰 Claim Tokens"}
       </button>
       
       {/* Information about token calculation */}
       <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
         <h4 className="text-blue-800 font-medium mb-2">💡 How it works:</h4>
         <div className="text-blue-700 text-sm space-y-1">
-          <p>• <strong className="text-primary">Minimum spend: 3 units</strong> (to earn at least 1 token)</p>
-          <p>• You earn <strong>1 LOYAL token per 3 units spent</strong></p>
-          <p>• Token calculation: <code className="bg-blue-100 px-1 rounded">Math.floor(amount / 3)</code></p>
-          <p>• Tokens minted directly to your wallet</p>
+          <p>• The store signs a voucher for every purchase at checkout</p>
+          <p>• Token calculation: <code className="bg-blue-100 px-1 rounded">((carried + amountSpent) / unitValue) * emissionRate</code></p>
+          <p>• Spend that does not complete a unit is <strong className="text-primary">carried</strong> to your next purchase</p>
+          <p>• Each voucher can be claimed <strong className="text-primary">only once</strong> and before it expires</p>
+          <p>• Tokens are minted directly to the customer wallet on the voucher</p>
         </div>
       </div>
 
-      {/* Calculation preview */}
-      {amountSpent && (
+      {/* Voucher preview */}
+      {voucher && (
         <div className="bg-green-50 border border-green-200 rounded-lg p-4">
-          <h4 className="text-green-800 font-medium mb-2">📊 Your calculation:</h4>
+          <h4 className="text-green-800 font-medium mb-2">📊 Your voucher:</h4>
           <div className="text-green-700 text-sm">
-            <p><strong>Amount spent:</strong> {amountSpent} units</p>
-            <p><strong>Tokens to earn:</strong> {Math.floor(amountSpent / 3)} LOYAL</p>
+            <p>
+              <strong>Amount spent:</strong>{" "}
+              {currencyDecimals !== null ? formatPrice(voucher.amountSpent, currencyDecimals) : `${voucher.amountSpent} units`}
+            </p>
+            <p><strong>Order:</strong> {voucher.orderId.slice(0, 10)}...{voucher.orderId.slice(-6)}</p>
+            <p><strong>Expires:</strong> {voucher.expiresAt.toLocaleString()}</p>
+            {expectedTokens !== null && (
+              <p><strong>Tokens to earn:</strong> {expectedTokens} LOYAL</p>
+            )}
           </div>
+          {currentAccount && voucher.customer.toLowerCase() !== currentAccount.toLowerCase() && (
+            <p className="text-orange-700 text-sm mt-2">
+              ⚠️ This voucher rewards {voucher.customer.slice(0, 6)}...{voucher.customer.slice(-4)}, not the connected wallet.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Reward calculator */}
+      {currentAccount && (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+          <h4 className="text-gray-800 font-medium mb-2">🧮 Reward calculator</h4>
+          <input
+            type="number"
+            placeholder="Purchase price (e.g. 5.99)"
+            value={price}
+            onChange={(e) => setPrice(e.target.value)}
+            disabled={isLoading}
+            min="0"
+            step="0.01"
+            className="input-elegant w-full mb-2"
+          />
+          {priceError && (
+            <p className="text-red-600 text-sm">⚠️ {priceError}</p>
+          )}
+          {pricePreview && (
+            <div className="text-gray-700 text-sm space-y-1">
+              <p><strong>Tokens to earn:</strong> {pricePreview.tokens} LOYAL</p>
+              <p>
+                <strong>Carried spend:</strong> {pricePreview.carried} now, {pricePreview.carryAfter} after this
+                purchase (one unit = {pricePreview.spendPerUnit})
+              </p>
+            </div>
+          )}
         </div>
       )}
 
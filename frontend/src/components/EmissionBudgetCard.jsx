@@ -0,0 +1,217 @@
+/**
+ * EmissionBudgetCard Component v1.0
+ *
+ * Business Dashboard card for the velocity limits on purchase rewards.
+ * Shows how much of the current epoch's emission budget has been used,
+ * when the epoch resets and the per purchase and per customer limits,
+ * and lets admins change the limits.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.currentAccount - Connected wallet address
+ * @param {boolean} props.canManage - Whether the connected account can change the limits (admin)
+ *
+ * @example
+ * return (
+ *   <EmissionBudgetCard currentAccount={walletAddress} canManage={roles.isAdmin} />
+ * )
+ *
+ * @version 1.0.0
+ * @author Fernanda
+ */
+
+import { useState, useEffect } from "react";
+import { getMintLimits, setMintLimits } from "../services/token";
+import { Gauge } from 'lucide-react';
+
+const formatLimit = (value) => value === null ? "No limit" : `${parseFloat(value).toFixed(2)} LOYAL`;
+
+const EmissionBudgetCard = ({ currentAccount, canManage }) => {
+  const [limits, setLimits] = useState(null);
+  const [form, setForm] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [status, setStatus] = useState("");
+
+  /**
+   * Load the velocity limits and the epoch usage
+   */
+  const loadLimits = async () => {
+    try {
+      if (!window.ethereum || !currentAccount) return;
+      setLimits(await getMintLimits());
+    } catch (error) {
+      console.error("Error loading mint limits:", error);
+    }
+  };
+
+  /**
+   * Open the edit form prefilled with the current limits
+   */
+  const handleEdit = () => {
+    setForm({
+      maxPerTx: limits.maxPerTx || "",
+      maxPerAddressPerDay: limits.maxPerAddressPerDay || "",
+      maxPerEpoch: limits.maxPerEpoch || "",
+      epochLengthHours: String(limits.epochLengthHours)
+    });
+  };
+
+  /**
+   * Save new limits
+   */
+  const handleSave = async () => {
+    setIsLoading(true);
+    setStatus("Updating limits...");
+
+    try {
+      await setMintLimits(form.maxPerTx, form.maxPerAddressPerDay, form.maxPerEpoch, form.epochLengthHours);
+      setStatus("Successfully updated velocity limits");
+      setForm(null);
+      await loadLimits();
+    } catch (error) {
+      console.error("Error updating mint limits:", error);
+      setStatus(`Failed to update limits: ${error.reason || error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Refresh periodically so the budget bar follows new rewards
+  useEffect(() => {
+    loadLimits();
+    const interval = setInterval(loadLimits, 15000);
+    return () => clearInterval(interval);
+  }, [currentAccount]);
+
+  if (!limits) {
+    return null;
+  }
+
+  return (
+    <div className="card-elegant p-6">
+      <h4 className="text-lg font-semibold text-primary mb-3 flex items-center gap-2">
+        <Gauge size={20} />
+        Emission Budget
+      </h4>
+
+      {/* Epoch Usage */}
+      <div className="flex justify-between text-sm text-gray-600 mb-1">
+        <span>
+          {parseFloat(limits.epochMinted).toFixed(2)} LOYAL minted this epoch
+          {limits.maxPerEpoch !== null && ` of ${parseFloat(limits.maxPerEpoch).toFixed(2)}`}
+        </span>
+        {limits.epochUsedPercent !== null && <span>{limits.epochUsedPercent.toFixed(1)}%</span>}
+      </div>
+      {limits.epochUsedPercent !== null && (
+        <div className="w-full bg-gray-200 rounded-full h-3 mb-2">
+          <div
+            className={`h-3 rounded-full ${
+              limits.epochUsedPercent >= 90 ? "bg-red-500" :
+              limits.epochUsedPercent >= 70 ? "bg-yellow-500" :
+              "bg-gradient-to-r from-primary to-secondary"
+            }`}
+            style={{ width: `${Math.min(limits.epochUsedPercent, 100)}%` }}
+          />
+        </div>
+      )}
+      <p className="text-xs text-gray-500 mb-4">
+        Epoch of {limits.epochLengthHours} h, resets {new Date(limits.epochEnd * 1000).toLocaleString()}
+      </p>
+
+      {/* Limits */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm mb-4">
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-xs text-gray-600">Per purchase</div>
+          <div className="font-semibold">{formatLimit(limits.maxPerTx)}</div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-xs text-gray-600">Per customer / rolling day</div>
+          <div className="font-semibold">{formatLimit(limits.maxPerAddressPerDay)}</div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-xs text-gray-600">Per epoch (all customers)</div>
+          <div className="font-semibold">{formatLimit(limits.maxPerEpoch)}</div>
+        </div>
+      </div>
+
+      {/* Edit Limits */}
+      {canManage && !form && (
+        <button onClick={handleEdit} className="btn-secondary py-2 px-4">
+          Edit Limits
+        </button>
+      )}
+      {canManage && form && (
+        <div>
+          <p className="text-gray-500 text-xs mb-2">Amounts in LOYAL, leave empty for no limit.</p>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-3">
+            <input
+              type="number"
+              placeholder="Per purchase"
+              value={form.maxPerTx}
+              onChange={(e) => setForm({...form, maxPerTx: e.target.value})}
+              disabled={isLoading}
+              min="0"
+              className="input-elegant w-full"
+            />
+            <input
+              type="number"
+              placeholder="Per customer / day"
+              value={form.maxPerAddressPerDay}
+              onChange={(e) => setForm({...form, maxPerAddressPerDay: e.target.value})}
+              disabled={isLoading}
+              min="0"
+              className="input-elegant w-full"
+            />
+            <input
+              type="number"
+              placeholder="Per epoch"
+              value={form.maxPerEpoch}
+              onChange={(e) => setForm({...form, maxPerEpoch: e.target.value})}
+              disabled={isLoading}
+              min="0"
+              className="input-elegant w-full"
+            />
+            <input
+              type="number"
+              placeholder="Epoch length (hours)"
+              value={form.epochLengthHours}
+              onChange={(e) => setForm({...form, epochLengthHours: e.target.value})}
+              disabled={isLoading}
+              min="1"
+              className="input-elegant w-full"
+            />
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={handleSave}
+              disabled={isLoading}
+              className="btn-primary flex-1 py-2 px-4"
+            >
+              {isLoading ? "Processing..." : "Save Limits"}
+            </button>
+            <button
+              onClick={() => setForm(null)}
+              disabled={isLoading}
+              className="btn-secondary py-2 px-4"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Status Display */}
+      {status && (
+        <div className={`mt-4 p-3 rounded-lg text-center text-sm font-medium ${
+          status.includes("Successfully") ? 'bg-green-100 text-green-800' :
+          status.includes("Failed") ? 'bg-red-100 text-red-800' :
+          'bg-blue-100 text-blue-800'
+        }`}>
+          {status}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EmissionBudgetCard;
@@ -0,0 +1,202 @@
+/**
+ * FeeRevenueChart Component v1.0
+ *
+ * Business Dashboard card charting the daily swap fee revenue of the DEX
+ * (ETH or LOYAL, from the TokenSwap events) with the lifetime fees split
+ * between the liquidity providers and the protocol treasury. The owner
+ * and the treasury can collect the protocol fees that are still pending.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.currentAccount - Connected wallet address
+ *
+ * @example
+ * return (
+ *   <FeeRevenueChart currentAccount={walletAddress} />
+ * )
+ *
+ * @version 1.0.0
+ * @author Fernanda
+ */
+
+import { useState, useEffect } from "react";
+import { ethers } from "ethers";
+import { getFeeStats, getFeeHistory, collectProtocolFees } from "../services/dex";
+import { Coins } from 'lucide-react';
+
+/** Days shown in the chart */
+const HISTORY_DAYS = 14;
+
+const FeeRevenueChart = ({ currentAccount }) => {
+  const [stats, setStats] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [asset, setAsset] = useState("token");
+  const [isLoading, setIsLoading] = useState(false);
+  const [status, setStatus] = useState("");
+
+  /**
+   * Load the fee accounting and the daily fee history
+   */
+  const loadFees = async () => {
+    try {
+      if (!window.ethereum) return;
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const [feeStats, feeHistory] = await Promise.all([
+        getFeeStats(provider),
+        getFeeHistory(provider, HISTORY_DAYS)
+      ]);
+      if (feeStats.success) {
+        setStats(feeStats);
+      }
+      if (feeHistory.success) {
+        setHistory(feeHistory.days);
+      }
+    } catch (error) {
+      console.error("Error loading fee revenue:", error);
+    }
+  };
+
+  /**
+   * Send the pending protocol fees to the treasury
+   */
+  const handleCollect = async () => {
+    setIsLoading(true);
+    setStatus("Collecting protocol fees...");
+
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const signer = await provider.getSigner();
+      const result = await collectProtocolFees(signer);
+
+      if (result.success) {
+        setStatus(result.message);
+        await loadFees();
+      } else {
+        setStatus(`Failed to collect fees: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Error collecting protocol fees:", error);
+      setStatus(`Failed to collect fees: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Refresh periodically so new swaps show up
+  useEffect(() => {
+    loadFees();
+    const interval = setInterval(loadFees, 15000);
+    return () => clearInterval(interval);
+  }, [currentAccount]);
+
+  if (!stats) {
+    return null;
+  }
+
+  const isToken = asset === "token";
+  const unit = isToken ? "LOYAL" : "ETH";
+  const decimals = isToken ? 2 : 6;
+  const values = history.map((day) => (isToken ? day.tokenFees : day.ethFees));
+  const maxValue = Math.max(...values, 0);
+  const periodTotal = values.reduce((sum, value) => sum + value, 0);
+
+  const account = currentAccount ? currentAccount.toLowerCase() : "";
+  const canCollect = account === stats.owner.toLowerCase() || account === stats.treasury.toLowerCase();
+  const hasPending = parseFloat(stats.pendingEthFees) > 0 || parseFloat(stats.pendingTokenFees) > 0;
+
+  return (
+    <div className="card-elegant p-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 mb-3">
+        <h4 className="text-lg font-semibold text-primary flex items-center gap-2">
+          <Coins size={20} />
+          Fee Revenue
+        </h4>
+        <div className="flex gap-2">
+          {["token", "eth"].map((option) => (
+            <button
+              key={option}
+              onClick={() => setAsset(option)}
+              className={`${asset === option ? "btn-primary" : "btn-secondary"} py-1 px-3 text-xs`}
+            >
+              {option === "token" ? "LOYAL fees" : "ETH fees"}
+            </button>
+          ))}
+        </div>
+      </div>
+      <p className="text-gray-600 text-sm mb-4">
+        Swap fees of the last {HISTORY_DAYS} days. {100 - stats.protocolFeeShare}% of every fee stays in the pool
+        for the liquidity providers, {stats.protocolFeeShare}% goes to the protocol treasury.
+      </p>
+
+      {/* Daily Fee Chart */}
+      <div className="flex items-end gap-1 h-40 border-b border-gray-200 mb-1">
+        {history.map((day, index) => (
+          <div
+            key={day.date}
+            className="flex-1 flex flex-col justify-end h-full"
+            title={`${day.date}: ${values[index].toFixed(decimals)} ${unit} (${day.swaps} swaps)`}
+          >
+            <div
+              className="bg-secondary rounded-t"
+              style={{ height: maxValue > 0 ? `${(values[index] / maxValue) * 100}%` : "0%" }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mb-4">
+        <span>{history.length > 0 && history[0].date}</span>
+        <span>{periodTotal.toFixed(decimals)} {unit} in {HISTORY_DAYS} days</span>
+        <span>{history.length > 0 && history[history.length - 1].date}</span>
+      </div>
+
+      {/* Lifetime Fee Split */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm mb-4">
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-xs text-gray-600">Total fees</div>
+          <div className="font-semibold">{parseFloat(stats.tokenFees).toFixed(2)} LOYAL</div>
+          <div className="font-semibold">{parseFloat(stats.ethFees).toFixed(6)} ETH</div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-xs text-gray-600">Liquidity providers</div>
+          <div className="font-semibold">{parseFloat(stats.lpTokenFees).toFixed(2)} LOYAL</div>
+          <div className="font-semibold">{parseFloat(stats.lpEthFees).toFixed(6)} ETH</div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-xs text-gray-600">Protocol</div>
+          <div className="font-semibold">{parseFloat(stats.protocolTokenFees).toFixed(2)} LOYAL</div>
+          <div className="font-semibold">{parseFloat(stats.protocolEthFees).toFixed(6)} ETH</div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-xs text-gray-600">Not collected yet</div>
+          <div className="font-semibold">{parseFloat(stats.pendingTokenFees).toFixed(2)} LOYAL</div>
+          <div className="font-semibold">{parseFloat(stats.pendingEthFees).toFixed(6)} ETH</div>
+        </div>
+      </div>
+
+      {/* Collect Protocol Fees */}
+      {canCollect && (
+        <button
+          onClick={handleCollect}
+          disabled={isLoading || !hasPending}
+          className="btn-primary w-full py-2 px-4"
+        >
+          {isLoading ? "Processing..." : "Collect Protocol Fees"}
+        </button>
+      )}
+      <p className="text-xs text-gray-500 mt-2">Treasury: {stats.treasury}</p>
+
+      {/* Status Display */}
+      {status && (
+        <div className={`mt-4 p-3 rounded-lg text-center text-sm font-medium ${
+          status.includes("Successfully") ? 'bg-green-100 text-green-800' :
+          status.includes("Failed") ? 'bg-red-100 text-red-800' :
+          'bg-blue-100 text-blue-800'
+        }`}>
+          {status}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FeeRevenueChart;
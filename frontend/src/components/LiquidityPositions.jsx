@@ -0,0 +1,170 @@
+/**
+ * LiquidityPositions Component v1.0
+ *
+ * Business Dashboard card next to the add-liquidity form showing the
+ * connected account's LP shares (LOYAL-LP), its share of the pool and the
+ * ETH and LOYAL the shares redeem for, including the swap fees the pool
+ * has accrued. Shares can be burned to withdraw that part of the pool.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.currentAccount - Connected wallet address
+ *
+ * @example
+ * return (
+ *   <LiquidityPositions currentAccount={walletAddress} />
+ * )
+ *
+ * @version 1.0.0
+ * @author Fernanda
+ */
+
+import { useState, useEffect } from "react";
+import { ethers } from "ethers";
+import { getLiquidityPosition, removeLiquidity } from "../services/dex";
+import { Wallet } from 'lucide-react';
+
+const LiquidityPositions = ({ currentAccount }) => {
+  const [position, setPosition] = useState(null);
+  const [shares, setShares] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [status, setStatus] = useState("");
+
+  /**
+   * Load the LP position of the connected account
+   */
+  const loadPosition = async () => {
+    try {
+      if (!window.ethereum || !currentAccount) return;
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const result = await getLiquidityPosition(currentAccount, provider);
+      if (result.success) {
+        setPosition(result);
+      }
+    } catch (error) {
+      console.error("Error loading liquidity position:", error);
+    }
+  };
+
+  /**
+   * Burn LP shares and withdraw ETH and LOYAL
+   */
+  const handleWithdraw = async () => {
+    setIsLoading(true);
+    setStatus("Withdrawing liquidity...");
+
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const signer = await provider.getSigner();
+      const result = await removeLiquidity(shares, signer);
+
+      if (result.success) {
+        setStatus(result.message);
+        setShares("");
+        await loadPosition();
+      } else {
+        setStatus(`Failed to withdraw liquidity: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Error withdrawing liquidity:", error);
+      setStatus(`Failed to withdraw liquidity: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Refresh periodically so the position follows swaps and deposits
+  useEffect(() => {
+    loadPosition();
+    const interval = setInterval(loadPosition, 15000);
+    return () => clearInterval(interval);
+  }, [currentAccount]);
+
+  const hasShares = position && parseFloat(position.shares) > 0;
+  const withdrawShare = hasShares && shares ? Math.min(parseFloat(shares) / parseFloat(position.shares), 1) : 0;
+
+  return (
+    <div className="card-elegant p-6">
+      <h4 className="text-lg font-semibold text-primary mb-3 flex items-center gap-2">
+        <Wallet size={20} />
+        My Liquidity Positions
+      </h4>
+
+      {!hasShares ? (
+        <p className="text-gray-500 text-sm italic">
+          No liquidity provided yet. Adding liquidity mints LOYAL-LP shares that earn part of every swap fee.
+        </p>
+      ) : (
+        <>
+          {/* Position */}
+          <div className="grid grid-cols-2 gap-3 text-sm mb-4">
+            <div className="bg-gray-50 rounded-lg p-3">
+              <div className="text-xs text-gray-600">LP shares</div>
+              <div className="font-semibold">{parseFloat(position.shares).toFixed(4)} LOYAL-LP</div>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-3">
+              <div className="text-xs text-gray-600">Pool share</div>
+              <div className="font-semibold">{position.poolShare.toFixed(2)}%</div>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-3">
+              <div className="text-xs text-gray-600">Redeemable ETH</div>
+              <div className="font-semibold">{parseFloat(position.ethAmount).toFixed(4)} ETH</div>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-3">
+              <div className="text-xs text-gray-600">Redeemable LOYAL</div>
+              <div className="font-semibold">{parseFloat(position.tokenAmount).toFixed(2)} LOYAL</div>
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 mb-4">Redeemable amounts include the swap fees accrued by the pool.</p>
+
+          {/* Withdraw Form */}
+          <div className="flex gap-3 mb-2">
+            <input
+              type="number"
+              placeholder="Shares to withdraw"
+              value={shares}
+              onChange={(e) => setShares(e.target.value)}
+              disabled={isLoading}
+              min="0"
+              max={position.shares}
+              className="input-elegant flex-1"
+            />
+            <button
+              onClick={() => setShares(position.shares)}
+              disabled={isLoading}
+              className="btn-secondary py-2 px-3 text-sm"
+            >
+              Max
+            </button>
+          </div>
+          {withdrawShare > 0 && (
+            <p className="text-sm text-gray-600 mb-3">
+              You receive ~{(parseFloat(position.ethAmount) * withdrawShare).toFixed(4)} ETH and
+              ~{(parseFloat(position.tokenAmount) * withdrawShare).toFixed(2)} LOYAL.
+            </p>
+          )}
+          <button
+            onClick={handleWithdraw}
+            disabled={isLoading || !shares || parseFloat(shares) <= 0}
+            className="btn-primary w-full py-2 px-4"
+          >
+            {isLoading ? "Processing..." : "Withdraw Liquidity"}
+          </button>
+        </>
+      )}
+
+      {/* Status Display */}
+      {status && (
+        <div className={`mt-4 p-3 rounded-lg text-center text-sm font-medium ${
+          status.includes("Successfully") ? 'bg-green-100 text-green-800' :
+          status.includes("Failed") ? 'bg-red-100 text-red-800' :
+          'bg-blue-100 text-blue-800'
+        }`}>
+          {status}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LiquidityPositions;
@@ -0,0 +1,94 @@
+/**
+ * LoyaltyTierCard Component v1.0
+ *
+ * Customer Portal card showing the connected customer's loyalty tier
+ * (Bronze, Silver, Gold or Platinum), their earn multiplier and the
+ * progress towards the next tier based on lifetime earned tokens.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.currentAccount - Connected wallet address
+ *
+ * @example
+ * return (
+ *   <LoyaltyTierCard currentAccount={walletAddress} />
+ * )
+ *
+ * @version 1.0.0
+ * @author Fernanda
+ */
+
+import { useState, useEffect } from "react";
+import { getTierInfo } from "../services/token";
+import { Award } from 'lucide-react';
+
+const TIER_STYLES = {
+  Bronze: "bg-orange-100 text-orange-800",
+  Silver: "bg-gray-200 text-gray-800",
+  Gold: "bg-yellow-100 text-yellow-800",
+  Platinum: "bg-indigo-100 text-indigo-800"
+};
+
+const LoyaltyTierCard = ({ currentAccount }) => {
+  const [tierInfo, setTierInfo] = useState(null);
+
+  /**
+   * Load tier details for the connected account
+   */
+  const loadTier = async () => {
+    try {
+      if (!window.ethereum || !currentAccount) {
+        setTierInfo(null);
+        return;
+      }
+      setTierInfo(await getTierInfo(currentAccount));
+    } catch (error) {
+      console.error("Error loading tier:", error);
+    }
+  };
+
+  // Refresh the tier periodically so new earnings show up
+  useEffect(() => {
+    loadTier();
+    const interval = setInterval(loadTier, 10000);
+    return () => clearInterval(interval);
+  }, [currentAccount]);
+
+  if (!tierInfo) {
+    return null;
+  }
+
+  return (
+    <div className="card-elegant p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold text-primary flex items-center">
+          <Award className="mr-2" size={20} />
+          Loyalty Tier
+        </h3>
+        <span className={`px-3 py-1 rounded-full text-sm font-semibold ${TIER_STYLES[tierInfo.tier]}`}>
+          {tierInfo.tier} · {tierInfo.multiplier}x rewards
+        </span>
+      </div>
+
+      <div className="w-full bg-gray-200 rounded-full h-3 mb-2">
+        <div
+          className="bg-gradient-to-r from-primary to-secondary h-3 rounded-full"
+          style={{ width: `${Math.min(tierInfo.progress, 100)}%` }}
+        />
+      </div>
+
+      <div className="flex justify-between text-sm text-gray-600">
+        <span>{parseFloat(tierInfo.lifetimeEarned).toFixed(2)} LOYAL earned lifetime</span>
+        {tierInfo.nextTier ? (
+          <span>
+            {parseFloat(tierInfo.remaining).toFixed(2)} LOYAL to {tierInfo.nextTier}
+          </span>
+        ) : (
+          <span>Top tier reached 🎉</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LoyaltyTierCard;
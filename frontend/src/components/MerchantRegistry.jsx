@@ -0,0 +1,316 @@
+/**
+ * MerchantRegistry Component v1.0
+ *
+ * Business Dashboard section for the on-chain merchant registry.
+ * Lists coalition merchants with their earn parameters and lets admins
+ * register, edit, activate and deactivate merchants, and link operator
+ * accounts (tills, POS terminals) that redeem coupons for a merchant.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.currentAccount - Connected wallet address
+ * @param {boolean} props.canManage - Whether the connected account can manage the registry (admin)
+ *
+ * @example
+ * return (
+ *   <MerchantRegistry currentAccount={walletAddress} canManage={roles.isAdmin} />
+ * )
+ *
+ * @version 1.1.0
+ * @author Fernanda
+ */
+
+import { useState, useEffect } from "react";
+import { getMerchants, registerMerchant, updateMerchant, setMerchantActive, setMerchantAccount } from "../services/token";
+import { BUSINESS_TYPES } from "../config/contracts";
+import { Store, Pencil, Power, Link } from 'lucide-react';
+
+const EMPTY_FORM = {
+  id: null,
+  name: "",
+  businessType: "restaurant",
+  payoutAddress: "",
+  emissionRate: "1",
+  unitValue: "3"
+};
+
+const MerchantRegistry = ({ currentAccount, canManage }) => {
+  const [merchants, setMerchants] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [accountForm, setAccountForm] = useState({ account: "", merchantId: "" });
+  const [isLoading, setIsLoading] = useState(false);
+  const [status, setStatus] = useState("");
+
+  /**
+   * Load registered merchants
+   */
+  const loadMerchants = async () => {
+    try {
+      if (!window.ethereum || !currentAccount) return;
+      setMerchants(await getMerchants());
+    } catch (error) {
+      console.error("Error loading merchants:", error);
+    }
+  };
+
+  /**
+   * Register a new merchant or save changes to the one being edited
+   */
+  const handleSave = async () => {
+    setIsLoading(true);
+    setStatus(form.id ? "Updating merchant..." : "Registering merchant...");
+
+    try {
+      if (form.id) {
+        await updateMerchant(form.id, form.name, form.businessType, form.payoutAddress, form.emissionRate, form.unitValue);
+        setStatus(`Successfully updated merchant #${form.id}`);
+      } else {
+        const result = await registerMerchant(form.name, form.businessType, form.payoutAddress, form.emissionRate, form.unitValue);
+        setStatus(`Successfully registered merchant #${result.merchantId}`);
+      }
+      setForm(EMPTY_FORM);
+      await loadMerchants();
+    } catch (error) {
+      console.error("Error saving merchant:", error);
+      setStatus(`Failed to save merchant: ${error.reason || error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Toggle a merchant's active flag
+   */
+  const handleToggleActive = async (merchant) => {
+    setIsLoading(true);
+    setStatus(`${merchant.active ? "Deactivating" : "Activating"} ${merchant.name}...`);
+
+    try {
+      await setMerchantActive(merchant.id, !merchant.active);
+      setStatus(`Successfully ${merchant.active ? "deactivated" : "activated"} ${merchant.name}`);
+      await loadMerchants();
+    } catch (error) {
+      console.error("Error updating merchant status:", error);
+      setStatus(`Failed to update merchant: ${error.reason || error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Link an operator account to the selected merchant
+   */
+  const handleLinkAccount = async () => {
+    setIsLoading(true);
+    setStatus("Linking account...");
+
+    try {
+      await setMerchantAccount(accountForm.account, accountForm.merchantId);
+      setStatus(`Successfully linked ${accountForm.account.slice(0, 6)}...${accountForm.account.slice(-4)} to merchant #${accountForm.merchantId}`);
+      setAccountForm({ account: "", merchantId: "" });
+    } catch (error) {
+      console.error("Error linking merchant account:", error);
+      setStatus(`Failed to link account: ${error.reason || error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Load merchants when the connected account changes
+  useEffect(() => {
+    loadMerchants();
+  }, [currentAccount]);
+
+  return (
+    <div className="card-elegant p-6">
+      <h4 className="text-lg font-semibold text-primary mb-3 flex items-center gap-2">
+        <Store size={20} />
+        Merchant Registry
+      </h4>
+      <p className="text-gray-600 text-sm mb-4">
+        Each merchant rewards purchases with its own earn ratio: tokens = (amount spent / unit value) × emission rate.
+      </p>
+
+      {/* Merchant List */}
+      {merchants.length === 0 ? (
+        <p className="text-gray-500 text-sm italic mb-4">No merchants registered yet.</p>
+      ) : (
+        <div className="overflow-x-auto mb-4">
+          <table className="w-full text-sm text-left">
+            <thead>
+              <tr className="text-gray-600 border-b border-gray-200">
+                <th className="py-2">ID</th>
+                <th className="py-2">Name</th>
+                <th className="py-2">Type</th>
+                <th className="py-2">Payout</th>
+                <th className="py-2">Emission Rate</th>
+                <th className="py-2">Unit Value</th>
+                <th className="py-2">Status</th>
+                {canManage && <th className="py-2"></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {merchants.map((merchant) => (
+                <tr key={merchant.id} className="border-b border-gray-100">
+                  <td className="py-2">#{merchant.id}</td>
+                  <td className="py-2">{merchant.name}</td>
+                  <td className="py-2 capitalize">{merchant.businessType}</td>
+                  <td className="py-2">{merchant.payoutAddress.slice(0, 6)}...{merchant.payoutAddress.slice(-4)}</td>
+                  <td className="py-2">{merchant.emissionRate}</td>
+                  <td className="py-2">{merchant.unitValue}</td>
+                  <td className="py-2">{merchant.active ? "🟢 Active" : "🔴 Inactive"}</td>
+                  {canManage && (
+                    <td className="py-2 flex gap-2">
+                      <button
+                        onClick={() => setForm(merchant)}
+                        disabled={isLoading}
+                        className="text-secondary"
+                        title="Edit merchant"
+                      >
+                        <Pencil size={16} />
+                      </button>
+                      <button
+                        onClick={() => handleToggleActive(merchant)}
+                        disabled={isLoading}
+                        className={merchant.active ? "text-red-600" : "text-green-600"}
+                        title={merchant.active ? "Deactivate merchant" : "Activate merchant"}
+                      >
+                        <Power size={16} />
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Register / Edit Form */}
+      {canManage && (
+        <div>
+          <h5 className="text-sm font-semibold text-gray-700 mb-2">
+            {form.id ? `Edit merchant #${form.id}` : "Register merchant"}
+          </h5>
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-3 mb-3">
+            <input
+              type="text"
+              placeholder="Name"
+              value={form.name}
+              onChange={(e) => setForm({...form, name: e.target.value})}
+              disabled={isLoading}
+              className="input-elegant w-full"
+            />
+            <select
+              value={form.businessType}
+              onChange={(e) => setForm({...form, businessType: e.target.value})}
+              disabled={isLoading}
+              className="input-elegant w-full"
+            >
+              {BUSINESS_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder="Payout address (0x...)"
+              value={form.payoutAddress}
+              onChange={(e) => setForm({...form, payoutAddress: e.target.value})}
+              disabled={isLoading}
+              className="input-elegant w-full"
+            />
+            <input
+              type="number"
+              placeholder="Emission rate"
+              value={form.emissionRate}
+              onChange={(e) => setForm({...form, emissionRate: e.target.value})}
+              disabled={isLoading}
+              min="0"
+              step="1"
+              className="input-elegant w-full"
+            />
+            <input
+              type="number"
+              placeholder="Unit value"
+              value={form.unitValue}
+              onChange={(e) => setForm({...form, unitValue: e.target.value})}
+              disabled={isLoading}
+              min="1"
+              step="1"
+              className="input-elegant w-full"
+            />
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={handleSave}
+              disabled={isLoading}
+              className="btn-primary flex-1 py-2 px-4"
+            >
+              {isLoading ? "Processing..." : form.id ? "Save Changes" : "Register Merchant"}
+            </button>
+            {form.id && (
+              <button
+                onClick={() => setForm(EMPTY_FORM)}
+                disabled={isLoading}
+                className="btn-secondary py-2 px-4"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+
+          {/* Operator Account Linking */}
+          <h5 className="text-sm font-semibold text-gray-700 mt-6 mb-2 flex items-center gap-2">
+            <Link size={16} />
+            Link till / POS account
+          </h5>
+          <p className="text-gray-500 text-xs mb-2">
+            Linked accounts can redeem customer coupons for the merchant. Select "Unlink" to remove an account.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <input
+              type="text"
+              placeholder="Account address (0x...)"
+              value={accountForm.account}
+              onChange={(e) => setAccountForm({...accountForm, account: e.target.value})}
+              disabled={isLoading}
+              className="input-elegant w-full"
+            />
+            <select
+              value={accountForm.merchantId}
+              onChange={(e) => setAccountForm({...accountForm, merchantId: e.target.value})}
+              disabled={isLoading}
+              className="input-elegant w-full"
+            >
+              <option value="">Select merchant</option>
+              {merchants.map((merchant) => (
+                <option key={merchant.id} value={merchant.id}>#{merchant.id} {merchant.name}</option>
+              ))}
+              <option value="0">Unlink</option>
+            </select>
+            <button
+              onClick={handleLinkAccount}
+              disabled={isLoading || !accountForm.account || accountForm.merchantId === ""}
+              className="btn-secondary py-2 px-4"
+            >
+              Link Account
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Status Display */}
+      {status && (
+        <div className={`mt-4 p-3 rounded-lg text-center text-sm font-medium ${
+          status.includes("Successfully") ? 'bg-green-100 text-green-800' :
+          status.includes("Failed") ? 'bg-red-100 text-red-800' :
+          'bg-blue-100 text-blue-800'
+        }`}>
+          {status}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MerchantRegistry;
@@ -0,0 +1,285 @@
+/**
+ * PendingChangesPanel Component v1.0
+ *
+ * Business Dashboard section for the parameter timelock. Lists queued
+ * changes to the emission rate, unit value, coupon fee, merchant rates and
+ * DEX exchange rate and fee with their current → new value and the time left until
+ * they can be executed. Ready changes can be executed by anyone, admins
+ * can queue new changes and cancel pending ones.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.currentAccount - Connected wallet address
+ * @param {boolean} props.canManage - Whether the connected account can queue and cancel changes (admin)
+ *
+ * @example
+ * return (
+ *   <PendingChangesPanel currentAccount={walletAddress} canManage={roles.isAdmin} />
+ * )
+ *
+ * @version 1.0.0
+ * @author Fernanda
+ */
+
+import { useState, useEffect } from "react";
+import {
+  TIMELOCK_PARAMETERS,
+  getParameterChanges,
+  queueParameterChange,
+  executeParameterChange,
+  cancelParameterChange
+} from "../services/governance";
+import { Hourglass, XCircle } from 'lucide-react';
+
+const STATUS_STYLES = {
+  pending: "bg-blue-100 text-blue-800",
+  ready: "bg-green-100 text-green-800",
+  expired: "bg-gray-200 text-gray-700",
+  executed: "bg-gray-200 text-gray-700",
+  cancelled: "bg-red-100 text-red-800"
+};
+
+/**
+ * Format the time left until a timestamp, e.g. "1d 4h" or "25m"
+ */
+const formatCountdown = (seconds) => {
+  const left = Math.max(seconds - Math.floor(Date.now() / 1000), 0);
+  const days = Math.floor(left / 86400);
+  const hours = Math.floor((left % 86400) / 3600);
+  const minutes = Math.ceil((left % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+};
+
+const PendingChangesPanel = ({ currentAccount, canManage }) => {
+  const [timelock, setTimelock] = useState(null);
+  const [parameter, setParameter] = useState("0");
+  const [value, setValue] = useState("");
+  const [merchantId, setMerchantId] = useState("");
+  const [showHistory, setShowHistory] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [status, setStatus] = useState("");
+
+  /**
+   * Load the timelock delay, current values and changes
+   */
+  const loadChanges = async () => {
+    try {
+      if (!window.ethereum || !currentAccount) return;
+      setTimelock(await getParameterChanges());
+    } catch (error) {
+      console.error("Error loading parameter changes:", error);
+    }
+  };
+
+  /**
+   * Queue a parameter change
+   */
+  const handleQueue = async () => {
+    setIsLoading(true);
+    setStatus("Queueing change...");
+
+    try {
+      const result = await queueParameterChange(Number(parameter), value, merchantId);
+      setStatus(`Successfully queued change #${result.changeId}, executable from ${new Date(result.eta * 1000).toLocaleString()}`);
+      setValue("");
+      await loadChanges();
+    } catch (error) {
+      console.error("Error queueing change:", error);
+      setStatus(`Failed to queue change: ${error.reason || error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Execute or cancel a queued change
+   */
+  const handleAction = async (change, execute) => {
+    setIsLoading(true);
+    setStatus(`${execute ? "Executing" : "Cancelling"} change #${change.id}...`);
+
+    try {
+      if (execute) {
+        await executeParameterChange(change.id);
+      } else {
+        await cancelParameterChange(change.id);
+      }
+      setStatus(`Successfully ${execute ? "executed" : "cancelled"} change #${change.id}`);
+      await loadChanges();
+    } catch (error) {
+      console.error("Error updating change:", error);
+      setStatus(`Failed to ${execute ? "execute" : "cancel"} change: ${error.reason || error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Refresh periodically so countdowns and ready changes stay current
+  useEffect(() => {
+    loadChanges();
+    const interval = setInterval(loadChanges, 15000);
+    return () => clearInterval(interval);
+  }, [currentAccount]);
+
+  if (!timelock) {
+    return null;
+  }
+
+  const selectedParameter = TIMELOCK_PARAMETERS[Number(parameter)];
+  const openChanges = timelock.changes.filter((c) => c.status === "pending" || c.status === "ready");
+  const pastChanges = timelock.changes.filter((c) => c.status !== "pending" && c.status !== "ready");
+
+  const renderTable = (list, allowActions) => (
+    <div className="overflow-x-auto mb-4">
+      <table className="w-full text-sm text-left">
+        <thead>
+          <tr className="text-gray-600 border-b border-gray-200">
+            <th className="py-2">Change</th>
+            <th className="py-2">Current → New</th>
+            <th className="py-2">Executable</th>
+            <th className="py-2">Status</th>
+            {allowActions && <th className="py-2"></th>}
+          </tr>
+        </thead>
+        <tbody>
+          {list.map((change) => (
+            <tr key={change.id} className="border-b border-gray-100">
+              <td className="py-2">#{change.id} {change.label}</td>
+              <td className="py-2">
+                {allowActions ? change.currentValue : "—"} → <span className="font-semibold">{change.newValue}</span> {change.unit}
+              </td>
+              <td className="py-2 text-xs">
+                {new Date(change.eta * 1000).toLocaleString()}
+                {change.status === "pending" && <><br />in {formatCountdown(change.eta)}</>}
+              </td>
+              <td className="py-2">
+                <span className={`px-2 py-1 rounded-full text-xs font-semibold capitalize ${STATUS_STYLES[change.status]}`}>
+                  {change.status}
+                </span>
+              </td>
+              {allowActions && (
+                <td className="py-2 whitespace-nowrap">
+                  {change.status === "ready" && (
+                    <button
+                      onClick={() => handleAction(change, true)}
+                      disabled={isLoading}
+                      className="btn-primary py-1 px-3 text-xs mr-2"
+                    >
+                      Execute
+                    </button>
+                  )}
+                  {canManage && (
+                    <button
+                      onClick={() => handleAction(change, false)}
+                      disabled={isLoading}
+                      className="text-red-600 align-middle"
+                      title="Cancel change"
+                    >
+                      <XCircle size={16} />
+                    </button>
+                  )}
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div className="card-elegant p-6">
+      <h4 className="text-lg font-semibold text-primary mb-3 flex items-center gap-2">
+        <Hourglass size={20} />
+        Pending Changes
+      </h4>
+      <p className="text-gray-600 text-sm mb-4">
+        Reward, merchant rate, coupon fee and DEX rate changes are announced {timelock.delayHours} h before they apply
+        and must be executed within {timelock.gracePeriodHours / 24} days after that.
+      </p>
+
+      {/* Queued Changes */}
+      {openChanges.length === 0 ? (
+        <p className="text-gray-500 text-sm italic mb-4">No pending changes.</p>
+      ) : (
+        renderTable(openChanges, true)
+      )}
+
+      {/* Change History */}
+      {pastChanges.length > 0 && (
+        <div className="mb-4">
+          <button
+            onClick={() => setShowHistory(!showHistory)}
+            className="text-secondary text-sm mb-2"
+          >
+            {showHistory ? "Hide" : "Show"} past changes ({pastChanges.length})
+          </button>
+          {showHistory && renderTable(pastChanges, false)}
+        </div>
+      )}
+
+      {/* Queue Form */}
+      {canManage && (
+        <div>
+          <h5 className="text-sm font-semibold text-gray-700 mb-2">Propose change</h5>
+          <div className={`grid grid-cols-1 gap-3 mb-3 ${selectedParameter.merchant ? "md:grid-cols-4" : "md:grid-cols-3"}`}>
+            <select
+              value={parameter}
+              onChange={(e) => setParameter(e.target.value)}
+              disabled={isLoading}
+              className="input-elegant w-full"
+            >
+              {TIMELOCK_PARAMETERS.map((param, index) => (
+                <option key={param.key} value={index}>
+                  {param.merchant ? param.label : `${param.label} (now ${timelock.currentValues[index]} ${param.unit})`}
+                </option>
+              ))}
+            </select>
+            {selectedParameter.merchant && (
+              <input
+                type="number"
+                placeholder="Merchant ID"
+                value={merchantId}
+                onChange={(e) => setMerchantId(e.target.value)}
+                disabled={isLoading}
+                min="1"
+                className="input-elegant w-full"
+              />
+            )}
+            <input
+              type="number"
+              placeholder={`New value (${selectedParameter.unit})`}
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              disabled={isLoading}
+              min="0"
+              className="input-elegant w-full"
+            />
+            <button
+              onClick={handleQueue}
+              disabled={isLoading || value === "" || (selectedParameter.merchant && merchantId === "")}
+              className="btn-primary py-2 px-4"
+            >
+              {isLoading ? "Processing..." : "Queue Change"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Status Display */}
+      {status && (
+        <div className={`mt-4 p-3 rounded-lg text-center text-sm font-medium ${
+          status.includes("Successfully") ? 'bg-green-100 text-green-800' :
+          status.includes("Failed") ? 'bg-red-100 text-red-800' :
+          'bg-blue-100 text-blue-800'
+        }`}>
+          {status}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PendingChangesPanel;
@@ -0,0 +1,199 @@
+/**
+ * ReferralPanel Component v1.0
+ *
+ * Customer Portal card for the referral program. Shows the customer's
+ * shareable referral link, their referral statistics and the customers
+ * they referred. New customers (no purchases yet) can register the
+ * referrer who invited them; the field is prefilled from the `?ref=`
+ * parameter of a referral link.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.currentAccount - Connected wallet address
+ *
+ * @example
+ * return (
+ *   <ReferralPanel currentAccount={walletAddress} />
+ * )
+ *
+ * @version 1.0.0
+ * @author Fernanda
+ */
+
+import { useState, useEffect } from "react";
+import { getReferralInfo, registerReferrer, buildReferralLink, getReferrerFromUrl } from "../services/token";
+import { UserPlus, Copy, Check } from 'lucide-react';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const ReferralPanel = ({ currentAccount }) => {
+  const [referralInfo, setReferralInfo] = useState(null);
+  const [referrerInput, setReferrerInput] = useState(getReferrerFromUrl() || "");
+  const [copied, setCopied] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [status, setStatus] = useState("");
+
+  /**
+   * Load referral details for the connected account
+   */
+  const loadReferrals = async () => {
+    try {
+      if (!window.ethereum || !currentAccount) {
+        setReferralInfo(null);
+        return;
+      }
+      setReferralInfo(await getReferralInfo(currentAccount));
+    } catch (error) {
+      console.error("Error loading referrals:", error);
+    }
+  };
+
+  /**
+   * Copy the referral link to the clipboard
+   */
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(buildReferralLink(currentAccount));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error("Error copying referral link:", error);
+    }
+  };
+
+  /**
+   * Register the referrer who invited the connected customer
+   */
+  const handleRegister = async () => {
+    setIsLoading(true);
+    setStatus("Registering referrer...");
+
+    try {
+      await registerReferrer(referrerInput.trim());
+      setStatus(`Successfully registered ${shortAddress(referrerInput.trim())} as your referrer`);
+      await loadReferrals();
+    } catch (error) {
+      console.error("Error registering referrer:", error);
+      setStatus(`Failed to register referrer: ${error.reason || error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Refresh periodically so newly qualified referrals show up
+  useEffect(() => {
+    loadReferrals();
+    const interval = setInterval(loadReferrals, 10000);
+    return () => clearInterval(interval);
+  }, [currentAccount]);
+
+  if (!referralInfo) {
+    return null;
+  }
+
+  return (
+    <div className="card-elegant p-6">
+      <h3 className="text-xl font-semibold text-primary mb-2 flex items-center">
+        <UserPlus className="mr-2" size={20} />
+        Refer a Friend
+      </h3>
+      <p className="text-gray-600 text-sm mb-4">
+        When a friend you invite earns {parseFloat(referralInfo.minEarn).toFixed(0)} LOYAL or more on a purchase,
+        you get {parseFloat(referralInfo.referrerBonus).toFixed(0)} LOYAL and they get {parseFloat(referralInfo.refereeBonus).toFixed(0)} LOYAL.
+      </p>
+
+      {/* Referral Link */}
+      <div className="flex gap-2 mb-4">
+        <input
+          type="text"
+          value={buildReferralLink(currentAccount)}
+          readOnly
+          className="input-elegant w-full text-sm"
+        />
+        <button
+          onClick={handleCopy}
+          className="btn-secondary py-2 px-4 flex items-center gap-1"
+          title="Copy referral link"
+        >
+          {copied ? <Check size={16} /> : <Copy size={16} />}
+          {copied ? "Copied" : "Copy"}
+        </button>
+      </div>
+
+      {/* Stats */}
+      <div className="grid grid-cols-3 gap-3 mb-4 text-center">
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-lg font-bold text-primary">{referralInfo.referred}</div>
+          <div className="text-xs text-gray-600">Friends referred</div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-lg font-bold text-primary">{referralInfo.qualifiedReferrals}</div>
+          <div className="text-xs text-gray-600">Qualified</div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-lg font-bold text-primary">{parseFloat(referralInfo.bonusEarned).toFixed(2)}</div>
+          <div className="text-xs text-gray-600">LOYAL bonus earned</div>
+        </div>
+      </div>
+
+      {/* My Referrals */}
+      {referralInfo.referrals.length > 0 && (
+        <div className="mb-4">
+          <h4 className="text-sm font-semibold text-gray-700 mb-2">My referrals</h4>
+          <ul className="text-sm divide-y divide-gray-100">
+            {referralInfo.referrals.map((referral) => (
+              <li key={referral.address} className="py-1 flex justify-between">
+                <span>{shortAddress(referral.address)}</span>
+                <span className={referral.qualified ? "text-green-600" : "text-gray-500"}>
+                  {referral.qualified ? "✅ Qualified" : "⏳ Pending first purchase"}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Referrer */}
+      {referralInfo.referrer ? (
+        <p className="text-sm text-gray-600">
+          Referred by {shortAddress(referralInfo.referrer)}
+          {referralInfo.qualified ? " · welcome bonus received 🎉" : " · make a purchase to receive your welcome bonus"}
+        </p>
+      ) : referralInfo.canRegister && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-700 mb-2">Were you invited by a friend?</h4>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              placeholder="Referrer address (0x...)"
+              value={referrerInput}
+              onChange={(e) => setReferrerInput(e.target.value)}
+              disabled={isLoading}
+              className="input-elegant w-full"
+            />
+            <button
+              onClick={handleRegister}
+              disabled={isLoading || !referrerInput.trim()}
+              className="btn-primary py-2 px-4"
+            >
+              {isLoading ? "Processing..." : "Register"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Status Display */}
+      {status && (
+        <div className={`mt-4 p-3 rounded-lg text-center text-sm font-medium ${
+          status.includes("Successfully") ? 'bg-green-100 text-green-800' :
+          status.includes("Failed") ? 'bg-red-100 text-red-800' :
+          'bg-blue-100 text-blue-800'
+        }`}>
+          {status}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReferralPanel;
@@ -1,12 +1,16 @@
 /**
- * TokenSwapForm Component v1.0
+ * TokenSwapForm Component v1.3
  * 
  * DEX trading interface for swapping between ETH and LOYAL tokens.
  * Provides real-time swap calculations, liquidity information, and trading functionality.
  * 
  * Features:
  * - Bidirectional swaps (ETH ↔ LOYAL)
- * - Real-time swap preview with fees
+ * - LOYAL → ETH swaps in a single transaction using an EIP-2612 permit
+ * - Real-time swap preview with fees and price impact
+ * - Warning when the price impact exceeds DEX_CONFIG.priceImpactWarning
+ * - Adjustable slippage tolerance, swaps revert below the minimum received or after the deadline
+ * - Spot price from the pool reserves in constant product (x * y = k) mode
  * - Live liquidity and exchange rate display
  * - Input validation and error handling
  * - Responsive design with clear UX
@@ -20,7 +24,7 @@
  *   <TokenSwapForm currentAccount={walletAddress} />
  * )
  * 
- * @version 1.0.0
+ * @version 1.3.0
  * @author Fernanda
  */
 
@@ -28,10 +32,14 @@ import { useState, useEffect } from "react";
 import { ethers } from "ethers";
 import { 
   swapEthForTokens, 
-  swapTokensForEth, 
+  swapTokensForEthWithPermit, 
   getDEXStatus, 
   calculateSwap 
 } from "../services/dex";
+import { DEX_CONFIG } from "../config/contracts";
+
+/** Slippage presets in % */
+const SLIPPAGE_OPTIONS = [0.1, 0.5, 1];
 
 /**
  * TokenSwapForm functional component
@@ -47,20 +55,22 @@ const TokenSwapForm = ({ currentAccount }) => {
   const [isEthToToken, setIsEthToToken] = useState(true);
   const [isLoading, setIsLoading] = useState(false);
   const [status, setStatus] = useState("");
+  const [slippage, setSlippage] = useState(DEX_CONFIG.defaultSlippage.toString());
   
   // DEX status
   const [dexStatus, setDexStatus] = useState({
     ethLiquidity: "0",
     tokenLiquidity: "0", 
     exchangeRate: "0",
-    feePercentage: "0"
+    feePercentage: "0",
+    spotPrice: "0",
+    pricingMode: "fixedRate"
   });
   
   // Swap calculation
-  const [swapPreview, setSwapPreview] = useState({
-    outputAmount: "0",
-    feeAmount: "0"
-  });
+  // inputAmount and ethToToken record which swap the quote is for
+  const emptyPreview = { outputAmount: "0", feeAmount: "0", priceImpact: 0, highImpact: false, inputAmount: "", ethToToken: true };
+  const [swapPreview, setSwapPreview] = useState(emptyPreview);
 
   /**
    * Load DEX status and liquidity information
@@ -85,7 +95,7 @@ const TokenSwapForm = ({ currentAccount }) => {
    */
   const calculateSwapPreview = async () => {
     if (!inputAmount || parseFloat(inputAmount) <= 0) {
-      setSwapPreview({ outputAmount: "0", feeAmount: "0" });
+      setSwapPreview(emptyPreview);
       setOutputAmount("");
       return;
     }
@@ -97,7 +107,11 @@ const TokenSwapForm = ({ currentAccount }) => {
       if (calculation.success) {
         setSwapPreview({
           outputAmount: calculation.outputAmount,
-          feeAmount: calculation.feeAmount
+          feeAmount: calculation.feeAmount,
+          priceImpact: calculation.priceImpact,
+          highImpact: calculation.highImpact,
+          inputAmount: calculation.inputAmount,
+          ethToToken: isEthToToken
         });
         setOutputAmount(calculation.outputAmount);
       }
@@ -106,6 +120,9 @@ const TokenSwapForm = ({ currentAccount }) => {
     }
   };
 
+  // Minimum output the swap accepts, from the quote and the slippage tolerance
+  const minimumReceived = parseFloat(swapPreview.outputAmount) * (1 - (parseFloat(slippage) || 0) / 100);
+
   /**
    * Handle token swap execution
    */
@@ -120,6 +137,12 @@ const TokenSwapForm = ({ currentAccount }) => {
       return;
     }
 
+    // The minimum received comes from the displayed quote, so it must be the quote of this swap
+    if (swapPreview.inputAmount !== inputAmount || swapPreview.ethToToken !== isEthToToken) {
+      setStatus("The quote is still updating, please try again");
+      return;
+    }
+
     setIsLoading(true);
     setStatus("Processing swap...");
 
@@ -129,9 +152,11 @@ const TokenSwapForm = ({ currentAccount }) => {
       
       let result;
       if (isEthToToken) {
-        result = await swapEthForTokens(inputAmount, signer);
+        result = await swapEthForTokens(inputAmount, swapPreview.outputAmount, signer, parseFloat(slippage));
       } else {
-        result = await swapTokensForEth(inputAmount, signer);
+        // Sign a permit for the exact amount, then swap in one transaction
+        setStatus("Sign the permit in your wallet...");
+        result = await swapTokensForEthWithPermit(inputAmount, swapPreview.outputAmount, signer, parseFloat(slippage));
       }
 
       if (result.success) {
@@ -140,6 +165,10 @@ const TokenSwapForm = ({ currentAccount }) => {
         setOutputAmount("");
         // Refresh DEX status
         await loadDEXStatus();
+      } else if (result.error.includes("Output below minimum")) {
+        setStatus(`Swap failed: the price moved more than your ${slippage}% slippage tolerance. Try again or increase it.`);
+      } else if (result.error.includes("Swap expired")) {
+        setStatus(`Swap failed: the transaction was not mined within ${DEX_CONFIG.swapDeadlineMinutes} minutes.`);
       } else {
         setStatus(`Swap failed: ${result.error}`);
       }
@@ -158,7 +187,7 @@ const TokenSwapForm = ({ currentAccount }) => {
     setIsEthToToken(!isEthToToken);
     setInputAmount("");
     setOutputAmount("");
-    setSwapPreview({ outputAmount: "0", feeAmount: "0" });
+    setSwapPreview(emptyPreview);
   };
 
   // Load DEX status on component mount
@@ -195,7 +224,11 @@ const TokenSwapForm = ({ currentAccount }) => {
         <h4 style={{ margin: "0 0 8px 0", color: "#87ceeb" }}>📊 DEX Status</h4>
         <div>💧 ETH Liquidity: {parseFloat(dexStatus.ethLiquidity).toFixed(4)} ETH</div>
         <div>🪙 LOYAL Liquidity: {parseFloat(dexStatus.tokenLiquidity).toFixed(2)} LOYAL</div>
-        <div>📈 Exchange Rate: {parseFloat(dexStatus.exchangeRate).toFixed(0)} LOYAL/ETH</div>
+        {dexStatus.pricingMode === "constantProduct" ? (
+          <div>📈 Spot Price: {parseFloat(dexStatus.spotPrice).toFixed(2)} LOYAL/ETH (from pool reserves, x * y = k)</div>
+        ) : (
+          <div>📈 Exchange Rate: {parseFloat(dexStatus.exchangeRate).toFixed(0)} LOYAL/ETH</div>
+        )}
         <div>💸 Trading Fee: {dexStatus.feePercentage}%</div>
         
         {/* Liquidity Warning */}
@@ -295,6 +328,46 @@ const TokenSwapForm = ({ currentAccount }) => {
           />
         </div>
 
+        {/* Slippage Tolerance */}
+        <div style={{ marginBottom: "10px", display: "flex", alignItems: "center", gap: "6px", fontSize: "0.9em", color: "#ccc" }}>
+          <span>Slippage tolerance:</span>
+          {SLIPPAGE_OPTIONS.map((option) => (
+            <button
+              key={option}
+              onClick={() => setSlippage(option.toString())}
+              disabled={isLoading}
+              style={{
+                padding: "4px 10px",
+                backgroundColor: parseFloat(slippage) === option ? "#007bff" : "#3a3f47",
+                color: "white",
+                border: "1px solid #555",
+                borderRadius: "12px",
+                cursor: "pointer"
+              }}
+            >
+              {option}%
+            </button>
+          ))}
+          <input
+            type="number"
+            value={slippage}
+            onChange={(e) => setSlippage(e.target.value)}
+            disabled={isLoading}
+            min="0"
+            max="50"
+            step="0.1"
+            style={{
+              width: "70px",
+              padding: "4px",
+              borderRadius: "4px",
+              border: "1px solid #555",
+              backgroundColor: "#2d3138",
+              color: "white"
+            }}
+          />
+          <span>%</span>
+        </div>
+
         {/* Swap Preview */}
         {parseFloat(swapPreview.outputAmount) > 0 && (
           <div style={{ 
@@ -307,7 +380,29 @@ const TokenSwapForm = ({ currentAccount }) => {
             color: "#ccc"
           }}>
             <div>💰 You'll receive: ~{parseFloat(swapPreview.outputAmount).toFixed(6)} {isEthToToken ? "LOYAL" : "ETH"}</div>
+            <div>🛡️ Minimum received: {minimumReceived.toFixed(6)} {isEthToToken ? "LOYAL" : "ETH"} ({slippage || 0}% slippage)</div>
             <div>💸 Trading fee: ~{parseFloat(swapPreview.feeAmount).toFixed(6)} {isEthToToken ? "LOYAL" : "ETH"}</div>
+            {dexStatus.pricingMode === "constantProduct" && (
+              <div style={{ color: swapPreview.highImpact ? "#ffcdd2" : "#ccc" }}>
+                📉 Price impact: {swapPreview.priceImpact < 0.01 ? "<0.01" : swapPreview.priceImpact.toFixed(2)}%
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Price Impact Warning */}
+        {swapPreview.highImpact && (
+          <div style={{ 
+            marginBottom: "10px", 
+            padding: "8px", 
+            backgroundColor: "#5a2d2d", 
+            border: "1px solid #f44336",
+            borderRadius: "4px",
+            fontSize: "0.9em",
+            color: "#ffcdd2"
+          }}>
+            ⚠️ <strong>High price impact!</strong> This swap moves the price by {swapPreview.priceImpact.toFixed(2)}%
+            (more than {DEX_CONFIG.priceImpactWarning}%). Consider a smaller amount.
           </div>
         )}
       </div>
@@ -319,6 +414,7 @@ const TokenSwapForm = ({ currentAccount }) => {
           isLoading || 
           !currentAccount || 
           !inputAmount || 
+          !(parseFloat(slippage) >= 0 && parseFloat(slippage) <= 50) ||
           parseFloat(dexStatus.ethLiquidity) === 0 || 
           parseFloat(dexStatus.tokenLiquidity) === 0
         }
@@ -19,7 +19,10 @@ export const NETWORK_CONFIG = {
 // Contract Addresses
 export const CONTRACT_ADDRESSES = {
   loyaltyToken: process.env.REACT_APP_LOYALTY_TOKEN_ADDRESS || "0xb7278A61aa25c888815aFC32Ad3cC52fF24fE575",
-  simpleDEX: process.env.REACT_APP_DEX_CONTRACT_ADDRESS || "0xCD8a1C3ba11CF5ECfa6267617243239504a98d90"
+  simpleDEX: process.env.REACT_APP_DEX_CONTRACT_ADDRESS || "0xCD8a1C3ba11CF5ECfa6267617243239504a98d90",
+  loyaltyCoupon: process.env.REACT_APP_LOYALTY_COUPON_ADDRESS || "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512",
+  loyaltyCampaigns: process.env.REACT_APP_LOYALTY_CAMPAIGNS_ADDRESS || "0x2279B7A0a67DB372996a5FaB50D91eAA73d2eBe6",
+  parameterTimelock: process.env.REACT_APP_PARAMETER_TIMELOCK_ADDRESS || "0xA51c1fc2f0D1a1b8494Ed1FE312d7C3a78Ed91C0"
 };
 
 // Application Settings
@@ -33,6 +36,9 @@ export const APP_CONFIG = {
 export const DEX_CONFIG = {
   defaultSlippage: parseFloat(process.env.REACT_APP_DEFAULT_SLIPPAGE) || 0.5,
   minLiquidityWarning: parseFloat(process.env.REACT_APP_MIN_LIQUIDITY_WARNING) || 0.01,
+  priceImpactWarning: parseFloat(process.env.REACT_APP_PRICE_IMPACT_WARNING) || 3, // % above which swaps are flagged
+  swapDeadlineMinutes: parseFloat(process.env.REACT_APP_SWAP_DEADLINE_MINUTES) || 20,
+  blocksPerDay: parseInt(process.env.REACT_APP_BLOCKS_PER_DAY) || 7200, // bounds event queries (12 s blocks)
   feePercentage: 1 // 1% fee
 };
 
@@ -44,6 +50,15 @@ export const TOKEN_CONFIG = {
   defaultEmissionRate: parseInt(process.env.REACT_APP_DEFAULT_EMISSION_RATE) || 1
 };
 
+// Business types shared by merchants and coupons
+export const BUSINESS_TYPES = [
+  { value: "restaurant", label: "Restaurant" },
+  { value: "retail", label: "Retail" },
+  { value: "services", label: "Services" },
+  { value: "entertainment", label: "Entertainment" },
+  { value: "general", label: "General" }
+];
+
 /**
  * Validate contract addresses
  * @returns {boolean} True if all addresses are valid
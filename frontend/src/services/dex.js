@@ -1,5 +1,5 @@
 /**
- * DEX Service v1.0
+ * DEX Service v1.7
  * 
  * Service module for interacting with the SimpleDEX contract.
  * Provides functions for token trading, liquidity management, and DEX status.
@@ -15,23 +15,32 @@
       console.log("Approval successful");
     }
  * - ETH ↔ LOYAL token swaps
+ * - Single-transaction LOYAL → ETH swaps with an EIP-2612 permit
  * - Swap calculation and preview
- * - Liquidity information
+ * - Slippage protection (minimum output from the quote shown to the user) and deadlines on every swap
+ * - Liquidity information, LP share positions and withdrawals
  * - Exchange rate and fee tracking
+ * - Swap fee revenue (LP and protocol parts, daily history) and protocol fee collection
+ * - Constant product (x * y = k) pricing with spot price and price impact
+ * - Time-weighted average price (TWAP) from the on-chain price oracle
+ * - Emergency pause status and guardian controls
  * 
  * @module dex
- * @version 1.0.0
+ * @version 1.7.0
  * @author Fernanda
  */
 
 import { ethers } from "ethers";
 import SimpleDEX from "../abi/SimpleDEX.json";
-import { approveTokens, getAllowance } from "./token.js";
+import { approveTokens, getAllowance, signPermit } from "./token.js";
 import { CONTRACT_ADDRESSES, DEX_CONFIG, logConfig } from "../config/contracts.js";
 
 // Initialize configuration logging
 logConfig();
 
+// Block timestamps by block number, shared by every fee history load (blocks never change once mined)
+const blockTimestamps = new Map();
+
 /**
  * Get DEX contract instance
  * @param {ethers.Signer} signer - Wallet signer
@@ -41,19 +50,51 @@ function getDEXContract(signer) {
   return new ethers.Contract(CONTRACT_ADDRESSES.simpleDEX, SimpleDEX.abi, signer);
 }
 
+/** SimpleDEX pricing modes, indexed like the SimpleDEX.PricingMode enum */
+export const PRICING_MODES = ["fixedRate", "constantProduct"];
+
+/**
+ * Compute the slippage protection of a swap from the quote the user saw
+ * @param {string} quotedOutput - Output amount shown to the user (calculateSwap outputAmount, in ETH / token units)
+ * @param {number} slippage - Accepted slippage in % (e.g. 0.5)
+ * @returns {Object} minAmountOut (wei) and deadline (unix timestamp)
+ *
+ * Re-quoting at submit would move the minimum along with the price, so a price change between
+ * the preview and the click would not count against the slippage tolerance.
+ */
+function getSwapLimits(quotedOutput, slippage) {
+  if (isNaN(slippage) || slippage < 0 || slippage > 50) {
+    throw new Error("Slippage must be between 0% and 50%");
+  }
+
+  const quotedValue = ethers.parseEther(quotedOutput);
+  if (quotedValue === 0n) {
+    throw new Error("Quote the swap before submitting it");
+  }
+  const slippageBps = ethers.toBigInt(Math.round(slippage * 100));
+
+  return {
+    minAmountOut: (quotedValue * (10000n - slippageBps)) / 10000n,
+    deadline: Math.floor(Date.now() / 1000) + DEX_CONFIG.swapDeadlineMinutes * 60
+  };
+}
+
 /**
  * Swap ETH for LOYAL tokens
  * @param {string} ethAmount - Amount of ETH to swap (in ETH units)
+ * @param {string} quotedOutput - LOYAL output shown to the user (calculateSwap outputAmount)
  * @param {ethers.Signer} signer - Wallet signer
+ * @param {number} [slippage=DEX_CONFIG.defaultSlippage] - Accepted slippage in %
  * @returns {Promise<Object>} Transaction result
  */
-export async function swapEthForTokens(ethAmount, signer) {
+export async function swapEthForTokens(ethAmount, quotedOutput, signer, slippage = DEX_CONFIG.defaultSlippage) {
   try {
     const dexContract = getDEXContract(signer);
     const ethValue = ethers.parseEther(ethAmount);
+    const { minAmountOut, deadline } = getSwapLimits(quotedOutput, slippage);
     
-    // Execute swap
-    const tx = await dexContract.swapEthForTokens({
+    // Execute swap, reverts if the output drops below minAmountOut or the deadline passes
+    const tx = await dexContract.swapEthForTokens(minAmountOut, deadline, {
       value: ethValue
     });
     
@@ -76,10 +117,12 @@ export async function swapEthForTokens(ethAmount, signer) {
 /**
  * Swap LOYAL tokens for ETH
  * @param {string} tokenAmount - Amount of tokens to swap (in token units)
+ * @param {string} quotedOutput - ETH output shown to the user (calculateSwap outputAmount)
  * @param {ethers.Signer} signer - Wallet signer
+ * @param {number} [slippage=DEX_CONFIG.defaultSlippage] - Accepted slippage in %
  * @returns {Promise<Object>} Transaction result
  */
-export async function swapTokensForEth(tokenAmount, signer) {
+export async function swapTokensForEth(tokenAmount, quotedOutput, signer, slippage = DEX_CONFIG.defaultSlippage) {
   try {
     const dexContract = getDEXContract(signer);
     const tokenValue = ethers.parseEther(tokenAmount);
@@ -114,9 +157,10 @@ export async function swapTokensForEth(tokenAmount, signer) {
       console.log(`✅ Sufficient allowance available`);
     }
     
-    // Execute swap
+    // Execute swap, reverts if the output drops below minAmountOut or the deadline passes
+    const { minAmountOut, deadline } = getSwapLimits(quotedOutput, slippage);
     console.log(`🔀 Executing swap transaction...`);
-    const tx = await dexContract.swapTokensForEth(tokenValue);
+    const tx = await dexContract.swapTokensForEth(tokenValue, minAmountOut, deadline);
     console.log(`⏳ Waiting for transaction confirmation...`);
     await tx.wait();
     console.log(`✅ Swap completed successfully!`);
@@ -135,6 +179,50 @@ export async function swapTokensForEth(tokenAmount, signer) {
   }
 }
 
+/**
+ * Swap LOYAL tokens for ETH in a single transaction, authorized by a signed permit
+ * @param {string} tokenAmount - Amount of tokens to swap (in token units)
+ * @param {string} quotedOutput - ETH output shown to the user (calculateSwap outputAmount)
+ * @param {ethers.Signer} signer - Wallet signer
+ * @param {number} [slippage=DEX_CONFIG.defaultSlippage] - Accepted slippage in %
+ * @returns {Promise<Object>} Transaction result
+ */
+export async function swapTokensForEthWithPermit(tokenAmount, quotedOutput, signer, slippage = DEX_CONFIG.defaultSlippage) {
+  try {
+    const dexContract = getDEXContract(signer);
+    const { minAmountOut } = getSwapLimits(quotedOutput, slippage);
+
+    // Off-chain signature for exactly the swapped amount, no approve transaction or leftover allowance.
+    // The permit deadline is also the swap deadline
+    console.log(`✍️ Signing permit for ${tokenAmount} LOYAL...`);
+    const permit = await signPermit(CONTRACT_ADDRESSES.simpleDEX, tokenAmount, DEX_CONFIG.swapDeadlineMinutes * 60);
+
+    console.log(`🔀 Executing swap transaction...`);
+    const tx = await dexContract.swapTokensForEthWithPermit(
+      permit.value,
+      minAmountOut,
+      permit.deadline,
+      permit.v,
+      permit.r,
+      permit.s
+    );
+    await tx.wait();
+    console.log(`✅ Swap completed successfully!`);
+
+    return {
+      success: true,
+      transaction: tx,
+      message: `Successfully swapped ${tokenAmount} LOYAL tokens for ETH`
+    };
+  } catch (error) {
+    console.error("Error swapping tokens for ETH with permit:", error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Get current DEX status and liquidity information
  * @param {ethers.Provider} provider - Ethereum provider
@@ -150,7 +238,9 @@ export async function getDEXStatus(provider) {
       ethLiquidity: ethers.formatEther(status[0]),
       tokenLiquidity: ethers.formatEther(status[1]),
       exchangeRate: ethers.formatEther(status[2]),
-      feePercentage: Number(status[3]) / 100
+      feePercentage: Number(status[3]) / 100,
+      spotPrice: ethers.formatEther(status[4]),
+      pricingMode: PRICING_MODES[Number(status[5])]
     };
   } catch (error) {
     console.error("Error getting DEX status:", error);
@@ -162,11 +252,45 @@ export async function getDEXStatus(provider) {
 }
 
 /**
- * Calculate swap output and fees
+ * Get the time-weighted average LOYAL/ETH price from the SimpleDEX oracle
+ * @param {ethers.Provider} provider - Ethereum provider
+ * @param {number} period - Averaging period in seconds ending now (default 1 hour, at most about 24 hours)
+ * @returns {Promise<Object>} Average and current spot price in LOYAL per ETH, and the spot price's
+ *          deviation from the average in %
+ */
+export async function getTWAP(provider, period = 3600) {
+  try {
+    const dexContract = new ethers.Contract(CONTRACT_ADDRESSES.simpleDEX, SimpleDEX.abi, provider);
+    const [twap, status] = await Promise.all([
+      dexContract.consult(period),
+      dexContract.getDEXStatus()
+    ]);
+
+    return {
+      success: true,
+      period,
+      price: ethers.formatEther(twap),
+      spotPrice: ethers.formatEther(status.spotPrice),
+      deviation: twap > 0n
+        ? Number(((status.spotPrice - twap) * 10000n) / twap) / 100
+        : 0
+    };
+  } catch (error) {
+    console.error("Error getting TWAP:", error);
+    return {
+      success: false,
+      error: error.reason || error.message
+    };
+  }
+}
+
+/**
+ * Calculate swap output, fees and price impact
  * @param {string} inputAmount - Input amount
  * @param {boolean} ethToToken - Direction of swap (true for ETH->Token, false for Token->ETH)
  * @param {ethers.Provider} provider - Ethereum provider
- * @returns {Promise<Object>} Swap calculation result
+ * @returns {Promise<Object>} Swap calculation result, priceImpact in % and highImpact when it
+ *          exceeds DEX_CONFIG.priceImpactWarning
  */
 export async function calculateSwap(inputAmount, ethToToken, provider) {
   try {
@@ -179,6 +303,8 @@ export async function calculateSwap(inputAmount, ethToToken, provider) {
       success: true,
       outputAmount: ethers.formatEther(result[0]),
       feeAmount: ethers.formatEther(result[1]),
+      priceImpact: Number(result[2]) / 100,
+      highImpact: Number(result[2]) / 100 > DEX_CONFIG.priceImpactWarning,
       inputAmount: inputAmount
     };
   } catch (error) {
@@ -240,13 +366,19 @@ export async function addLiquidity(ethAmount, tokenAmount, signer) {
     });
     
     console.log(`⏳ Waiting for transaction confirmation...`);
-    await tx.wait();
+    const receipt = await tx.wait();
     console.log(`✅ Liquidity added successfully!`);
     
+    // Read the amounts matched to the pool ratio and the LP shares minted
+    const added = parseDEXEvent(dexContract, receipt, "LiquidityAdded");
+    const ethAdded = added ? ethers.formatEther(added.ethAmount) : ethAmount;
+    const tokensAdded = added ? ethers.formatEther(added.tokenAmount) : tokenAmount;
+    
     return {
       success: true,
       transaction: tx,
-      message: `Successfully added ${ethAmount} ETH and ${tokenAmount} LOYAL as liquidity`
+      shares: added ? ethers.formatEther(added.shares) : null,
+      message: `Successfully added ${ethAdded} ETH and ${tokensAdded} LOYAL as liquidity`
     };
   } catch (error) {
     console.error("Error adding liquidity:", error);
@@ -257,6 +389,265 @@ export async function addLiquidity(ethAmount, tokenAmount, signer) {
   }
 }
 
+/**
+ * Burn LP shares and withdraw their part of the pool (including accrued swap fees)
+ * @param {string} shares - LP shares to burn
+ * @param {ethers.Signer} signer - Wallet signer holding the shares
+ * @returns {Promise<Object>} Transaction result with the ETH and LOYAL withdrawn
+ */
+export async function removeLiquidity(shares, signer) {
+  try {
+    const dexContract = getDEXContract(signer);
+    const tx = await dexContract.removeLiquidity(ethers.parseEther(shares));
+    const receipt = await tx.wait();
+
+    const removed = parseDEXEvent(dexContract, receipt, "LiquidityRemoved");
+    const ethAmount = removed ? ethers.formatEther(removed.ethAmount) : "0";
+    const tokenAmount = removed ? ethers.formatEther(removed.tokenAmount) : "0";
+
+    return {
+      success: true,
+      transaction: tx,
+      ethAmount,
+      tokenAmount,
+      message: `Successfully withdrew ${ethAmount} ETH and ${tokenAmount} LOYAL`
+    };
+  } catch (error) {
+    console.error("Error removing liquidity:", error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Get the LP share position of a liquidity provider
+ * @param {string} address - Provider address
+ * @param {ethers.Provider} provider - Ethereum provider
+ * @returns {Promise<Object>} Shares held, pool share in %, and the ETH and LOYAL they redeem for
+ */
+export async function getLiquidityPosition(address, provider) {
+  try {
+    const dexContract = new ethers.Contract(CONTRACT_ADDRESSES.simpleDEX, SimpleDEX.abi, provider);
+    const position = await dexContract.getLiquidityPosition(address);
+
+    return {
+      success: true,
+      shares: ethers.formatEther(position.shares),
+      totalShares: ethers.formatEther(position.totalShares),
+      poolShare: position.totalShares > 0n
+        ? Number((position.shares * 1000000n) / position.totalShares) / 10000
+        : 0,
+      ethAmount: ethers.formatEther(position.ethAmount),
+      tokenAmount: ethers.formatEther(position.tokenAmount)
+    };
+  } catch (error) {
+    console.error("Error getting liquidity position:", error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Get the swap fee accounting of the DEX
+ * @param {ethers.Provider} provider - Ethereum provider
+ * @returns {Promise<Object>} Lifetime fees per asset with their LP and protocol parts, uncollected
+ *          protocol fees, the protocol share (%) and the treasury and owner addresses (who can collect)
+ */
+export async function getFeeStats(provider) {
+  try {
+    const dexContract = new ethers.Contract(CONTRACT_ADDRESSES.simpleDEX, SimpleDEX.abi, provider);
+    const [stats, protocolFeeShare, treasury, owner] = await Promise.all([
+      dexContract.getFeeStats(),
+      dexContract.protocolFeeShare(),
+      dexContract.treasury(),
+      dexContract.owner()
+    ]);
+
+    return {
+      success: true,
+      ethFees: ethers.formatEther(stats.ethFees),
+      tokenFees: ethers.formatEther(stats.tokenFees),
+      lpEthFees: ethers.formatEther(stats.lpEth),
+      lpTokenFees: ethers.formatEther(stats.lpTokens),
+      protocolEthFees: ethers.formatEther(stats.ethFees - stats.lpEth),
+      protocolTokenFees: ethers.formatEther(stats.tokenFees - stats.lpTokens),
+      pendingEthFees: ethers.formatEther(stats.pendingEth),
+      pendingTokenFees: ethers.formatEther(stats.pendingTokens),
+      protocolFeeShare: Number(protocolFeeShare) / 100,
+      treasury,
+      owner
+    };
+  } catch (error) {
+    console.error("Error getting fee stats:", error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Get the daily swap fee revenue from the TokenSwap events
+ * @param {ethers.Provider} provider - Ethereum provider
+ * @param {number} days - Number of days to return, ending today
+ * @param {number} [maxBlocks] - Most recent blocks to scan for events, by default days * DEX_CONFIG.blocksPerDay
+ * @returns {Promise<Object>} Days (oldest first) with the date (YYYY-MM-DD, UTC), ETH and LOYAL fees and swap count
+ */
+export async function getFeeHistory(provider, days = 14, maxBlocks = days * DEX_CONFIG.blocksPerDay) {
+  try {
+    const dexContract = new ethers.Contract(CONTRACT_ADDRESSES.simpleDEX, SimpleDEX.abi, provider);
+    const latestBlock = await provider.getBlockNumber();
+    const fromBlock = Math.max(0, latestBlock - maxBlocks + 1);
+    const events = await dexContract.queryFilter(dexContract.filters.TokenSwap(), fromBlock, latestBlock);
+
+    // One bucket per day, keyed by date
+    const buckets = new Map();
+    const today = new Date();
+    for (let i = days - 1; i >= 0; i--) {
+      const day = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - i));
+      buckets.set(day.toISOString().slice(0, 10), { ethFees: 0, tokenFees: 0, swaps: 0 });
+    }
+
+    // Fetch the timestamps of blocks not seen before, in parallel
+    const missingBlocks = [...new Set(events.map((event) => event.blockNumber))]
+      .filter((blockNumber) => !blockTimestamps.has(blockNumber));
+    const blocks = await Promise.all(missingBlocks.map((blockNumber) => provider.getBlock(blockNumber)));
+    blocks.forEach((block) => blockTimestamps.set(block.number, block.timestamp));
+
+    for (const event of events) {
+      const date = new Date(blockTimestamps.get(event.blockNumber) * 1000).toISOString().slice(0, 10);
+      const bucket = buckets.get(date);
+      if (!bucket) continue;
+
+      // The fee is in the output asset
+      const fee = parseFloat(ethers.formatEther(event.args.feeAmount));
+      if (event.args.ethToToken) {
+        bucket.tokenFees += fee;
+      } else {
+        bucket.ethFees += fee;
+      }
+      bucket.swaps += 1;
+    }
+
+    return {
+      success: true,
+      days: Array.from(buckets, ([date, bucket]) => ({ date, ...bucket }))
+    };
+  } catch (error) {
+    console.error("Error getting fee history:", error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Send the uncollected protocol fees to the treasury (owner or treasury only)
+ * @param {ethers.Signer} signer - Owner or treasury wallet signer
+ * @returns {Promise<Object>} Transaction result with the ETH and LOYAL collected
+ */
+export async function collectProtocolFees(signer) {
+  try {
+    const dexContract = getDEXContract(signer);
+    const tx = await dexContract.collectProtocolFees();
+    const receipt = await tx.wait();
+
+    const collected = parseDEXEvent(dexContract, receipt, "ProtocolFeesCollected");
+    const ethAmount = collected ? ethers.formatEther(collected.ethAmount) : "0";
+    const tokenAmount = collected ? ethers.formatEther(collected.tokenAmount) : "0";
+
+    return {
+      success: true,
+      transaction: tx,
+      ethAmount,
+      tokenAmount,
+      message: `Successfully collected ${ethAmount} ETH and ${tokenAmount} LOYAL in protocol fees`
+    };
+  } catch (error) {
+    console.error("Error collecting protocol fees:", error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Find the arguments of a SimpleDEX event in a transaction receipt
+ * @param {ethers.Contract} dexContract - SimpleDEX contract instance
+ * @param {Object} receipt - Transaction receipt
+ * @param {string} eventName - Event name
+ * @returns {Object|null} Event arguments, or null if the event was not emitted
+ */
+function parseDEXEvent(dexContract, receipt, eventName) {
+  for (const log of receipt.logs) {
+    try {
+      const parsedLog = dexContract.interface.parseLog(log);
+      if (parsedLog && parsedLog.name === eventName) {
+        return parsedLog.args;
+      }
+    } catch {
+      // Not a SimpleDEX event
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the DEX emergency pause status
+ * @param {ethers.Provider} provider - Ethereum provider
+ * @returns {Promise<Object>} Pause flag and guardian address
+ */
+export async function getDEXPauseStatus(provider) {
+  try {
+    const dexContract = new ethers.Contract(CONTRACT_ADDRESSES.simpleDEX, SimpleDEX.abi, provider);
+    const [paused, guardian] = await Promise.all([dexContract.paused(), dexContract.guardian()]);
+
+    return {
+      success: true,
+      paused,
+      guardian
+    };
+  } catch (error) {
+    console.error("Error getting DEX pause status:", error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Pause or unpause swaps and new liquidity (guardian only)
+ * @param {boolean} paused - True to pause, false to resume
+ * @param {ethers.Signer} signer - Guardian wallet signer
+ * @returns {Promise<Object>} Transaction result
+ */
+export async function setDEXPaused(paused, signer) {
+  try {
+    const dexContract = getDEXContract(signer);
+    const tx = paused ? await dexContract.pause() : await dexContract.unpause();
+    await tx.wait();
+
+    return {
+      success: true,
+      transaction: tx,
+      message: `Successfully ${paused ? "paused" : "resumed"} DEX trading`
+    };
+  } catch (error) {
+    console.error("Error changing DEX pause status:", error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Get DEX contract address
  * @returns {string} DEX contract address
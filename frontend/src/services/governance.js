@@ -0,0 +1,259 @@
+/**
+ * Governance Service v1.0
+ *
+ * Service module for interacting with the ParameterTimelock contract.
+ * Emission rate, unit value, currency decimals, coupon fee and per-merchant rates (LoyaltyToken) and
+ * exchange rate, trading fee, pricing mode and protocol fee share (SimpleDEX) are changed by queueing a
+ * proposal that can only be executed once the timelock delay has passed.
+ *
+ * Features:
+ * - Pending, executed and cancelled parameter changes with current → new values
+ * - Queueing, executing and cancelling changes
+ * - Human readable parameter units (%, LOYAL per ETH, hours)
+ *
+ * @module governance
+ * @version 1.0.0
+ * @author Fernanda
+ */
+
+import { ethers } from "ethers";
+import ParameterTimelock from "../abi/ParameterTimelock.json";
+import SimpleDEX from "../abi/SimpleDEX.json";
+import { getTokenContract } from "./token.js";
+import { CONTRACT_ADDRESSES } from "../config/contracts.js";
+
+/**
+ * Timelocked parameters, in the order of the ParameterTimelock.Parameter enum
+ * unit describes the value entered in the dashboard, merchant parameters are set per merchant ID
+ */
+export const TIMELOCK_PARAMETERS = [
+  { key: "emissionRate", label: "Emission rate", unit: "LOYAL per unit" },
+  { key: "unitValue", label: "Unit value", unit: "spent per unit" },
+  { key: "couponFee", label: "Coupon fee", unit: "%" },
+  { key: "exchangeRate", label: "DEX exchange rate", unit: "LOYAL per ETH" },
+  { key: "dexFee", label: "DEX trading fee", unit: "%" },
+  { key: "delay", label: "Timelock delay", unit: "hours" },
+  { key: "currencyDecimals", label: "Currency decimals", unit: "decimals" },
+  { key: "pricingMode", label: "DEX pricing mode", unit: "(0 fixed rate, 1 x*y=k)" },
+  { key: "protocolFeeShare", label: "DEX protocol fee share", unit: "% of fees" },
+  { key: "merchantEmissionRate", label: "Merchant emission rate", unit: "LOYAL per unit", merchant: true },
+  { key: "merchantUnitValue", label: "Merchant unit value", unit: "spent per unit", merchant: true }
+];
+
+/**
+ * Get ParameterTimelock contract instance
+ * @returns {Promise<ethers.Contract>} ParameterTimelock contract instance
+ */
+export async function getTimelockContract() {
+  const provider = new ethers.BrowserProvider(window.ethereum);
+  const signer = await provider.getSigner();
+  return new ethers.Contract(CONTRACT_ADDRESSES.parameterTimelock, ParameterTimelock.abi, signer);
+}
+
+/**
+ * Convert a raw on-chain parameter value to the dashboard unit
+ * @param {number} parameter - Index in TIMELOCK_PARAMETERS
+ * @param {bigint} value - Raw value
+ * @returns {string} Value in the unit of the parameter
+ */
+function formatParameterValue(parameter, value) {
+  switch (TIMELOCK_PARAMETERS[parameter].key) {
+    case "couponFee":
+    case "dexFee":
+    case "protocolFeeShare":
+      return (Number(value) / 100).toString();
+    case "exchangeRate":
+      return ethers.formatEther(value);
+    case "delay":
+      return (Number(value) / 3600).toString();
+    default:
+      return value.toString();
+  }
+}
+
+/**
+ * Convert a dashboard value to the raw on-chain parameter value
+ * @param {number} parameter - Index in TIMELOCK_PARAMETERS
+ * @param {string} value - Value in the unit of the parameter
+ * @returns {bigint|string} Raw value
+ */
+function parseParameterValue(parameter, value) {
+  switch (TIMELOCK_PARAMETERS[parameter].key) {
+    case "couponFee":
+    case "dexFee":
+    case "protocolFeeShare":
+      return Math.round(parseFloat(value) * 100).toString();
+    case "exchangeRate":
+      return ethers.parseEther(value);
+    case "delay":
+      return Math.round(parseFloat(value) * 3600).toString();
+    default:
+      if (!/^\d+$/.test(value)) {
+        throw new Error(`${TIMELOCK_PARAMETERS[parameter].label} must be a whole number`);
+      }
+      return value;
+  }
+}
+
+/**
+ * Read the current value of every global timelocked parameter
+ * @returns {Promise<Array<string>>} Current values in dashboard units, in TIMELOCK_PARAMETERS order
+ *          (merchant parameters are read per merchant with getMerchantValues)
+ */
+async function getCurrentValues() {
+  const [token, timelock] = await Promise.all([getTokenContract(), getTimelockContract()]);
+  const dex = new ethers.Contract(CONTRACT_ADDRESSES.simpleDEX, SimpleDEX.abi, timelock.runner);
+  const values = await Promise.all([
+    token.emissionRate(),
+    token.unitValue(),
+    token.couponFee(),
+    dex.exchangeRate(),
+    dex.feePercentage(),
+    timelock.delay(),
+    token.currencyDecimals(),
+    dex.pricingMode(),
+    dex.protocolFeeShare()
+  ]);
+  return values.map((value, parameter) => formatParameterValue(parameter, value));
+}
+
+/**
+ * Read the current rates of the merchants with merchant rate changes
+ * @param {Array<bigint>} merchantIds - Merchant IDs (duplicates allowed)
+ * @returns {Promise<Object>} Current [emission rate, unit value] by merchant ID
+ */
+async function getMerchantValues(merchantIds) {
+  const token = await getTokenContract();
+  const ids = [...new Set(merchantIds.map(id => id.toString()))];
+  const merchants = await Promise.all(ids.map(id => token.getMerchant(id)));
+  return Object.fromEntries(
+    merchants.map((merchant, i) => [ids[i], [merchant.emissionRate.toString(), merchant.unitValue.toString()]])
+  );
+}
+
+/**
+ * Get the lifecycle status of a change
+ * @param {number} status - ChangeStatus enum value (0 Queued, 1 Executed, 2 Cancelled)
+ * @param {number} eta - Earliest execution time in seconds
+ * @param {number} gracePeriod - Seconds after the ETA during which the change can be executed
+ * @returns {string} "pending", "ready", "expired", "executed" or "cancelled"
+ */
+function getChangeStatus(status, eta, gracePeriod) {
+  const now = Math.floor(Date.now() / 1000);
+  if (status === 1) return "executed";
+  if (status === 2) return "cancelled";
+  if (now < eta) return "pending";
+  if (now <= eta + gracePeriod) return "ready";
+  return "expired";
+}
+
+/**
+ * Get the timelock settings and all parameter changes
+ * @returns {Promise<Object>} Object with delayHours, gracePeriodHours, the current parameter
+ *          values and the changes (newest first) with current and new values
+ */
+export async function getParameterChanges() {
+  const contract = await getTimelockContract();
+  const [changes, gracePeriod, currentValues] = await Promise.all([
+    contract.getChanges(),
+    contract.GRACE_PERIOD(),
+    getCurrentValues()
+  ]);
+  const merchantValues = await getMerchantValues(
+    changes.filter(change => TIMELOCK_PARAMETERS[Number(change.parameter)].merchant).map(change => change.merchantId)
+  );
+
+  return {
+    delayHours: parseFloat(currentValues[5]),
+    gracePeriodHours: Number(gracePeriod) / 3600,
+    currentValues,
+    changes: changes.map(change => {
+      const parameter = Number(change.parameter);
+      const eta = Number(change.eta);
+      const { key, label, unit, merchant } = TIMELOCK_PARAMETERS[parameter];
+      const merchantId = change.merchantId.toString();
+      return {
+        id: change.id.toString(),
+        parameter,
+        merchantId: merchant ? merchantId : null,
+        label: merchant ? `${label} of merchant #${merchantId}` : label,
+        unit,
+        currentValue: merchant
+          ? merchantValues[merchantId][key === "merchantEmissionRate" ? 0 : 1]
+          : currentValues[parameter],
+        newValue: formatParameterValue(parameter, change.value),
+        eta,
+        proposer: change.proposer,
+        status: getChangeStatus(Number(change.status), eta, Number(gracePeriod))
+      };
+    }).reverse()
+  };
+}
+
+/**
+ * Queue a parameter change (admin only)
+ * @param {number} parameter - Index in TIMELOCK_PARAMETERS
+ * @param {string} value - New value in the unit of the parameter (e.g. "1.5" for a 1.5% fee)
+ * @param {string} [merchantId] - Merchant ID, required for merchant parameters
+ * @returns {Promise<Object>} Object with transaction hash, change ID and ETA
+ */
+export async function queueParameterChange(parameter, value, merchantId) {
+  if (!TIMELOCK_PARAMETERS[parameter]) {
+    throw new Error("Unknown parameter");
+  }
+  if (value === "" || isNaN(Number(value)) || Number(value) < 0) {
+    throw new Error("Enter a valid value");
+  }
+  const isMerchantParameter = TIMELOCK_PARAMETERS[parameter].merchant;
+  if (isMerchantParameter && !/^[1-9]\d*$/.test(merchantId || "")) {
+    throw new Error("Enter a valid merchant ID");
+  }
+
+  const contract = await getTimelockContract();
+  const rawValue = parseParameterValue(parameter, value);
+  const tx = isMerchantParameter
+    ? await contract.queueMerchantChange(parameter, merchantId, rawValue)
+    : await contract.queueChange(parameter, rawValue);
+  const receipt = await tx.wait();
+
+  // Extract change ID and ETA from events
+  let changeId = null;
+  let eta = null;
+  for (const log of receipt.logs) {
+    try {
+      const parsedLog = contract.interface.parseLog(log);
+      if (parsedLog && parsedLog.name === "ChangeQueued") {
+        changeId = parsedLog.args.changeId.toString();
+        eta = Number(parsedLog.args.eta);
+      }
+    } catch {
+      // Not a ParameterTimelock event
+    }
+  }
+
+  return { hash: tx.hash, changeId, eta };
+}
+
+/**
+ * Execute a queued change whose delay has passed (any account)
+ * @param {string} changeId - Change ID
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function executeParameterChange(changeId) {
+  const contract = await getTimelockContract();
+  const tx = await contract.executeChange(changeId);
+  await tx.wait();
+  return tx.hash;
+}
+
+/**
+ * Cancel a queued change (admin only)
+ * @param {string} changeId - Change ID
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function cancelParameterChange(changeId) {
+  const contract = await getTimelockContract();
+  const tx = await contract.cancelChange(changeId);
+  await tx.wait();
+  return tx.hash;
+}
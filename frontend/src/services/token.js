@@ -1,6 +1,8 @@
 // token.js
 import { ethers } from "ethers";
 import LoyaltyToken from "../abi/LoyaltyToken.json";
+import LoyaltyCoupon from "../abi/LoyaltyCoupon.json";
+import LoyaltyCampaigns from "../abi/LoyaltyCampaigns.json";
 import { CONTRACT_ADDRESSES, TOKEN_CONFIG, logConfig } from "../config/contracts.js";
 
 // Initialize configuration logging
@@ -12,6 +14,18 @@ export async function getTokenContract() {
   return new ethers.Contract(CONTRACT_ADDRESSES.loyaltyToken, LoyaltyToken.abi, signer);
 }
 
+export async function getCouponContract() {
+  const provider = new ethers.BrowserProvider(window.ethereum);
+  const signer = await provider.getSigner();
+  return new ethers.Contract(CONTRACT_ADDRESSES.loyaltyCoupon, LoyaltyCoupon.abi, signer);
+}
+
+export async function getCampaignContract() {
+  const provider = new ethers.BrowserProvider(window.ethereum);
+  const signer = await provider.getSigner();
+  return new ethers.Contract(CONTRACT_ADDRESSES.loyaltyCampaigns, LoyaltyCampaigns.abi, signer);
+}
+
 export async function getBalance(address) {
   // Validate address format
   if (!ethers.isAddress(address)) {
@@ -69,6 +83,53 @@ export async function getAllowance(ownerAddress, spenderAddress) {
   return ethers.formatUnits(allowance, 18);
 }
 
+/**
+ * Sign an EIP-2612 permit so a spender can pull tokens without an approve transaction
+ * @param {string} spenderAddress - Address that will be approved to spend tokens
+ * @param {string} amount - Amount of tokens to approve (in token units)
+ * @param {number} validitySeconds - How long the permit stays valid (default 20 minutes)
+ * @returns {Promise<Object>} Permit value, deadline and signature parts (v, r, s)
+ */
+export async function signPermit(spenderAddress, amount, validitySeconds = 20 * 60) {
+  if (!ethers.isAddress(spenderAddress)) {
+    throw new Error("Invalid spender address");
+  }
+
+  const contract = await getTokenContract();
+  const signer = contract.runner;
+  const owner = await signer.getAddress();
+  const value = ethers.parseUnits(amount, 18);
+  const deadline = Math.floor(Date.now() / 1000) + validitySeconds;
+
+  const [name, nonce, network] = await Promise.all([
+    contract.name(),
+    contract.nonces(owner),
+    signer.provider.getNetwork()
+  ]);
+
+  const domain = {
+    name,
+    version: "1",
+    chainId: network.chainId,
+    verifyingContract: CONTRACT_ADDRESSES.loyaltyToken
+  };
+  const types = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  const signature = ethers.Signature.from(
+    await signer.signTypedData(domain, types, { owner, spender: spenderAddress, value, nonce, deadline })
+  );
+
+  return { value, deadline, v: signature.v, r: signature.r, s: signature.s };
+}
+
 //-----------------------------------------------------------------------------------------///
 /**
  * Get the total supply of tokens
@@ -88,6 +149,767 @@ export async function getOwner() {
   return await contract.owner();
 }
 
+/**
+ * Role identifiers used by the LoyaltyToken access control
+ * (keccak256 of the role name, DEFAULT_ADMIN_ROLE is the zero hash)
+ */
+export const ROLES = {
+  admin: ethers.ZeroHash,
+  merchant: ethers.id("MERCHANT_ROLE"),
+  minter: ethers.id("MINTER_ROLE"),
+  auditor: ethers.id("AUDITOR_ROLE"),
+  guardian: ethers.id("GUARDIAN_ROLE")
+};
+
+/**
+ * Get the roles held by an address and what it is allowed to do
+ * @param {string} address - Address to check
+ * @returns {Promise<Object>} Role flags and derived permissions
+ */
+export async function getAccountRoles(address) {
+  if (!ethers.isAddress(address)) {
+    throw new Error("Invalid Ethereum address");
+  }
+
+  const contract = await getTokenContract();
+  const [isAdmin, isMerchant, isMinter, isAuditor] = await contract.getRoles(address);
+  const isGuardian = await contract.hasRole(ROLES.guardian, address);
+
+  return {
+    isAdmin,
+    isMerchant,
+    isMinter,
+    isAuditor,
+    isGuardian,
+    canEarnForCustomers: isMerchant || isMinter,
+    canConfigure: isAdmin,
+    canManageRoles: isAdmin,
+    canPause: isGuardian
+  };
+}
+
+/**
+ * Check whether LoyaltyToken is in emergency mode (minting and coupons paused)
+ * @returns {Promise<boolean>} True if the contract is paused
+ */
+export async function isTokenPaused() {
+  const contract = await getTokenContract();
+  return contract.paused();
+}
+
+/**
+ * Pause or unpause LoyaltyToken (guardian only)
+ * @param {boolean} paused - True to pause, false to resume
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function setTokenPaused(paused) {
+  const contract = await getTokenContract();
+  const tx = paused ? await contract.pause() : await contract.unpause();
+  await tx.wait();
+  return tx.hash;
+}
+
+/**
+ * Grant a role to an address (admin only)
+ * @param {string} role - Role key from ROLES ("admin", "merchant", "minter", "auditor", "guardian")
+ * @param {string} account - Address receiving the role
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function grantRole(role, account) {
+  if (!ROLES[role]) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+  if (!ethers.isAddress(account)) {
+    throw new Error("Invalid account address");
+  }
+
+  const contract = await getTokenContract();
+  const tx = await contract.grantRole(ROLES[role], account);
+  await tx.wait();
+  return tx.hash;
+}
+
+/**
+ * Revoke a role from an address (admin only)
+ * @param {string} role - Role key from ROLES ("admin", "merchant", "minter", "auditor", "guardian")
+ * @param {string} account - Address losing the role
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function revokeRole(role, account) {
+  if (!ROLES[role]) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+  if (!ethers.isAddress(account)) {
+    throw new Error("Invalid account address");
+  }
+
+  const contract = await getTokenContract();
+  const tx = await contract.revokeRole(ROLES[role], account);
+  await tx.wait();
+  return tx.hash;
+}
+
+/**
+ * Get all registered merchants
+ * @returns {Promise<Array>} Array of merchant objects
+ */
+export async function getMerchants() {
+  const contract = await getTokenContract();
+  const merchants = await contract.getMerchants();
+
+  return merchants.map(merchant => ({
+    id: merchant.id.toString(),
+    name: merchant.name,
+    businessType: merchant.businessType,
+    payoutAddress: merchant.payoutAddress,
+    emissionRate: merchant.emissionRate.toString(),
+    unitValue: merchant.unitValue.toString(),
+    active: merchant.active
+  }));
+}
+
+/**
+ * Validate merchant registry form values
+ * @param {string} name - Merchant name
+ * @param {string} businessType - Business type (restaurant, retail, ...)
+ * @param {string} payoutAddress - Payout / fee address
+ * @param {string} unitValue - Unit value
+ */
+function validateMerchant(name, businessType, payoutAddress, unitValue) {
+  if (!name || !name.trim()) {
+    throw new Error("Merchant name is required");
+  }
+  if (!businessType) {
+    throw new Error("Business type is required");
+  }
+  if (!ethers.isAddress(payoutAddress)) {
+    throw new Error("Invalid payout address");
+  }
+  if (!unitValue || parseInt(unitValue) <= 0) {
+    throw new Error("Unit value must be greater than 0");
+  }
+}
+
+/**
+ * Register a new merchant (admin only)
+ * Once the parameter timelock is linked the rates must equal the global emission rate and unit value;
+ * other rates are then queued as merchant rate changes (see governance.queueParameterChange)
+ * @param {string} name - Merchant name
+ * @param {string} businessType - Business type (restaurant, retail, ...)
+ * @param {string} payoutAddress - Payout / fee address
+ * @param {string} emissionRate - Tokens per unit spent
+ * @param {string} unitValue - Amount spent that equals one unit
+ * @returns {Promise<Object>} Object with transaction hash and merchant ID
+ */
+export async function registerMerchant(name, businessType, payoutAddress, emissionRate, unitValue) {
+  validateMerchant(name, businessType, payoutAddress, unitValue);
+
+  const contract = await getTokenContract();
+  const tx = await contract.registerMerchant(name.trim(), businessType, payoutAddress, emissionRate, unitValue);
+  const receipt = await tx.wait();
+
+  // Extract merchant ID from events
+  let merchantId = null;
+  for (const log of receipt.logs) {
+    try {
+      const parsedLog = contract.interface.parseLog(log);
+      if (parsedLog && parsedLog.name === "MerchantRegistered") {
+        merchantId = parsedLog.args.merchantId.toString();
+      }
+    } catch {
+      // Not a LoyaltyToken event
+    }
+  }
+
+  return { hash: tx.hash, merchantId };
+}
+
+/**
+ * Update a merchant's details and earn parameters (admin only)
+ * Once the parameter timelock is linked the emission rate and unit value must stay unchanged;
+ * rate changes are then queued as merchant rate changes (see governance.queueParameterChange)
+ * @param {string} merchantId - Merchant ID
+ * @param {string} name - Merchant name
+ * @param {string} businessType - Business type (restaurant, retail, ...)
+ * @param {string} payoutAddress - Payout / fee address
+ * @param {string} emissionRate - Tokens per unit spent
+ * @param {string} unitValue - Amount spent that equals one unit
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function updateMerchant(merchantId, name, businessType, payoutAddress, emissionRate, unitValue) {
+  validateMerchant(name, businessType, payoutAddress, unitValue);
+
+  const contract = await getTokenContract();
+  const tx = await contract.updateMerchant(merchantId, name.trim(), businessType, payoutAddress, emissionRate, unitValue);
+  await tx.wait();
+  return tx.hash;
+}
+
+/**
+ * Activate or deactivate a merchant (admin only)
+ * @param {string} merchantId - Merchant ID
+ * @param {boolean} active - New active flag
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function setMerchantActive(merchantId, active) {
+  const contract = await getTokenContract();
+  const tx = await contract.setMerchantActive(merchantId, active);
+  await tx.wait();
+  return tx.hash;
+}
+
+/**
+ * Link an operator account (till, POS, staff wallet) to a merchant (admin only)
+ * @param {string} account - Operator account address
+ * @param {string} merchantId - Merchant ID, or "0" to unlink the account
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function setMerchantAccount(account, merchantId) {
+  if (!ethers.isAddress(account)) {
+    throw new Error("Invalid account address");
+  }
+
+  const contract = await getTokenContract();
+  const tx = await contract.setMerchantAccount(account, merchantId);
+  await tx.wait();
+  return tx.hash;
+}
+
+/**
+ * Get the merchant an operator account acts for
+ * @param {string} account - Operator account address
+ * @returns {Promise<Object|null>} Merchant object, or null if the account is not linked
+ */
+export async function getMerchantForAccount(account) {
+  const contract = await getTokenContract();
+  const merchantId = await contract.merchantOf(account);
+  if (merchantId === 0n) {
+    return null;
+  }
+
+  const merchant = await contract.getMerchant(merchantId);
+  return {
+    id: merchant.id.toString(),
+    name: merchant.name,
+    businessType: merchant.businessType,
+    active: merchant.active
+  };
+}
+
+/**
+ * Get the lifecycle status of a campaign
+ * @param {Object} campaign - Campaign with startTime and endTime in seconds and the cancelled flag
+ * @returns {string} "upcoming", "active", "ended" or "cancelled"
+ */
+function getCampaignStatus(campaign) {
+  const now = Math.floor(Date.now() / 1000);
+  if (campaign.cancelled) return "cancelled";
+  if (now < campaign.startTime) return "upcoming";
+  if (now < campaign.endTime) return "active";
+  return "ended";
+}
+
+/**
+ * Get all bonus campaigns with their status and budget consumption
+ * @returns {Promise<Array>} Array of campaign objects, newest first
+ */
+export async function getCampaigns() {
+  const contract = await getCampaignContract();
+  const campaigns = await contract.getCampaigns();
+
+  return campaigns.map(campaign => {
+    const result = {
+      id: campaign.id.toString(),
+      name: campaign.name,
+      startTime: Number(campaign.startTime),
+      endTime: Number(campaign.endTime),
+      multiplier: Number(campaign.multiplier) / 10000,
+      merchantId: campaign.merchantId.toString(),
+      businessType: campaign.businessType,
+      budget: ethers.formatUnits(campaign.budget, TOKEN_CONFIG.decimals),
+      bonusMinted: ethers.formatUnits(campaign.bonusMinted, TOKEN_CONFIG.decimals),
+      budgetUsed: campaign.budget > 0n ? Number((campaign.bonusMinted * 10000n) / campaign.budget) / 100 : null,
+      cancelled: campaign.cancelled
+    };
+    result.status = getCampaignStatus(result);
+    return result;
+  }).reverse();
+}
+
+/**
+ * Schedule a bonus campaign (admin only)
+ * @param {string} name - Campaign name
+ * @param {number} startTime - Start as unix timestamp (seconds)
+ * @param {number} endTime - End as unix timestamp (seconds)
+ * @param {string} multiplier - Reward multiplier (e.g. "2" for double points, "1.5" for +50%)
+ * @param {string} merchantId - Only purchases at this merchant, "0" for any merchant
+ * @param {string} businessType - Only purchases at merchants of this type, "" for any type
+ * @param {string} budget - Maximum bonus LOYAL minted by the campaign, "" or "0" for no cap
+ * @returns {Promise<Object>} Object with transaction hash and campaign ID
+ */
+export async function createCampaign(name, startTime, endTime, multiplier, merchantId, businessType, budget) {
+  if (!name || !name.trim()) {
+    throw new Error("Campaign name is required");
+  }
+  if (!startTime || !endTime || endTime <= startTime) {
+    throw new Error("Campaign must end after it starts");
+  }
+  const multiplierBps = Math.round(parseFloat(multiplier) * 10000);
+  if (!(multiplierBps > 10000 && multiplierBps <= 50000)) {
+    throw new Error("Multiplier must be above 1x and at most 5x");
+  }
+
+  const contract = await getCampaignContract();
+  const tx = await contract.createCampaign(
+    name.trim(),
+    startTime,
+    endTime,
+    multiplierBps,
+    merchantId || 0,
+    businessType || "",
+    ethers.parseUnits(budget || "0", TOKEN_CONFIG.decimals)
+  );
+  const receipt = await tx.wait();
+
+  // Extract campaign ID from events
+  let campaignId = null;
+  for (const log of receipt.logs) {
+    try {
+      const parsedLog = contract.interface.parseLog(log);
+      if (parsedLog && parsedLog.name === "CampaignCreated") {
+        campaignId = parsedLog.args.campaignId.toString();
+      }
+    } catch {
+      // Not a LoyaltyCampaigns event
+    }
+  }
+
+  return { hash: tx.hash, campaignId };
+}
+
+/**
+ * Cancel a scheduled or running campaign (admin only)
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function cancelCampaign(campaignId) {
+  const contract = await getCampaignContract();
+  const tx = await contract.cancelCampaign(campaignId);
+  await tx.wait();
+  return tx.hash;
+}
+
+/**
+ * Parse a purchase voucher pasted or scanned by the customer
+ * Accepts the JSON voucher or the base64 payload produced by scripts/voucher-signer.js
+ * @param {string} text - Voucher text
+ * @returns {Object} Voucher fields (customer, amountSpent, orderId, nonce, deadline, signature)
+ */
+export function parseVoucher(text) {
+  const raw = (text || "").trim();
+  if (!raw) {
+    throw new Error("Voucher is empty");
+  }
+
+  let voucher;
+  try {
+    voucher = JSON.parse(raw.startsWith("{") ? raw : atob(raw));
+  } catch {
+    throw new Error("Voucher format not recognized");
+  }
+
+  const required = ["customer", "amountSpent", "orderId", "nonce", "deadline", "signature"];
+  const missing = required.filter(field => voucher[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Voucher is missing: ${missing.join(", ")}`);
+  }
+  if (!ethers.isAddress(voucher.customer)) {
+    throw new Error("Voucher has an invalid customer address");
+  }
+  if (voucher.token && voucher.token.toLowerCase() !== CONTRACT_ADDRESSES.loyaltyToken.toLowerCase()) {
+    throw new Error("Voucher was issued for a different LoyaltyToken contract");
+  }
+
+  return {
+    customer: ethers.getAddress(voucher.customer),
+    amountSpent: voucher.amountSpent.toString(),
+    orderId: voucher.orderId,
+    nonce: voucher.nonce.toString(),
+    deadline: voucher.deadline.toString(),
+    signature: voucher.signature,
+    expiresAt: new Date(Number(voucher.deadline) * 1000)
+  };
+}
+
+/**
+ * Get the merchant whose rates a voucher is rewarded at: the merchant linked to the account that signed it
+ * @param {Object} voucher - Voucher returned by parseVoucher
+ * @returns {Promise<string>} Merchant ID, or "0" if the signer is not linked to a merchant
+ */
+export async function getVoucherMerchantId(voucher) {
+  const contract = await getTokenContract();
+  const [name, network] = await Promise.all([contract.name(), contract.runner.provider.getNetwork()]);
+
+  const domain = {
+    name,
+    version: "1",
+    chainId: network.chainId,
+    verifyingContract: CONTRACT_ADDRESSES.loyaltyToken
+  };
+  const types = {
+    PurchaseVoucher: [
+      { name: "customer", type: "address" },
+      { name: "amountSpent", type: "uint256" },
+      { name: "orderId", type: "bytes32" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+  const { signature, expiresAt: _expiresAt, ...fields } = voucher;
+  const signer = ethers.verifyTypedData(domain, types, fields, signature);
+
+  return (await contract.merchantOf(signer)).toString();
+}
+
+/**
+ * Get the number of decimals of purchase amounts (2 = amounts in cents)
+ * @returns {Promise<number>} Currency decimals
+ */
+export async function getCurrencyDecimals() {
+  const contract = await getTokenContract();
+  return Number(await contract.currencyDecimals());
+}
+
+/**
+ * Format an amount in minor currency units as a price
+ * @param {string|bigint} amount - Amount in minor units
+ * @param {number} currencyDecimals - Currency decimals
+ * @returns {string} Price with all currency decimals (e.g. "5.99")
+ */
+export function formatPrice(amount, currencyDecimals) {
+  const price = ethers.formatUnits(amount, currencyDecimals);
+  return currencyDecimals > 0 ? Number(price).toFixed(currencyDecimals) : price.replace(/\.0$/, "");
+}
+
+/**
+ * Preview the reward for a purchase, including the customer's tier multiplier and running campaign bonuses
+ * @param {string} customer - Customer wallet address
+ * @param {string} amountSpent - Amount spent (minor currency units, see getCurrencyDecimals)
+ * @param {number|string} [merchantId=0] - Merchant ID, or 0 for the coalition-wide parameters
+ * @returns {Promise<string>} Tokens that would be minted
+ */
+export async function previewReward(customer, amountSpent, merchantId = 0) {
+  const contract = await getTokenContract();
+  const tokens = await contract.previewReward(customer, amountSpent, merchantId);
+  return ethers.formatUnits(tokens, 18);
+}
+
+/**
+ * Preview the exact reward for a purchase price, including the spend carried from earlier purchases at the merchant
+ * @param {string} customer - Customer wallet address
+ * @param {string} price - Purchase price with decimals (e.g. "5.99")
+ * @param {number|string} [merchantId=0] - Merchant ID, or 0 for the coalition-wide parameters
+ * @returns {Promise<Object>} Object with amountSpent (minor units), tokens, the carried spend before
+ *          and after the purchase and the spend per unit, all prices formatted with the currency decimals
+ */
+export async function previewPurchase(customer, price, merchantId = 0) {
+  if (!ethers.isAddress(customer)) {
+    throw new Error("Invalid customer address");
+  }
+
+  const contract = await getTokenContract();
+  const currencyDecimals = Number(await contract.currencyDecimals());
+
+  let amountSpent;
+  try {
+    amountSpent = ethers.parseUnits(price.toString().trim(), currencyDecimals);
+  } catch {
+    throw new Error(`Enter a price with at most ${currencyDecimals} decimals`);
+  }
+  if (amountSpent <= 0n) {
+    throw new Error("Price must be greater than 0");
+  }
+
+  const unit = merchantId && merchantId.toString() !== "0"
+    ? (await contract.getMerchant(merchantId)).unitValue
+    : await contract.unitValue();
+  const [tokens, carried] = await Promise.all([
+    contract.previewReward(customer, amountSpent, merchantId),
+    contract.spendCarry(customer, merchantId)
+  ]);
+  const spendPerUnit = ethers.parseUnits(unit.toString(), currencyDecimals);
+  // The carry is kept per merchant and only counts while the spend per unit it was accumulated under holds
+  const carry = carried.unit === spendPerUnit ? carried.amount : 0n;
+
+  return {
+    amountSpent: amountSpent.toString(),
+    tokens: ethers.formatUnits(tokens, 18),
+    carried: formatPrice(carry, currencyDecimals),
+    carryAfter: formatPrice((carry + amountSpent) % spendPerUnit, currencyDecimals),
+    spendPerUnit: formatPrice(spendPerUnit, currencyDecimals),
+    currencyDecimals
+  };
+}
+
+/**
+ * Claim a reward with a merchant-signed purchase voucher
+ * @param {Object} voucher - Voucher returned by parseVoucher
+ * @returns {Promise<Object>} Object with transaction hash and tokens minted
+ */
+export async function claimWithVoucher(voucher) {
+  const contract = await getTokenContract();
+  const tx = await contract.claimWithVoucher(
+    {
+      customer: voucher.customer,
+      amountSpent: voucher.amountSpent,
+      orderId: voucher.orderId,
+      nonce: voucher.nonce,
+      deadline: voucher.deadline
+    },
+    voucher.signature
+  );
+
+  const receipt = await tx.wait();
+
+  // Extract minted amount from the VoucherClaimed event
+  let tokensMinted = null;
+  for (const log of receipt.logs) {
+    try {
+      const parsedLog = contract.interface.parseLog(log);
+      if (parsedLog && parsedLog.name === "VoucherClaimed") {
+        tokensMinted = ethers.formatUnits(parsedLog.args.tokensMinted, 18);
+      }
+    } catch {
+      // Not a LoyaltyToken event
+    }
+  }
+
+  return { hash: tx.hash, tokensMinted };
+}
+
+/**
+ * Format a velocity limit or headroom value (unlimited values become null)
+ * @param {bigint} value - Token amount with decimals
+ * @param {boolean} zeroIsUnlimited - Whether 0 means "no limit" (configured limits) instead of type(uint256).max (headroom)
+ * @returns {string|null} Formatted amount, or null when unlimited
+ */
+function formatLimit(value, zeroIsUnlimited) {
+  if ((zeroIsUnlimited && value === 0n) || value === ethers.MaxUint256) {
+    return null;
+  }
+  return ethers.formatUnits(value, TOKEN_CONFIG.decimals);
+}
+
+/**
+ * Get the velocity limits and the emission budget usage of the current epoch
+ * @returns {Promise<Object>} Limits in LOYAL (null = no limit), epoch length in hours and current epoch usage
+ */
+export async function getMintLimits() {
+  const contract = await getTokenContract();
+  const [maxPerTx, maxPerAddressPerDay, maxPerEpoch, epochLength, [, minted, epochStart, epochEnd]] = await Promise.all([
+    contract.maxMintPerTx(),
+    contract.maxMintPerAddressPerDay(),
+    contract.maxMintPerEpoch(),
+    contract.emissionEpochLength(),
+    contract.getEmissionBudget()
+  ]);
+
+  return {
+    maxPerTx: formatLimit(maxPerTx, true),
+    maxPerAddressPerDay: formatLimit(maxPerAddressPerDay, true),
+    maxPerEpoch: formatLimit(maxPerEpoch, true),
+    epochLengthHours: Number(epochLength) / 3600,
+    epochMinted: ethers.formatUnits(minted, TOKEN_CONFIG.decimals),
+    epochStart: Number(epochStart),
+    epochEnd: Number(epochEnd),
+    epochUsedPercent: maxPerEpoch > 0n ? Number((minted * 10000n) / maxPerEpoch) / 100 : null
+  };
+}
+
+/**
+ * Get how many tokens a customer can still earn under the velocity limits
+ * @param {string} address - Customer wallet address
+ * @returns {Promise<Object>} Remaining per purchase, customer daily and epoch headroom in LOYAL (null = no limit)
+ */
+export async function getMintHeadroom(address) {
+  if (!ethers.isAddress(address)) {
+    throw new Error("Invalid Ethereum address");
+  }
+
+  const contract = await getTokenContract();
+  const [perTx, customerDaily, epochRemaining] = await contract.getMintHeadroom(address);
+  return {
+    perTx: formatLimit(perTx, false),
+    customerDaily: formatLimit(customerDaily, false),
+    epochRemaining: formatLimit(epochRemaining, false)
+  };
+}
+
+/**
+ * Set the velocity limits on purchase rewards (admin only)
+ * @param {string} maxPerTx - Maximum LOYAL per purchase, "" or "0" for no limit
+ * @param {string} maxPerAddressPerDay - Maximum LOYAL per customer per rolling day, "" or "0" for no limit
+ * @param {string} maxPerEpoch - Maximum LOYAL minted for purchases per epoch, "" or "0" for no limit
+ * @param {string} epochLengthHours - Epoch length in hours (at least 1)
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function setMintLimits(maxPerTx, maxPerAddressPerDay, maxPerEpoch, epochLengthHours) {
+  if (!epochLengthHours || parseFloat(epochLengthHours) < 1) {
+    throw new Error("Epoch length must be at least 1 hour");
+  }
+
+  const contract = await getTokenContract();
+  const tx = await contract.setMintLimits(
+    ethers.parseUnits(maxPerTx || "0", TOKEN_CONFIG.decimals),
+    ethers.parseUnits(maxPerAddressPerDay || "0", TOKEN_CONFIG.decimals),
+    ethers.parseUnits(maxPerEpoch || "0", TOKEN_CONFIG.decimals),
+    Math.round(parseFloat(epochLengthHours) * 3600)
+  );
+  await tx.wait();
+  return tx.hash;
+}
+
+/** Tier names, indexed like the LoyaltyToken.Tier enum */
+export const TIER_NAMES = ["Bronze", "Silver", "Gold", "Platinum"];
+
+/**
+ * Get the loyalty tier of a customer and their progress towards the next tier
+ * @param {string} address - Customer wallet address
+ * @returns {Promise<Object>} Tier name, lifetime earnings, multiplier and progress
+ */
+export async function getTierInfo(address) {
+  const contract = await getTokenContract();
+  const [tier, earned, multiplier, nextThreshold] = await contract.getTierInfo(address);
+  const [thresholds] = await contract.getTierConfig();
+
+  const tierIndex = Number(tier);
+  const isMaxTier = tierIndex === TIER_NAMES.length - 1;
+
+  // Progress within the current tier band, in percent
+  let progress = 100;
+  if (!isMaxTier) {
+    const floor = thresholds[tierIndex];
+    progress = Number(((earned - floor) * 10000n) / (nextThreshold - floor)) / 100;
+  }
+
+  return {
+    tier: TIER_NAMES[tierIndex],
+    tierIndex,
+    lifetimeEarned: ethers.formatUnits(earned, 18),
+    multiplier: Number(multiplier) / 10000,
+    nextTier: isMaxTier ? null : TIER_NAMES[tierIndex + 1],
+    nextThreshold: isMaxTier ? null : ethers.formatUnits(nextThreshold, 18),
+    remaining: isMaxTier ? "0" : ethers.formatUnits(nextThreshold - earned, 18),
+    progress
+  };
+}
+
+/**
+ * Get the points of a customer that expire within the next days
+ * @param {string} address - Customer wallet address
+ * @param {number} [days=30] - Look-ahead window in days
+ * @returns {Promise<Object>} Expiring amount and the date of the next expiring lot (null if none)
+ */
+export async function getExpiringPoints(address, days = 30) {
+  const contract = await getTokenContract();
+  const until = Math.floor(Date.now() / 1000) + days * 24 * 60 * 60;
+  const [amount, nextExpiry] = await contract.getExpiringPoints(address, until);
+
+  return {
+    amount: ethers.formatUnits(amount, 18),
+    nextExpiry: nextExpiry > 0n ? new Date(Number(nextExpiry) * 1000) : null
+  };
+}
+
+/**
+ * Burn a customer's lapsed points (anyone can trigger the sweep)
+ * @param {string} address - Customer wallet address
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function expirePoints(address) {
+  const contract = await getTokenContract();
+  const tx = await contract.expire(address);
+  await tx.wait();
+  return tx.hash;
+}
+
+/** URL query parameter carrying the referrer address in referral links */
+export const REFERRAL_PARAM = "ref";
+
+/**
+ * Build the referral link a customer shares with friends
+ * @param {string} address - Referrer wallet address
+ * @returns {string} Link to the app with the referrer in the query string
+ */
+export function buildReferralLink(address) {
+  if (!ethers.isAddress(address)) {
+    throw new Error("Invalid Ethereum address");
+  }
+  const url = new URL(window.location.origin + window.location.pathname);
+  url.searchParams.set(REFERRAL_PARAM, ethers.getAddress(address));
+  return url.toString();
+}
+
+/**
+ * Read the referrer address from the current page URL (opened from a referral link)
+ * @returns {string|null} Referrer address, or null if the URL has no valid referrer
+ */
+export function getReferrerFromUrl() {
+  const referrer = new URLSearchParams(window.location.search).get(REFERRAL_PARAM);
+  return referrer && ethers.isAddress(referrer) ? ethers.getAddress(referrer) : null;
+}
+
+/**
+ * Get a customer's referral status, statistics and referred customers
+ * @param {string} address - Customer wallet address
+ * @returns {Promise<Object>} Referrer, qualification, stats, program bonuses and referral list
+ */
+export async function getReferralInfo(address) {
+  if (!ethers.isAddress(address)) {
+    throw new Error("Invalid Ethereum address");
+  }
+
+  const contract = await getTokenContract();
+  const [[referrer, qualified, stats], referees, earned, referrerBonus, refereeBonus, minEarn] = await Promise.all([
+    contract.getReferralStats(address),
+    contract.getReferrals(address),
+    contract.lifetimeEarned(address),
+    contract.referrerBonus(),
+    contract.refereeBonus(),
+    contract.referralMinEarn()
+  ]);
+  const refereesQualified = await Promise.all(referees.map(referee => contract.referralQualified(referee)));
+
+  return {
+    referrer: referrer === ethers.ZeroAddress ? null : referrer,
+    qualified,
+    canRegister: referrer === ethers.ZeroAddress && earned === 0n,
+    referred: Number(stats.referred),
+    qualifiedReferrals: Number(stats.qualified),
+    bonusEarned: ethers.formatUnits(stats.bonusEarned, 18),
+    referrerBonus: ethers.formatUnits(referrerBonus, 18),
+    refereeBonus: ethers.formatUnits(refereeBonus, 18),
+    minEarn: ethers.formatUnits(minEarn, 18),
+    referrals: referees.map((referee, i) => ({ address: referee, qualified: refereesQualified[i] }))
+  };
+}
+
+/**
+ * Register the customer who invited the connected wallet (new customers only, once)
+ * @param {string} referrer - Referrer wallet address
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function registerReferrer(referrer) {
+  if (!ethers.isAddress(referrer)) {
+    throw new Error("Invalid referrer address");
+  }
+
+  const contract = await getTokenContract();
+  const tx = await contract.registerReferrer(referrer);
+  await tx.wait();
+  return tx.hash;
+}
+
 /**
  * Mint tokens to a specific address (only if you're the owner)
  */
@@ -124,7 +946,7 @@ export async function createCoupon(tokenAmount, discountPercent, businessType, v
     throw new Error("Validity must be between 1-365 days");
   }
   
-  const contract = await getTokenContract();
+  const contract = await getCouponContract();
   const tx = await contract.createCoupon(
     ethers.parseUnits(tokenAmount, 18),
     discountPercent,
@@ -154,42 +976,139 @@ export async function createCoupon(tokenAmount, discountPercent, businessType, v
 }
 
 /**
- * Gets user's coupons
+ * Quote the price of a coupon from the on-chain pricing table
+ * @param {number} discountPercent - Discount percentage
+ * @param {string} businessType - Type of business
+ * @returns {Promise<Object>} Tokens to burn, fee and total required (formatted LOYAL amounts)
+ */
+export async function quoteCoupon(discountPercent, businessType) {
+  const contract = await getCouponContract();
+  const [tokensRequired, fee, totalRequired] = await contract.quoteCoupon(discountPercent, businessType);
+
+  return {
+    tokensRequired: ethers.formatUnits(tokensRequired, 18),
+    fee: ethers.formatUnits(fee, 18),
+    totalRequired: ethers.formatUnits(totalRequired, 18)
+  };
+}
+
+/** Coupon status names, indexed like the LoyaltyCoupon.CouponStatus enum */
+export const COUPON_STATUSES = ["Active", "Used", "Cancelled"];
+
+/**
+ * Get the coupon pricing rule of a business type
+ * @param {string} businessType - Type of business
+ * @returns {Promise<Object>} Tokens per percent, max discount, minimum tokens (maxDiscount 0 if not priced)
+ *          and the discount value cap of new coupons in minor currency units ("0" = no cap)
+ */
+export async function getCouponPricing(businessType) {
+  const contract = await getCouponContract();
+  const pricing = await contract.getCouponPricing(businessType);
+
+  return {
+    tokensPerPercent: ethers.formatUnits(pricing.tokensPerPercent, 18),
+    maxDiscount: Number(pricing.maxDiscount),
+    minTokens: ethers.formatUnits(pricing.minTokens, 18),
+    maxDiscountValue: pricing.maxDiscountValue.toString()
+  };
+}
+
+/** Status filters of LoyaltyCoupon.getUserCouponsPaged, indexed like the StatusFilter enum */
+export const COUPON_FILTERS = ["all", "active", "used", "cancelled", "expired"];
+
+/** Coupons fetched per request */
+const COUPON_PAGE_SIZE = 200;
+
+/**
+ * Convert an on-chain coupon struct to a coupon object
+ * @param {Object} details - LoyaltyCoupon.Coupon struct
+ * @param {boolean} isValid - Whether the coupon can still be used
+ * @returns {Object} Coupon object
+ */
+function formatCoupon(details, isValid) {
+  return {
+    id: details.id.toString(),
+    owner: details.owner,
+    discountPercent: details.discountPercent.toString(),
+    maxDiscountValue: details.maxDiscountValue.toString(),
+    tokensBurned: ethers.formatUnits(details.tokensBurned, 18),
+    expiryTime: new Date(Number(details.expiryTime) * 1000),
+    isUsed: details.isUsed,
+    status: COUPON_STATUSES[Number(details.status)],
+    businessType: details.businessType,
+    redeemedBy: details.redeemedBy.toString(),
+    redeemer: details.redeemer,
+    redeemedAt: details.redeemedAt > 0n ? new Date(Number(details.redeemedAt) * 1000) : null,
+    isValid
+  };
+}
+
+/**
+ * Gets a page of the coupon NFTs held by a user, with details and validity, in a single call
  * @param {string} userAddress - User's wallet address
- * @returns {Promise<Array>} Array of coupon objects
+ * @param {number} [offset=0] - Number of matching coupons to skip
+ * @param {number} [limit=20] - Maximum number of coupons to return
+ * @param {string} [status="all"] - Status filter (all, active, used, cancelled, expired)
+ * @returns {Promise<Object>} Object with the coupons of the page and the total number of matching coupons
  */
-export async function getUserCoupons(userAddress) {
+export async function getUserCouponsPaged(userAddress, offset = 0, limit = 20, status = "all") {
   if (!ethers.isAddress(userAddress)) {
     throw new Error("Invalid user address");
   }
+  const filter = COUPON_FILTERS.indexOf(status);
+  if (filter === -1) {
+    throw new Error(`Unknown coupon status filter: ${status}`);
+  }
   
-  const contract = await getTokenContract();
-  const couponIds = await contract.getUserCoupons(userAddress);
+  const couponNFT = await getCouponContract();
+  const [page, total] = await couponNFT.getUserCouponsPaged(userAddress, offset, limit, filter);
   
-  // Get details for each coupon
+  return {
+    coupons: page.map(entry => formatCoupon(entry.coupon, entry.isValid)),
+    total: Number(total)
+  };
+}
+
+/**
+ * Gets all coupon NFTs held by a user
+ * @param {string} userAddress - User's wallet address
+ * @param {string} [status="all"] - Status filter (all, active, used, cancelled, expired)
+ * @returns {Promise<Array>} Array of coupon objects
+ */
+export async function getUserCoupons(userAddress, status = "all") {
   const coupons = [];
-  for (const couponId of couponIds) {
-    try {
-      const details = await contract.getCouponDetails(couponId);
-      const isValid = await contract.isCouponValid(couponId);
-      
-      coupons.push({
-        id: details.id.toString(),
-        discountPercent: details.discountPercent.toString(),
-        tokensBurned: ethers.formatUnits(details.tokensBurned, 18),
-        expiryTime: new Date(Number(details.expiryTime) * 1000),
-        isUsed: details.isUsed,
-        businessType: details.businessType,
-        isValid: isValid
-      });
-    } catch (error) {
-      console.error(`Error fetching coupon ${couponId}:`, error);
-    }
-  }
+  let total = 0;
+  
+  // Usually a single request, large collections are fetched page by page
+  do {
+    const page = await getUserCouponsPaged(userAddress, coupons.length, COUPON_PAGE_SIZE, status);
+    if (page.coupons.length === 0) break;
+    coupons.push(...page.coupons);
+    total = page.total;
+  } while (coupons.length < total);
   
   return coupons;
 }
 
+/**
+ * Gift a coupon NFT to another wallet
+ * @param {string} couponId - ID of the coupon to transfer
+ * @param {string} to - Recipient wallet address
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function giftCoupon(couponId, to) {
+  if (!ethers.isAddress(to)) {
+    throw new Error("Invalid recipient address");
+  }
+  
+  const couponNFT = await getCouponContract();
+  const from = await couponNFT.runner.getAddress();
+  // safeTransferFrom is overloaded, select the variant without data
+  const tx = await couponNFT["safeTransferFrom(address,address,uint256)"](from, to, couponId);
+  await tx.wait();
+  return tx.hash;
+}
+
 /**
  * Uses a coupon (marks it as used)
  * @param {string} couponId - ID of the coupon to use
@@ -200,12 +1119,213 @@ export async function applyCoupon(couponId) {
     throw new Error("Coupon ID is required");
   }
   
-  const contract = await getTokenContract();
+  const contract = await getCouponContract();
   const tx = await contract.useCoupon(couponId);
   await tx.wait();
   return tx.hash;
 }
 
+/**
+ * Get the share of burned tokens refunded when a coupon is cancelled
+ * @returns {Promise<number>} Refund percentage (e.g. 50 for 50%)
+ */
+export async function getCancelRefundPercent() {
+  const contract = await getCouponContract();
+  const refundBps = await contract.cancelRefundBps();
+  return Number(refundBps) / 100;
+}
+
+/**
+ * Cancels an unused coupon and refunds part of the burned tokens
+ * @param {string} couponId - ID of the coupon to cancel
+ * @returns {Promise<Object>} Object with transaction hash and refunded tokens
+ */
+export async function cancelCoupon(couponId) {
+  if (!couponId) {
+    throw new Error("Coupon ID is required");
+  }
+  
+  const contract = await getCouponContract();
+  const tx = await contract.cancelCoupon(couponId);
+  const receipt = await tx.wait();
+  
+  // Extract refund from the CouponCancelled event
+  let refund = null;
+  for (const log of receipt.logs) {
+    try {
+      const parsedLog = contract.interface.parseLog(log);
+      if (parsedLog && parsedLog.name === "CouponCancelled") {
+        refund = ethers.formatUnits(parsedLog.args.refund, 18);
+      }
+    } catch {
+      // Not a LoyaltyCoupon event
+    }
+  }
+  
+  return { hash: tx.hash, refund };
+}
+
+/**
+ * Convert an order reference to the bytes32 order ID used on-chain
+ * @param {string} orderRef - Order reference (bytes32 hex string or any text)
+ * @returns {string} bytes32 order ID
+ */
+function toOrderId(orderRef) {
+  if (ethers.isHexString(orderRef, 32)) {
+    return orderRef;
+  }
+  return ethers.id(String(orderRef));
+}
+
+/**
+ * Gets a single coupon with its current holder and redemption details
+ * @param {string} couponId - ID of the coupon
+ * @returns {Promise<Object>} Coupon object
+ */
+export async function getCoupon(couponId) {
+  const couponNFT = await getCouponContract();
+  const details = await couponNFT.getCouponDetails(couponId);
+  if (details.id === 0n) {
+    throw new Error(`Coupon #${couponId} does not exist`);
+  }
+
+  const [isValid, approved] = await Promise.all([
+    couponNFT.isCouponValid(couponId),
+    couponNFT.redemptionApprovals(couponId)
+  ]);
+
+  return { ...formatCoupon(details, isValid), approvedAccount: approved };
+}
+
+
+/**
+ * Authorize a merchant account to redeem one of the user's coupons at the till
+ * @param {string} couponId - ID of the coupon
+ * @param {string} merchantAccount - Merchant operator account
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function authorizeCouponRedemption(couponId, merchantAccount) {
+  if (!ethers.isAddress(merchantAccount)) {
+    throw new Error("Invalid merchant address");
+  }
+
+  // A redemption approval, not an ERC-721 approval: the merchant cannot transfer the coupon
+  const couponNFT = await getCouponContract();
+  const tx = await couponNFT.approveRedemption(couponId, merchantAccount);
+  await tx.wait();
+  return tx.hash;
+}
+
+/**
+ * Redeem a customer's coupon as a merchant
+ * @param {string} couponId - ID of the coupon
+ * @param {string} orderRef - Order reference the discount applies to
+ * @param {string} purchaseAmount - Purchase price before the discount (e.g. "42.50")
+ * @returns {Promise<Object>} Object with transaction hash and the discount value given, formatted as a price
+ */
+export async function redeemCoupon(couponId, orderRef, purchaseAmount) {
+  if (!couponId) {
+    throw new Error("Coupon ID is required");
+  }
+  if (!orderRef) {
+    throw new Error("Order reference is required");
+  }
+  if (!purchaseAmount || parseFloat(purchaseAmount) <= 0) {
+    throw new Error("Purchase amount must be greater than 0");
+  }
+
+  const currencyDecimals = await getCurrencyDecimals();
+  const contract = await getCouponContract();
+  const tx = await contract.redeemCoupon(
+    couponId,
+    toOrderId(orderRef),
+    ethers.parseUnits(purchaseAmount.toString(), currencyDecimals)
+  );
+  const receipt = await tx.wait();
+
+  // Extract the discount value from the CouponRedeemed event
+  let discountValue = null;
+  for (const log of receipt.logs) {
+    try {
+      const parsedLog = contract.interface.parseLog(log);
+      if (parsedLog && parsedLog.name === "CouponRedeemed") {
+        discountValue = formatPrice(parsedLog.args.discountValue, currencyDecimals);
+      }
+    } catch {
+      // Not a LoyaltyCoupon event
+    }
+  }
+
+  return { hash: tx.hash, discountValue };
+}
+
+/**
+ * Format a redemption receipt from the LoyaltyCoupon contract
+ * @param {Object} redemption - Redemption struct
+ * @param {number} currencyDecimals - Currency decimals of the purchase amounts
+ * @returns {Object} Receipt with amounts formatted as prices
+ */
+function formatRedemption(redemption, currencyDecimals) {
+  const purchaseAmount = redemption.purchaseAmount;
+  return {
+    couponId: redemption.couponId.toString(),
+    merchantId: redemption.merchantId.toString(),
+    customer: redemption.customer,
+    redeemer: redemption.redeemer,
+    orderId: redemption.orderId,
+    purchaseAmount: formatPrice(purchaseAmount, currencyDecimals),
+    discountPercent: redemption.discountPercent.toString(),
+    discountValue: formatPrice(redemption.discountValue, currencyDecimals),
+    amountPaid: formatPrice(purchaseAmount - redemption.discountValue, currencyDecimals),
+    redeemedAt: new Date(Number(redemption.redeemedAt) * 1000)
+  };
+}
+
+/**
+ * Get the redemption receipt of a coupon redeemed at a merchant
+ * @param {string} couponId - ID of the coupon
+ * @returns {Promise<Object|null>} Receipt, or null if the coupon was not redeemed at a merchant
+ */
+export async function getRedemption(couponId) {
+  const contract = await getCouponContract();
+  const details = await contract.getCouponDetails(couponId);
+  if (details.redeemedBy === 0n) {
+    return null;
+  }
+
+  const [redemption, currencyDecimals] = await Promise.all([
+    contract.getRedemption(couponId),
+    getCurrencyDecimals()
+  ]);
+  return formatRedemption(redemption, currencyDecimals);
+}
+
+/**
+ * Get the redemption receipts of a merchant, newest first, with totals for reconciliation
+ * @param {string} merchantId - Merchant ID
+ * @returns {Promise<Object>} Object with the receipts and the total purchase amount and discount value
+ */
+export async function getMerchantRedemptions(merchantId) {
+  const contract = await getCouponContract();
+  const [redemptions, currencyDecimals] = await Promise.all([
+    contract.getMerchantRedemptions(merchantId),
+    getCurrencyDecimals()
+  ]);
+
+  let totalPurchases = 0n;
+  let totalDiscounts = 0n;
+  for (const redemption of redemptions) {
+    totalPurchases += redemption.purchaseAmount;
+    totalDiscounts += redemption.discountValue;
+  }
+
+  return {
+    receipts: redemptions.map(redemption => formatRedemption(redemption, currencyDecimals)).reverse(),
+    totalPurchases: formatPrice(totalPurchases, currencyDecimals),
+    totalDiscounts: formatPrice(totalDiscounts, currencyDecimals)
+  };
+}
+
 /**
  * Redeems tokens for rewards (burns them from circulation)
  * @param {string} amount - Amount of tokens to redeem
@@ -217,27 +1337,42 @@ export async function redeemTokens(amount) {
 }
 
 /**
- * Get token economics metrics
+ * Get token economics metrics and the earn ledger aggregates
  * @param {Object} provider - Optional ethers provider (for compatibility)
+ * @param {string} customer - Optional customer address to include their lifetime spent and earned
  * @returns {Promise<Object>} Object with comprehensive token metrics
  */
-export async function getTokenMetrics(provider = null) {
+export async function getTokenMetrics(provider = null, customer = null) {
   try {
     const contract = await getTokenContract();
     
     // Get metrics from contract
-    const [totalMinted, totalBurned, currentSupply] = await contract.getTokenMetrics();
+    const [totalMinted, totalBurned, currentSupply, totalSpent, totalEarned, customers] = await contract.getTokenMetrics();
     const emissionRate = await contract.emissionRate();
     const unitValue = await contract.unitValue();
+    const currencyDecimals = Number(await contract.currencyDecimals());
     
-    return {
+    const metrics = {
       success: true,
       totalSupply: ethers.formatUnits(currentSupply, 18),
       totalMinted: ethers.formatUnits(totalMinted, 18),
       totalBurned: ethers.formatUnits(totalBurned, 18),
       emissionRate: emissionRate.toString(),
-      unitValue: ethers.formatUnits(unitValue, 18)
+      unitValue: ethers.formatUnits(unitValue, 18),
+      totalSpent: formatPrice(totalSpent, currencyDecimals),
+      totalEarned: ethers.formatUnits(totalEarned, 18),
+      earningCustomers: Number(customers),
+      averageSpent: customers > 0n ? formatPrice(totalSpent / customers, currencyDecimals) : "0",
+      averageEarned: customers > 0n ? ethers.formatUnits(totalEarned / customers, 18) : "0"
     };
+    
+    if (customer && ethers.isAddress(customer)) {
+      const [spent, earned] = await Promise.all([contract.lifetimeSpent(customer), contract.lifetimeEarned(customer)]);
+      metrics.customerSpent = formatPrice(spent, currencyDecimals);
+      metrics.customerEarned = ethers.formatUnits(earned, 18);
+    }
+    
+    return metrics;
   } catch (error) {
     console.error("Error getting token metrics:", error);
     return {
@@ -247,7 +1382,12 @@ export async function getTokenMetrics(provider = null) {
       totalMinted: "0", 
       totalBurned: "0",
       emissionRate: "0",
-      unitValue: "0"
+      unitValue: "0",
+      totalSpent: "0",
+      totalEarned: "0",
+      earningCustomers: 0,
+      averageSpent: "0",
+      averageEarned: "0"
     };
   }
 }
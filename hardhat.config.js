@@ -2,5 +2,17 @@ require("@nomicfoundation/hardhat-toolbox");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      // OpenZeppelin 5.x cryptography utilities (EIP-712) use the Cancun `mcopy` opcode
+      evmVersion: "cancun",
+      // Keep LoyaltyToken under the 24 KB contract size limit (checked by test/ContractSize.js):
+      // a low runs value optimizes for code size rather than call gas
+      optimizer: {
+        enabled: true,
+        runs: 1,
+      },
+    },
+  },
 };
@@ -3,25 +3,74 @@
  * 
  * This script deploys the complete LoyalLoop ecosystem including:
  * - LoyaltyToken ERC-20 contract 
+ * - LoyaltyCoupon ERC-721 contract for discount coupons
+ * - LoyaltyCampaigns registry for time-boxed bonus campaigns
  * - SimpleDEX contract for token trading
+ * - ParameterTimelock that delays emission, coupon fee and DEX rate changes
  * 
  * Features:
  * - Configurable emission rate and unit value for token earning
- * - DEX with ETH/LOYAL token swaps
+ * - DEX with ETH/LOYAL token swaps, priced from the pool reserves (x * y = k)
  * - Liquidity management system
  * - Fee-based trading mechanism
  * 
  * Usage:
  * - For localhost: npx hardhat run scripts/deploy.js --network localhost
  * - For testnet: npx hardhat run scripts/deploy.js --network sepolia
+ * - Optional: GUARDIAN_ADDRESS=0x... makes that account the emergency pause guardian
+ *   of both contracts (defaults to the deployer)
  */
 
 const { ethers } = require("hardhat");
 
+/**
+ * Initial coupon pricing per business type
+ * tokensPerPercent: LOYAL burned per discount percent, maxDiscount: highest discount %, minTokens: minimum LOYAL burned,
+ * maxDiscountValue: highest discount given per redemption, as a price ("0" = no cap)
+ */
+const COUPON_PRICING = {
+  restaurant: { tokensPerPercent: "1", maxDiscount: 50, minTokens: "5", maxDiscountValue: "25" },
+  retail: { tokensPerPercent: "2", maxDiscount: 30, minTokens: "10", maxDiscountValue: "50" },
+  services: { tokensPerPercent: "1", maxDiscount: 40, minTokens: "5", maxDiscountValue: "40" },
+  entertainment: { tokensPerPercent: "1", maxDiscount: 50, minTokens: "5", maxDiscountValue: "20" },
+  general: { tokensPerPercent: "2", maxDiscount: 25, minTokens: "10", maxDiscountValue: "0" }
+};
+
+/**
+ * Initial velocity limits on purchase rewards (LOYAL, "0" = no limit)
+ * maxPerTx: per purchase, maxPerAddressPerDay: per customer per rolling day, maxPerEpoch: all customers per epoch
+ */
+const MINT_LIMITS = {
+  maxPerTx: "1000",
+  maxPerAddressPerDay: "5000",
+  maxPerEpoch: "100000",
+  epochLength: 24 * 60 * 60 // 1 day
+};
+
+/**
+ * Decimals of purchase amounts (2 = amounts in cents, e.g. $5.99 is amountSpent 599)
+ */
+const CURRENCY_DECIMALS = 2;
+
+/**
+ * SimpleDEX pricing mode (0 = fixed exchange rate, 1 = constant product x * y = k)
+ */
+const DEX_PRICING_MODE = 1;
+
+/**
+ * Part of every DEX swap fee sent to the protocol treasury (the deployer), in basis points of the fee (max 5000)
+ */
+const DEX_PROTOCOL_FEE_SHARE = 2000; // 20%, the other 80% stays in the pool for the LPs
+
+/**
+ * Delay between queueing an economic parameter change and applying it (1 hour to 30 days)
+ */
+const TIMELOCK_DELAY = 24 * 60 * 60; // 1 day
+
 /**
  * Main deployment function
  * 
- * Deploys the LoyaltyToken and SimpleDEX contracts with proper configuration
+ * Deploys the LoyaltyToken, LoyaltyCoupon, LoyaltyCampaigns, SimpleDEX and ParameterTimelock contracts with proper configuration
  * and logs the deployment addresses for frontend integration.
  * 
  * @async
@@ -43,8 +92,59 @@ async function main() {
   const tokenAddress = await loyaltyToken.getAddress();
   console.log("✅ LoyaltyToken deployed at:", tokenAddress);
   
+  // Deploy LoyaltyCoupon and link it to the token
+  console.log("\n📦 Step 2: Deploying LoyaltyCoupon...");
+  const LoyaltyCoupon = await ethers.getContractFactory("LoyaltyCoupon");
+  
+  const loyaltyCoupon = await LoyaltyCoupon.deploy(tokenAddress);
+  await loyaltyCoupon.waitForDeployment();
+  
+  const couponAddress = await loyaltyCoupon.getAddress();
+  console.log("✅ LoyaltyCoupon deployed at:", couponAddress);
+  
+  const linkTx = await loyaltyToken.setCouponNFT(couponAddress);
+  await linkTx.wait();
+  console.log("🔗 LoyaltyCoupon linked to LoyaltyToken");
+  
+  // Configure coupon pricing
+  for (const [businessType, pricing] of Object.entries(COUPON_PRICING)) {
+    const pricingTx = await loyaltyCoupon.setCouponPricing(
+      businessType,
+      ethers.parseEther(pricing.tokensPerPercent),
+      pricing.maxDiscount,
+      ethers.parseEther(pricing.minTokens),
+      ethers.parseUnits(pricing.maxDiscountValue, CURRENCY_DECIMALS)
+    );
+    await pricingTx.wait();
+  }
+  console.log("🏷️  Coupon pricing configured for:", Object.keys(COUPON_PRICING).join(", "));
+  
+  // Deploy LoyaltyCampaigns and link it to the token
+  console.log("\n📦 Step 3: Deploying LoyaltyCampaigns...");
+  const LoyaltyCampaigns = await ethers.getContractFactory("LoyaltyCampaigns");
+  
+  const loyaltyCampaigns = await LoyaltyCampaigns.deploy(tokenAddress);
+  await loyaltyCampaigns.waitForDeployment();
+  
+  const campaignsAddress = await loyaltyCampaigns.getAddress();
+  console.log("✅ LoyaltyCampaigns deployed at:", campaignsAddress);
+  
+  const campaignsLinkTx = await loyaltyToken.setCampaignRegistry(campaignsAddress);
+  await campaignsLinkTx.wait();
+  console.log("🔗 LoyaltyCampaigns linked to LoyaltyToken");
+  
+  // Configure velocity limits
+  const limitsTx = await loyaltyToken.setMintLimits(
+    ethers.parseEther(MINT_LIMITS.maxPerTx),
+    ethers.parseEther(MINT_LIMITS.maxPerAddressPerDay),
+    ethers.parseEther(MINT_LIMITS.maxPerEpoch),
+    MINT_LIMITS.epochLength
+  );
+  await limitsTx.wait();
+  console.log(`🚦 Mint limits: ${MINT_LIMITS.maxPerTx} LOYAL per purchase, ${MINT_LIMITS.maxPerAddressPerDay} per customer per day, ${MINT_LIMITS.maxPerEpoch} per epoch`);
+  
   // Deploy SimpleDEX
-  console.log("\n📦 Step 2: Deploying SimpleDEX...");
+  console.log("\n📦 Step 4: Deploying SimpleDEX...");
   const SimpleDEX = await ethers.getContractFactory("SimpleDEX");
   
   // Constructor parameters for SimpleDEX
@@ -57,6 +157,45 @@ async function main() {
   const dexAddress = await simpleDEX.getAddress();
   console.log("✅ SimpleDEX deployed at:", dexAddress);
   
+  // Deploy ParameterTimelock and hand it the economic parameters of both contracts
+  console.log("\n📦 Step 5: Deploying ParameterTimelock...");
+  const ParameterTimelock = await ethers.getContractFactory("ParameterTimelock");
+  
+  const parameterTimelock = await ParameterTimelock.deploy(tokenAddress, dexAddress, TIMELOCK_DELAY);
+  await parameterTimelock.waitForDeployment();
+  
+  const timelockAddress = await parameterTimelock.getAddress();
+  console.log("✅ ParameterTimelock deployed at:", timelockAddress);
+  
+  // Currency decimals is a timelocked parameter, set it while the admin can still change it directly
+  const decimalsTx = await loyaltyToken.setCurrencyDecimals(CURRENCY_DECIMALS);
+  await decimalsTx.wait();
+  console.log(`💵 Purchase amounts in minor units (${CURRENCY_DECIMALS} currency decimals)`);
+  
+  const pricingModeTx = await simpleDEX.setPricingMode(DEX_PRICING_MODE);
+  await pricingModeTx.wait();
+  console.log(`📐 DEX pricing mode: ${DEX_PRICING_MODE === 1 ? "constant product (x * y = k)" : "fixed exchange rate"}`);
+  
+  const protocolFeeTx = await simpleDEX.setProtocolFeeShare(DEX_PROTOCOL_FEE_SHARE);
+  await protocolFeeTx.wait();
+  console.log(`🏦 DEX protocol fee share: ${DEX_PROTOCOL_FEE_SHARE / 100}% of swap fees to the treasury`);
+  
+  const tokenTimelockTx = await loyaltyToken.setParameterTimelock(timelockAddress);
+  await tokenTimelockTx.wait();
+  const dexTimelockTx = await simpleDEX.setParameterTimelock(timelockAddress);
+  await dexTimelockTx.wait();
+  console.log(`⏳ Parameter changes now go through the timelock (${TIMELOCK_DELAY / 3600} h delay)`);
+  
+  // Hand the emergency pause to a dedicated guardian account
+  const guardianAddress = process.env.GUARDIAN_ADDRESS;
+  if (guardianAddress) {
+    const grantTx = await loyaltyToken.grantRole(await loyaltyToken.GUARDIAN_ROLE(), guardianAddress);
+    await grantTx.wait();
+    const guardianTx = await simpleDEX.setGuardian(guardianAddress);
+    await guardianTx.wait();
+    console.log("🛡️  Pause guardian set to:", guardianAddress);
+  }
+  
   // Verify deployments
   console.log("\n🔍 Verifying deployments...");
   
@@ -71,6 +210,9 @@ async function main() {
   console.log("   Symbol:", symbol);
   console.log("   Total Supply:", ethers.formatEther(totalSupply), "LOYAL");
   console.log("   Owner:", tokenOwner);
+  console.log("   Coupon NFT:", await loyaltyToken.couponNFT());
+  console.log("   Campaign Registry:", await loyaltyToken.campaignRegistry());
+  console.log("   Parameter Timelock:", await loyaltyToken.parameterTimelock());
   
   // SimpleDEX verification
   const dexStatus = await simpleDEX.getDEXStatus();
@@ -79,15 +221,21 @@ async function main() {
   console.log("\n📊 SimpleDEX verification:");
   console.log("   Token Address:", await simpleDEX.loyalToken());
   console.log("   Exchange Rate:", ethers.formatEther(dexStatus[2]), "LOYAL per ETH");
+  console.log("   Pricing Mode:", Number(dexStatus[5]) === 1 ? "Constant product" : "Fixed rate");
   console.log("   Fee Percentage:", Number(dexStatus[3]) / 100, "%");
   console.log("   ETH Liquidity:", ethers.formatEther(dexStatus[0]), "ETH");
   console.log("   Token Liquidity:", ethers.formatEther(dexStatus[1]), "LOYAL");
   console.log("   Owner:", dexOwner);
+  console.log("   Guardian:", await simpleDEX.guardian());
+  console.log("   Parameter Timelock:", await simpleDEX.parameterTimelock());
   
   console.log("\n🎉 LoyalLoop ecosystem deployment completed successfully!");
   console.log("\n📋 Contract Addresses:");
   console.log("   LoyaltyToken:", tokenAddress);
+  console.log("   LoyaltyCoupon:", couponAddress);
+  console.log("   LoyaltyCampaigns:", campaignsAddress);
   console.log("   SimpleDEX:", dexAddress);
+  console.log("   ParameterTimelock:", timelockAddress);
   
   console.log("\n📝 Next steps:");
   console.log("   1. Update frontend with new contract addresses");
@@ -97,7 +245,10 @@ async function main() {
   
   return {
     loyaltyToken: tokenAddress,
-    simpleDEX: dexAddress
+    loyaltyCoupon: couponAddress,
+    loyaltyCampaigns: campaignsAddress,
+    simpleDEX: dexAddress,
+    parameterTimelock: timelockAddress
   };
 }
 
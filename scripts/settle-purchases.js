@@ -0,0 +1,234 @@
+/**
+ * LoyalLoop End-of-Day Purchase Settlement
+ *
+ * Reads a CSV of the day's purchases at one merchant and rewards them with
+ * `batchEarnTokens`, split into chunks that fit a gas budget.
+ *
+ * CSV format (header row required, one purchase per line):
+ *   customer,amountSpent,orderId
+ *   0x70997970C51812dc3A010C7d01b50e0d17dc79C8,30000,ORDER-1042
+ *
+ * amountSpent is in minor currency units (cents when the token's currencyDecimals
+ * is 2). Spend that does not complete a unit is carried to the customer's next purchase.
+ *
+ * Progress is saved to `<csv>.progress.json` after every mined chunk, so an
+ * interrupted run continues where it stopped when started again. Order IDs are
+ * de-duplicated on-chain per merchant, so resubmitting a chunk whose transaction
+ * was mined but not recorded never rewards a purchase twice.
+ *
+ * Purchases that were not rewarded (invalid rows, zero amounts,
+ * duplicate orders, rewards over the velocity limits) are listed in
+ * `<csv>.failures.csv`. LimitExceeded rows can be settled again once the limits
+ * leave headroom (for example in the next emission epoch).
+ *
+ * The signing account must hold MERCHANT_ROLE or MINTER_ROLE on the LoyaltyToken contract and be
+ * linked to the merchant with setMerchantAccount (admins can settle for any merchant).
+ *
+ * Usage:
+ *   SETTLEMENT_CSV=./purchases-2025-07-01.csv LOYALTY_TOKEN_ADDRESS=0x... MERCHANT_ID=1 \
+ *     npx hardhat run scripts/settle-purchases.js --network localhost
+ *
+ * Optional:
+ *   BATCH_GAS_LIMIT=8000000  Gas budget of one chunk transaction (default 8,000,000)
+ */
+
+const fs = require("fs");
+const { ethers } = require("hardhat");
+const { toOrderId } = require("./voucher-signer");
+
+/** Default gas budget of one chunk transaction */
+const DEFAULT_BATCH_GAS_LIMIT = 8_000_000n;
+
+/** Names of the LoyaltyToken SettlementResult values */
+const SETTLEMENT_RESULTS = ["Rewarded", "InvalidCustomer", "AmountTooLow", "DuplicateOrder", "LimitExceeded"];
+
+/**
+ * Parse the purchases CSV
+ * @param {string} text - CSV file contents
+ * @returns {{ entries: Array<Object>, invalid: Array<Object> }} Valid purchases and rows that cannot be submitted
+ */
+function parsePurchases(text) {
+  const lines = text.split(/\r?\n/);
+  const entries = [];
+  const invalid = [];
+
+  // Line 1 is the header
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    const [customer, amountSpent, orderRef] = line.split(",").map((field) => field.trim());
+    const row = i + 1;
+
+    if (!ethers.isAddress(customer)) {
+      invalid.push({ row, customer, amountSpent, orderRef, reason: "InvalidCustomer" });
+    } else if (!/^\d+$/.test(amountSpent || "")) {
+      invalid.push({ row, customer, amountSpent, orderRef, reason: "InvalidAmount" });
+    } else if (!orderRef) {
+      invalid.push({ row, customer, amountSpent, orderRef, reason: "MissingOrderId" });
+    } else {
+      entries.push({
+        row,
+        customer: ethers.getAddress(customer),
+        amountSpent: BigInt(amountSpent),
+        orderRef,
+        orderId: toOrderId(orderRef)
+      });
+    }
+  }
+
+  return { entries, invalid };
+}
+
+/**
+ * Load saved progress, or start a new settlement
+ * @param {string} progressPath - Progress file path
+ * @param {string} tokenAddress - LoyaltyToken contract address
+ * @param {string} merchantId - Merchant ID being settled
+ * @returns {Object} Progress state
+ */
+function loadProgress(progressPath, tokenAddress, merchantId) {
+  if (fs.existsSync(progressPath)) {
+    const progress = JSON.parse(fs.readFileSync(progressPath, "utf8"));
+    if (progress.token !== tokenAddress || progress.merchantId !== merchantId) {
+      throw new Error(`${progressPath} belongs to another token or merchant, remove it to start over`);
+    }
+    return progress;
+  }
+
+  return { token: tokenAddress, merchantId, nextEntry: 0, rewarded: 0, failed: 0, tokensMinted: "0", chunks: [] };
+}
+
+/**
+ * Append rows to the failure report
+ * @param {string} failuresPath - Failure report path
+ * @param {Array<Object>} failures - Rows that were not rewarded
+ */
+function appendFailures(failuresPath, failures) {
+  if (failures.length === 0) return;
+
+  if (!fs.existsSync(failuresPath)) {
+    fs.writeFileSync(failuresPath, "row,customer,amountSpent,orderId,reason\n");
+  }
+  const lines = failures.map((f) => [f.row, f.customer, f.amountSpent, f.orderRef, f.reason].join(","));
+  fs.appendFileSync(failuresPath, lines.join("\n") + "\n");
+}
+
+/**
+ * Find the largest chunk starting at `start` whose estimated gas fits the budget
+ * @returns {Promise<{ size: number, gas: bigint }>} Chunk size and estimated gas
+ */
+async function sizeChunk(token, merchantId, entries, start, maxSize, gasBudget) {
+  let size = Math.min(maxSize, entries.length - start);
+
+  for (;;) {
+    const chunk = entries.slice(start, start + size);
+    const gas = await token.batchEarnTokens.estimateGas(
+      merchantId,
+      chunk.map((e) => e.customer),
+      chunk.map((e) => e.amountSpent),
+      chunk.map((e) => e.orderId)
+    );
+
+    if (gas <= gasBudget || size === 1) {
+      return { size, gas };
+    }
+    // Scale down to the budget, with 10% headroom for the estimate
+    size = Math.max(1, Math.floor((size * Number(gasBudget) * 0.9) / Number(gas)));
+  }
+}
+
+async function main() {
+  const { SETTLEMENT_CSV, LOYALTY_TOKEN_ADDRESS, MERCHANT_ID, BATCH_GAS_LIMIT } = process.env;
+
+  if (!SETTLEMENT_CSV || !LOYALTY_TOKEN_ADDRESS || !MERCHANT_ID) {
+    console.log("Usage: SETTLEMENT_CSV=./purchases.csv LOYALTY_TOKEN_ADDRESS=0x... MERCHANT_ID=1 [BATCH_GAS_LIMIT=8000000] \\");
+    console.log("         npx hardhat run scripts/settle-purchases.js --network <network>");
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log("🧾 Settling purchases from", SETTLEMENT_CSV, "\n");
+
+  const [operator] = await ethers.getSigners();
+  const token = await ethers.getContractAt("LoyaltyToken", LOYALTY_TOKEN_ADDRESS);
+  const gasBudget = BATCH_GAS_LIMIT ? BigInt(BATCH_GAS_LIMIT) : DEFAULT_BATCH_GAS_LIMIT;
+  const maxBatchSize = Number(await token.MAX_BATCH_SIZE());
+
+  const progressPath = `${SETTLEMENT_CSV}.progress.json`;
+  const failuresPath = `${SETTLEMENT_CSV}.failures.csv`;
+  const tokenAddress = ethers.getAddress(LOYALTY_TOKEN_ADDRESS);
+  const progress = loadProgress(progressPath, tokenAddress, MERCHANT_ID);
+  const saveProgress = () => fs.writeFileSync(progressPath, JSON.stringify(progress, null, 2));
+
+  const { entries, invalid } = parsePurchases(fs.readFileSync(SETTLEMENT_CSV, "utf8"));
+
+  console.log("👤 Operator:", operator.address);
+  console.log(`📦 Purchases: ${entries.length} valid, ${invalid.length} invalid rows`);
+
+  // Invalid rows are reported once, on the first run
+  if (progress.nextEntry === 0 && progress.chunks.length === 0) {
+    appendFailures(failuresPath, invalid);
+    progress.failed += invalid.length;
+    saveProgress();
+  }
+
+  if (progress.nextEntry > 0) {
+    console.log(`⏩ Resuming at purchase ${progress.nextEntry + 1} of ${entries.length}`);
+  }
+
+  while (progress.nextEntry < entries.length) {
+    const start = progress.nextEntry;
+    const { size, gas } = await sizeChunk(token, MERCHANT_ID, entries, start, maxBatchSize, gasBudget);
+    const chunk = entries.slice(start, start + size);
+
+    console.log(`🔄 Submitting purchases ${start + 1}-${start + size} (estimated gas ${gas})...`);
+    const tx = await token.batchEarnTokens(
+      MERCHANT_ID,
+      chunk.map((e) => e.customer),
+      chunk.map((e) => e.amountSpent),
+      chunk.map((e) => e.orderId),
+      { gasLimit: (gas * 12n) / 10n }
+    );
+    const receipt = await tx.wait();
+
+    // Collect per-entry results from the PurchaseSettled events (emitted in input order)
+    const failures = [];
+    let entryIndex = 0;
+    for (const log of receipt.logs) {
+      const event = token.interface.parseLog(log);
+      if (!event) continue;
+
+      if (event.name === "PurchaseSettled") {
+        const entry = chunk[entryIndex++];
+        const result = Number(event.args.result);
+        if (result !== 0) {
+          failures.push({ ...entry, reason: SETTLEMENT_RESULTS[result] });
+        }
+      } else if (event.name === "BatchSettled") {
+        progress.rewarded += Number(event.args.rewarded);
+        progress.tokensMinted = (BigInt(progress.tokensMinted) + event.args.tokensMinted).toString();
+      }
+    }
+
+    appendFailures(failuresPath, failures);
+    progress.failed += failures.length;
+    progress.nextEntry = start + size;
+    progress.chunks.push({ fromRow: chunk[0].row, toRow: chunk[size - 1].row, txHash: receipt.hash, gasUsed: receipt.gasUsed.toString() });
+    saveProgress();
+
+    console.log(`   ✅ Mined in ${receipt.hash} (${size - failures.length} rewarded, ${failures.length} not rewarded)`);
+  }
+
+  console.log("\n🎉 Settlement complete!");
+  console.log(`   Rewarded purchases: ${progress.rewarded}`);
+  console.log(`   Not rewarded: ${progress.failed}${progress.failed > 0 ? ` (see ${failuresPath})` : ""}`);
+  console.log(`   Tokens minted: ${ethers.formatEther(progress.tokensMinted)} LOYAL`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Settlement failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,188 @@
+/**
+ * LoyalLoop Purchase Voucher Signer
+ *
+ * Small Node module for POS / merchant backends that issue signed purchase
+ * vouchers (EIP-712). Customers paste or scan the encoded voucher in the
+ * Customer Portal and claim their LOYAL reward with `claimWithVoucher`.
+ *
+ * The signing wallet must hold MERCHANT_ROLE on the LoyaltyToken contract.
+ *
+ * Usage as a module:
+ *   const { signPurchaseVoucher, encodeVoucher } = require("./scripts/voucher-signer");
+ *   const voucher = await signPurchaseVoucher(wallet, tokenAddress, chainId, {
+ *     customer: "0x...",
+ *     amountSpent: toMinorUnits("5.99", 2), // 599 cents
+ *     orderId: "ORDER-1042"
+ *   });
+ *   const payload = encodeVoucher(voucher); // print as QR code or send to the customer
+ *
+ * Usage from the command line:
+ *   MERCHANT_PRIVATE_KEY=0x... LOYALTY_TOKEN_ADDRESS=0x... CHAIN_ID=31337 \
+ *     node scripts/voucher-signer.js <customer> <amountSpent> <orderId>
+ *
+ * amountSpent is in minor currency units (see LoyaltyToken.currencyDecimals). With
+ * CURRENCY_DECIMALS=2 the command line takes the price instead, e.g. 5.99 for 599 cents.
+ */
+
+const { ethers } = require("ethers");
+
+/** Default voucher validity (24 hours) */
+const DEFAULT_VALIDITY_SECONDS = 24 * 60 * 60;
+
+/** EIP-712 types, must match PURCHASE_VOUCHER_TYPEHASH in LoyaltyToken.sol */
+const VOUCHER_TYPES = {
+  PurchaseVoucher: [
+    { name: "customer", type: "address" },
+    { name: "amountSpent", type: "uint256" },
+    { name: "orderId", type: "bytes32" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+/**
+ * Convert a decimal price to minor currency units
+ * @param {string|number} price - Price such as "5.99"
+ * @param {number} currencyDecimals - Currency decimals of the LoyaltyToken deployment
+ * @returns {bigint} Amount in minor units (599 for "5.99" with 2 decimals)
+ */
+function toMinorUnits(price, currencyDecimals) {
+  return ethers.parseUnits(price.toString(), currencyDecimals);
+}
+
+/**
+ * Build the EIP-712 domain of a LoyaltyToken deployment
+ * @param {string} tokenAddress - LoyaltyToken contract address
+ * @param {number|bigint} chainId - Chain ID of the network
+ * @returns {Object} EIP-712 domain
+ */
+function getVoucherDomain(tokenAddress, chainId) {
+  return {
+    name: "LoyaltyToken",
+    version: "1",
+    chainId,
+    verifyingContract: tokenAddress
+  };
+}
+
+/**
+ * Convert a merchant order reference to the bytes32 order ID
+ * @param {string} orderRef - Order reference (already a bytes32 hex string, or any text)
+ * @returns {string} bytes32 order ID
+ */
+function toOrderId(orderRef) {
+  if (ethers.isHexString(orderRef, 32)) {
+    return orderRef;
+  }
+  return ethers.id(String(orderRef));
+}
+
+/**
+ * Sign a purchase voucher
+ * @param {ethers.Signer} signer - Merchant wallet (must hold MERCHANT_ROLE)
+ * @param {string} tokenAddress - LoyaltyToken contract address
+ * @param {number|bigint} chainId - Chain ID of the network
+ * @param {Object} purchase - Purchase details
+ * @param {string} purchase.customer - Customer wallet address
+ * @param {number|string|bigint} purchase.amountSpent - Amount spent on the order
+ * @param {string} purchase.orderId - Order reference
+ * @param {number|string|bigint} [purchase.nonce] - Single-use nonce (random if omitted)
+ * @param {number} [purchase.deadline] - Expiry as unix timestamp (24 hours from now if omitted)
+ * @returns {Promise<Object>} Signed voucher with all numeric fields as strings
+ */
+async function signPurchaseVoucher(signer, tokenAddress, chainId, purchase) {
+  if (!ethers.isAddress(purchase.customer)) {
+    throw new Error("Invalid customer address");
+  }
+  if (!ethers.isAddress(tokenAddress)) {
+    throw new Error("Invalid token address");
+  }
+
+  const voucher = {
+    customer: ethers.getAddress(purchase.customer),
+    amountSpent: BigInt(purchase.amountSpent),
+    orderId: toOrderId(purchase.orderId),
+    nonce: purchase.nonce !== undefined ? BigInt(purchase.nonce) : BigInt(ethers.hexlify(ethers.randomBytes(16))),
+    deadline: BigInt(purchase.deadline || Math.floor(Date.now() / 1000) + DEFAULT_VALIDITY_SECONDS)
+  };
+
+  if (voucher.amountSpent <= 0n) {
+    throw new Error("Amount spent must be greater than 0");
+  }
+
+  const signature = await signer.signTypedData(getVoucherDomain(tokenAddress, chainId), VOUCHER_TYPES, voucher);
+
+  return {
+    token: ethers.getAddress(tokenAddress),
+    chainId: chainId.toString(),
+    customer: voucher.customer,
+    amountSpent: voucher.amountSpent.toString(),
+    orderId: voucher.orderId,
+    nonce: voucher.nonce.toString(),
+    deadline: voucher.deadline.toString(),
+    signature
+  };
+}
+
+/**
+ * Recover the address that signed a voucher
+ * @param {Object} signedVoucher - Voucher returned by signPurchaseVoucher
+ * @returns {string} Signer address
+ */
+function recoverVoucherSigner(signedVoucher) {
+  const { token, chainId, signature, ...voucher } = signedVoucher;
+  return ethers.verifyTypedData(getVoucherDomain(token, chainId), VOUCHER_TYPES, voucher, signature);
+}
+
+/**
+ * Encode a signed voucher as a compact base64 payload (for QR codes and links)
+ * @param {Object} signedVoucher - Voucher returned by signPurchaseVoucher
+ * @returns {string} Base64 encoded JSON
+ */
+function encodeVoucher(signedVoucher) {
+  return Buffer.from(JSON.stringify(signedVoucher)).toString("base64");
+}
+
+/**
+ * Command line entry point
+ */
+async function main() {
+  const [customer, amountSpent, orderId] = process.argv.slice(2);
+  const { MERCHANT_PRIVATE_KEY, LOYALTY_TOKEN_ADDRESS, CHAIN_ID, CURRENCY_DECIMALS } = process.env;
+
+  if (!customer || !amountSpent || !orderId || !MERCHANT_PRIVATE_KEY || !LOYALTY_TOKEN_ADDRESS) {
+    console.log("Usage: MERCHANT_PRIVATE_KEY=0x... LOYALTY_TOKEN_ADDRESS=0x... [CHAIN_ID=31337] [CURRENCY_DECIMALS=2] \\");
+    console.log("         node scripts/voucher-signer.js <customer> <amountSpent> <orderId>");
+    process.exitCode = 1;
+    return;
+  }
+
+  const wallet = new ethers.Wallet(MERCHANT_PRIVATE_KEY);
+  const voucher = await signPurchaseVoucher(wallet, LOYALTY_TOKEN_ADDRESS, BigInt(CHAIN_ID || 31337), {
+    customer,
+    amountSpent: CURRENCY_DECIMALS ? toMinorUnits(amountSpent, Number(CURRENCY_DECIMALS)) : amountSpent,
+    orderId
+  });
+
+  console.log("🧾 Signed purchase voucher:");
+  console.log(JSON.stringify(voucher, null, 2));
+  console.log("\n📦 Encoded payload (paste or scan in the Customer Portal):");
+  console.log(encodeVoucher(voucher));
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Voucher signing failed:", error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  VOUCHER_TYPES,
+  getVoucherDomain,
+  toOrderId,
+  toMinorUnits,
+  signPurchaseVoucher,
+  recoverVoucherSigner,
+  encodeVoucher
+};
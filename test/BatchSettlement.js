@@ -0,0 +1,121 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Batch settlement", function () {
+  // SettlementResult enum values
+  const REWARDED = 0;
+  const INVALID_CUSTOMER = 1;
+  const AMOUNT_TOO_LOW = 2;
+  const DUPLICATE_ORDER = 3;
+  const LIMIT_EXCEEDED = 4;
+
+  const orderId = (ref) => ethers.id(ref);
+
+  async function deployBatchFixture() {
+    const [owner, customer, otherCustomer, otherAccount] = await ethers.getSigners();
+
+    // Merchant #1 rewards one token per 3 spent
+    const token = await ethers.deployContract("LoyaltyToken");
+    await token.registerMerchant("Cafe", "restaurant", owner.address, 1, 3);
+
+    return { token, owner, customer, otherCustomer, otherAccount };
+  }
+
+  async function settledResults(token, tx) {
+    const receipt = await tx.wait();
+    return receipt.logs
+      .map((log) => token.interface.parseLog(log))
+      .filter((event) => event && event.name === "PurchaseSettled")
+      .map((event) => Number(event.args.result));
+  }
+
+  describe("Validations", function () {
+    it("Should revert if the caller is not a merchant or minter", async function () {
+      const { token, customer, otherAccount } = await loadFixture(deployBatchFixture);
+
+      await expect(
+        token.connect(otherAccount).batchEarnTokens(1, [customer.address], [300], [orderId("A")])
+      ).to.be.revertedWith("Caller is not a merchant or minter");
+    });
+
+    it("Should revert on mismatched arrays", async function () {
+      const { token, customer } = await loadFixture(deployBatchFixture);
+
+      await expect(
+        token.batchEarnTokens(1, [customer.address], [300, 600], [orderId("A")])
+      ).to.be.revertedWith("Array length mismatch");
+    });
+
+    it("Should revert on an empty or oversized batch", async function () {
+      const { token, customer } = await loadFixture(deployBatchFixture);
+      const size = Number(await token.MAX_BATCH_SIZE()) + 1;
+
+      await expect(token.batchEarnTokens(1, [], [], [])).to.be.revertedWith("Invalid batch size");
+      await expect(
+        token.batchEarnTokens(
+          1,
+          Array(size).fill(customer.address),
+          Array(size).fill(300),
+          Array.from({ length: size }, (_, i) => orderId(`O${i}`))
+        )
+      ).to.be.revertedWith("Invalid batch size");
+    });
+
+    it("Should revert for an inactive merchant", async function () {
+      const { token, customer } = await loadFixture(deployBatchFixture);
+      await token.setMerchantActive(1, false);
+
+      await expect(
+        token.batchEarnTokens(1, [customer.address], [300], [orderId("A")])
+      ).to.be.revertedWith("Merchant not active");
+    });
+  });
+
+  describe("Settlement", function () {
+    it("Should reward valid entries and skip invalid ones", async function () {
+      const { token, owner, customer, otherCustomer } = await loadFixture(deployBatchFixture);
+
+      const tx = await token.batchEarnTokens(
+        1,
+        [customer.address, ethers.ZeroAddress, otherCustomer.address, customer.address],
+        [300, 300, 0, 30],
+        [orderId("A"), orderId("B"), orderId("C"), orderId("A")]
+      );
+
+      expect(await settledResults(token, tx)).to.deep.equal([REWARDED, INVALID_CUSTOMER, AMOUNT_TOO_LOW, DUPLICATE_ORDER]);
+      await expect(tx).to.emit(token, "BatchSettled").withArgs(1, owner.address, 4, 1, ethers.parseEther("100"));
+      expect(await token.balanceOf(customer.address)).to.equal(ethers.parseEther("100"));
+      expect(await token.balanceOf(otherCustomer.address)).to.equal(0);
+    });
+
+    it("Should skip orders settled in an earlier batch", async function () {
+      const { token, customer } = await loadFixture(deployBatchFixture);
+      await token.batchEarnTokens(1, [customer.address], [300], [orderId("A")]);
+
+      const results = await token.batchEarnTokens.staticCall(
+        1,
+        [customer.address, customer.address],
+        [300, 300],
+        [orderId("A"), orderId("B")]
+      );
+
+      expect(results.map(Number)).to.deep.equal([DUPLICATE_ORDER, REWARDED]);
+    });
+
+    it("Should report entries above the velocity limits as LimitExceeded", async function () {
+      const { token, customer, otherCustomer } = await loadFixture(deployBatchFixture);
+      await token.setMintLimits(ethers.parseEther("150"), 0, 0, 24 * 60 * 60);
+
+      const tx = await token.batchEarnTokens(
+        1,
+        [customer.address, otherCustomer.address],
+        [300, 600],
+        [orderId("A"), orderId("B")]
+      );
+
+      expect(await settledResults(token, tx)).to.deep.equal([REWARDED, LIMIT_EXCEEDED]);
+      // The skipped order is not marked settled and can be resubmitted
+      expect(await token.settledOrders(1, orderId("B"))).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,340 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Campaigns", function () {
+  const ONE_DAY_IN_SECS = 24 * 60 * 60;
+
+  async function deployCampaignsFixture() {
+    const [owner, customer, otherCustomer, thirdCustomer, otherAccount] = await ethers.getSigners();
+
+    const token = await ethers.deployContract("LoyaltyToken");
+    const campaigns = await ethers.deployContract("LoyaltyCampaigns", [await token.getAddress()]);
+    await token.setCampaignRegistry(await campaigns.getAddress());
+
+    // Both merchants reward one token per unit spent
+    await token.registerMerchant("Cafe", "restaurant", owner.address, 1, 1);
+    await token.registerMerchant("Shop", "retail", owner.address, 1, 1);
+
+    // Campaigns run from the next hour for a day
+    const start = (await time.latest()) + 3600;
+    const end = start + ONE_DAY_IN_SECS;
+
+    // Creates a campaign running from start to end, any merchant, no budget cap unless given
+    async function createCampaign(multiplier, options = {}) {
+      const { merchantId = 0, businessType = "", budget = 0 } = options;
+      return campaigns.createCampaign("Promo", start, end, multiplier, merchantId, businessType, budget);
+    }
+
+    return { token, campaigns, owner, customer, otherCustomer, thirdCustomer, otherAccount, start, end, createCampaign };
+  }
+
+  describe("Scheduling", function () {
+    it("Should store a new campaign", async function () {
+      const { campaigns, start, end } = await loadFixture(deployCampaignsFixture);
+
+      await expect(campaigns.createCampaign("Double points", start, end, 20000, 1, "restaurant", 500))
+        .to.emit(campaigns, "CampaignCreated")
+        .withArgs(1, "Double points", start, end, 20000, 1, "restaurant", 500);
+
+      const campaign = await campaigns.getCampaign(1);
+      expect(campaign.name).to.equal("Double points");
+      expect(campaign.multiplier).to.equal(20000);
+      expect(campaign.bonusMinted).to.equal(0);
+      expect(await campaigns.getCampaigns()).to.have.length(1);
+    });
+
+    it("Should only let token admins schedule and cancel campaigns", async function () {
+      const { campaigns, otherAccount, start, end, createCampaign } = await loadFixture(deployCampaignsFixture);
+      await createCampaign(20000);
+
+      await expect(
+        campaigns.connect(otherAccount).createCampaign("Promo", start, end, 20000, 0, "", 0)
+      ).to.be.revertedWith("Caller is not an admin");
+      await expect(campaigns.connect(otherAccount).cancelCampaign(1)).to.be.revertedWith("Caller is not an admin");
+    });
+
+    it("Should reject invalid campaigns", async function () {
+      const { campaigns, start, end } = await loadFixture(deployCampaignsFixture);
+      const now = await time.latest();
+
+      await expect(campaigns.createCampaign("", start, end, 20000, 0, "", 0)).to.be.revertedWith(
+        "Campaign name required"
+      );
+      await expect(campaigns.createCampaign("Promo", end, start, 20000, 0, "", 0)).to.be.revertedWith(
+        "Invalid campaign period"
+      );
+      await expect(campaigns.createCampaign("Promo", now - 100, now, 20000, 0, "", 0)).to.be.revertedWith(
+        "Invalid campaign period"
+      );
+      await expect(campaigns.createCampaign("Promo", start, end, 10000, 0, "", 0)).to.be.revertedWith(
+        "Multiplier must be above 1x and at most 5x"
+      );
+      await expect(campaigns.createCampaign("Promo", start, end, 50001, 0, "", 0)).to.be.revertedWith(
+        "Multiplier must be above 1x and at most 5x"
+      );
+      await expect(campaigns.createCampaign("Promo", start, end, 20000, 9, "", 0)).to.be.revertedWith(
+        "Merchant not registered"
+      );
+    });
+
+    it("Should only let the token apply campaigns", async function () {
+      const { campaigns, customer } = await loadFixture(deployCampaignsFixture);
+
+      await expect(
+        campaigns.applyCampaigns(customer.address, 1, ethers.ZeroHash, ethers.parseEther("100"))
+      ).to.be.revertedWith("Caller is not the loyalty token");
+    });
+  });
+
+  describe("Start and end", function () {
+    it("Should not boost purchases before the start", async function () {
+      const { token, customer, start, createCampaign } = await loadFixture(deployCampaignsFixture);
+      await createCampaign(20000);
+
+      await time.setNextBlockTimestamp(start - 1);
+      await expect(token.earnTokens(1, customer.address, 100)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("100")
+      );
+    });
+
+    it("Should boost purchases from the start", async function () {
+      const { token, customer, start, createCampaign } = await loadFixture(deployCampaignsFixture);
+      await createCampaign(20000);
+
+      await time.setNextBlockTimestamp(start);
+      await expect(token.earnTokens(1, customer.address, 100)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("200")
+      );
+    });
+
+    it("Should stop boosting purchases at the end", async function () {
+      const { token, customer, end, createCampaign } = await loadFixture(deployCampaignsFixture);
+      await createCampaign(20000);
+
+      await time.setNextBlockTimestamp(end - 1);
+      await expect(token.earnTokens(1, customer.address, 100)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("200")
+      );
+      await time.setNextBlockTimestamp(end);
+      await expect(token.earnTokens(1, customer.address, 100)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("100")
+      );
+    });
+
+    it("Should stop boosting purchases once cancelled", async function () {
+      const { token, campaigns, customer, start, createCampaign } = await loadFixture(deployCampaignsFixture);
+      await createCampaign(20000);
+      await time.increaseTo(start);
+
+      await expect(campaigns.cancelCampaign(1)).to.emit(campaigns, "CampaignCancelled").withArgs(1);
+      await expect(campaigns.cancelCampaign(1)).to.be.revertedWith("Campaign already ended");
+      await expect(token.earnTokens(1, customer.address, 100)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("100")
+      );
+    });
+  });
+
+  describe("Stacking", function () {
+    it("Should add the bonuses of overlapping campaigns", async function () {
+      const { token, customer, start, createCampaign } = await loadFixture(deployCampaignsFixture);
+      await createCampaign(20000);
+      await createCampaign(15000);
+      await time.increaseTo(start);
+
+      // 1x reward + 1x bonus + 0.5x bonus = 2.5x, not 2x * 1.5x = 3x
+      await expect(token.earnTokens(1, customer.address, 100)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("250")
+      );
+    });
+
+    it("Should emit the bonus of each campaign", async function () {
+      const { token, campaigns, customer, start, createCampaign } = await loadFixture(deployCampaignsFixture);
+      await createCampaign(20000);
+      await createCampaign(15000);
+      await time.increaseTo(start);
+
+      await expect(token.earnTokens(1, customer.address, 100))
+        .to.emit(campaigns, "CampaignBonusApplied")
+        .withArgs(1, customer.address, ethers.parseEther("100"))
+        .and.to.emit(campaigns, "CampaignBonusApplied")
+        .withArgs(2, customer.address, ethers.parseEther("50"));
+    });
+
+    it("Should include campaign bonuses in reward previews", async function () {
+      const { token, customer, start, createCampaign } = await loadFixture(deployCampaignsFixture);
+      await createCampaign(20000);
+      await createCampaign(15000);
+      await time.increaseTo(start);
+
+      expect(await token.previewReward(customer.address, 100, 1)).to.equal(ethers.parseEther("250"));
+    });
+
+    it("Should apply the bonus to the tier-adjusted reward", async function () {
+      const { token, customer, start, createCampaign } = await loadFixture(deployCampaignsFixture);
+      await token.earnTokens(1, customer.address, 500); // Silver, 1.1x
+      await createCampaign(20000);
+      await time.increaseTo(start);
+
+      await expect(token.earnTokens(1, customer.address, 100)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("220")
+      );
+    });
+  });
+
+  describe("Scope", function () {
+    it("Should only boost purchases at the campaign merchant", async function () {
+      const { token, customer, start, createCampaign } = await loadFixture(deployCampaignsFixture);
+      await createCampaign(20000, { merchantId: 2 });
+      await time.increaseTo(start);
+
+      await expect(token.earnTokens(1, customer.address, 100)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("100")
+      );
+      await expect(token.earnTokens(2, customer.address, 100)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("200")
+      );
+    });
+
+    it("Should only boost purchases at merchants of the campaign business type", async function () {
+      const { token, customer, start, createCampaign } = await loadFixture(deployCampaignsFixture);
+      await createCampaign(15000, { businessType: "restaurant" });
+      await time.increaseTo(start);
+
+      await expect(token.earnTokens(1, customer.address, 100)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("150")
+      );
+      await expect(token.earnTokens(2, customer.address, 100)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("100")
+      );
+    });
+
+    it("Should only apply unscoped campaigns to voucher claims", async function () {
+      const { campaigns, start, createCampaign } = await loadFixture(deployCampaignsFixture);
+      await createCampaign(20000, { businessType: "restaurant" });
+      await createCampaign(15000);
+      await time.increaseTo(start);
+
+      expect(await campaigns.previewBonus(0, ethers.ZeroHash, ethers.parseEther("100"))).to.equal(
+        ethers.parseEther("50")
+      );
+    });
+  });
+
+  describe("Budget", function () {
+    it("Should cut the bonus to the remaining budget", async function () {
+      const { token, campaigns, customer, start, createCampaign } = await loadFixture(deployCampaignsFixture);
+      await createCampaign(20000, { budget: ethers.parseEther("150") });
+      await time.increaseTo(start);
+
+      await token.earnTokens(1, customer.address, 100);
+      await expect(token.earnTokens(1, customer.address, 100)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("150")
+      );
+      await expect(token.earnTokens(1, customer.address, 100)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("100")
+      );
+      expect((await campaigns.getCampaign(1)).bonusMinted).to.equal(ethers.parseEther("150"));
+    });
+
+    it("Should consume the budget entry by entry in batch settlement", async function () {
+      const { token, campaigns, customer, otherCustomer, thirdCustomer, start, createCampaign } =
+        await loadFixture(deployCampaignsFixture);
+      await createCampaign(20000, { budget: ethers.parseEther("150") });
+      await time.increaseTo(start);
+
+      await token.batchEarnTokens(
+        1,
+        [customer.address, otherCustomer.address, thirdCustomer.address],
+        [100, 100, 100],
+        [ethers.id("ORDER-1"), ethers.id("ORDER-2"), ethers.id("ORDER-3")]
+      );
+
+      // Full bonus, the last 50 of the budget, then no bonus
+      expect(await token.balanceOf(customer.address)).to.equal(ethers.parseEther("200"));
+      expect(await token.balanceOf(otherCustomer.address)).to.equal(ethers.parseEther("150"));
+      expect(await token.balanceOf(thirdCustomer.address)).to.equal(ethers.parseEther("100"));
+      expect((await campaigns.getCampaign(1)).bonusMinted).to.equal(ethers.parseEther("150"));
+    });
+
+    it("Should keep the budgets of stacked campaigns separate", async function () {
+      const { token, campaigns, customer, start, createCampaign } = await loadFixture(deployCampaignsFixture);
+      await createCampaign(20000, { budget: ethers.parseEther("50") });
+      await createCampaign(15000);
+      await time.increaseTo(start);
+
+      await expect(token.earnTokens(1, customer.address, 100)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("200")
+      );
+      expect((await campaigns.getCampaign(1)).bonusMinted).to.equal(ethers.parseEther("50"));
+      expect((await campaigns.getCampaign(2)).bonusMinted).to.equal(ethers.parseEther("50"));
+    });
+  });
+
+  describe("Live campaign limit", function () {
+    it("Should reject campaigns beyond MAX_LIVE_CAMPAIGNS", async function () {
+      const { campaigns, createCampaign } = await loadFixture(deployCampaignsFixture);
+      const maxLive = await campaigns.MAX_LIVE_CAMPAIGNS();
+      for (let i = 0n; i < maxLive; i++) {
+        await createCampaign(20000);
+      }
+
+      await expect(createCampaign(20000)).to.be.revertedWith("Too many live campaigns");
+    });
+
+    it("Should prune ended campaigns to make room", async function () {
+      const { campaigns, end, createCampaign } = await loadFixture(deployCampaignsFixture);
+      const maxLive = await campaigns.MAX_LIVE_CAMPAIGNS();
+      for (let i = 0n; i < maxLive; i++) {
+        await createCampaign(20000);
+      }
+      await time.increaseTo(end);
+
+      await campaigns.createCampaign("Next", end + 60, end + ONE_DAY_IN_SECS, 20000, 0, "", 0);
+
+      expect(await campaigns.getCampaigns()).to.have.length(maxLive + 1n);
+    });
+
+    it("Should prune cancelled campaigns to make room", async function () {
+      const { campaigns, createCampaign } = await loadFixture(deployCampaignsFixture);
+      const maxLive = await campaigns.MAX_LIVE_CAMPAIGNS();
+      for (let i = 0n; i < maxLive; i++) {
+        await createCampaign(20000);
+      }
+      await campaigns.cancelCampaign(3);
+
+      await expect(createCampaign(20000)).to.emit(campaigns, "CampaignCreated");
+      await expect(createCampaign(20000)).to.be.revertedWith("Too many live campaigns");
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Constant product pricing", function () {
+  const FixedRate = 0;
+  const ConstantProduct = 1;
+
+  // 1 ETH = 1000 LOYAL at the fixed rate with a 1% fee, the pool holds 5 ETH and 500 LOYAL (1 ETH = 100 LOYAL)
+  async function deployPoolFixture() {
+    const [owner, trader, otherAccount] = await ethers.getSigners();
+
+    const token = await ethers.deployContract("LoyaltyToken");
+    const dex = await ethers.deployContract("SimpleDEX", [token.target, ethers.parseEther("1000"), 100]);
+    await token.approve(dex.target, ethers.MaxUint256);
+    await dex.addLiquidity(ethers.parseEther("500"), { value: ethers.parseEther("5") });
+    await token.transfer(trader.address, ethers.parseEther("100"));
+    await token.connect(trader).approve(dex.target, ethers.MaxUint256);
+
+    return { token, dex, owner, trader, otherAccount };
+  }
+
+  async function deployConstantProductFixture() {
+    const fixture = await deployPoolFixture();
+    await fixture.dex.setPricingMode(ConstantProduct);
+    return fixture;
+  }
+
+  async function reserves(dex) {
+    const [ethBalance, tokenBalance] = await dex.getDEXStatus();
+    return { ethBalance, tokenBalance, k: ethBalance * tokenBalance };
+  }
+
+  async function deadline() {
+    return (await time.latest()) + 60;
+  }
+
+  describe("Pricing mode", function () {
+    it("Should use the fixed rate by default", async function () {
+      const { dex } = await loadFixture(deployPoolFixture);
+
+      expect(await dex.pricingMode()).to.equal(FixedRate);
+      const [outputAmount, feeAmount, priceImpact] = await dex.calculateSwap(ethers.parseEther("1"), true);
+      expect(outputAmount + feeAmount).to.equal(ethers.parseEther("1000"));
+      expect(priceImpact).to.equal(0);
+    });
+
+    it("Should only let the owner switch the pricing mode", async function () {
+      const { dex, otherAccount } = await loadFixture(deployPoolFixture);
+
+      await expect(dex.connect(otherAccount).setPricingMode(ConstantProduct))
+        .to.be.revertedWithCustomError(dex, "OwnableUnauthorizedAccount")
+        .withArgs(otherAccount.address);
+    });
+
+    it("Should emit an event on mode changes", async function () {
+      const { dex } = await loadFixture(deployPoolFixture);
+
+      await expect(dex.setPricingMode(ConstantProduct))
+        .to.emit(dex, "PricingModeUpdated")
+        .withArgs(ConstantProduct);
+      expect((await dex.getDEXStatus()).mode).to.equal(ConstantProduct);
+    });
+
+    it("Should report the reserve ratio as the spot price", async function () {
+      const { dex } = await loadFixture(deployConstantProductFixture);
+
+      expect((await dex.getDEXStatus()).spotPrice).to.equal(ethers.parseEther("100"));
+    });
+  });
+
+  describe("Quotes", function () {
+    it("Should price swaps along the curve", async function () {
+      const { dex } = await loadFixture(deployConstantProductFixture);
+
+      // 1 ETH into 5 ETH / 500 LOYAL: 500 - 5 * 500 / 6 = 83.333... LOYAL before the fee
+      const [outputAmount, feeAmount] = await dex.calculateSwap(ethers.parseEther("1"), true);
+      const grossOutput = (ethers.parseEther("1") * ethers.parseEther("500")) / ethers.parseEther("6");
+
+      expect(outputAmount + feeAmount).to.equal(grossOutput);
+      expect(feeAmount).to.equal(grossOutput / 100n);
+    });
+
+    it("Should report the price impact against the spot price", async function () {
+      const { dex } = await loadFixture(deployConstantProductFixture);
+
+      // 83.333 LOYAL instead of 100 at the spot price: 16.66% impact
+      const [, , priceImpact] = await dex.calculateSwap(ethers.parseEther("1"), true);
+
+      expect(priceImpact).to.equal(1666);
+    });
+
+    it("Should grow the price impact with the trade size", async function () {
+      const { dex } = await loadFixture(deployConstantProductFixture);
+
+      const [, , smallImpact] = await dex.calculateSwap(ethers.parseEther("0.01"), true);
+      const [, , largeImpact] = await dex.calculateSwap(ethers.parseEther("5"), true);
+
+      expect(smallImpact).to.be.lessThan(largeImpact);
+      expect(largeImpact).to.equal(5000); // 1 - 5 / 10
+    });
+
+    it("Should quote the token to ETH direction", async function () {
+      const { dex } = await loadFixture(deployConstantProductFixture);
+
+      // 100 LOYAL into 500 LOYAL / 5 ETH: 5 - 500 * 5 / 600 = 0.833... ETH before the fee
+      const [outputAmount, feeAmount, priceImpact] = await dex.calculateSwap(ethers.parseEther("100"), false);
+
+      expect(outputAmount + feeAmount).to.equal(
+        (ethers.parseEther("100") * ethers.parseEther("5")) / ethers.parseEther("600")
+      );
+      expect(priceImpact).to.equal(1666);
+    });
+
+    it("Should never quote the whole reserve", async function () {
+      const { dex } = await loadFixture(deployConstantProductFixture);
+
+      const [outputAmount, feeAmount] = await dex.calculateSwap(ethers.parseEther("1000000"), true);
+
+      expect(outputAmount + feeAmount).to.be.lessThan(ethers.parseEther("500"));
+    });
+  });
+
+  describe("Invariant", function () {
+    it("Should pay the quoted output for ETH to LOYAL swaps", async function () {
+      const { token, dex, trader } = await loadFixture(deployConstantProductFixture);
+      const [outputAmount] = await dex.calculateSwap(ethers.parseEther("1"), true);
+
+      await expect(
+        dex.connect(trader).swapEthForTokens(0, await deadline(), { value: ethers.parseEther("1") })
+      ).to.changeTokenBalance(token, trader, outputAmount);
+    });
+
+    it("Should keep x * y >= k for ETH to LOYAL swaps", async function () {
+      const { dex, trader } = await loadFixture(deployConstantProductFixture);
+      const before = await reserves(dex);
+
+      await dex.connect(trader).swapEthForTokens(0, await deadline(), { value: ethers.parseEther("1") });
+
+      const after = await reserves(dex);
+      expect(after.ethBalance).to.equal(before.ethBalance + ethers.parseEther("1"));
+      expect(after.k).to.be.at.least(before.k);
+    });
+
+    it("Should keep x * y >= k for LOYAL to ETH swaps", async function () {
+      const { dex, trader } = await loadFixture(deployConstantProductFixture);
+      const before = await reserves(dex);
+
+      await dex.connect(trader).swapTokensForEth(ethers.parseEther("100"), 0, await deadline());
+
+      const after = await reserves(dex);
+      expect(after.tokenBalance).to.equal(before.tokenBalance + ethers.parseEther("100"));
+      expect(after.k).to.be.at.least(before.k);
+    });
+
+    it("Should keep k constant up to rounding without a fee", async function () {
+      const { dex, trader } = await loadFixture(deployConstantProductFixture);
+      await dex.updateFee(0);
+      const before = await reserves(dex);
+
+      await dex.connect(trader).swapEthForTokens(0, await deadline(), { value: ethers.parseEther("1") });
+      await dex.connect(trader).swapTokensForEth(ethers.parseEther("50"), 0, await deadline());
+
+      const after = await reserves(dex);
+      expect(after.k).to.be.at.least(before.k);
+      // Rounding favours the pool by less than one unit of output per swap
+      expect(after.k - before.k).to.be.lessThan(2n * (after.ethBalance + after.tokenBalance));
+    });
+
+    it("Should move the spot price against the trade", async function () {
+      const { dex, trader } = await loadFixture(deployConstantProductFixture);
+
+      await dex.connect(trader).swapEthForTokens(0, await deadline(), { value: ethers.parseEther("1") });
+      const afterBuy = (await dex.getDEXStatus()).spotPrice;
+      await dex.connect(trader).swapTokensForEth(ethers.parseEther("100"), 0, await deadline());
+      const afterSell = (await dex.getDEXStatus()).spotPrice;
+
+      expect(afterBuy).to.be.lessThan(ethers.parseEther("100"));
+      expect(afterSell).to.be.greaterThan(afterBuy);
+    });
+  });
+});
@@ -0,0 +1,13 @@
+const { expect } = require("chai");
+
+describe("Contract size", function () {
+  // EIP-170: contracts with more deployed code cannot be deployed on mainnet
+  const MAX_CODE_SIZE = 24576;
+
+  it("Should keep LoyaltyToken under the EIP-170 size limit", async function () {
+    const { deployedBytecode } = await artifacts.readArtifact("LoyaltyToken");
+    const size = (deployedBytecode.length - 2) / 2;
+
+    expect(size).to.be.at.most(MAX_CODE_SIZE, `LoyaltyToken is ${size - MAX_CODE_SIZE} bytes over the limit`);
+  });
+});
@@ -0,0 +1,194 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Coupon cancellation", function () {
+  const ONE_DAY_IN_SECS = 24 * 60 * 60;
+
+  async function deployCancellationFixture() {
+    const [owner, customer, otherAccount] = await ethers.getSigners();
+
+    const token = await ethers.deployContract("LoyaltyToken");
+    const coupons = await ethers.deployContract("LoyaltyCoupon", [await token.getAddress()]);
+    await token.setCouponNFT(await coupons.getAddress());
+
+    await coupons.setCouponPricing("restaurant", ethers.parseEther("1"), 50, 0, 0);
+    await token.transfer(customer.address, ethers.parseEther("100"));
+
+    // Coupon #1: 20 LOYAL burned for 20% at restaurants, valid for 30 days
+    await coupons.connect(customer).createCoupon(ethers.parseEther("20"), 20, "restaurant", 30);
+
+    return { token, coupons, owner, customer, otherAccount };
+  }
+
+  describe("Configuration", function () {
+    it("Should refund 50% by default", async function () {
+      const { coupons } = await loadFixture(deployCancellationFixture);
+
+      expect(await coupons.cancelRefundBps()).to.equal(5000);
+    });
+
+    it("Should only let token admins set the refund", async function () {
+      const { coupons, otherAccount } = await loadFixture(deployCancellationFixture);
+
+      await expect(coupons.connect(otherAccount).setCancelRefund(2500)).to.be.revertedWith(
+        "Caller is not an admin"
+      );
+    });
+
+    it("Should reject refunds above 100%", async function () {
+      const { coupons } = await loadFixture(deployCancellationFixture);
+
+      await expect(coupons.setCancelRefund(10001)).to.be.revertedWith("Refund cannot exceed 100%");
+    });
+
+    it("Should emit an event on refund changes", async function () {
+      const { coupons } = await loadFixture(deployCancellationFixture);
+
+      await expect(coupons.setCancelRefund(2500)).to.emit(coupons, "CancelRefundUpdated").withArgs(2500);
+    });
+  });
+
+  describe("Cancellation", function () {
+    it("Should refund the configured share of the burned tokens", async function () {
+      const { token, coupons, customer } = await loadFixture(deployCancellationFixture);
+
+      await expect(coupons.connect(customer).cancelCoupon(1)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("10")
+      );
+    });
+
+    it("Should apply a changed refund percentage", async function () {
+      const { token, coupons, customer } = await loadFixture(deployCancellationFixture);
+      await coupons.setCancelRefund(2500);
+
+      await expect(coupons.connect(customer).cancelCoupon(1)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("5")
+      );
+    });
+
+    it("Should not mint anything when refunds are disabled", async function () {
+      const { token, coupons, customer } = await loadFixture(deployCancellationFixture);
+      await coupons.setCancelRefund(0);
+      const supply = await token.totalSupply();
+
+      await expect(coupons.connect(customer).cancelCoupon(1))
+        .to.emit(coupons, "CouponCancelled")
+        .withArgs(1, customer.address, 0);
+      expect(await token.totalSupply()).to.equal(supply);
+    });
+
+    it("Should count the refund as minted and keep the burn", async function () {
+      const { token, coupons, customer } = await loadFixture(deployCancellationFixture);
+      const minted = await token.totalMinted();
+      expect(await token.totalBurned()).to.equal(ethers.parseEther("20"));
+
+      await coupons.connect(customer).cancelCoupon(1);
+
+      expect(await token.totalBurned()).to.equal(ethers.parseEther("20"));
+      expect(await token.totalMinted()).to.equal(minted + ethers.parseEther("10"));
+      expect((await token.totalMinted()) - (await token.totalBurned())).to.equal(await token.totalSupply());
+    });
+
+    it("Should mark the coupon cancelled", async function () {
+      const { coupons, customer } = await loadFixture(deployCancellationFixture);
+
+      await coupons.connect(customer).cancelCoupon(1);
+
+      const coupon = await coupons.getCouponDetails(1);
+      expect(coupon.status).to.equal(2); // Cancelled
+      expect(coupon.isUsed).to.equal(false);
+      expect(await coupons.isCouponValid(1)).to.equal(false);
+      await expect(coupons.connect(customer).useCoupon(1)).to.be.revertedWith("Coupon cancelled");
+    });
+
+    it("Should put the refund into an expiry lot", async function () {
+      const { token, coupons, customer } = await loadFixture(deployCancellationFixture);
+      await token.setExpiryPeriod(30 * ONE_DAY_IN_SECS);
+
+      await coupons.connect(customer).cancelCoupon(1);
+
+      const lots = await token.getPointLots(customer.address);
+      expect(lots).to.have.lengthOf(1);
+      expect(lots[0].amount).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should not create a lot for the refund while expiry is off", async function () {
+      const { token, coupons, customer } = await loadFixture(deployCancellationFixture);
+
+      await coupons.connect(customer).cancelCoupon(1);
+
+      expect(await token.getPointLots(customer.address)).to.have.lengthOf(0);
+    });
+
+    it("Should emit an event with the refund", async function () {
+      const { coupons, customer } = await loadFixture(deployCancellationFixture);
+
+      await expect(coupons.connect(customer).cancelCoupon(1))
+        .to.emit(coupons, "CouponCancelled")
+        .withArgs(1, customer.address, ethers.parseEther("10"));
+    });
+
+    it("Should refund the current holder of a gifted coupon", async function () {
+      const { token, coupons, customer, otherAccount } = await loadFixture(deployCancellationFixture);
+      await coupons.connect(customer).transferFrom(customer.address, otherAccount.address, 1);
+
+      await expect(coupons.connect(otherAccount).cancelCoupon(1)).to.changeTokenBalances(
+        token,
+        [otherAccount, customer],
+        [ethers.parseEther("10"), 0]
+      );
+    });
+
+    it("Should only let the refund hook be called by the coupon contract", async function () {
+      const { token, customer, otherAccount } = await loadFixture(deployCancellationFixture);
+
+      await expect(
+        token.connect(otherAccount).refundCoupon(customer.address, ethers.parseEther("10"))
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Validations", function () {
+    it("Should reject callers that do not hold the coupon", async function () {
+      const { coupons, otherAccount } = await loadFixture(deployCancellationFixture);
+
+      await expect(coupons.connect(otherAccount).cancelCoupon(1)).to.be.revertedWith("Not coupon owner");
+    });
+
+    it("Should reject unknown coupons", async function () {
+      const { coupons, customer } = await loadFixture(deployCancellationFixture);
+
+      await expect(coupons.connect(customer).cancelCoupon(99)).to.be.revertedWith("Coupon does not exist");
+    });
+
+    it("Should reject used coupons", async function () {
+      const { coupons, customer } = await loadFixture(deployCancellationFixture);
+      await coupons.connect(customer).useCoupon(1);
+
+      await expect(coupons.connect(customer).cancelCoupon(1)).to.be.revertedWith("Coupon already used");
+    });
+
+    it("Should reject expired coupons", async function () {
+      const { coupons, customer } = await loadFixture(deployCancellationFixture);
+      await time.increase(31 * ONE_DAY_IN_SECS);
+
+      await expect(coupons.connect(customer).cancelCoupon(1)).to.be.revertedWith("Coupon expired");
+    });
+
+    it("Should reject coupons that were already cancelled", async function () {
+      const { coupons, customer } = await loadFixture(deployCancellationFixture);
+      await coupons.connect(customer).cancelCoupon(1);
+
+      await expect(coupons.connect(customer).cancelCoupon(1)).to.be.revertedWith(
+        "Coupon already cancelled"
+      );
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Coupon NFTs", function () {
+  const ONE_DAY_IN_SECS = 24 * 60 * 60;
+
+  async function deployCouponFixture() {
+    const [owner, customer, otherAccount] = await ethers.getSigners();
+
+    const token = await ethers.deployContract("LoyaltyToken");
+    const coupons = await ethers.deployContract("LoyaltyCoupon", [await token.getAddress()]);
+    await token.setCouponNFT(await coupons.getAddress());
+
+    await coupons.setCouponPricing("restaurant", ethers.parseEther("1"), 50, 0, 0);
+    await coupons.setCouponPricing('rest"aurant', ethers.parseEther("1"), 50, 0, 0);
+    await token.transfer(customer.address, ethers.parseEther("100"));
+
+    return { token, coupons, owner, customer, otherAccount };
+  }
+
+  // Decodes the base64 JSON data URI returned by tokenURI
+  function decodeTokenURI(uri) {
+    const prefix = "data:application/json;base64,";
+    expect(uri.startsWith(prefix)).to.equal(true);
+    return JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString("utf8"));
+  }
+
+  function attribute(metadata, traitType) {
+    return metadata.attributes.find((attr) => attr.trait_type === traitType);
+  }
+
+  describe("Deployment", function () {
+    it("Should set the name and symbol", async function () {
+      const { coupons } = await loadFixture(deployCouponFixture);
+
+      expect(await coupons.name()).to.equal("LoyalLoop Coupon");
+      expect(await coupons.symbol()).to.equal("LOYALC");
+    });
+
+    it("Should be linked to the token", async function () {
+      const { token, coupons } = await loadFixture(deployCouponFixture);
+
+      expect(await coupons.loyaltyToken()).to.equal(await token.getAddress());
+      expect(await token.couponNFT()).to.equal(await coupons.getAddress());
+    });
+
+    it("Should support the ERC-721 enumerable interfaces", async function () {
+      const { coupons } = await loadFixture(deployCouponFixture);
+
+      expect(await coupons.supportsInterface("0x80ac58cd")).to.equal(true); // ERC-721
+      expect(await coupons.supportsInterface("0x780e9d63")).to.equal(true); // Enumerable
+      expect(await coupons.supportsInterface("0x5b5e139f")).to.equal(true); // Metadata
+    });
+  });
+
+  describe("Minting", function () {
+    it("Should mint the coupon NFT to its creator", async function () {
+      const { coupons, customer } = await loadFixture(deployCouponFixture);
+
+      await expect(coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "restaurant", 30))
+        .to.emit(coupons, "Transfer")
+        .withArgs(ethers.ZeroAddress, customer.address, 1);
+
+      expect(await coupons.ownerOf(1)).to.equal(customer.address);
+      expect(await coupons.balanceOf(customer.address)).to.equal(1);
+    });
+
+    it("Should burn the tokens and charge the coupon fee", async function () {
+      const { token, coupons, owner, customer } = await loadFixture(deployCouponFixture);
+
+      // 10 LOYAL burned plus the 1% fee to the owner
+      await expect(
+        coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "restaurant", 30)
+      ).to.changeTokenBalances(
+        token,
+        [customer, owner],
+        [ethers.parseEther("-10.1"), ethers.parseEther("0.1")]
+      );
+      expect(await token.totalBurned()).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should number coupons from 1", async function () {
+      const { coupons, customer } = await loadFixture(deployCouponFixture);
+
+      await expect(coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "restaurant", 30))
+        .to.emit(coupons, "CouponCreated")
+        .withArgs(1, customer.address, 10, ethers.parseEther("10"));
+      await expect(coupons.connect(customer).createCoupon(ethers.parseEther("5"), 5, "restaurant", 30))
+        .to.emit(coupons, "CouponCreated")
+        .withArgs(2, customer.address, 5, ethers.parseEther("5"));
+    });
+
+    it("Should store the coupon terms", async function () {
+      const { coupons, customer } = await loadFixture(deployCouponFixture);
+      await coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "restaurant", 30);
+
+      const coupon = await coupons.getCouponDetails(1);
+      expect(coupon.id).to.equal(1);
+      expect(coupon.owner).to.equal(customer.address);
+      expect(coupon.discountPercent).to.equal(10);
+      expect(coupon.tokensBurned).to.equal(ethers.parseEther("10"));
+      expect(coupon.expiryTime).to.equal((await time.latest()) + 30 * ONE_DAY_IN_SECS);
+      expect(coupon.businessType).to.equal("restaurant");
+      expect(coupon.status).to.equal(0); // Active
+    });
+
+    it("Should reject validities outside 1-365 days", async function () {
+      const { coupons, customer } = await loadFixture(deployCouponFixture);
+
+      await expect(
+        coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "restaurant", 0)
+      ).to.be.revertedWith("Validity must be between 1-365 days");
+      await expect(
+        coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "restaurant", 366)
+      ).to.be.revertedWith("Validity must be between 1-365 days");
+    });
+
+    it("Should reject customers without enough tokens for the fee", async function () {
+      const { coupons, customer } = await loadFixture(deployCouponFixture);
+
+      await expect(
+        coupons.connect(customer).createCoupon(ethers.parseEther("100"), 50, "restaurant", 30)
+      ).to.be.revertedWith("Insufficient token balance (including fee)");
+    });
+
+    it("Should only let the coupon contract burn tokens", async function () {
+      const { token, customer, otherAccount } = await loadFixture(deployCouponFixture);
+
+      await expect(
+        token.connect(otherAccount).burnForCoupon(customer.address, ethers.parseEther("10"), 0)
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Enumeration", function () {
+    it("Should list a wallet's coupons", async function () {
+      const { coupons, customer, otherAccount } = await loadFixture(deployCouponFixture);
+      await coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "restaurant", 30);
+      await coupons.connect(customer).createCoupon(ethers.parseEther("5"), 5, "restaurant", 30);
+      await coupons.connect(customer).createCoupon(ethers.parseEther("20"), 20, "restaurant", 30);
+
+      await coupons.connect(customer).transferFrom(customer.address, otherAccount.address, 2);
+
+      expect(await coupons.totalSupply()).to.equal(3);
+      expect(await coupons.balanceOf(customer.address)).to.equal(2);
+      expect(await coupons.tokenOfOwnerByIndex(customer.address, 0)).to.equal(1);
+      expect(await coupons.tokenOfOwnerByIndex(customer.address, 1)).to.equal(3);
+      expect(await coupons.tokenOfOwnerByIndex(otherAccount.address, 0)).to.equal(2);
+      expect(await coupons.tokenByIndex(1)).to.equal(2);
+    });
+
+    it("Should let a gifted coupon be used by its new holder", async function () {
+      const { coupons, customer, otherAccount } = await loadFixture(deployCouponFixture);
+      await coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "restaurant", 30);
+      await coupons.connect(customer).transferFrom(customer.address, otherAccount.address, 1);
+
+      await expect(coupons.connect(customer).useCoupon(1)).to.be.revertedWith("Not coupon owner");
+      await expect(coupons.connect(otherAccount).useCoupon(1))
+        .to.emit(coupons, "CouponUsed")
+        .withArgs(1, otherAccount.address);
+      expect((await coupons.getCouponDetails(1)).owner).to.equal(otherAccount.address);
+    });
+  });
+
+  describe("Metadata", function () {
+    it("Should return base64 encoded JSON metadata", async function () {
+      const { coupons, customer } = await loadFixture(deployCouponFixture);
+      await coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "restaurant", 30);
+      const expiry = (await coupons.getCouponDetails(1)).expiryTime;
+
+      const metadata = decodeTokenURI(await coupons.tokenURI(1));
+
+      expect(metadata.name).to.equal("LoyalLoop Coupon #1");
+      expect(metadata.description).to.equal(
+        "10% discount at restaurant businesses in the LoyalLoop coalition."
+      );
+      expect(attribute(metadata, "Discount")).to.deep.equal({
+        trait_type: "Discount",
+        value: 10,
+        display_type: "boost_percentage",
+      });
+      expect(attribute(metadata, "Business Type").value).to.equal("restaurant");
+      expect(attribute(metadata, "Expiry")).to.deep.equal({
+        trait_type: "Expiry",
+        value: Number(expiry),
+        display_type: "date",
+      });
+      expect(attribute(metadata, "Status").value).to.equal("Active");
+    });
+
+    it("Should reflect the coupon status", async function () {
+      const { coupons, customer } = await loadFixture(deployCouponFixture);
+      await coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "restaurant", 30);
+      await coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "restaurant", 30);
+      await coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "restaurant", 60);
+      await coupons.connect(customer).useCoupon(1);
+      await coupons.connect(customer).cancelCoupon(2);
+
+      expect(attribute(decodeTokenURI(await coupons.tokenURI(1)), "Status").value).to.equal("Used");
+      expect(attribute(decodeTokenURI(await coupons.tokenURI(2)), "Status").value).to.equal("Cancelled");
+      expect(attribute(decodeTokenURI(await coupons.tokenURI(3)), "Status").value).to.equal("Active");
+
+      await time.increase(61 * ONE_DAY_IN_SECS);
+      expect(attribute(decodeTokenURI(await coupons.tokenURI(3)), "Status").value).to.equal("Expired");
+    });
+
+    it("Should escape business types in the JSON", async function () {
+      const { coupons, customer } = await loadFixture(deployCouponFixture);
+      await coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, 'rest"aurant', 30);
+
+      const metadata = decodeTokenURI(await coupons.tokenURI(1));
+
+      expect(attribute(metadata, "Business Type").value).to.equal('rest"aurant');
+    });
+
+    it("Should revert for unknown coupons", async function () {
+      const { coupons } = await loadFixture(deployCouponFixture);
+
+      await expect(coupons.tokenURI(99)).to.be.revertedWithCustomError(coupons, "ERC721NonexistentToken");
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Coupon pricing", function () {
+  async function deployPricingFixture() {
+    const [owner, customer, otherAccount] = await ethers.getSigners();
+
+    const token = await ethers.deployContract("LoyaltyToken");
+    const coupons = await ethers.deployContract("LoyaltyCoupon", [await token.getAddress()]);
+    await token.setCouponNFT(await coupons.getAddress());
+
+    // 1 LOYAL per percent up to 50%, at least 5 LOYAL per coupon
+    await coupons.setCouponPricing("restaurant", ethers.parseEther("1"), 50, ethers.parseEther("5"), 0);
+    await token.transfer(customer.address, ethers.parseEther("100"));
+
+    return { token, coupons, owner, customer, otherAccount };
+  }
+
+  describe("Configuration", function () {
+    it("Should store the pricing rule of a business type", async function () {
+      const { coupons } = await loadFixture(deployPricingFixture);
+
+      const pricing = await coupons.getCouponPricing("restaurant");
+      expect(pricing.tokensPerPercent).to.equal(ethers.parseEther("1"));
+      expect(pricing.maxDiscount).to.equal(50);
+      expect(pricing.minTokens).to.equal(ethers.parseEther("5"));
+      expect(pricing.maxDiscountValue).to.equal(0);
+    });
+
+    it("Should only let token admins set pricing", async function () {
+      const { coupons, otherAccount } = await loadFixture(deployPricingFixture);
+
+      await expect(
+        coupons.connect(otherAccount).setCouponPricing("retail", 1, 10, 0, 0)
+      ).to.be.revertedWith("Caller is not an admin");
+    });
+
+    it("Should reject invalid pricing rules", async function () {
+      const { coupons } = await loadFixture(deployPricingFixture);
+
+      await expect(coupons.setCouponPricing("", 1, 10, 0, 0)).to.be.revertedWith("Business type required");
+      await expect(coupons.setCouponPricing("retail", 1, 101, 0, 0)).to.be.revertedWith(
+        "Max discount cannot exceed 100%"
+      );
+      await expect(coupons.setCouponPricing("retail", 0, 10, 0, 0)).to.be.revertedWith(
+        "Tokens per percent must be greater than 0"
+      );
+    });
+
+    it("Should emit an event on pricing changes", async function () {
+      const { coupons } = await loadFixture(deployPricingFixture);
+
+      await expect(coupons.setCouponPricing("retail", 2, 30, 3, 2500))
+        .to.emit(coupons, "CouponPricingUpdated")
+        .withArgs("retail", 2, 30, 3, 2500);
+    });
+  });
+
+  describe("Quotes", function () {
+    it("Should quote tokens per percent plus the coupon fee", async function () {
+      const { coupons } = await loadFixture(deployPricingFixture);
+
+      const [tokensRequired, fee, totalRequired] = await coupons.quoteCoupon(20, "restaurant");
+
+      expect(tokensRequired).to.equal(ethers.parseEther("20"));
+      expect(fee).to.equal(ethers.parseEther("0.2"));
+      expect(totalRequired).to.equal(ethers.parseEther("20.2"));
+    });
+
+    it("Should apply the minimum tokens floor", async function () {
+      const { coupons } = await loadFixture(deployPricingFixture);
+
+      expect((await coupons.quoteCoupon(2, "restaurant")).tokensRequired).to.equal(ethers.parseEther("5"));
+      expect((await coupons.quoteCoupon(5, "restaurant")).tokensRequired).to.equal(ethers.parseEther("5"));
+      expect((await coupons.quoteCoupon(6, "restaurant")).tokensRequired).to.equal(ethers.parseEther("6"));
+    });
+
+    it("Should reject discounts above the maximum or of zero", async function () {
+      const { coupons } = await loadFixture(deployPricingFixture);
+
+      await expect(coupons.quoteCoupon(51, "restaurant")).to.be.revertedWith(
+        "Discount exceeds maximum for business type"
+      );
+      await expect(coupons.quoteCoupon(0, "restaurant")).to.be.revertedWith(
+        "Discount exceeds maximum for business type"
+      );
+    });
+
+    it("Should reject business types that are not priced", async function () {
+      const { coupons } = await loadFixture(deployPricingFixture);
+
+      await expect(coupons.quoteCoupon(10, "retail")).to.be.revertedWith("Business type not priced");
+    });
+
+    it("Should stop pricing a business type with a max discount of 0", async function () {
+      const { coupons } = await loadFixture(deployPricingFixture);
+      await coupons.setCouponPricing("restaurant", 0, 0, 0, 0);
+
+      await expect(coupons.quoteCoupon(10, "restaurant")).to.be.revertedWith("Business type not priced");
+    });
+  });
+
+  describe("Coupon creation", function () {
+    it("Should create coupons paying the quoted price", async function () {
+      const { coupons, customer } = await loadFixture(deployPricingFixture);
+
+      await expect(coupons.connect(customer).createCoupon(ethers.parseEther("20"), 20, "restaurant", 30))
+        .to.emit(coupons, "CouponCreated")
+        .withArgs(1, customer.address, 20, ethers.parseEther("20"));
+    });
+
+    it("Should reject token amounts below the price", async function () {
+      const { coupons, customer } = await loadFixture(deployPricingFixture);
+
+      await expect(
+        coupons.connect(customer).createCoupon(ethers.parseEther("19"), 20, "restaurant", 30)
+      ).to.be.revertedWith("Token amount below coupon price");
+    });
+
+    it("Should reject token amounts below the minimum tokens floor", async function () {
+      const { coupons, customer } = await loadFixture(deployPricingFixture);
+
+      await expect(
+        coupons.connect(customer).createCoupon(ethers.parseEther("4"), 2, "restaurant", 30)
+      ).to.be.revertedWith("Token amount below coupon price");
+    });
+
+    it("Should reject discounts above the maximum", async function () {
+      const { coupons, customer } = await loadFixture(deployPricingFixture);
+
+      await expect(
+        coupons.connect(customer).createCoupon(ethers.parseEther("60"), 60, "restaurant", 30)
+      ).to.be.revertedWith("Discount exceeds maximum for business type");
+    });
+
+    it("Should reject business types that are not priced", async function () {
+      const { coupons, customer } = await loadFixture(deployPricingFixture);
+
+      await expect(
+        coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "retail", 30)
+      ).to.be.revertedWith("Business type not priced");
+    });
+
+    it("Should burn the whole amount paid over the price", async function () {
+      const { token, coupons, customer } = await loadFixture(deployPricingFixture);
+
+      await coupons.connect(customer).createCoupon(ethers.parseEther("30"), 20, "restaurant", 30);
+
+      expect((await coupons.getCouponDetails(1)).tokensBurned).to.equal(ethers.parseEther("30"));
+      expect(await token.totalBurned()).to.equal(ethers.parseEther("30"));
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Coupon queries", function () {
+  const ONE_DAY_IN_SECS = 24 * 60 * 60;
+  const StatusFilter = { All: 0, Active: 1, Used: 2, Cancelled: 3, Expired: 4 };
+
+  async function deployQueriesFixture() {
+    const [owner, customer, otherAccount] = await ethers.getSigners();
+
+    const token = await ethers.deployContract("LoyaltyToken");
+    const coupons = await ethers.deployContract("LoyaltyCoupon", [await token.getAddress()]);
+    await token.setCouponNFT(await coupons.getAddress());
+
+    await coupons.setCouponPricing("restaurant", ethers.parseEther("1"), 50, 0, 0);
+    await token.transfer(customer.address, ethers.parseEther("100"));
+
+    return { token, coupons, owner, customer, otherAccount };
+  }
+
+  // Six coupons: #1, #4 and #6 active, #2 used, #3 cancelled, #5 expired
+  async function deployMixedCouponsFixture() {
+    const fixture = await deployQueriesFixture();
+    const coupons = fixture.coupons.connect(fixture.customer);
+    const validities = [30, 30, 30, 30, 1, 30];
+    for (const validityDays of validities) {
+      await coupons.createCoupon(ethers.parseEther("5"), 5, "restaurant", validityDays);
+    }
+    await coupons.useCoupon(2);
+    await coupons.cancelCoupon(3);
+    await time.increase(2 * ONE_DAY_IN_SECS);
+    return fixture;
+  }
+
+  function ids(page) {
+    return page.map((entry) => entry.coupon.id);
+  }
+
+  describe("Paging", function () {
+    it("Should return an empty page for users without coupons", async function () {
+      const { coupons, otherAccount } = await loadFixture(deployMixedCouponsFixture);
+
+      const [page, total] = await coupons.getUserCouponsPaged(otherAccount.address, 0, 10, StatusFilter.All);
+
+      expect(page).to.be.empty;
+      expect(total).to.equal(0);
+    });
+
+    it("Should return the first page and the total", async function () {
+      const { coupons, customer } = await loadFixture(deployMixedCouponsFixture);
+
+      const [page, total] = await coupons.getUserCouponsPaged(customer.address, 0, 4, StatusFilter.All);
+
+      expect(ids(page)).to.deep.equal([1n, 2n, 3n, 4n]);
+      expect(total).to.equal(6);
+    });
+
+    it("Should return a partial last page", async function () {
+      const { coupons, customer } = await loadFixture(deployMixedCouponsFixture);
+
+      const [page, total] = await coupons.getUserCouponsPaged(customer.address, 4, 4, StatusFilter.All);
+
+      expect(ids(page)).to.deep.equal([5n, 6n]);
+      expect(total).to.equal(6);
+    });
+
+    it("Should return an empty page for an offset past the end", async function () {
+      const { coupons, customer } = await loadFixture(deployMixedCouponsFixture);
+
+      const [page, total] = await coupons.getUserCouponsPaged(customer.address, 10, 4, StatusFilter.All);
+
+      expect(page).to.be.empty;
+      expect(total).to.equal(6);
+    });
+
+    it("Should return an empty page for a limit of 0", async function () {
+      const { coupons, customer } = await loadFixture(deployMixedCouponsFixture);
+
+      const [page, total] = await coupons.getUserCouponsPaged(customer.address, 0, 0, StatusFilter.All);
+
+      expect(page).to.be.empty;
+      expect(total).to.equal(6);
+    });
+
+    it("Should cap large limits at the user's coupons", async function () {
+      const { coupons, customer } = await loadFixture(deployMixedCouponsFixture);
+
+      const [page] = await coupons.getUserCouponsPaged(customer.address, 0, ethers.MaxUint256, StatusFilter.All);
+
+      expect(page).to.have.length(6);
+    });
+
+    it("Should return details, current holder and validity", async function () {
+      const { coupons, customer } = await loadFixture(deployMixedCouponsFixture);
+
+      const [page] = await coupons.getUserCouponsPaged(customer.address, 0, 2, StatusFilter.All);
+
+      expect(page[0].coupon.owner).to.equal(customer.address);
+      expect(page[0].coupon.discountPercent).to.equal(5);
+      expect(page[0].coupon.businessType).to.equal("restaurant");
+      expect(page[0].isValid).to.equal(true);
+      expect(page[1].isValid).to.equal(false);
+    });
+  });
+
+  describe("Status filters", function () {
+    it("Should filter active coupons", async function () {
+      const { coupons, customer } = await loadFixture(deployMixedCouponsFixture);
+
+      const [page, total] = await coupons.getUserCouponsPaged(customer.address, 0, 10, StatusFilter.Active);
+
+      expect(ids(page)).to.deep.equal([1n, 4n, 6n]);
+      expect(total).to.equal(3);
+      expect(page.every((entry) => entry.isValid)).to.equal(true);
+    });
+
+    it("Should filter used coupons", async function () {
+      const { coupons, customer } = await loadFixture(deployMixedCouponsFixture);
+
+      const [page, total] = await coupons.getUserCouponsPaged(customer.address, 0, 10, StatusFilter.Used);
+
+      expect(ids(page)).to.deep.equal([2n]);
+      expect(total).to.equal(1);
+    });
+
+    it("Should filter cancelled coupons", async function () {
+      const { coupons, customer } = await loadFixture(deployMixedCouponsFixture);
+
+      const [page, total] = await coupons.getUserCouponsPaged(customer.address, 0, 10, StatusFilter.Cancelled);
+
+      expect(ids(page)).to.deep.equal([3n]);
+      expect(total).to.equal(1);
+    });
+
+    it("Should filter expired coupons", async function () {
+      const { coupons, customer } = await loadFixture(deployMixedCouponsFixture);
+
+      const [page, total] = await coupons.getUserCouponsPaged(customer.address, 0, 10, StatusFilter.Expired);
+
+      expect(ids(page)).to.deep.equal([5n]);
+      expect(total).to.equal(1);
+      expect(page[0].isValid).to.equal(false);
+    });
+
+    it("Should page within a filter", async function () {
+      const { coupons, customer } = await loadFixture(deployMixedCouponsFixture);
+
+      const [page, total] = await coupons.getUserCouponsPaged(customer.address, 1, 1, StatusFilter.Active);
+
+      expect(ids(page)).to.deep.equal([4n]);
+      expect(total).to.equal(3);
+    });
+
+    it("Should count used and cancelled coupons as used or cancelled once expired", async function () {
+      const { coupons, customer } = await loadFixture(deployMixedCouponsFixture);
+      await time.increase(30 * ONE_DAY_IN_SECS);
+
+      const [, expired] = await coupons.getUserCouponsPaged(customer.address, 0, 10, StatusFilter.Expired);
+      const [, used] = await coupons.getUserCouponsPaged(customer.address, 0, 10, StatusFilter.Used);
+      const [, cancelled] = await coupons.getUserCouponsPaged(customer.address, 0, 10, StatusFilter.Cancelled);
+
+      expect(expired).to.equal(4);
+      expect(used).to.equal(1);
+      expect(cancelled).to.equal(1);
+    });
+
+    it("Should reject unknown filters", async function () {
+      const { coupons, customer } = await loadFixture(deployMixedCouponsFixture);
+
+      await expect(coupons.getUserCouponsPaged(customer.address, 0, 10, 5)).to.be.reverted;
+    });
+  });
+});
@@ -0,0 +1,302 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Coupon redemption", function () {
+  const ONE_DAY_IN_SECS = 24 * 60 * 60;
+  const ORDER_ID = ethers.id("ORDER-1");
+
+  async function deployRedemptionFixture() {
+    const [owner, customer, till, otherAccount] = await ethers.getSigners();
+
+    const token = await ethers.deployContract("LoyaltyToken");
+    const coupons = await ethers.deployContract("LoyaltyCoupon", [await token.getAddress()]);
+    await token.setCouponNFT(await coupons.getAddress());
+
+    // Restaurant coupons have no discount value cap, retail coupons are capped at 25.00
+    await coupons.setCouponPricing("restaurant", ethers.parseEther("1"), 50, 0, 0);
+    await coupons.setCouponPricing("retail", ethers.parseEther("1"), 50, 0, 2500);
+    await token.registerMerchant("Cafe", "restaurant", owner.address, 1, 3);
+    await token.registerMerchant("Shop", "retail", owner.address, 1, 3);
+    await token.setMerchantAccount(till.address, 1);
+
+    // Coupon #1: 10% at restaurants for 30 days
+    await token.transfer(customer.address, ethers.parseEther("100"));
+    await coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "restaurant", 30);
+
+    return { token, coupons, owner, customer, till, otherAccount };
+  }
+
+  async function deployApprovedFixture() {
+    const fixture = await deployRedemptionFixture();
+    await fixture.coupons.connect(fixture.customer).approveRedemption(1, fixture.till.address);
+    return fixture;
+  }
+
+  describe("Authorization", function () {
+    it("Should only let the holder approve a redemption", async function () {
+      const { coupons, till, otherAccount } = await loadFixture(deployRedemptionFixture);
+
+      await expect(coupons.connect(otherAccount).approveRedemption(1, till.address)).to.be.revertedWith(
+        "Not coupon owner"
+      );
+    });
+
+    it("Should emit an event on redemption approvals", async function () {
+      const { coupons, customer, till } = await loadFixture(deployRedemptionFixture);
+
+      await expect(coupons.connect(customer).approveRedemption(1, till.address))
+        .to.emit(coupons, "RedemptionApproved")
+        .withArgs(1, customer.address, till.address);
+      expect(await coupons.redemptionApprovals(1)).to.equal(till.address);
+    });
+
+    it("Should reject redemptions the holder did not approve", async function () {
+      const { coupons, till } = await loadFixture(deployRedemptionFixture);
+
+      await expect(coupons.connect(till).redeemCoupon(1, ORDER_ID, 5000)).to.be.revertedWith(
+        "Redemption not authorized by coupon holder"
+      );
+    });
+
+    it("Should not accept ERC-721 approvals", async function () {
+      const { coupons, customer, till } = await loadFixture(deployRedemptionFixture);
+      await coupons.connect(customer).approve(till.address, 1);
+      await coupons.connect(customer).setApprovalForAll(till.address, true);
+
+      await expect(coupons.connect(till).redeemCoupon(1, ORDER_ID, 5000)).to.be.revertedWith(
+        "Redemption not authorized by coupon holder"
+      );
+    });
+
+    it("Should not let the approved merchant transfer the coupon", async function () {
+      const { coupons, customer, till } = await loadFixture(deployApprovedFixture);
+
+      await expect(
+        coupons.connect(till).transferFrom(customer.address, till.address, 1)
+      ).to.be.revertedWithCustomError(coupons, "ERC721InsufficientApproval");
+    });
+
+    it("Should clear the approval when the coupon changes hands", async function () {
+      const { coupons, customer, till, otherAccount } = await loadFixture(deployApprovedFixture);
+
+      await coupons.connect(customer).transferFrom(customer.address, otherAccount.address, 1);
+
+      expect(await coupons.redemptionApprovals(1)).to.equal(ethers.ZeroAddress);
+      await expect(coupons.connect(till).redeemCoupon(1, ORDER_ID, 5000)).to.be.revertedWith(
+        "Redemption not authorized by coupon holder"
+      );
+    });
+
+    it("Should let the holder revoke the approval", async function () {
+      const { coupons, customer, till } = await loadFixture(deployApprovedFixture);
+
+      await coupons.connect(customer).approveRedemption(1, ethers.ZeroAddress);
+
+      await expect(coupons.connect(till).redeemCoupon(1, ORDER_ID, 5000)).to.be.revertedWith(
+        "Redemption not authorized by coupon holder"
+      );
+    });
+  });
+
+  describe("Validations", function () {
+    it("Should reject callers that are not merchant accounts", async function () {
+      const { coupons, customer, otherAccount } = await loadFixture(deployApprovedFixture);
+      await coupons.connect(customer).approveRedemption(1, otherAccount.address);
+
+      await expect(coupons.connect(otherAccount).redeemCoupon(1, ORDER_ID, 5000)).to.be.revertedWith(
+        "Caller is not a merchant account"
+      );
+    });
+
+    it("Should reject merchant accounts of inactive merchants", async function () {
+      const { token, coupons, till } = await loadFixture(deployApprovedFixture);
+      await token.setMerchantActive(1, false);
+
+      await expect(coupons.connect(till).redeemCoupon(1, ORDER_ID, 5000)).to.be.revertedWith(
+        "Merchant not active"
+      );
+    });
+
+    it("Should reject a zero purchase amount", async function () {
+      const { coupons, till } = await loadFixture(deployApprovedFixture);
+
+      await expect(coupons.connect(till).redeemCoupon(1, ORDER_ID, 0)).to.be.revertedWith(
+        "Purchase amount must be greater than 0"
+      );
+    });
+
+    it("Should reject coupons of another business type", async function () {
+      const { token, coupons, till } = await loadFixture(deployApprovedFixture);
+      await token.setMerchantAccount(till.address, 2);
+
+      await expect(coupons.connect(till).redeemCoupon(1, ORDER_ID, 5000)).to.be.revertedWith(
+        "Coupon not valid for this business type"
+      );
+    });
+
+    it("Should reject unknown coupons", async function () {
+      const { coupons, till } = await loadFixture(deployApprovedFixture);
+
+      await expect(coupons.connect(till).redeemCoupon(99, ORDER_ID, 5000)).to.be.revertedWith(
+        "Coupon does not exist"
+      );
+    });
+
+    it("Should reject used coupons", async function () {
+      const { coupons, customer, till } = await loadFixture(deployApprovedFixture);
+      await coupons.connect(customer).useCoupon(1);
+
+      await expect(coupons.connect(till).redeemCoupon(1, ORDER_ID, 5000)).to.be.revertedWith(
+        "Coupon already used"
+      );
+    });
+
+    it("Should reject coupons that were already redeemed", async function () {
+      const { coupons, customer, till } = await loadFixture(deployApprovedFixture);
+      await coupons.connect(till).redeemCoupon(1, ORDER_ID, 5000);
+      await coupons.connect(customer).approveRedemption(1, till.address);
+
+      await expect(coupons.connect(till).redeemCoupon(1, ORDER_ID, 5000)).to.be.revertedWith(
+        "Coupon already used"
+      );
+    });
+
+    it("Should reject expired coupons", async function () {
+      const { coupons, till } = await loadFixture(deployApprovedFixture);
+      await time.increase(31 * ONE_DAY_IN_SECS);
+
+      await expect(coupons.connect(till).redeemCoupon(1, ORDER_ID, 5000)).to.be.revertedWith(
+        "Coupon expired"
+      );
+    });
+
+    it("Should reject cancelled coupons", async function () {
+      const { coupons, customer, till } = await loadFixture(deployApprovedFixture);
+      await coupons.connect(customer).cancelCoupon(1);
+
+      await expect(coupons.connect(till).redeemCoupon(1, ORDER_ID, 5000)).to.be.revertedWith(
+        "Coupon cancelled"
+      );
+    });
+  });
+
+  describe("Redemption", function () {
+    it("Should mark the coupon used by the merchant", async function () {
+      const { coupons, customer, till } = await loadFixture(deployApprovedFixture);
+
+      await coupons.connect(till).redeemCoupon(1, ORDER_ID, 5000);
+
+      const coupon = await coupons.getCouponDetails(1);
+      expect(coupon.isUsed).to.equal(true);
+      expect(coupon.status).to.equal(1); // Used
+      expect(coupon.redeemedBy).to.equal(1);
+      expect(coupon.redeemer).to.equal(till.address);
+      expect(coupon.owner).to.equal(customer.address);
+      expect(await coupons.isCouponValid(1)).to.equal(false);
+      expect(await coupons.redemptionApprovals(1)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should emit an event on redemptions", async function () {
+      const { coupons, customer, till } = await loadFixture(deployApprovedFixture);
+
+      await expect(coupons.connect(till).redeemCoupon(1, ORDER_ID, 5000))
+        .to.emit(coupons, "CouponRedeemed")
+        .withArgs(1, 1, customer.address, till.address, ORDER_ID, 5000, 10, 500);
+    });
+  });
+
+  describe("Receipts", function () {
+    it("Should store a receipt of the redemption", async function () {
+      const { coupons, customer, till } = await loadFixture(deployApprovedFixture);
+      await coupons.connect(till).redeemCoupon(1, ORDER_ID, 5000);
+
+      const receipt = await coupons.getRedemption(1);
+      expect(receipt.couponId).to.equal(1);
+      expect(receipt.merchantId).to.equal(1);
+      expect(receipt.customer).to.equal(customer.address);
+      expect(receipt.redeemer).to.equal(till.address);
+      expect(receipt.orderId).to.equal(ORDER_ID);
+      expect(receipt.purchaseAmount).to.equal(5000);
+      expect(receipt.discountPercent).to.equal(10);
+      expect(receipt.discountValue).to.equal(500);
+      expect(receipt.redeemedAt).to.equal(await time.latest());
+    });
+
+    it("Should list the receipts of a merchant", async function () {
+      const { coupons, customer, till } = await loadFixture(deployApprovedFixture);
+      await coupons.connect(customer).createCoupon(ethers.parseEther("20"), 20, "restaurant", 30);
+      await coupons.connect(customer).approveRedemption(2, till.address);
+
+      await coupons.connect(till).redeemCoupon(2, ethers.id("ORDER-2"), 1000);
+      await coupons.connect(till).redeemCoupon(1, ORDER_ID, 5000);
+
+      const receipts = await coupons.getMerchantRedemptions(1);
+      expect(receipts.map((receipt) => receipt.couponId)).to.deep.equal([2n, 1n]);
+      expect(await coupons.getMerchantRedemptions(2)).to.be.empty;
+    });
+
+    it("Should store a receipt without a merchant for coupons used by their holder", async function () {
+      const { coupons, customer } = await loadFixture(deployRedemptionFixture);
+      await coupons.connect(customer).useCoupon(1);
+
+      const receipt = await coupons.getRedemption(1);
+      expect(receipt.couponId).to.equal(1);
+      expect(receipt.merchantId).to.equal(0);
+      expect(receipt.customer).to.equal(customer.address);
+      expect(receipt.redeemer).to.equal(customer.address);
+      expect(receipt.orderId).to.equal(ethers.ZeroHash);
+      expect(receipt.purchaseAmount).to.equal(0);
+      expect(receipt.discountPercent).to.equal(10);
+      expect(receipt.discountValue).to.equal(0);
+      expect(receipt.redeemedAt).to.equal(await time.latest());
+      expect(await coupons.getMerchantRedemptions(0)).to.be.empty;
+    });
+
+    it("Should revert for unknown coupons", async function () {
+      const { coupons } = await loadFixture(deployRedemptionFixture);
+
+      await expect(coupons.getRedemption(99)).to.be.revertedWith("Redemption not found");
+    });
+
+    it("Should cap the discount value at the coupon's maximum", async function () {
+      const { token, coupons, customer, till } = await loadFixture(deployRedemptionFixture);
+      await token.setMerchantAccount(till.address, 2);
+      await coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "retail", 30);
+      await coupons.connect(customer).approveRedemption(2, till.address);
+
+      // 10% of 500.00 is 50.00, capped at 25.00
+      await coupons.connect(till).redeemCoupon(2, ORDER_ID, 50000);
+
+      const receipt = await coupons.getRedemption(2);
+      expect(receipt.purchaseAmount).to.equal(50000);
+      expect(receipt.discountValue).to.equal(2500);
+    });
+
+    it("Should not cap discount values below the maximum", async function () {
+      const { token, coupons, customer, till } = await loadFixture(deployRedemptionFixture);
+      await token.setMerchantAccount(till.address, 2);
+      await coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "retail", 30);
+      await coupons.connect(customer).approveRedemption(2, till.address);
+
+      // 10% of 200.00 is 20.00, under the 25.00 cap
+      await coupons.connect(till).redeemCoupon(2, ORDER_ID, 20000);
+
+      expect((await coupons.getRedemption(2)).discountValue).to.equal(2000);
+    });
+
+    it("Should keep the cap a coupon was created with", async function () {
+      const { token, coupons, customer, till } = await loadFixture(deployRedemptionFixture);
+      await token.setMerchantAccount(till.address, 2);
+      await coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "retail", 30);
+      await coupons.connect(customer).approveRedemption(2, till.address);
+      await coupons.setCouponPricing("retail", ethers.parseEther("1"), 50, 0, 0);
+
+      await coupons.connect(till).redeemCoupon(2, ORDER_ID, 50000);
+
+      expect((await coupons.getRedemption(2)).discountValue).to.equal(2500);
+    });
+  });
+});
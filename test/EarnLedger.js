@@ -0,0 +1,93 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { signPurchaseVoucher } = require("../scripts/voucher-signer");
+
+describe("Earn ledger", function () {
+  async function deployLedgerFixture() {
+    const [owner, customer, otherCustomer, payout] = await ethers.getSigners();
+
+    // Merchant #1 rewards 2 tokens per 3 spent and pays out to a separate address
+    const token = await ethers.deployContract("LoyaltyToken");
+    await token.registerMerchant("Cafe", "restaurant", payout.address, 2, 3);
+    await token.grantRole(await token.MERCHANT_ROLE(), owner.address);
+
+    return { token, owner, customer, otherCustomer, payout };
+  }
+
+  describe("Validations", function () {
+    it("Should reject a purchase without a customer", async function () {
+      const { token } = await loadFixture(deployLedgerFixture);
+
+      await expect(token.earnTokens(1, ethers.ZeroAddress, 300)).to.be.revertedWith("Invalid customer address");
+    });
+
+    it("Should reject a purchase of zero", async function () {
+      const { token, customer } = await loadFixture(deployLedgerFixture);
+
+      await expect(token.earnTokens(1, customer.address, 0)).to.be.revertedWith("Amount spent must be greater than 0");
+    });
+  });
+
+  describe("Events", function () {
+    it("Should emit the purchase details for earnTokens and batch entries", async function () {
+      const { token, customer, payout } = await loadFixture(deployLedgerFixture);
+      const orderId = ethers.id("ORDER-1");
+
+      await expect(token.earnTokens(1, customer.address, 300))
+        .to.emit(token, "TokensEarned")
+        .withArgs(customer.address, 300, ethers.parseEther("200"), 2, 3, payout.address, ethers.ZeroHash);
+      await expect(token.batchEarnTokens(1, [customer.address], [30], [orderId]))
+        .to.emit(token, "TokensEarned")
+        .withArgs(customer.address, 30, ethers.parseEther("20"), 2, 3, payout.address, orderId);
+    });
+
+    it("Should emit the signer's merchant for voucher claims", async function () {
+      const { token, owner, customer, payout } = await loadFixture(deployLedgerFixture);
+      await token.setMerchantAccount(owner.address, 1);
+      const { token: _token, chainId: _chainId, signature, ...voucher } = await signPurchaseVoucher(
+        owner,
+        token.target,
+        (await ethers.provider.getNetwork()).chainId,
+        { customer: customer.address, amountSpent: 9, orderId: "ORDER-9", nonce: 1, deadline: (await time.latest()) + 3600 }
+      );
+
+      await expect(token.claimWithVoucher(voucher, signature))
+        .to.emit(token, "TokensEarned")
+        .withArgs(customer.address, 9, ethers.parseEther("6"), 2, 3, payout.address, voucher.orderId);
+    });
+  });
+
+  describe("Aggregates", function () {
+    it("Should track lifetime spend and earnings", async function () {
+      const { token, customer, otherCustomer } = await loadFixture(deployLedgerFixture);
+
+      await token.earnTokens(1, customer.address, 300);
+      await token.earnTokens(1, customer.address, 30);
+      await token.earnTokens(1, otherCustomer.address, 6);
+
+      expect(await token.lifetimeSpent(customer.address)).to.equal(330);
+      expect(await token.lifetimeEarned(customer.address)).to.equal(ethers.parseEther("220"));
+      const metrics = await token.getTokenMetrics();
+      expect(metrics.totalSpentAmount).to.equal(336);
+      expect(metrics.totalEarnedTokens).to.equal(ethers.parseEther("224"));
+      expect(metrics.customers).to.equal(2);
+    });
+
+    it("Should count a customer on their first purchase that earns tokens", async function () {
+      const { token, customer } = await loadFixture(deployLedgerFixture);
+
+      // Below one unit: only carried, nothing earned yet
+      await token.earnTokens(1, customer.address, 2);
+      expect((await token.getTokenMetrics()).customers).to.equal(0);
+
+      await token.earnTokens(1, customer.address, 1);
+      expect((await token.getTokenMetrics()).customers).to.equal(1);
+
+      await token.earnTokens(1, customer.address, 3);
+      expect((await token.getTokenMetrics()).customers).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { signPurchaseVoucher } = require("../scripts/voucher-signer");
+
+describe("Emergency pause", function () {
+  async function deployPauseFixture() {
+    const [owner, guardian, customer, till, otherAccount] = await ethers.getSigners();
+
+    const token = await ethers.deployContract("LoyaltyToken");
+    const coupons = await ethers.deployContract("LoyaltyCoupon", [await token.getAddress()]);
+    await token.setCouponNFT(await coupons.getAddress());
+    await token.grantRole(await token.GUARDIAN_ROLE(), guardian.address);
+
+    // Merchant #1 rewards one token per 3 spent, its till redeems restaurant coupons
+    await token.registerMerchant("Cafe", "restaurant", owner.address, 1, 3);
+    await token.setMerchantAccount(till.address, 1);
+    await coupons.setCouponPricing("restaurant", ethers.parseEther("1"), 50, 0, 0);
+
+    // Coupon #1 approved for the till, coupon #2 left for cancellation
+    await token.transfer(customer.address, ethers.parseEther("100"));
+    await coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "restaurant", 30);
+    await coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "restaurant", 30);
+    await coupons.connect(customer).approveRedemption(1, till.address);
+
+    const dex = await ethers.deployContract("SimpleDEX", [token.target, ethers.parseEther("1000"), 100]);
+    await dex.setGuardian(guardian.address);
+    await token.approve(dex.target, ethers.MaxUint256);
+    await dex.addLiquidity(ethers.parseEther("100"), { value: ethers.parseEther("1") });
+
+    return { token, coupons, dex, owner, guardian, customer, till, otherAccount };
+  }
+
+  async function deployPausedFixture() {
+    const fixture = await deployPauseFixture();
+    await fixture.token.connect(fixture.guardian).pause();
+    return fixture;
+  }
+
+  describe("Access", function () {
+    it("Should only let guardians pause the token", async function () {
+      const { token, otherAccount } = await loadFixture(deployPauseFixture);
+
+      await expect(token.connect(otherAccount).pause())
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(otherAccount.address, await token.GUARDIAN_ROLE());
+    });
+
+    it("Should not let admins without the guardian role pause the token", async function () {
+      const { token, owner } = await loadFixture(deployPauseFixture);
+      await token.renounceRole(await token.GUARDIAN_ROLE(), owner.address);
+
+      await expect(token.pause()).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should only let guardians unpause the token", async function () {
+      const { token, otherAccount } = await loadFixture(deployPausedFixture);
+
+      await expect(token.connect(otherAccount).unpause()).to.be.revertedWithCustomError(
+        token,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should emit events on pause and unpause", async function () {
+      const { token, guardian } = await loadFixture(deployPauseFixture);
+
+      await expect(token.connect(guardian).pause()).to.emit(token, "Paused").withArgs(guardian.address);
+      expect(await token.paused()).to.equal(true);
+      await expect(token.connect(guardian).unpause()).to.emit(token, "Unpaused").withArgs(guardian.address);
+      expect(await token.paused()).to.equal(false);
+    });
+
+    it("Should only let the DEX guardian pause the DEX", async function () {
+      const { dex, guardian, otherAccount } = await loadFixture(deployPauseFixture);
+
+      await expect(dex.connect(otherAccount).pause()).to.be.revertedWith("Caller is not the guardian");
+      await dex.connect(guardian).pause();
+      await expect(dex.connect(otherAccount).unpause()).to.be.revertedWith("Caller is not the guardian");
+      await dex.connect(guardian).unpause();
+    });
+  });
+
+  describe("Rewards", function () {
+    it("Should block earnTokens while paused", async function () {
+      const { token, customer } = await loadFixture(deployPausedFixture);
+
+      await expect(token.earnTokens(1, customer.address, 300)).to.be.revertedWithCustomError(
+        token,
+        "EnforcedPause"
+      );
+    });
+
+    it("Should block batchEarnTokens while paused", async function () {
+      const { token, customer } = await loadFixture(deployPausedFixture);
+
+      await expect(
+        token.batchEarnTokens(1, [customer.address], [300], [ethers.id("ORDER-1")])
+      ).to.be.revertedWithCustomError(token, "EnforcedPause");
+    });
+
+    it("Should block claimWithVoucher while paused", async function () {
+      const { token, owner, customer } = await loadFixture(deployPausedFixture);
+      await token.grantRole(await token.MERCHANT_ROLE(), owner.address);
+      const chainId = (await ethers.provider.getNetwork()).chainId;
+      const signed = await signPurchaseVoucher(owner, token.target, chainId, {
+        customer: customer.address,
+        amountSpent: 300,
+        orderId: "ORDER-1",
+        deadline: (await time.latest()) + 3600,
+      });
+      const { token: _token, chainId: _chainId, signature, ...voucher } = signed;
+
+      await expect(token.claimWithVoucher(voucher, signature)).to.be.revertedWithCustomError(
+        token,
+        "EnforcedPause"
+      );
+    });
+
+    it("Should resume rewards after unpausing", async function () {
+      const { token, guardian, customer } = await loadFixture(deployPausedFixture);
+      await token.connect(guardian).unpause();
+
+      await expect(token.earnTokens(1, customer.address, 300)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("100")
+      );
+    });
+  });
+
+  describe("Coupons", function () {
+    it("Should block coupon creation while paused", async function () {
+      const { coupons, customer } = await loadFixture(deployPausedFixture);
+
+      await expect(
+        coupons.connect(customer).createCoupon(ethers.parseEther("10"), 10, "restaurant", 30)
+      ).to.be.revertedWithCustomError(coupons, "EnforcedPause");
+    });
+
+    it("Should block coupon use while paused", async function () {
+      const { coupons, customer } = await loadFixture(deployPausedFixture);
+
+      await expect(coupons.connect(customer).useCoupon(1)).to.be.revertedWithCustomError(
+        coupons,
+        "EnforcedPause"
+      );
+    });
+
+    it("Should block coupon cancellation while paused", async function () {
+      const { coupons, customer } = await loadFixture(deployPausedFixture);
+
+      await expect(coupons.connect(customer).cancelCoupon(2)).to.be.revertedWithCustomError(
+        coupons,
+        "EnforcedPause"
+      );
+    });
+
+    it("Should block coupon redemption while paused", async function () {
+      const { coupons, till } = await loadFixture(deployPausedFixture);
+
+      await expect(
+        coupons.connect(till).redeemCoupon(1, ethers.id("ORDER-1"), 5000)
+      ).to.be.revertedWithCustomError(coupons, "EnforcedPause");
+    });
+  });
+
+  describe("Transfers and views", function () {
+    it("Should keep token transfers working while paused", async function () {
+      const { token, customer, otherAccount } = await loadFixture(deployPausedFixture);
+
+      await expect(
+        token.connect(customer).transfer(otherAccount.address, ethers.parseEther("5"))
+      ).to.changeTokenBalances(token, [customer, otherAccount], [ethers.parseEther("-5"), ethers.parseEther("5")]);
+    });
+
+    it("Should keep coupon NFT transfers and views working while paused", async function () {
+      const { coupons, customer, otherAccount } = await loadFixture(deployPausedFixture);
+
+      await coupons.connect(customer).transferFrom(customer.address, otherAccount.address, 2);
+
+      expect(await coupons.ownerOf(2)).to.equal(otherAccount.address);
+      expect(await coupons.isCouponValid(2)).to.equal(true);
+    });
+  });
+
+  describe("DEX", function () {
+    it("Should block swaps and new liquidity while paused", async function () {
+      const { dex, guardian, customer } = await loadFixture(deployPauseFixture);
+      await dex.connect(guardian).pause();
+      const deadline = (await time.latest()) + 60;
+
+      await expect(
+        dex.connect(customer).swapEthForTokens(0, deadline, { value: ethers.parseEther("0.1") })
+      ).to.be.revertedWithCustomError(dex, "EnforcedPause");
+      await expect(
+        dex.connect(customer).swapTokensForEth(ethers.parseEther("1"), 0, deadline)
+      ).to.be.revertedWithCustomError(dex, "EnforcedPause");
+      await expect(
+        dex.addLiquidity(ethers.parseEther("10"), { value: ethers.parseEther("0.1") })
+      ).to.be.revertedWithCustomError(dex, "EnforcedPause");
+    });
+
+    it("Should keep liquidity withdrawals working while paused", async function () {
+      const { dex, owner, guardian } = await loadFixture(deployPauseFixture);
+      await dex.connect(guardian).pause();
+      const shares = await dex.balanceOf(owner.address);
+
+      await expect(dex.removeLiquidity(shares)).to.emit(dex, "LiquidityRemoved");
+      expect(await dex.balanceOf(owner.address)).to.equal(0);
+      expect(await dex.paused()).to.equal(true);
+    });
+
+    it("Should pause the DEX independently of the token", async function () {
+      const { token, dex, guardian } = await loadFixture(deployPausedFixture);
+
+      expect(await token.paused()).to.equal(true);
+      expect(await dex.paused()).to.equal(false);
+      await dex.connect(guardian).pause();
+      await token.connect(guardian).unpause();
+      expect(await dex.paused()).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Liquidity shares", function () {
+  const DEAD_ADDRESS = "0x000000000000000000000000000000000000dEaD";
+
+  async function deployDexFixture() {
+    const [owner, provider, trader] = await ethers.getSigners();
+
+    const token = await ethers.deployContract("LoyaltyToken");
+    const dex = await ethers.deployContract("SimpleDEX", [token.target, ethers.parseEther("1000"), 100]);
+    await dex.setPricingMode(1);
+    await token.transfer(provider.address, ethers.parseEther("300"));
+    await token.approve(dex.target, ethers.MaxUint256);
+    await token.connect(provider).approve(dex.target, ethers.MaxUint256);
+
+    return { token, dex, owner, provider, trader };
+  }
+
+  // Pool of 1 ETH and 400 LOYAL: sqrt(1e18 * 400e18) = 20e18 shares
+  async function deployFundedFixture() {
+    const fixture = await deployDexFixture();
+    await fixture.dex.addLiquidity(ethers.parseEther("400"), { value: ethers.parseEther("1") });
+    return fixture;
+  }
+
+  describe("Adding liquidity", function () {
+    it("Should lock MINIMUM_LIQUIDITY of the first deposit", async function () {
+      const { dex, owner } = await loadFixture(deployDexFixture);
+      const minimum = await dex.MINIMUM_LIQUIDITY();
+
+      await expect(dex.addLiquidity(ethers.parseEther("400"), { value: ethers.parseEther("1") }))
+        .to.emit(dex, "LiquidityAdded")
+        .withArgs(owner.address, ethers.parseEther("1"), ethers.parseEther("400"), ethers.parseEther("20") - minimum);
+      expect(await dex.balanceOf(DEAD_ADDRESS)).to.equal(minimum);
+      expect(await dex.totalSupply()).to.equal(ethers.parseEther("20"));
+    });
+
+    it("Should reject a first deposit too small for the locked shares", async function () {
+      const { dex } = await loadFixture(deployDexFixture);
+
+      await expect(dex.addLiquidity(1000, { value: 1000 })).to.be.revertedWith("Insufficient liquidity minted");
+    });
+
+    it("Should only pull the tokens matching the ETH sent", async function () {
+      const { token, dex, provider } = await loadFixture(deployFundedFixture);
+
+      await dex.connect(provider).addLiquidity(ethers.parseEther("300"), { value: ethers.parseEther("0.5") });
+
+      expect(await token.balanceOf(provider.address)).to.equal(ethers.parseEther("100"));
+      expect(await dex.balanceOf(provider.address)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should refund the ETH above the tokens' value", async function () {
+      const { dex, provider } = await loadFixture(deployFundedFixture);
+
+      await expect(
+        dex.connect(provider).addLiquidity(ethers.parseEther("40"), { value: ethers.parseEther("1") })
+      ).to.changeEtherBalance(dex, ethers.parseEther("0.1"));
+      expect(await dex.balanceOf(provider.address)).to.equal(ethers.parseEther("2"));
+    });
+  });
+
+  describe("Removing liquidity", function () {
+    it("Should pay the pro-rata part of both reserves including swap fees", async function () {
+      const { dex, provider, trader } = await loadFixture(deployFundedFixture);
+      await dex.connect(provider).addLiquidity(ethers.parseEther("200"), { value: ethers.parseEther("0.5") });
+      await dex.connect(trader).swapEthForTokens(0, (await time.latest()) + 600, { value: ethers.parseEther("0.5") });
+      const position = await dex.getLiquidityPosition(provider.address);
+
+      // A third of the pool, which now holds 2 ETH
+      expect(position.shares).to.equal(ethers.parseEther("10"));
+      expect(position.totalShares).to.equal(ethers.parseEther("30"));
+      expect(position.ethAmount).to.equal(ethers.parseEther("2") / 3n);
+
+      await expect(dex.connect(provider).removeLiquidity(position.shares))
+        .to.emit(dex, "LiquidityRemoved")
+        .withArgs(provider.address, position.ethAmount, position.tokenAmount, position.shares);
+      expect(await dex.balanceOf(provider.address)).to.equal(0);
+    });
+
+    it("Should revert if the caller does not hold the shares", async function () {
+      const { dex, trader } = await loadFixture(deployFundedFixture);
+
+      await expect(dex.connect(trader).removeLiquidity(1)).to.be.revertedWith("Insufficient LP shares");
+    });
+
+    it("Should let LPs withdraw while the DEX is paused", async function () {
+      const { dex, owner } = await loadFixture(deployFundedFixture);
+      await dex.pause();
+
+      await expect(dex.addLiquidity(ethers.parseEther("400"), { value: ethers.parseEther("1") })).to.be.reverted;
+      await dex.removeLiquidity(await dex.balanceOf(owner.address));
+
+      expect(await dex.totalSupply()).to.equal(await dex.MINIMUM_LIQUIDITY());
+    });
+  });
+
+  describe("Emergency withdrawal", function () {
+    it("Should be available before the first deposit", async function () {
+      const { token, dex, owner } = await loadFixture(deployDexFixture);
+      await token.transfer(dex.target, ethers.parseEther("5"));
+
+      await expect(dex.emergencyWithdraw()).to.changeTokenBalance(token, owner, ethers.parseEther("5"));
+    });
+
+    it("Should revert once LP shares exist", async function () {
+      const { dex } = await loadFixture(deployFundedFixture);
+
+      await expect(dex.emergencyWithdraw()).to.be.revertedWith("LP shares outstanding");
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Loyalty tiers", function () {
+  const Tier = { Bronze: 0, Silver: 1, Gold: 2, Platinum: 3 };
+
+  async function deployTiersFixture() {
+    const [owner, customer, otherAccount] = await ethers.getSigners();
+
+    // Merchant #1 rewards one token per unit spent
+    const token = await ethers.deployContract("LoyaltyToken");
+    await token.registerMerchant("Cafe", "restaurant", owner.address, 1, 1);
+
+    return { token, owner, customer, otherAccount };
+  }
+
+  describe("Configuration", function () {
+    it("Should set the default thresholds and multipliers", async function () {
+      const { token } = await loadFixture(deployTiersFixture);
+
+      const [thresholds, multipliers] = await token.getTierConfig();
+      expect(thresholds).to.deep.equal([0n, ethers.parseEther("500"), ethers.parseEther("2000"), ethers.parseEther("10000")]);
+      expect(multipliers).to.deep.equal([10000n, 11000n, 12500n, 15000n]);
+    });
+
+    it("Should only let admins change the tiers", async function () {
+      const { token, otherAccount } = await loadFixture(deployTiersFixture);
+
+      await expect(
+        token.connect(otherAccount).setTierConfig([0, 10, 20, 30], [10000, 10000, 10000, 10000])
+      ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should reject invalid tier configurations", async function () {
+      const { token } = await loadFixture(deployTiersFixture);
+
+      await expect(token.setTierConfig([1, 10, 20, 30], [10000, 10000, 10000, 10000])).to.be.revertedWith(
+        "Bronze threshold must be 0"
+      );
+      await expect(token.setTierConfig([0, 20, 20, 30], [10000, 10000, 10000, 10000])).to.be.revertedWith(
+        "Thresholds must be increasing"
+      );
+      await expect(token.setTierConfig([0, 10, 20, 30], [10000, 10000, 10000, 50001])).to.be.revertedWith(
+        "Multiplier cannot exceed 5x"
+      );
+      await expect(token.setTierConfig([0, 10, 20, 30], [9999, 10000, 10000, 10000])).to.be.revertedWith(
+        "Multiplier cannot be below 1x"
+      );
+    });
+
+    it("Should emit an event on tier changes", async function () {
+      const { token } = await loadFixture(deployTiersFixture);
+      const thresholds = [0, 10, 20, 30];
+      const multipliers = [10000, 20000, 30000, 40000];
+
+      await expect(token.setTierConfig(thresholds, multipliers))
+        .to.emit(token, "TierConfigUpdated")
+        .withArgs(thresholds, multipliers);
+    });
+  });
+
+  describe("Thresholds", function () {
+    it("Should start customers at Bronze", async function () {
+      const { token, customer } = await loadFixture(deployTiersFixture);
+
+      expect(await token.getTier(customer.address)).to.equal(Tier.Bronze);
+      const info = await token.getTierInfo(customer.address);
+      expect(info.multiplier).to.equal(10000);
+      expect(info.nextThreshold).to.equal(ethers.parseEther("500"));
+    });
+
+    it("Should stay Bronze just below the Silver threshold", async function () {
+      const { token, customer } = await loadFixture(deployTiersFixture);
+
+      await token.earnTokens(1, customer.address, 499);
+
+      expect(await token.getTier(customer.address)).to.equal(Tier.Bronze);
+    });
+
+    it("Should reach each tier at its threshold", async function () {
+      const { token, customer } = await loadFixture(deployTiersFixture);
+
+      // 500 at 1x reaches Silver, 1364 at 1.1x reaches Gold (2000.4), 6400 at 1.25x reaches Platinum (10000.4)
+      await token.earnTokens(1, customer.address, 500);
+      expect(await token.getTier(customer.address)).to.equal(Tier.Silver);
+      await token.earnTokens(1, customer.address, 1364);
+      expect(await token.getTier(customer.address)).to.equal(Tier.Gold);
+      await token.earnTokens(1, customer.address, 6400);
+      expect(await token.getTier(customer.address)).to.equal(Tier.Platinum);
+
+      const info = await token.getTierInfo(customer.address);
+      expect(info.multiplier).to.equal(15000);
+      expect(info.nextThreshold).to.equal(0);
+    });
+
+    it("Should emit an event when a customer reaches a new tier", async function () {
+      const { token, customer } = await loadFixture(deployTiersFixture);
+      await token.earnTokens(1, customer.address, 400);
+
+      await expect(token.earnTokens(1, customer.address, 100))
+        .to.emit(token, "TierChanged")
+        .withArgs(customer.address, Tier.Bronze, Tier.Silver);
+      await expect(token.earnTokens(1, customer.address, 100)).not.to.emit(token, "TierChanged");
+    });
+
+    it("Should apply new thresholds on the next earn", async function () {
+      const { token, customer } = await loadFixture(deployTiersFixture);
+      await token.earnTokens(1, customer.address, 100);
+
+      await token.setTierConfig(
+        [0, ethers.parseEther("50"), ethers.parseEther("150"), ethers.parseEther("1000")],
+        [10000, 11000, 12500, 15000]
+      );
+
+      expect(await token.getTier(customer.address)).to.equal(Tier.Silver);
+    });
+  });
+
+  describe("Multiplied rewards", function () {
+    it("Should pay Bronze customers the base reward", async function () {
+      const { token, customer } = await loadFixture(deployTiersFixture);
+
+      await expect(token.earnTokens(1, customer.address, 100)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("100")
+      );
+    });
+
+    it("Should multiply the rewards of higher tiers", async function () {
+      const { token, customer } = await loadFixture(deployTiersFixture);
+      await token.earnTokens(1, customer.address, 500);
+
+      // Silver earns 1.1x
+      await expect(token.earnTokens(1, customer.address, 100)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("110")
+      );
+      expect(await token.lifetimeEarned(customer.address)).to.equal(ethers.parseEther("610"));
+    });
+
+    it("Should price the earn that reaches a tier at the previous tier", async function () {
+      const { token, customer } = await loadFixture(deployTiersFixture);
+
+      await expect(token.earnTokens(1, customer.address, 600)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("600")
+      );
+    });
+
+    it("Should preview the multiplied reward", async function () {
+      const { token, customer } = await loadFixture(deployTiersFixture);
+      await token.setTierConfig([0, 1, 2, 3], [10000, 10000, 10000, 15000]);
+      await token.earnTokens(1, customer.address, 3);
+
+      expect(await token.getTier(customer.address)).to.equal(Tier.Platinum);
+      expect(await token.previewReward(customer.address, 100, 1)).to.equal(ethers.parseEther("150"));
+    });
+  });
+});
@@ -0,0 +1,228 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Merchant registry", function () {
+  async function deployRegistryFixture() {
+    const [admin, cafe, shop, customer, otherAccount] = await ethers.getSigners();
+
+    // Merchant #1 rewards one token per 3 spent, merchant #2 two tokens per 50 spent
+    const token = await ethers.deployContract("LoyaltyToken");
+    await token.registerMerchant("Cafe", "restaurant", cafe.address, 1, 3);
+    await token.registerMerchant("Shop", "retail", shop.address, 2, 50);
+
+    // Each merchant's till mints with the merchant role
+    const merchantRole = await token.MERCHANT_ROLE();
+    await token.grantRole(merchantRole, cafe.address);
+    await token.grantRole(merchantRole, shop.address);
+    await token.setMerchantAccount(cafe.address, 1);
+    await token.setMerchantAccount(shop.address, 2);
+
+    return { token, admin, cafe, shop, customer, otherAccount };
+  }
+
+  describe("Registration", function () {
+    it("Should store a new merchant as active", async function () {
+      const { token, shop } = await loadFixture(deployRegistryFixture);
+
+      const merchant = await token.getMerchant(2);
+      expect(merchant.id).to.equal(2);
+      expect(merchant.name).to.equal("Shop");
+      expect(merchant.businessType).to.equal("retail");
+      expect(merchant.payoutAddress).to.equal(shop.address);
+      expect(merchant.emissionRate).to.equal(2);
+      expect(merchant.unitValue).to.equal(50);
+      expect(merchant.active).to.equal(true);
+      expect(await token.getMerchants()).to.have.lengthOf(2);
+    });
+
+    it("Should emit an event with the merchant ID", async function () {
+      const { token, otherAccount } = await loadFixture(deployRegistryFixture);
+
+      await expect(token.registerMerchant("Bakery", "restaurant", otherAccount.address, 1, 5))
+        .to.emit(token, "MerchantRegistered")
+        .withArgs(3, "Bakery", "restaurant", otherAccount.address, 1, 5);
+    });
+
+    it("Should reject invalid merchants", async function () {
+      const { token, otherAccount } = await loadFixture(deployRegistryFixture);
+
+      await expect(token.registerMerchant("", "retail", otherAccount.address, 1, 3)).to.be.revertedWith(
+        "Merchant name required"
+      );
+      await expect(token.registerMerchant("Shop", "", otherAccount.address, 1, 3)).to.be.revertedWith(
+        "Business type required"
+      );
+      await expect(token.registerMerchant("Shop", "retail", ethers.ZeroAddress, 1, 3)).to.be.revertedWith(
+        "Invalid payout address"
+      );
+      await expect(token.registerMerchant("Shop", "retail", otherAccount.address, 1, 0)).to.be.revertedWith(
+        "Unit value must be greater than 0"
+      );
+    });
+  });
+
+  describe("Updates", function () {
+    it("Should update the merchant details and rates", async function () {
+      const { token, otherAccount } = await loadFixture(deployRegistryFixture);
+
+      await expect(token.updateMerchant(1, "Corner Cafe", "restaurant", otherAccount.address, 2, 5))
+        .to.emit(token, "MerchantUpdated")
+        .withArgs(1, "Corner Cafe", "restaurant", otherAccount.address, 2, 5);
+
+      const merchant = await token.getMerchant(1);
+      expect(merchant.name).to.equal("Corner Cafe");
+      expect(merchant.payoutAddress).to.equal(otherAccount.address);
+      expect(merchant.emissionRate).to.equal(2);
+      expect(merchant.unitValue).to.equal(5);
+    });
+
+    it("Should set only the rates of a merchant", async function () {
+      const { token, cafe } = await loadFixture(deployRegistryFixture);
+
+      await expect(token.setMerchantRates(1, 2, 5)).to.emit(token, "MerchantRatesUpdated").withArgs(1, 2, 5);
+
+      const merchant = await token.getMerchant(1);
+      expect(merchant.name).to.equal("Cafe");
+      expect(merchant.emissionRate).to.equal(2);
+      expect(merchant.unitValue).to.equal(5);
+      await expect(token.setMerchantRates(1, 2, 0)).to.be.revertedWith("Unit value must be greater than 0");
+      await expect(token.connect(cafe).setMerchantRates(1, 10, 1)).to.be.revertedWithCustomError(
+        token,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should revert for an unregistered merchant", async function () {
+      const { token, otherAccount } = await loadFixture(deployRegistryFixture);
+
+      await expect(token.setMerchantRates(3, 1, 3)).to.be.revertedWith("Merchant not registered");
+      await expect(token.updateMerchant(3, "Bakery", "restaurant", otherAccount.address, 1, 3)).to.be.revertedWith(
+        "Merchant not registered"
+      );
+      await expect(token.setMerchantActive(3, false)).to.be.revertedWith("Merchant not registered");
+      await expect(token.setMerchantAccount(otherAccount.address, 3)).to.be.revertedWith("Merchant not registered");
+    });
+
+    it("Should deactivate and reactivate a merchant", async function () {
+      const { token } = await loadFixture(deployRegistryFixture);
+
+      await expect(token.setMerchantActive(1, false)).to.emit(token, "MerchantStatusChanged").withArgs(1, false);
+      expect((await token.getMerchant(1)).active).to.equal(false);
+
+      await token.setMerchantActive(1, true);
+      expect((await token.getMerchant(1)).active).to.equal(true);
+    });
+
+    it("Should only let admins manage merchants", async function () {
+      const { token, cafe } = await loadFixture(deployRegistryFixture);
+
+      await expect(
+        token.connect(cafe).updateMerchant(1, "Cafe", "restaurant", cafe.address, 10, 1)
+      ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+      await expect(token.connect(cafe).setMerchantActive(2, false)).to.be.revertedWithCustomError(
+        token,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("Earning", function () {
+    it("Should apply the rates of the merchant", async function () {
+      const { token, cafe, shop, customer } = await loadFixture(deployRegistryFixture);
+
+      // 300 / 3 * 1 at the cafe, 300 / 50 * 2 at the shop
+      await expect(token.connect(cafe).earnTokens(1, customer.address, 300)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("100")
+      );
+      await expect(token.connect(shop).earnTokens(2, customer.address, 300)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("12")
+      );
+    });
+
+    it("Should apply updated rates to later purchases", async function () {
+      const { token, cafe, customer } = await loadFixture(deployRegistryFixture);
+      await token.updateMerchant(1, "Cafe", "restaurant", cafe.address, 3, 3);
+
+      await expect(token.connect(cafe).earnTokens(1, customer.address, 300)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("300")
+      );
+    });
+
+    it("Should revert for an inactive merchant", async function () {
+      const { token, cafe, customer } = await loadFixture(deployRegistryFixture);
+      await token.setMerchantActive(1, false);
+
+      await expect(token.connect(cafe).earnTokens(1, customer.address, 300)).to.be.revertedWith("Merchant not active");
+      await expect(
+        token.connect(cafe).batchEarnTokens(1, [customer.address], [300], [ethers.id("ORDER-1")])
+      ).to.be.revertedWith("Merchant not active");
+    });
+
+    it("Should revert for an unregistered merchant", async function () {
+      const { token, customer } = await loadFixture(deployRegistryFixture);
+
+      await expect(token.earnTokens(3, customer.address, 300)).to.be.revertedWith("Merchant not active");
+    });
+  });
+
+  describe("Merchant accounts", function () {
+    it("Should link and unlink operator accounts", async function () {
+      const { token, otherAccount } = await loadFixture(deployRegistryFixture);
+
+      await expect(token.setMerchantAccount(otherAccount.address, 2))
+        .to.emit(token, "MerchantAccountSet")
+        .withArgs(otherAccount.address, 2);
+      expect(await token.merchantOf(otherAccount.address)).to.equal(2);
+
+      await token.setMerchantAccount(otherAccount.address, 0);
+      expect(await token.merchantOf(otherAccount.address)).to.equal(0);
+    });
+
+    it("Should not let earnTokens mint for another merchant", async function () {
+      const { token, shop, customer } = await loadFixture(deployRegistryFixture);
+
+      await expect(token.connect(shop).earnTokens(1, customer.address, 300)).to.be.revertedWith(
+        "Caller does not act for this merchant"
+      );
+    });
+
+    it("Should not let batchEarnTokens mint for another merchant", async function () {
+      const { token, shop, customer } = await loadFixture(deployRegistryFixture);
+
+      await expect(
+        token.connect(shop).batchEarnTokens(1, [customer.address], [300], [ethers.id("ORDER-1")])
+      ).to.be.revertedWith("Caller does not act for this merchant");
+    });
+
+    it("Should not let unlinked minters mint for any merchant", async function () {
+      const { token, customer, otherAccount } = await loadFixture(deployRegistryFixture);
+      await token.grantRole(await token.MINTER_ROLE(), otherAccount.address);
+
+      await expect(token.connect(otherAccount).earnTokens(1, customer.address, 300)).to.be.revertedWith(
+        "Caller does not act for this merchant"
+      );
+      await expect(
+        token.connect(otherAccount).batchEarnTokens(2, [customer.address], [300], [ethers.id("ORDER-1")])
+      ).to.be.revertedWith("Caller does not act for this merchant");
+    });
+
+    it("Should let admins mint for any merchant", async function () {
+      const { token, customer } = await loadFixture(deployRegistryFixture);
+
+      await expect(token.earnTokens(2, customer.address, 300)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("12")
+      );
+      await expect(
+        token.batchEarnTokens(1, [customer.address], [300], [ethers.id("ORDER-1")])
+      ).to.changeTokenBalance(token, customer, ethers.parseEther("100"));
+    });
+  });
+});
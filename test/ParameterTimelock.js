@@ -0,0 +1,193 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("ParameterTimelock", function () {
+  const ONE_DAY_IN_SECS = 24 * 60 * 60;
+
+  // Parameter enum values
+  const EMISSION_RATE = 0;
+  const UNIT_VALUE = 1;
+  const COUPON_FEE = 2;
+  const EXCHANGE_RATE = 3;
+  const MERCHANT_EMISSION_RATE = 9;
+  const MERCHANT_UNIT_VALUE = 10;
+
+  async function deployTimelockFixture() {
+    const [owner, otherAccount] = await ethers.getSigners();
+
+    const token = await ethers.deployContract("LoyaltyToken");
+    const dex = await ethers.deployContract("SimpleDEX", [token.target, ethers.parseEther("1000"), 100]);
+    const timelock = await ethers.deployContract("ParameterTimelock", [token.target, dex.target, ONE_DAY_IN_SECS]);
+    await token.registerMerchant("Cafe", "restaurant", owner.address, 1, 3);
+
+    return { token, dex, timelock, owner, otherAccount };
+  }
+
+  async function deployLinkedFixture() {
+    const fixture = await deployTimelockFixture();
+    await fixture.token.setParameterTimelock(fixture.timelock.target);
+    await fixture.dex.setParameterTimelock(fixture.timelock.target);
+    return fixture;
+  }
+
+  describe("Linking", function () {
+    it("Should let admins change parameters directly before linking", async function () {
+      const { token } = await loadFixture(deployTimelockFixture);
+
+      await expect(token.setEmissionRate(5)).to.emit(token, "EmissionRateUpdated").withArgs(5);
+      await expect(token.setUnitValue(7)).to.emit(token, "UnitValueUpdated").withArgs(7);
+    });
+
+    it("Should reject a timelock of another token", async function () {
+      const { token, dex } = await loadFixture(deployTimelockFixture);
+      const otherToken = await ethers.deployContract("LoyaltyToken");
+      const otherTimelock = await ethers.deployContract("ParameterTimelock", [otherToken.target, dex.target, ONE_DAY_IN_SECS]);
+
+      await expect(token.setParameterTimelock(otherTimelock.target)).to.be.revertedWith("Timelock not linked to this token");
+    });
+
+    it("Should only be linked once", async function () {
+      const { token, timelock } = await loadFixture(deployLinkedFixture);
+
+      await expect(token.setParameterTimelock(timelock.target)).to.be.revertedWith("Parameter timelock already set");
+    });
+
+    it("Should route parameter changes through the timelock once linked", async function () {
+      const { token, dex } = await loadFixture(deployLinkedFixture);
+
+      await expect(token.setEmissionRate(5)).to.be.revertedWith("Parameter changes must go through the timelock");
+      await expect(dex.updateExchangeRate(5)).to.be.revertedWith("Parameter changes must go through the timelock");
+    });
+
+    it("Should route merchant rate changes through the timelock once linked", async function () {
+      const { token, owner } = await loadFixture(deployLinkedFixture);
+
+      await expect(
+        token.updateMerchant(1, "Cafe", "restaurant", owner.address, 2, 3)
+      ).to.be.revertedWith("Merchant rate changes must go through the timelock");
+      await expect(
+        token.updateMerchant(1, "Cafe", "restaurant", owner.address, 1, 4)
+      ).to.be.revertedWith("Merchant rate changes must go through the timelock");
+      await expect(token.setMerchantRates(1, 2, 3)).to.be.revertedWith(
+        "Parameter changes must go through the timelock"
+      );
+
+      // Other merchant details can still change
+      await token.updateMerchant(1, "Corner Cafe", "restaurant", owner.address, 1, 3);
+      expect((await token.getMerchant(1)).name).to.equal("Corner Cafe");
+    });
+
+    it("Should register new merchants at the global rates once linked", async function () {
+      const { token, owner } = await loadFixture(deployLinkedFixture);
+
+      await expect(token.registerMerchant("Shop", "retail", owner.address, 2, 1)).to.be.revertedWith(
+        "Merchant rate changes must go through the timelock"
+      );
+      await expect(token.registerMerchant("Shop", "retail", owner.address, 1, 5)).to.be.revertedWith(
+        "Merchant rate changes must go through the timelock"
+      );
+
+      await token.registerMerchant("Shop", "retail", owner.address, await token.emissionRate(), await token.unitValue());
+      expect((await token.getMerchant(2)).unitValue).to.equal(await token.unitValue());
+    });
+  });
+
+  describe("Queueing", function () {
+    it("Should only let token admins queue changes", async function () {
+      const { timelock, otherAccount } = await loadFixture(deployLinkedFixture);
+
+      await expect(timelock.connect(otherAccount).queueChange(EMISSION_RATE, 5)).to.be.revertedWith("Caller is not an admin");
+    });
+
+    it("Should reject out-of-range values when queued", async function () {
+      const { timelock } = await loadFixture(deployLinkedFixture);
+
+      await expect(timelock.queueChange(EMISSION_RATE, 0)).to.be.revertedWith("Value must be greater than 0");
+      await expect(timelock.queueChange(UNIT_VALUE, 0)).to.be.revertedWith("Value must be greater than 0");
+      await expect(timelock.queueChange(COUPON_FEE, 1001)).to.be.revertedWith("Fee cannot exceed 10%");
+      await expect(timelock.queueChange(EXCHANGE_RATE, 0)).to.be.revertedWith("Rate must be positive");
+    });
+
+    it("Should queue merchant rates per merchant", async function () {
+      const { timelock } = await loadFixture(deployLinkedFixture);
+
+      await expect(timelock.queueMerchantChange(MERCHANT_EMISSION_RATE, 1, 2))
+        .to.emit(timelock, "MerchantChangeQueued")
+        .withArgs(1, 1);
+      expect((await timelock.getChange(1)).merchantId).to.equal(1);
+
+      await expect(timelock.queueChange(MERCHANT_EMISSION_RATE, 2)).to.be.revertedWith(
+        "Use queueMerchantChange for merchant rates"
+      );
+      await expect(timelock.queueMerchantChange(EMISSION_RATE, 1, 2)).to.be.revertedWith("Not a merchant rate");
+      await expect(timelock.queueMerchantChange(MERCHANT_EMISSION_RATE, 2, 2)).to.be.revertedWith(
+        "Merchant not registered"
+      );
+      await expect(timelock.queueMerchantChange(MERCHANT_UNIT_VALUE, 1, 0)).to.be.revertedWith(
+        "Value must be greater than 0"
+      );
+    });
+
+    it("Should reject a zero emission rate or unit value in the setters", async function () {
+      const { token } = await loadFixture(deployTimelockFixture);
+
+      await expect(token.setEmissionRate(0)).to.be.revertedWith("Emission rate must be greater than 0");
+      await expect(token.setUnitValue(0)).to.be.revertedWith("Unit value must be greater than 0");
+    });
+  });
+
+  describe("Execution", function () {
+    it("Should apply a change once the delay has passed", async function () {
+      const { token, timelock, otherAccount } = await loadFixture(deployLinkedFixture);
+      await expect(timelock.queueChange(EMISSION_RATE, 5)).to.emit(timelock, "ChangeQueued");
+
+      await expect(timelock.executeChange(1)).to.be.revertedWith("Change is still timelocked");
+
+      await time.increase(ONE_DAY_IN_SECS);
+      await expect(timelock.connect(otherAccount).executeChange(1))
+        .to.emit(timelock, "ChangeExecuted")
+        .withArgs(1, EMISSION_RATE, 5)
+        .and.to.emit(token, "EmissionRateUpdated");
+      expect(await token.emissionRate()).to.equal(5);
+      await expect(timelock.executeChange(1)).to.be.revertedWith("Change not queued");
+    });
+
+    it("Should apply merchant rate changes once the delay has passed", async function () {
+      const { token, timelock } = await loadFixture(deployLinkedFixture);
+      await timelock.queueMerchantChange(MERCHANT_EMISSION_RATE, 1, 2);
+      await timelock.queueMerchantChange(MERCHANT_UNIT_VALUE, 1, 5);
+
+      await expect(timelock.executeChange(1)).to.be.revertedWith("Change is still timelocked");
+
+      await time.increase(ONE_DAY_IN_SECS);
+      await expect(timelock.executeChange(1)).to.emit(token, "MerchantRatesUpdated").withArgs(1, 2, 3);
+      await expect(timelock.executeChange(2)).to.emit(token, "MerchantRatesUpdated").withArgs(1, 2, 5);
+
+      const merchant = await token.getMerchant(1);
+      expect(merchant.emissionRate).to.equal(2);
+      expect(merchant.unitValue).to.equal(5);
+    });
+
+    it("Should not execute a cancelled change", async function () {
+      const { timelock, owner } = await loadFixture(deployLinkedFixture);
+      await timelock.queueChange(UNIT_VALUE, 9);
+
+      await expect(timelock.cancelChange(1)).to.emit(timelock, "ChangeCancelled").withArgs(1, owner.address);
+
+      await time.increase(ONE_DAY_IN_SECS);
+      await expect(timelock.executeChange(1)).to.be.revertedWith("Change not queued");
+    });
+
+    it("Should not execute a change after the grace period", async function () {
+      const { timelock } = await loadFixture(deployLinkedFixture);
+      await timelock.queueChange(UNIT_VALUE, 9);
+
+      await time.increase(ONE_DAY_IN_SECS + Number(await timelock.GRACE_PERIOD()) + 1);
+
+      await expect(timelock.executeChange(1)).to.be.revertedWith("Change expired");
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Permit", function () {
+  async function deployPermitFixture() {
+    const [owner, trader, otherAccount] = await ethers.getSigners();
+
+    // Fixed rate pool of 0.5 ETH and 500 LOYAL, 1% fee
+    const token = await ethers.deployContract("LoyaltyToken");
+    const dex = await ethers.deployContract("SimpleDEX", [token.target, ethers.parseEther("1000"), 100]);
+    await token.approve(dex.target, ethers.MaxUint256);
+    await dex.addLiquidity(ethers.parseEther("500"), { value: ethers.parseEther("0.5") });
+    await token.transfer(trader.address, ethers.parseEther("100"));
+
+    return { token, dex, owner, trader, otherAccount };
+  }
+
+  // EIP-2612 permit for `owner`'s tokens, signed by `signer` (the owner unless testing a forgery)
+  async function signPermit(token, owner, spender, value, deadline, signer = owner) {
+    const domain = {
+      name: await token.name(),
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: token.target,
+    };
+    const types = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+    const message = { owner: owner.address, spender, value, nonce: await token.nonces(owner.address), deadline };
+    return ethers.Signature.from(await signer.signTypedData(domain, types, message));
+  }
+
+  describe("LoyaltyToken", function () {
+    it("Should set the allowance for a valid signature", async function () {
+      const { token, dex, trader, otherAccount } = await loadFixture(deployPermitFixture);
+      const amount = ethers.parseEther("10");
+      const deadline = (await time.latest()) + 60;
+      const { v, r, s } = await signPermit(token, trader, dex.target, amount, deadline);
+
+      // Anyone can submit the signed permit
+      await expect(token.connect(otherAccount).permit(trader.address, dex.target, amount, deadline, v, r, s))
+        .to.emit(token, "Approval")
+        .withArgs(trader.address, dex.target, amount);
+
+      expect(await token.allowance(trader.address, dex.target)).to.equal(amount);
+      expect(await token.nonces(trader.address)).to.equal(1);
+    });
+
+    it("Should reject an expired permit", async function () {
+      const { token, dex, trader } = await loadFixture(deployPermitFixture);
+      const amount = ethers.parseEther("10");
+      const deadline = (await time.latest()) + 60;
+      const { v, r, s } = await signPermit(token, trader, dex.target, amount, deadline);
+
+      await time.increaseTo(deadline + 1);
+
+      await expect(token.permit(trader.address, dex.target, amount, deadline, v, r, s))
+        .to.be.revertedWithCustomError(token, "ERC2612ExpiredSignature")
+        .withArgs(deadline);
+    });
+
+    it("Should reject a permit signed by another account", async function () {
+      const { token, dex, trader, otherAccount } = await loadFixture(deployPermitFixture);
+      const amount = ethers.parseEther("10");
+      const deadline = (await time.latest()) + 60;
+      const { v, r, s } = await signPermit(token, trader, dex.target, amount, deadline, otherAccount);
+
+      await expect(token.permit(trader.address, dex.target, amount, deadline, v, r, s))
+        .to.be.revertedWithCustomError(token, "ERC2612InvalidSigner")
+        .withArgs(otherAccount.address, trader.address);
+    });
+
+    it("Should not accept a permit twice", async function () {
+      const { token, dex, trader } = await loadFixture(deployPermitFixture);
+      const amount = ethers.parseEther("10");
+      const deadline = (await time.latest()) + 60;
+      const { v, r, s } = await signPermit(token, trader, dex.target, amount, deadline);
+      await token.permit(trader.address, dex.target, amount, deadline, v, r, s);
+
+      await expect(token.permit(trader.address, dex.target, amount, deadline, v, r, s)).to.be.revertedWithCustomError(
+        token,
+        "ERC2612InvalidSigner"
+      );
+    });
+  });
+
+  describe("SimpleDEX swaps", function () {
+    it("Should swap with a valid permit and leave no allowance", async function () {
+      const { token, dex, trader } = await loadFixture(deployPermitFixture);
+      const amount = ethers.parseEther("10");
+      const deadline = (await time.latest()) + 60;
+      const { v, r, s } = await signPermit(token, trader, dex.target, amount, deadline);
+      const [quotedOutput] = await dex.calculateSwap(amount, false);
+
+      await expect(
+        dex.connect(trader).swapTokensForEthWithPermit(amount, quotedOutput, deadline, v, r, s)
+      ).to.changeTokenBalance(token, trader, -amount);
+      expect(await token.allowance(trader.address, dex.target)).to.equal(0);
+    });
+
+    it("Should still swap when the permit was front-run", async function () {
+      const { token, dex, trader, otherAccount } = await loadFixture(deployPermitFixture);
+      const amount = ethers.parseEther("10");
+      const deadline = (await time.latest()) + 60;
+      const { v, r, s } = await signPermit(token, trader, dex.target, amount, deadline);
+      const [quotedOutput] = await dex.calculateSwap(amount, false);
+
+      // The permit is submitted from the mempool first, the swap's own permit call then fails
+      await token.connect(otherAccount).permit(trader.address, dex.target, amount, deadline, v, r, s);
+
+      await expect(
+        dex.connect(trader).swapTokensForEthWithPermit(amount, quotedOutput, deadline, v, r, s)
+      ).to.changeEtherBalance(trader, quotedOutput);
+      expect(await token.allowance(trader.address, dex.target)).to.equal(0);
+    });
+
+    it("Should revert with an invalid permit and no allowance", async function () {
+      const { token, dex, trader, otherAccount } = await loadFixture(deployPermitFixture);
+      const amount = ethers.parseEther("10");
+      const deadline = (await time.latest()) + 60;
+      const { v, r, s } = await signPermit(token, trader, dex.target, amount, deadline, otherAccount);
+
+      await expect(
+        dex.connect(trader).swapTokensForEthWithPermit(amount, 0, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Point expiry", function () {
+  const THIRTY_DAYS_IN_SECS = 30 * 24 * 60 * 60;
+
+  async function deployExpiryFixture() {
+    const [owner, customer, otherAccount] = await ethers.getSigners();
+
+    // Merchant #1 rewards one token per unit spent
+    const token = await ethers.deployContract("LoyaltyToken");
+    await token.registerMerchant("Cafe", "restaurant", owner.address, 1, 1);
+    await token.setExpiryPeriod(THIRTY_DAYS_IN_SECS);
+
+    return { token, owner, customer, otherAccount };
+  }
+
+  describe("Configuration", function () {
+    it("Should only let admins set the expiry period", async function () {
+      const { token, otherAccount } = await loadFixture(deployExpiryFixture);
+
+      await expect(token.connect(otherAccount).setExpiryPeriod(THIRTY_DAYS_IN_SECS)).to.be.reverted;
+    });
+
+    it("Should reject periods shorter than an epoch", async function () {
+      const { token } = await loadFixture(deployExpiryFixture);
+
+      await expect(token.setExpiryPeriod(24 * 60 * 60)).to.be.revertedWith("Expiry period too short");
+    });
+
+    it("Should not create lots while expiry is off", async function () {
+      const { token, customer } = await loadFixture(deployExpiryFixture);
+      await token.setExpiryPeriod(0);
+
+      await token.earnTokens(1, customer.address, 10);
+
+      expect(await token.getPointLots(customer.address)).to.have.lengthOf(0);
+    });
+
+    it("Should not create lots for purchases that earn nothing", async function () {
+      const { token, owner, customer } = await loadFixture(deployExpiryFixture);
+      await token.registerMerchant("Shop", "retail", owner.address, 1, 3);
+
+      await token.earnTokens(2, customer.address, 2);
+
+      expect(await token.getPointLots(customer.address)).to.have.lengthOf(0);
+    });
+  });
+
+  describe("Lots", function () {
+    it("Should group earnings of the same epoch into one lot", async function () {
+      const { token, customer } = await loadFixture(deployExpiryFixture);
+
+      await token.earnTokens(1, customer.address, 100);
+      await token.earnTokens(1, customer.address, 50);
+      await time.increase(await token.EXPIRY_EPOCH());
+      await token.earnTokens(1, customer.address, 40);
+
+      const lots = await token.getPointLots(customer.address);
+      expect(lots).to.have.lengthOf(2);
+      expect(lots[0].amount).to.equal(ethers.parseEther("150"));
+      expect(lots[1].amount).to.equal(ethers.parseEther("40"));
+      expect(lots[1].expiresAt).to.be.greaterThan(lots[0].expiresAt);
+    });
+
+    it("Should consume the oldest lots first", async function () {
+      const { token, customer, otherAccount } = await loadFixture(deployExpiryFixture);
+      await token.earnTokens(1, customer.address, 150);
+      await time.increase(await token.EXPIRY_EPOCH());
+      await token.earnTokens(1, customer.address, 40);
+
+      await token.connect(customer).transfer(otherAccount.address, ethers.parseEther("120"));
+
+      const lots = await token.getPointLots(customer.address);
+      expect(lots[0].amount).to.equal(ethers.parseEther("30"));
+      expect(lots[1].amount).to.equal(ethers.parseEther("40"));
+    });
+
+    it("Should report the points expiring until a date", async function () {
+      const { token, customer } = await loadFixture(deployExpiryFixture);
+      await token.earnTokens(1, customer.address, 150);
+      await time.increase(await token.EXPIRY_EPOCH());
+      await token.earnTokens(1, customer.address, 40);
+      const lots = await token.getPointLots(customer.address);
+
+      const [amount, nextExpiry] = await token.getExpiringPoints(customer.address, lots[0].expiresAt);
+
+      expect(amount).to.equal(ethers.parseEther("150"));
+      expect(nextExpiry).to.equal(lots[0].expiresAt);
+    });
+  });
+
+  describe("Expiring", function () {
+    it("Should let anyone burn lapsed points", async function () {
+      const { token, customer, otherAccount } = await loadFixture(deployExpiryFixture);
+      await token.earnTokens(1, customer.address, 150);
+      await time.increase(await token.EXPIRY_EPOCH());
+      await token.earnTokens(1, customer.address, 40);
+      const lots = await token.getPointLots(customer.address);
+      await time.increaseTo(lots[0].expiresAt);
+      const burnedBefore = await token.totalBurned();
+
+      await expect(token.connect(otherAccount).expire(customer.address))
+        .to.emit(token, "PointsExpired")
+        .withArgs(customer.address, ethers.parseEther("150"));
+
+      expect(await token.balanceOf(customer.address)).to.equal(ethers.parseEther("40"));
+      expect(await token.totalBurned() - burnedBefore).to.equal(ethers.parseEther("150"));
+      expect(await token.getPointLots(customer.address)).to.have.lengthOf(1);
+    });
+
+    it("Should not let lapsed points be spent", async function () {
+      const { token, customer, otherAccount } = await loadFixture(deployExpiryFixture);
+      await token.earnTokens(1, customer.address, 150);
+      const [lot] = await token.getPointLots(customer.address);
+      await time.increaseTo(lot.expiresAt);
+
+      await expect(token.connect(customer).transfer(otherAccount.address, ethers.parseEther("1"))).to.be.reverted;
+    });
+  });
+});
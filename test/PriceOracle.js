@@ -0,0 +1,115 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Price oracle", function () {
+  const ONE_HOUR_IN_SECS = 60 * 60;
+
+  async function deployOracleFixture() {
+    const [owner, trader] = await ethers.getSigners();
+
+    // Fixed rate of 1000 LOYAL per ETH until the pricing mode changes
+    const token = await ethers.deployContract("LoyaltyToken");
+    const dex = await ethers.deployContract("SimpleDEX", [token.target, ethers.parseEther("1000"), 100]);
+    await token.approve(dex.target, ethers.MaxUint256);
+
+    return { token, dex, owner, trader };
+  }
+
+  // Constant product pool of 1 ETH and 100 LOYAL with an hour of price history
+  async function deployPoolFixture() {
+    const fixture = await deployOracleFixture();
+    await fixture.dex.setPricingMode(1);
+    await fixture.dex.addLiquidity(ethers.parseEther("100"), { value: ethers.parseEther("1") });
+    await time.increase(ONE_HOUR_IN_SECS);
+    return fixture;
+  }
+
+  describe("Validations", function () {
+    it("Should reject an empty period", async function () {
+      const { dex } = await loadFixture(deployOracleFixture);
+
+      await expect(dex.consult(0)).to.be.revertedWith("Period must be positive");
+    });
+
+    it("Should revert without enough history", async function () {
+      const { dex } = await loadFixture(deployOracleFixture);
+
+      await expect(dex.consult(ONE_HOUR_IN_SECS)).to.be.revertedWith("Not enough price history");
+    });
+  });
+
+  describe("Averaging", function () {
+    it("Should return the fixed rate while it does not change", async function () {
+      const { dex } = await loadFixture(deployOracleFixture);
+      await time.increase(ONE_HOUR_IN_SECS);
+
+      expect(await dex.consult(ONE_HOUR_IN_SECS / 2)).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should follow the pool spot price", async function () {
+      const { dex } = await loadFixture(deployPoolFixture);
+
+      // The window also covers the seconds at the fixed rate before the pool was funded
+      expect(await dex.consult(ONE_HOUR_IN_SECS / 2)).to.be.closeTo(ethers.parseEther("100"), ethers.parseEther("1"));
+    });
+
+    it("Should not be moved by a swap in the same block", async function () {
+      const { dex, trader } = await loadFixture(deployPoolFixture);
+
+      await dex.connect(trader).swapEthForTokens(0, (await time.latest()) + 60, { value: ethers.parseEther("1") });
+
+      const [, , , , spotPrice] = await dex.getDEXStatus();
+      expect(spotPrice).to.be.lessThan(ethers.parseEther("30"));
+      expect(await dex.consult(ONE_HOUR_IN_SECS / 2)).to.be.greaterThan(ethers.parseEther("99"));
+    });
+
+    it("Should move towards the new price over time", async function () {
+      const { dex, trader } = await loadFixture(deployPoolFixture);
+      await dex.connect(trader).swapEthForTokens(0, (await time.latest()) + 60, { value: ethers.parseEther("1") });
+      const [, , , , spotPrice] = await dex.getDEXStatus();
+
+      await time.increase(2 * ONE_HOUR_IN_SECS);
+
+      // No observation since the swap, so the window starts at the swap two hours ago
+      const average = await dex.consult(ONE_HOUR_IN_SECS);
+      expect(average).to.be.greaterThanOrEqual(spotPrice);
+      expect(average).to.be.lessThanOrEqual((spotPrice * 13n) / 10n);
+    });
+
+    it("Should reach back to the last observation after a quiet spell", async function () {
+      const { dex } = await loadFixture(deployOracleFixture);
+      await time.increase(ONE_HOUR_IN_SECS);
+      await dex.updateExchangeRate(ethers.parseEther("3000"));
+      // Within OBSERVATION_INTERVAL of the last observation, so no new one is taken
+      await time.increase(60);
+      await dex.updateExchangeRate(ethers.parseEther("1000"));
+
+      await time.increase(10 * ONE_HOUR_IN_SECS);
+
+      // The price was 1000 for the whole last hour, the average still includes the minute at 3000
+      expect(await dex.consult(ONE_HOUR_IN_SECS)).to.be.greaterThan(ethers.parseEther("1003"));
+    });
+  });
+
+  describe("Observations", function () {
+    it("Should keep OBSERVATION_SLOTS observations in a ring buffer", async function () {
+      const { dex } = await loadFixture(deployOracleFixture);
+      const interval = Number(await dex.OBSERVATION_INTERVAL());
+      const slots = Number(await dex.OBSERVATION_SLOTS());
+
+      for (let i = 1; i <= slots + 4; i++) {
+        await time.increase(interval);
+        await dex.updateExchangeRate(ethers.parseEther(String(1000 + i)));
+      }
+
+      expect(await dex.observationCount()).to.equal(slots + 5);
+      // The oldest observations were overwritten
+      await expect(dex.consult(slots * interval + ONE_HOUR_IN_SECS)).to.be.revertedWith("Not enough price history");
+      expect(await dex.consult((slots - 2) * interval)).to.be.greaterThan(ethers.parseEther("1000"));
+      expect(await dex.consult(ONE_HOUR_IN_SECS)).to.be.greaterThan(ethers.parseEther("1095"));
+    });
+  });
+});
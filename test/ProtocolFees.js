@@ -0,0 +1,107 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Protocol fees", function () {
+  // 20% of every swap fee goes to the treasury
+  const PROTOCOL_FEE_SHARE = 2000n;
+
+  async function deployFeesFixture() {
+    const [owner, trader, treasury, otherAccount] = await ethers.getSigners();
+
+    // Constant product pool of 1 ETH and 100 LOYAL with a 1% fee
+    const token = await ethers.deployContract("LoyaltyToken");
+    const dex = await ethers.deployContract("SimpleDEX", [token.target, ethers.parseEther("1000"), 100]);
+    await dex.setPricingMode(1);
+    await dex.setProtocolFeeShare(PROTOCOL_FEE_SHARE);
+    await dex.setTreasury(treasury.address);
+    await token.approve(dex.target, ethers.MaxUint256);
+    await dex.addLiquidity(ethers.parseEther("100"), { value: ethers.parseEther("1") });
+    await token.connect(trader).approve(dex.target, ethers.MaxUint256);
+
+    return { token, dex, owner, trader, treasury, otherAccount };
+  }
+
+  describe("Configuration", function () {
+    it("Should cap the protocol share at 50%", async function () {
+      const { dex } = await loadFixture(deployFeesFixture);
+
+      await expect(dex.setProtocolFeeShare(5001)).to.be.revertedWith("Protocol fee share too high");
+    });
+
+    it("Should only let the owner set the treasury", async function () {
+      const { dex, otherAccount } = await loadFixture(deployFeesFixture);
+
+      await expect(dex.connect(otherAccount).setTreasury(otherAccount.address)).to.be.reverted;
+    });
+  });
+
+  describe("Accounting", function () {
+    it("Should split a LOYAL fee and keep the protocol part out of the reserves", async function () {
+      const { token, dex, trader } = await loadFixture(deployFeesFixture);
+      const [output, fee] = await dex.calculateSwap(ethers.parseEther("0.1"), true);
+
+      await expect(dex.connect(trader).swapEthForTokens(output, (await time.latest()) + 60, { value: ethers.parseEther("0.1") }))
+        .to.emit(dex, "TokenSwap")
+        .withArgs(trader.address, ethers.parseEther("0.1"), output, fee, true);
+
+      const protocolFee = (fee * PROTOCOL_FEE_SHARE) / 10000n;
+      const stats = await dex.getFeeStats();
+      expect(stats.tokenFees).to.equal(fee);
+      expect(stats.lpTokens).to.equal(fee - protocolFee);
+      expect(stats.pendingTokens).to.equal(protocolFee);
+      expect(await dex.tokenLiquidity()).to.equal(ethers.parseEther("100") - output - protocolFee);
+      expect(await token.balanceOf(dex.target)).to.equal((await dex.tokenLiquidity()) + protocolFee);
+    });
+
+    it("Should split an ETH fee and keep the protocol part out of the reserves", async function () {
+      const { token, dex, trader } = await loadFixture(deployFeesFixture);
+      await token.transfer(trader.address, ethers.parseEther("10"));
+      const [output, fee] = await dex.calculateSwap(ethers.parseEther("10"), false);
+
+      await dex.connect(trader).swapTokensForEth(ethers.parseEther("10"), output, (await time.latest()) + 60);
+
+      const stats = await dex.getFeeStats();
+      expect(stats.ethFees).to.equal(fee);
+      expect(stats.pendingEth).to.equal((fee * PROTOCOL_FEE_SHARE) / 10000n);
+      expect(await ethers.provider.getBalance(dex.target)).to.equal((await dex.ethLiquidity()) + stats.pendingEth);
+    });
+  });
+
+  describe("Collection", function () {
+    it("Should send the pending fees to the treasury", async function () {
+      const { token, dex, trader, treasury } = await loadFixture(deployFeesFixture);
+      await dex.connect(trader).swapEthForTokens(0, (await time.latest()) + 60, { value: ethers.parseEther("0.1") });
+      const { pendingEth, pendingTokens } = await dex.getFeeStats();
+
+      await expect(dex.connect(treasury).collectProtocolFees())
+        .to.emit(dex, "ProtocolFeesCollected")
+        .withArgs(treasury.address, pendingEth, pendingTokens);
+
+      expect(await token.balanceOf(treasury.address)).to.equal(pendingTokens);
+      await expect(dex.collectProtocolFees()).to.be.revertedWith("No fees to collect");
+    });
+
+    it("Should only let the owner or the treasury collect", async function () {
+      const { dex, trader, otherAccount } = await loadFixture(deployFeesFixture);
+      await dex.connect(trader).swapEthForTokens(0, (await time.latest()) + 60, { value: ethers.parseEther("0.1") });
+
+      await expect(dex.connect(otherAccount).collectProtocolFees()).to.be.revertedWith("Caller cannot collect fees");
+    });
+
+    it("Should leave the LP reserves to the LPs", async function () {
+      const { token, dex, owner, trader } = await loadFixture(deployFeesFixture);
+      await dex.connect(trader).swapEthForTokens(0, (await time.latest()) + 60, { value: ethers.parseEther("0.1") });
+      await dex.collectProtocolFees();
+
+      await dex.removeLiquidity(await dex.balanceOf(owner.address));
+
+      // Only the dust backing the locked minimum liquidity stays behind
+      expect(await dex.totalSupply()).to.equal(await dex.MINIMUM_LIQUIDITY());
+      expect(await token.balanceOf(dex.target)).to.equal(await dex.tokenLiquidity());
+      expect(await ethers.provider.getBalance(dex.target)).to.equal(await dex.ethLiquidity());
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { signPurchaseVoucher, recoverVoucherSigner } = require("../scripts/voucher-signer");
+
+describe("Purchase vouchers", function () {
+  async function deployVoucherFixture() {
+    const [admin, merchant, customer, otherAccount] = await ethers.getSigners();
+
+    // Merchant #1 rewards one token per 3 spent, merchant #2 two tokens per 50 spent
+    const token = await ethers.deployContract("LoyaltyToken");
+    await token.registerMerchant("Cafe", "restaurant", admin.address, 1, 3);
+    await token.registerMerchant("Shop", "retail", admin.address, 2, 50);
+    await token.grantRole(await token.MERCHANT_ROLE(), merchant.address);
+    await token.setMerchantAccount(merchant.address, 1);
+    const chainId = (await ethers.provider.getNetwork()).chainId;
+
+    // Signs a voucher valid for an hour of chain time, returns the contract struct and the signature
+    async function signVoucher(signer, purchase) {
+      const deadline = (await time.latest()) + 3600;
+      const signed = await signPurchaseVoucher(signer, token.target, chainId, { deadline, ...purchase });
+      const { token: _token, chainId: _chainId, signature, ...voucher } = signed;
+      return { signed, voucher, signature };
+    }
+
+    return { token, admin, merchant, customer, otherAccount, signVoucher };
+  }
+
+  describe("Signing", function () {
+    it("Should recover the merchant as the signer", async function () {
+      const { merchant, customer, signVoucher } = await loadFixture(deployVoucherFixture);
+      const { signed } = await signVoucher(merchant, { customer: customer.address, amountSpent: 300, orderId: "ORDER-1" });
+
+      expect(recoverVoucherSigner(signed)).to.equal(merchant.address);
+    });
+  });
+
+  describe("Claiming", function () {
+    it("Should mint the reward to the voucher customer", async function () {
+      const { token, merchant, customer, otherAccount, signVoucher } = await loadFixture(deployVoucherFixture);
+      const { voucher, signature } = await signVoucher(merchant, {
+        customer: customer.address,
+        amountSpent: 300,
+        orderId: "ORDER-1",
+        nonce: 1
+      });
+
+      // Anyone can submit the voucher, the tokens go to the customer
+      await expect(token.connect(otherAccount).claimWithVoucher(voucher, signature))
+        .to.emit(token, "VoucherClaimed")
+        .withArgs(customer.address, merchant.address, voucher.orderId, 1, ethers.parseEther("100"));
+      expect(await token.balanceOf(customer.address)).to.equal(ethers.parseEther("100"));
+      expect(await token.balanceOf(otherAccount.address)).to.equal(0);
+    });
+
+    it("Should revert if the signer is not a merchant", async function () {
+      const { token, customer, otherAccount, signVoucher } = await loadFixture(deployVoucherFixture);
+      const { voucher, signature } = await signVoucher(otherAccount, { customer: customer.address, amountSpent: 300, orderId: "ORDER-1" });
+
+      await expect(token.claimWithVoucher(voucher, signature)).to.be.revertedWith("Voucher not signed by a merchant");
+    });
+
+    it("Should revert if the voucher was tampered with", async function () {
+      const { token, merchant, customer, signVoucher } = await loadFixture(deployVoucherFixture);
+      const { voucher, signature } = await signVoucher(merchant, { customer: customer.address, amountSpent: 300, orderId: "ORDER-1" });
+
+      await expect(
+        token.claimWithVoucher({ ...voucher, amountSpent: 30000 }, signature)
+      ).to.be.revertedWith("Voucher not signed by a merchant");
+    });
+
+    it("Should revert once the deadline has passed", async function () {
+      const { token, merchant, customer, signVoucher } = await loadFixture(deployVoucherFixture);
+      const { voucher, signature } = await signVoucher(merchant, { customer: customer.address, amountSpent: 300, orderId: "ORDER-1" });
+
+      await time.increaseTo(ethers.toBigInt(voucher.deadline) + 1n);
+
+      await expect(token.claimWithVoucher(voucher, signature)).to.be.revertedWith("Voucher expired");
+    });
+
+    it("Should apply the rates of the signer's merchant", async function () {
+      const { token, admin, customer, otherAccount, signVoucher } = await loadFixture(deployVoucherFixture);
+      await token.connect(admin).grantRole(await token.MERCHANT_ROLE(), otherAccount.address);
+      await token.setMerchantAccount(otherAccount.address, 2);
+      const { voucher, signature } = await signVoucher(otherAccount, {
+        customer: customer.address,
+        amountSpent: 300,
+        orderId: "ORDER-1"
+      });
+
+      // 300 / 50 * 2 at the shop
+      await expect(token.claimWithVoucher(voucher, signature)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("12")
+      );
+    });
+
+    it("Should revert if the signer is not linked to a merchant", async function () {
+      const { token, merchant, customer, signVoucher } = await loadFixture(deployVoucherFixture);
+      await token.setMerchantAccount(merchant.address, 0);
+      const { voucher, signature } = await signVoucher(merchant, { customer: customer.address, amountSpent: 300, orderId: "ORDER-1" });
+
+      await expect(token.claimWithVoucher(voucher, signature)).to.be.revertedWith("Merchant not active");
+    });
+
+    it("Should revert for a deactivated merchant", async function () {
+      const { token, merchant, customer, signVoucher } = await loadFixture(deployVoucherFixture);
+      await token.setMerchantActive(1, false);
+      const { voucher, signature } = await signVoucher(merchant, { customer: customer.address, amountSpent: 300, orderId: "ORDER-1" });
+
+      await expect(token.claimWithVoucher(voucher, signature)).to.be.revertedWith("Merchant not active");
+    });
+  });
+
+  describe("Nonces", function () {
+    it("Should revert if a nonce is used twice by the same merchant", async function () {
+      const { token, merchant, customer, signVoucher } = await loadFixture(deployVoucherFixture);
+      const first = await signVoucher(merchant, { customer: customer.address, amountSpent: 300, orderId: "ORDER-1", nonce: 7 });
+      const second = await signVoucher(merchant, { customer: customer.address, amountSpent: 600, orderId: "ORDER-2", nonce: 7 });
+
+      await token.claimWithVoucher(first.voucher, first.signature);
+
+      await expect(token.claimWithVoucher(first.voucher, first.signature)).to.be.revertedWith("Voucher already claimed");
+      await expect(token.claimWithVoucher(second.voucher, second.signature)).to.be.revertedWith("Voucher already claimed");
+      expect(await token.usedVoucherNonces(merchant.address, 7)).to.equal(true);
+    });
+
+    it("Should track nonces per merchant", async function () {
+      const { token, admin, merchant, customer, otherAccount, signVoucher } = await loadFixture(deployVoucherFixture);
+      await token.connect(admin).grantRole(await token.MERCHANT_ROLE(), otherAccount.address);
+      await token.setMerchantAccount(otherAccount.address, 1);
+      const first = await signVoucher(merchant, { customer: customer.address, amountSpent: 300, orderId: "ORDER-1", nonce: 7 });
+      const second = await signVoucher(otherAccount, { customer: customer.address, amountSpent: 300, orderId: "ORDER-1", nonce: 7 });
+
+      await token.claimWithVoucher(first.voucher, first.signature);
+      await token.claimWithVoucher(second.voucher, second.signature);
+
+      expect(await token.balanceOf(customer.address)).to.equal(ethers.parseEther("200"));
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Referrals", function () {
+  async function deployReferralFixture() {
+    const [owner, referrer, customer, otherCustomer, otherAccount] = await ethers.getSigners();
+
+    // Merchant #1 rewards one token per 3 spent, the referrer is an existing customer
+    const token = await ethers.deployContract("LoyaltyToken");
+    await token.registerMerchant("Cafe", "restaurant", owner.address, 1, 3);
+    await token.earnTokens(1, referrer.address, 300);
+
+    return { token, owner, referrer, customer, otherCustomer, otherAccount };
+  }
+
+  async function deployReferredFixture() {
+    const fixture = await deployReferralFixture();
+    await fixture.token.connect(fixture.customer).registerReferrer(fixture.referrer.address);
+    return fixture;
+  }
+
+  describe("Configuration", function () {
+    it("Should set the default program", async function () {
+      const { token } = await loadFixture(deployReferralFixture);
+
+      expect(await token.referrerBonus()).to.equal(ethers.parseEther("50"));
+      expect(await token.refereeBonus()).to.equal(ethers.parseEther("25"));
+      expect(await token.referralMinEarn()).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should only let admins configure the program", async function () {
+      const { token, otherAccount } = await loadFixture(deployReferralFixture);
+
+      await expect(token.connect(otherAccount).setReferralProgram(1, 1, 1)).to.be.revertedWithCustomError(
+        token,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should reject a zero minimum earn", async function () {
+      const { token } = await loadFixture(deployReferralFixture);
+
+      await expect(token.setReferralProgram(1, 1, 0)).to.be.revertedWith("Minimum earn must be greater than 0");
+    });
+
+    it("Should emit an event on program changes", async function () {
+      const { token } = await loadFixture(deployReferralFixture);
+
+      await expect(token.setReferralProgram(1, 2, 3)).to.emit(token, "ReferralProgramUpdated").withArgs(1, 2, 3);
+    });
+  });
+
+  describe("Registration", function () {
+    it("Should register the referrer of a new customer", async function () {
+      const { token, referrer, customer } = await loadFixture(deployReferralFixture);
+
+      await expect(token.connect(customer).registerReferrer(referrer.address))
+        .to.emit(token, "ReferralRegistered")
+        .withArgs(customer.address, referrer.address);
+
+      expect(await token.referrerOf(customer.address)).to.equal(referrer.address);
+      expect(await token.getReferrals(referrer.address)).to.deep.equal([customer.address]);
+    });
+
+    it("Should reject self-referrals", async function () {
+      const { token, referrer } = await loadFixture(deployReferralFixture);
+
+      await expect(token.connect(referrer).registerReferrer(referrer.address)).to.be.revertedWith(
+        "Cannot refer yourself"
+      );
+    });
+
+    it("Should only register a referrer once", async function () {
+      const { token, customer, otherCustomer } = await loadFixture(deployReferredFixture);
+      await token.earnTokens(1, otherCustomer.address, 3);
+
+      await expect(token.connect(customer).registerReferrer(otherCustomer.address)).to.be.revertedWith(
+        "Referrer already registered"
+      );
+    });
+
+    it("Should reject customers that already earned tokens", async function () {
+      const { token, referrer, customer } = await loadFixture(deployReferralFixture);
+      await token.earnTokens(1, customer.address, 3);
+
+      await expect(token.connect(customer).registerReferrer(referrer.address)).to.be.revertedWith(
+        "Only new customers can register a referrer"
+      );
+    });
+
+    it("Should reject referrers that never earned tokens", async function () {
+      const { token, customer, otherAccount } = await loadFixture(deployReferralFixture);
+
+      await expect(token.connect(customer).registerReferrer(otherAccount.address)).to.be.revertedWith(
+        "Referrer is not a customer"
+      );
+    });
+
+    it("Should reject the zero address as referrer", async function () {
+      const { token, customer } = await loadFixture(deployReferralFixture);
+
+      await expect(token.connect(customer).registerReferrer(ethers.ZeroAddress)).to.be.revertedWith(
+        "Referrer is not a customer"
+      );
+    });
+  });
+
+  describe("Payout", function () {
+    it("Should pay both bonuses on the first qualifying earn", async function () {
+      const { token, referrer, customer } = await loadFixture(deployReferredFixture);
+
+      // 10 LOYAL reward plus the 25 LOYAL referee bonus, 50 LOYAL to the referrer
+      await expect(token.earnTokens(1, customer.address, 30))
+        .to.emit(token, "ReferralRewarded")
+        .withArgs(customer.address, referrer.address, ethers.parseEther("50"), ethers.parseEther("25"));
+
+      expect(await token.balanceOf(customer.address)).to.equal(ethers.parseEther("35"));
+      expect(await token.balanceOf(referrer.address)).to.equal(ethers.parseEther("150"));
+      expect(await token.referralQualified(customer.address)).to.equal(true);
+    });
+
+    it("Should not pay for earns below the minimum", async function () {
+      const { token, customer } = await loadFixture(deployReferredFixture);
+
+      await expect(token.earnTokens(1, customer.address, 27)).not.to.emit(token, "ReferralRewarded");
+
+      expect(await token.balanceOf(customer.address)).to.equal(ethers.parseEther("9"));
+      expect(await token.referralQualified(customer.address)).to.equal(false);
+    });
+
+    it("Should qualify on a later earn that reaches the minimum", async function () {
+      const { token, customer } = await loadFixture(deployReferredFixture);
+      await token.earnTokens(1, customer.address, 27);
+
+      await expect(token.earnTokens(1, customer.address, 30)).to.emit(token, "ReferralRewarded");
+    });
+
+    it("Should pay the bonuses only once", async function () {
+      const { token, referrer, customer } = await loadFixture(deployReferredFixture);
+      await token.earnTokens(1, customer.address, 30);
+
+      await expect(token.earnTokens(1, customer.address, 30)).not.to.emit(token, "ReferralRewarded");
+      expect(await token.balanceOf(referrer.address)).to.equal(ethers.parseEther("150"));
+    });
+
+    it("Should not count bonuses as lifetime earnings", async function () {
+      const { token, referrer, customer } = await loadFixture(deployReferredFixture);
+
+      await token.earnTokens(1, customer.address, 30);
+
+      expect(await token.lifetimeEarned(customer.address)).to.equal(ethers.parseEther("10"));
+      expect(await token.lifetimeEarned(referrer.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should not pay customers without a referrer", async function () {
+      const { token, otherCustomer } = await loadFixture(deployReferredFixture);
+
+      await expect(token.earnTokens(1, otherCustomer.address, 30)).not.to.emit(token, "ReferralRewarded");
+      expect(await token.balanceOf(otherCustomer.address)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should pay the bonuses configured at qualification", async function () {
+      const { token, referrer, customer } = await loadFixture(deployReferredFixture);
+      await token.setReferralProgram(ethers.parseEther("5"), 0, ethers.parseEther("1"));
+
+      await expect(token.earnTokens(1, customer.address, 3))
+        .to.emit(token, "ReferralRewarded")
+        .withArgs(customer.address, referrer.address, ethers.parseEther("5"), 0);
+    });
+  });
+
+  describe("Stats", function () {
+    it("Should report the stats of a customer", async function () {
+      const { token, referrer, customer, otherCustomer } = await loadFixture(deployReferredFixture);
+      await token.connect(otherCustomer).registerReferrer(referrer.address);
+      await token.earnTokens(1, customer.address, 30);
+
+      const [customerReferrer, customerQualified] = await token.getReferralStats(customer.address);
+      expect(customerReferrer).to.equal(referrer.address);
+      expect(customerQualified).to.equal(true);
+
+      const [referrerReferrer, referrerQualified, stats] = await token.getReferralStats(referrer.address);
+      expect(referrerReferrer).to.equal(ethers.ZeroAddress);
+      expect(referrerQualified).to.equal(false);
+      expect(stats.referred).to.equal(2);
+      expect(stats.qualified).to.equal(1);
+      expect(stats.bonusEarned).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should list referred customers in registration order", async function () {
+      const { token, referrer, customer, otherCustomer } = await loadFixture(deployReferredFixture);
+      await token.connect(otherCustomer).registerReferrer(referrer.address);
+
+      expect(await token.getReferrals(referrer.address)).to.deep.equal([customer.address, otherCustomer.address]);
+    });
+
+    it("Should report empty stats for unknown accounts", async function () {
+      const { token, otherAccount } = await loadFixture(deployReferralFixture);
+
+      const [referrer, qualified, stats] = await token.getReferralStats(otherAccount.address);
+      expect(referrer).to.equal(ethers.ZeroAddress);
+      expect(qualified).to.equal(false);
+      expect(stats.referred).to.equal(0);
+      expect(await token.getReferrals(otherAccount.address)).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Roles", function () {
+  async function deployRolesFixture() {
+    const [admin, merchant, cashier, customer, otherAccount] = await ethers.getSigners();
+
+    // Merchant #1 rewards one token per 3 spent, its merchant and cashier accounts act for it
+    const token = await ethers.deployContract("LoyaltyToken");
+    await token.registerMerchant("Cafe", "restaurant", merchant.address, 1, 3);
+    await token.setMerchantAccount(merchant.address, 1);
+    await token.setMerchantAccount(cashier.address, 1);
+
+    const roles = {
+      admin: await token.DEFAULT_ADMIN_ROLE(),
+      merchant: await token.MERCHANT_ROLE(),
+      minter: await token.MINTER_ROLE(),
+      auditor: await token.AUDITOR_ROLE(),
+    };
+
+    return { token, roles, admin, merchant, cashier, customer, otherAccount };
+  }
+
+  describe("Deployment", function () {
+    it("Should grant the deployer the admin, minter and guardian roles", async function () {
+      const { token, admin } = await loadFixture(deployRolesFixture);
+
+      expect(await token.getRoles(admin.address)).to.deep.equal([true, false, true, false]);
+      expect(await token.hasRole(await token.GUARDIAN_ROLE(), admin.address)).to.equal(true);
+    });
+
+    it("Should not grant other accounts any role", async function () {
+      const { token, otherAccount } = await loadFixture(deployRolesFixture);
+
+      expect(await token.getRoles(otherAccount.address)).to.deep.equal([false, false, false, false]);
+    });
+  });
+
+  describe("Minting", function () {
+    it("Should not let accounts without a role earn tokens for customers", async function () {
+      const { token, customer, otherAccount } = await loadFixture(deployRolesFixture);
+
+      await expect(
+        token.connect(otherAccount).earnTokens(1, customer.address, 300)
+      ).to.be.revertedWith("Caller is not a merchant or minter");
+    });
+
+    it("Should not let auditors earn tokens for customers", async function () {
+      const { token, roles, customer, otherAccount } = await loadFixture(deployRolesFixture);
+      await token.grantRole(roles.auditor, otherAccount.address);
+
+      await expect(
+        token.connect(otherAccount).earnTokens(1, customer.address, 300)
+      ).to.be.revertedWith("Caller is not a merchant or minter");
+    });
+
+    it("Should let merchants and minters earn tokens for customers", async function () {
+      const { token, roles, merchant, cashier, customer } = await loadFixture(deployRolesFixture);
+      await token.grantRole(roles.merchant, merchant.address);
+      await token.grantRole(roles.minter, cashier.address);
+
+      await expect(token.connect(merchant).earnTokens(1, customer.address, 300)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("100")
+      );
+      await expect(token.connect(cashier).earnTokens(1, customer.address, 300)).to.changeTokenBalance(
+        token,
+        customer,
+        ethers.parseEther("100")
+      );
+    });
+  });
+
+  describe("Admin setters", function () {
+    it("Should only let admins change economic parameters", async function () {
+      const { token, roles, merchant } = await loadFixture(deployRolesFixture);
+      await token.grantRole(roles.merchant, merchant.address);
+
+      await expect(token.connect(merchant).setEmissionRate(2))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(merchant.address, roles.admin);
+      await expect(token.connect(merchant).setUnitValue(2))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(merchant.address, roles.admin);
+      await expect(token.connect(merchant).setCouponFee(200))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(merchant.address, roles.admin);
+    });
+
+    it("Should only let admins manage the merchant registry", async function () {
+      const { token, roles, merchant, otherAccount } = await loadFixture(deployRolesFixture);
+      await token.grantRole(roles.minter, otherAccount.address);
+
+      await expect(
+        token.connect(otherAccount).registerMerchant("Shop", "retail", merchant.address, 1, 3)
+      ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+      await expect(
+        token.connect(otherAccount).setMerchantAccount(otherAccount.address, 1)
+      ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Granting and revoking", function () {
+    it("Should let admins grant and revoke roles", async function () {
+      const { token, roles, admin, merchant, otherAccount } = await loadFixture(deployRolesFixture);
+
+      await expect(token.grantRole(roles.merchant, merchant.address))
+        .to.emit(token, "RoleGranted")
+        .withArgs(roles.merchant, merchant.address, admin.address);
+      await token.grantRole(roles.auditor, otherAccount.address);
+      expect(await token.getRoles(merchant.address)).to.deep.equal([false, true, false, false]);
+      expect(await token.getRoles(otherAccount.address)).to.deep.equal([false, false, false, true]);
+
+      await expect(token.revokeRole(roles.merchant, merchant.address))
+        .to.emit(token, "RoleRevoked")
+        .withArgs(roles.merchant, merchant.address, admin.address);
+      expect(await token.getRoles(merchant.address)).to.deep.equal([false, false, false, false]);
+    });
+
+    it("Should stop revoked merchants from earning tokens for customers", async function () {
+      const { token, roles, merchant, customer } = await loadFixture(deployRolesFixture);
+      await token.grantRole(roles.merchant, merchant.address);
+      await token.revokeRole(roles.merchant, merchant.address);
+
+      await expect(
+        token.connect(merchant).earnTokens(1, customer.address, 300)
+      ).to.be.revertedWith("Caller is not a merchant or minter");
+    });
+
+    it("Should not let other accounts grant roles", async function () {
+      const { token, roles, merchant, otherAccount } = await loadFixture(deployRolesFixture);
+      await token.grantRole(roles.merchant, merchant.address);
+
+      await expect(token.connect(merchant).grantRole(roles.minter, otherAccount.address))
+        .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+        .withArgs(merchant.address, roles.admin);
+    });
+  });
+});
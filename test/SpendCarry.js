@@ -0,0 +1,105 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { signPurchaseVoucher } = require("../scripts/voucher-signer");
+
+describe("Spend carry", function () {
+  async function deployCarryFixture() {
+    const [owner, customer, otherAccount] = await ethers.getSigners();
+
+    // Prices in cents: merchant #1 rewards one token per $3.00, merchant #2 one per $5.00
+    const token = await ethers.deployContract("LoyaltyToken");
+    await token.setCurrencyDecimals(2);
+    await token.registerMerchant("Cafe", "restaurant", owner.address, 1, 3);
+    await token.registerMerchant("Shop", "retail", owner.address, 1, 5);
+
+    return { token, owner, customer, otherAccount };
+  }
+
+  describe("Currency decimals", function () {
+    it("Should only let admins set the decimals", async function () {
+      const { token, otherAccount } = await loadFixture(deployCarryFixture);
+
+      await expect(token.connect(otherAccount).setCurrencyDecimals(2)).to.be.reverted;
+    });
+
+    it("Should reject more than 18 decimals", async function () {
+      const { token } = await loadFixture(deployCarryFixture);
+
+      await expect(token.setCurrencyDecimals(19)).to.be.revertedWith("Currency decimals too high");
+    });
+  });
+
+  describe("Carrying", function () {
+    it("Should carry the spend below a unit to the next purchase", async function () {
+      const { token, customer } = await loadFixture(deployCarryFixture);
+
+      // $5.99 earns one token and carries $2.99
+      await token.earnTokens(1, customer.address, 599);
+      expect(await token.balanceOf(customer.address)).to.equal(ethers.parseEther("1"));
+      expect(await token.spendCarry(customer.address, 1)).to.deep.equal([299n, 300n]);
+
+      // One more cent completes the unit
+      expect(await token.previewReward(customer.address, 1, 1)).to.equal(ethers.parseEther("1"));
+      await token.earnTokens(1, customer.address, 1);
+      expect(await token.balanceOf(customer.address)).to.equal(ethers.parseEther("2"));
+      expect((await token.spendCarry(customer.address, 1)).amount).to.equal(0);
+    });
+
+    it("Should keep a separate carry per merchant", async function () {
+      const { token, customer } = await loadFixture(deployCarryFixture);
+      await token.earnTokens(1, customer.address, 299);
+
+      // $2.99 carried at the cafe does not count at the shop
+      expect(await token.previewReward(customer.address, 201, 2)).to.equal(0);
+      await token.earnTokens(2, customer.address, 201);
+
+      expect((await token.spendCarry(customer.address, 1)).amount).to.equal(299);
+      expect((await token.spendCarry(customer.address, 2)).amount).to.equal(201);
+      expect(await token.balanceOf(customer.address)).to.equal(0);
+    });
+  });
+
+  describe("Unit changes", function () {
+    it("Should drop the carry when the merchant's unit value changes", async function () {
+      const { token, owner, customer } = await loadFixture(deployCarryFixture);
+      await token.earnTokens(1, customer.address, 299);
+
+      await token.updateMerchant(1, "Cafe", "restaurant", owner.address, 1, 4);
+
+      expect(await token.previewReward(customer.address, 1, 1)).to.equal(0);
+      await token.earnTokens(1, customer.address, 1);
+      expect(await token.spendCarry(customer.address, 1)).to.deep.equal([1n, 400n]);
+    });
+
+    it("Should drop the carry when the currency decimals change", async function () {
+      const { token, customer } = await loadFixture(deployCarryFixture);
+      await token.earnTokens(1, customer.address, 299);
+
+      await token.setCurrencyDecimals(0);
+
+      // 299 would be 99 units of 3 if the carry were kept
+      expect(await token.previewReward(customer.address, 1, 1)).to.equal(0);
+    });
+
+    it("Should keep voucher spend in the carry of the signer's merchant", async function () {
+      const { token, owner, customer } = await loadFixture(deployCarryFixture);
+      await token.grantRole(await token.MERCHANT_ROLE(), owner.address);
+      await token.setMerchantAccount(owner.address, 1);
+      const { token: _token, chainId: _chainId, signature, ...voucher } = await signPurchaseVoucher(
+        owner,
+        token.target,
+        (await ethers.provider.getNetwork()).chainId,
+        { customer: customer.address, amountSpent: 299, orderId: "ORDER-1", nonce: 1, deadline: (await time.latest()) + 3600 }
+      );
+      await token.claimWithVoucher(voucher, signature);
+      expect(await token.spendCarry(customer.address, 1)).to.deep.equal([299n, 300n]);
+
+      await token.setMerchantRates(1, 1, 4);
+
+      expect(await token.previewReward(customer.address, 101, 1)).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Swap protection", function () {
+  async function deploySwapFixture() {
+    const [owner, trader, frontRunner] = await ethers.getSigners();
+
+    // Constant product pool of 1 ETH and 100 LOYAL
+    const token = await ethers.deployContract("LoyaltyToken");
+    const dex = await ethers.deployContract("SimpleDEX", [token.target, ethers.parseEther("1000"), 100]);
+    await dex.setPricingMode(1);
+    await token.approve(dex.target, ethers.MaxUint256);
+    await dex.addLiquidity(ethers.parseEther("100"), { value: ethers.parseEther("1") });
+    await token.transfer(trader.address, ethers.parseEther("10"));
+
+    return { token, dex, owner, trader, frontRunner };
+  }
+
+  // EIP-2612 permit signed by the owner of the tokens
+  async function signPermit(token, owner, spender, value, deadline) {
+    const domain = {
+      name: await token.name(),
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: token.target,
+    };
+    const types = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+    const message = { owner: owner.address, spender, value, nonce: await token.nonces(owner.address), deadline };
+    return ethers.Signature.from(await owner.signTypedData(domain, types, message));
+  }
+
+  describe("ETH to LOYAL", function () {
+    it("Should pay the quoted output", async function () {
+      const { token, dex, trader } = await loadFixture(deploySwapFixture);
+      const [quotedOutput] = await dex.calculateSwap(ethers.parseEther("0.1"), true);
+
+      await dex.connect(trader).swapEthForTokens(quotedOutput, (await time.latest()) + 60, { value: ethers.parseEther("0.1") });
+
+      expect(await token.balanceOf(trader.address)).to.equal(ethers.parseEther("10") + quotedOutput);
+    });
+
+    it("Should revert if the price moved against the trader", async function () {
+      const { dex, trader, frontRunner } = await loadFixture(deploySwapFixture);
+      const deadline = (await time.latest()) + 60;
+      const [quotedOutput] = await dex.calculateSwap(ethers.parseEther("0.1"), true);
+
+      await dex.connect(frontRunner).swapEthForTokens(0, deadline, { value: ethers.parseEther("0.2") });
+
+      await expect(
+        dex.connect(trader).swapEthForTokens(quotedOutput, deadline, { value: ethers.parseEther("0.1") })
+      ).to.be.revertedWith("Output below minimum");
+    });
+
+    it("Should revert after the deadline", async function () {
+      const { dex, trader } = await loadFixture(deploySwapFixture);
+
+      await expect(
+        dex.connect(trader).swapEthForTokens(0, (await time.latest()) - 1, { value: ethers.parseEther("0.1") })
+      ).to.be.revertedWith("Swap expired");
+    });
+  });
+
+  describe("LOYAL to ETH", function () {
+    it("Should revert if the output is below the minimum", async function () {
+      const { token, dex, trader } = await loadFixture(deploySwapFixture);
+      await token.connect(trader).approve(dex.target, ethers.MaxUint256);
+      const [quotedOutput] = await dex.calculateSwap(ethers.parseEther("10"), false);
+      const deadline = (await time.latest()) + 60;
+
+      await expect(
+        dex.connect(trader).swapTokensForEth(ethers.parseEther("10"), quotedOutput + 1n, deadline)
+      ).to.be.revertedWith("Output below minimum");
+      await expect(
+        dex.connect(trader).swapTokensForEth(ethers.parseEther("10"), quotedOutput, deadline)
+      ).to.changeEtherBalance(trader, quotedOutput);
+    });
+
+    it("Should use the permit deadline as the swap deadline", async function () {
+      const { dex, token, trader } = await loadFixture(deploySwapFixture);
+      const amount = ethers.parseEther("10");
+      const deadline = (await time.latest()) + 60;
+      const { v, r, s } = await signPermit(token, trader, dex.target, amount, deadline);
+      const [quotedOutput] = await dex.calculateSwap(amount, false);
+
+      await time.increaseTo(deadline + 1);
+
+      await expect(
+        dex.connect(trader).swapTokensForEthWithPermit(amount, quotedOutput, deadline, v, r, s)
+      ).to.be.revertedWith("Swap expired");
+    });
+
+    it("Should swap with a permit in a single transaction", async function () {
+      const { dex, token, trader } = await loadFixture(deploySwapFixture);
+      const amount = ethers.parseEther("10");
+      const deadline = (await time.latest()) + 60;
+      const { v, r, s } = await signPermit(token, trader, dex.target, amount, deadline);
+      const [quotedOutput] = await dex.calculateSwap(amount, false);
+
+      await expect(
+        dex.connect(trader).swapTokensForEthWithPermit(amount, quotedOutput, deadline, v, r, s)
+      ).to.changeEtherBalance(trader, quotedOutput);
+      expect(await token.allowance(trader.address, dex.target)).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Velocity limits", function () {
+  const ONE_DAY_IN_SECS = 24 * 60 * 60;
+  const EPOCH_LENGTH = 7 * ONE_DAY_IN_SECS;
+
+  async function deployLimitsFixture() {
+    const [owner, customer, otherCustomer, otherAccount] = await ethers.getSigners();
+
+    // Merchant #1 rewards one token per 3 spent
+    const token = await ethers.deployContract("LoyaltyToken");
+    await token.registerMerchant("Cafe", "restaurant", owner.address, 1, 3);
+
+    return { token, owner, customer, otherCustomer, otherAccount };
+  }
+
+  // 100 LOYAL per purchase, 150 per customer per day, 250 per epoch, starting at an epoch boundary
+  async function deployLimitedFixture() {
+    const fixture = await deployLimitsFixture();
+    await fixture.token.setMintLimits(
+      ethers.parseEther("100"),
+      ethers.parseEther("150"),
+      ethers.parseEther("250"),
+      EPOCH_LENGTH
+    );
+    await time.increaseTo((Math.floor((await time.latest()) / EPOCH_LENGTH) + 1) * EPOCH_LENGTH);
+    return fixture;
+  }
+
+  describe("Configuration", function () {
+    it("Should be unlimited by default", async function () {
+      const { token, customer } = await loadFixture(deployLimitsFixture);
+
+      await token.earnTokens(1, customer.address, 30000);
+
+      expect(await token.getMintHeadroom(customer.address)).to.deep.equal([
+        ethers.MaxUint256,
+        ethers.MaxUint256,
+        ethers.MaxUint256,
+      ]);
+    });
+
+    it("Should only let admins set the limits", async function () {
+      const { token, otherAccount } = await loadFixture(deployLimitsFixture);
+
+      await expect(token.connect(otherAccount).setMintLimits(1, 1, 1, EPOCH_LENGTH)).to.be.reverted;
+    });
+
+    it("Should reject epochs shorter than an hour", async function () {
+      const { token } = await loadFixture(deployLimitsFixture);
+
+      await expect(token.setMintLimits(1, 1, 1, 60)).to.be.revertedWith("Epoch length too short");
+    });
+
+    it("Should emit an event on limit changes", async function () {
+      const { token } = await loadFixture(deployLimitsFixture);
+
+      await expect(token.setMintLimits(1, 2, 3, EPOCH_LENGTH))
+        .to.emit(token, "MintLimitsUpdated")
+        .withArgs(1, 2, 3, EPOCH_LENGTH);
+    });
+  });
+
+  describe("Limits", function () {
+    it("Should cap the reward of a single purchase", async function () {
+      const { token, customer } = await loadFixture(deployLimitedFixture);
+
+      await expect(token.earnTokens(1, customer.address, 303)).to.be.revertedWith(
+        "Reward exceeds max tokens per transaction"
+      );
+    });
+
+    it("Should cap a customer's rewards over a rolling day", async function () {
+      const { token, customer } = await loadFixture(deployLimitedFixture);
+      await token.earnTokens(1, customer.address, 300);
+      const firstHour = Math.floor((await time.latest()) / 3600) * 3600;
+
+      expect((await token.getMintHeadroom(customer.address)).customerDaily).to.equal(ethers.parseEther("50"));
+      await expect(token.earnTokens(1, customer.address, 300)).to.be.revertedWith(
+        "Reward exceeds customer daily mint limit"
+      );
+
+      // Usage does not decay, half a day later only the rest of the limit is available
+      await time.increase(ONE_DAY_IN_SECS / 2);
+      expect((await token.getMintHeadroom(customer.address)).customerDaily).to.equal(ethers.parseEther("50"));
+      await token.earnTokens(1, customer.address, 150);
+
+      await time.increaseTo(firstHour + 24 * 3600);
+      await expect(token.earnTokens(1, customer.address, 3)).to.be.revertedWith(
+        "Reward exceeds customer daily mint limit"
+      );
+
+      // The first reward lapses at the start of the 25th hour after it
+      await time.increaseTo(firstHour + 25 * 3600);
+      expect((await token.getMintHeadroom(customer.address)).customerDaily).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should not let frequent purchases exceed the daily limit in any 24 hours", async function () {
+      const { token, customer } = await loadFixture(deployLimitsFixture);
+      await token.setMintLimits(ethers.parseEther("100"), ethers.parseEther("150"), 0, EPOCH_LENGTH);
+
+      // Try to earn 50 LOYAL every 3 hours for two days
+      const rewards = [];
+      for (let i = 0; i < 16; i++) {
+        try {
+          await token.earnTokens(1, customer.address, 150);
+          rewards.push(await time.latest());
+        } catch (error) {
+          expect(error.message).to.include("Reward exceeds customer daily mint limit");
+        }
+        await time.increase(3 * 3600);
+      }
+
+      for (const end of rewards) {
+        const inWindow = rewards.filter((minted) => minted > end - ONE_DAY_IN_SECS && minted <= end);
+        expect(inWindow.length * 50).to.be.at.most(150);
+      }
+      expect(rewards.length).to.be.greaterThan(3);
+    });
+
+    it("Should cap the emission of an epoch", async function () {
+      const { token, customer, otherCustomer } = await loadFixture(deployLimitedFixture);
+      await token.earnTokens(1, customer.address, 300);
+      await token.earnTokens(1, otherCustomer.address, 300);
+      await time.increase(ONE_DAY_IN_SECS);
+      await token.earnTokens(1, customer.address, 150);
+
+      await expect(token.earnTokens(1, otherCustomer.address, 3)).to.be.revertedWith(
+        "Reward exceeds emission cap for this epoch"
+      );
+
+      const [cap, minted, start, end] = await token.getEmissionBudget();
+      expect(cap).to.equal(ethers.parseEther("250"));
+      expect(minted).to.equal(ethers.parseEther("250"));
+      expect(end - start).to.equal(EPOCH_LENGTH);
+    });
+
+    it("Should reset the emission budget in the next epoch", async function () {
+      const { token, customer, otherCustomer } = await loadFixture(deployLimitedFixture);
+      await token.earnTokens(1, customer.address, 300);
+      await token.earnTokens(1, otherCustomer.address, 300);
+      const [, , , end] = await token.getEmissionBudget();
+
+      await time.increaseTo(end);
+      await token.earnTokens(1, customer.address, 300);
+
+      expect((await token.getEmissionBudget()).minted).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should keep the tokens minted in the epoch when the epoch length changes", async function () {
+      const { token, owner, customer, otherCustomer } = await loadFixture(deployLimitedFixture);
+      await token.earnTokens(1, customer.address, 300);
+      await token.earnTokens(1, otherCustomer.address, 300);
+
+      const limits = [ethers.parseEther("100"), ethers.parseEther("150"), ethers.parseEther("250")];
+      await token.setMintLimits(...limits, EPOCH_LENGTH - 60);
+
+      const [, minted, start, end] = await token.getEmissionBudget();
+      expect(minted).to.equal(ethers.parseEther("200"));
+      expect(end - start).to.equal(EPOCH_LENGTH - 60);
+
+      // Toggling the length back does not clear the budget either
+      await token.setMintLimits(...limits, EPOCH_LENGTH);
+      expect((await token.getMintHeadroom(customer.address)).epochRemaining).to.equal(ethers.parseEther("50"));
+      await expect(token.earnTokens(1, owner.address, 300)).to.be.revertedWith(
+        "Reward exceeds emission cap for this epoch"
+      );
+    });
+
+    it("Should keep the epoch budget when the epoch length is unchanged", async function () {
+      const { token, customer } = await loadFixture(deployLimitedFixture);
+      await token.earnTokens(1, customer.address, 300);
+
+      await token.setMintLimits(0, 0, ethers.parseEther("250"), EPOCH_LENGTH);
+
+      expect((await token.getEmissionBudget()).minted).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should revert instead of truncating a reward too large for the daily usage", async function () {
+      const { token, customer } = await loadFixture(deployLimitsFixture);
+      // 10^40 units of 3 spent mint 10^58 (10^40 LOYAL with decimals), above the uint192 hourly bucket
+      const reward = 10n ** 58n;
+
+      await expect(token.earnTokens(1, customer.address, 3n * 10n ** 40n))
+        .to.be.revertedWithCustomError(token, "SafeCastOverflowedUintDowncast")
+        .withArgs(192, reward);
+    });
+  });
+});